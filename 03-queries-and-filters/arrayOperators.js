@@ -92,6 +92,8 @@ async function elemMatchOperator() {
         
         // Without $elemMatch (different behavior!)
         // This matches if ANY element has subject="math" AND ANY element has score >= 60
+        // { grades: [{ subject: "math", score: 40 }, { subject: "art", score: 90 }] } matches:
+        //   "grades.subject" at grades.0.subject, "grades.score" at grades.1.score
         const withoutElemMatch = await collection.find({
             "grades.subject": "math",
             "grades.score": { $gte: 60 }
@@ -129,6 +129,9 @@ async function setOperators() {
  * 11. Timestamp
  * 12. Regular Expression
  * 13. MaxKey
+ *
+ * $gt/$gte/$lt/$lte only match values of the operand's own type:
+ * { price: { $gt: 10 } } skips documents where price is a string.
  */
 
 async function typeComparisons() {
@@ -140,7 +143,7 @@ async function typeComparisons() {
         
         // Comparing with null
         await collection.find({
-            field: { $gt: null }  // Returns non-null values
+            field: { $gt: null }  // Matches nothing: null is its own type (use $ne: null)
         }).toArray();
         
         // String comparison (lexicographic)
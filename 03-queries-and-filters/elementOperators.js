@@ -110,6 +110,11 @@ async function typeOperator() {
  * 127         | "maxKey"      | Max key
  * 
  * "number" matches: int, long, double, decimal
+ *
+ * The Node.js driver stores new Int32(5) as "int", Long.fromNumber(5) as
+ * "long", Decimal128.fromString("1.5") as "decimal" and new UUID() as
+ * "binData". A plain JS number is "int" when whole and 32-bit, otherwise
+ * "double".
  */
 
 // -------------------------------------------------------------------------------------------
@@ -177,6 +182,7 @@ async function dataCleanup() {
         const wrongTypes = await collection.find({
             price: { $type: "string" }
         }).toArray();
+        // Same test on a sampled document, no server: bsonTypeOf(doc.price) === "string"
         
         for (const doc of wrongTypes) {
             await collection.updateOne(
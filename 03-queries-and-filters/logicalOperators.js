@@ -105,7 +105,7 @@ async function notOperator() {
         const notExpensive = await collection.find({
             price: { $not: { $gt: 100 } }
         }).toArray();
-        // Includes: price <= 100 OR price doesn't exist
+        // Includes: price <= 100 OR price doesn't exist OR price isn't a number
         
         // $not with regex
         const notStartsWithA = await collection.find({
@@ -113,15 +113,16 @@ async function notOperator() {
         }).toArray();
         
         // $ne vs $not
-        // $ne: field !== value (field must exist)
-        // $not: negates operator (includes non-existent)
+        // $ne: not equal to one value
+        // $not: negates any operator expression, including a regex
+        // Both match documents where the field doesn't exist
         
         const neExample = await collection.find({
-            status: { $ne: "active" }  // "pending", "inactive", etc, NOT where status doesn't exist
+            status: { $ne: "active" }  // "pending", "inactive", etc, and docs without status
         }).toArray();
         
         const notExample = await collection.find({
-            status: { $not: { $eq: "active" } }  // Includes docs without status field
+            status: { $not: { $eq: "active" } }  // Same documents as the $ne query
         }).toArray();
         
     } finally {
@@ -39,6 +39,7 @@ async function basicProjection() {
         
         // Cannot mix include/exclude (except _id)
         // WRONG: { name: 1, password: 0 }
+        // -> "Cannot do exclusion on field password in inclusion projection"
         
     } finally {
         await client.close();
@@ -107,6 +108,7 @@ async function arrayProjections() {
         ).toArray();
         
         // $elemMatch - first element matching condition
+        // (returned after the other included fields, whatever its position in the document)
         const elemMatch = await collection.find(
             {},
             { 
@@ -223,7 +223,12 @@ async function nestedGrouping() {
  * 
  * Math: $sum, $avg, $min, $max, $stdDevPop, $stdDevSamp
  * Array: $push, $addToSet, $first, $last
- * Top N: $topN, $bottomN, $firstN, $lastN
+ * Top N: $topN, $bottomN, $firstN, $lastN, $maxN, $minN, $top, $bottom
+ * Other: $mergeObjects, $count
+ * 
+ * A missing field is skipped by $sum/$avg/$min/$max/$push/$addToSet but
+ * is null for $first/$last/$firstN/$lastN; $sum of nothing is 0, $avg of
+ * nothing is null.
  * 
  * BEST PRACTICES:
  * - Sort before using $first/$last
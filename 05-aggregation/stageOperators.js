@@ -237,6 +237,7 @@ async function redactStage() {
  * $replaceRoot - Promote embedded doc to root
  * $facet       - Run multiple pipelines
  * $bucket      - Group by ranges
+ * $bucketAuto  - Group into N even ranges (granularity: R5, E12, POWERSOF2, ...)
  * $redact      - Field-level access control
  * 
  * BEST PRACTICES:
@@ -139,6 +139,37 @@ async function identifyStages() {
 // 4. IDENTIFYING PROBLEMS
 // -------------------------------------------------------------------------------------------
 
+// Checks any explain('executionStats') output - no connection needed
+function findPlanProblems(explain) {
+    const stats = explain.executionStats;
+    const stage = explain.queryPlanner.winningPlan.stage;
+    
+    // Problem indicators
+    const problems = [];
+    
+    // 1. Collection scan
+    if (stage === 'COLLSCAN') {
+        problems.push('No index used - consider creating an index');
+    }
+    
+    // 2. Too many docs examined
+    if (stats.totalDocsExamined > stats.nReturned * 10) {
+        problems.push(`Examining ${stats.totalDocsExamined} docs for ${stats.nReturned} results - index may be inefficient`);
+    }
+    
+    // 3. In-memory sort
+    if (JSON.stringify(explain).includes('"stage":"SORT"')) {
+        problems.push('In-memory sort detected - consider indexed sort');
+    }
+    
+    // 4. Slow query
+    if (stats.executionTimeMillis > 100) {
+        problems.push(`Query took ${stats.executionTimeMillis}ms - may need optimization`);
+    }
+    
+    return problems;
+}
+
 async function identifyProblems() {
     const client = new MongoClient('mongodb://localhost:27017');
     
@@ -150,31 +181,7 @@ async function identifyProblems() {
             status: 'active'
         }).explain('executionStats');
         
-        const stats = explain.executionStats;
-        const stage = explain.queryPlanner.winningPlan.stage;
-        
-        // Problem indicators
-        const problems = [];
-        
-        // 1. Collection scan
-        if (stage === 'COLLSCAN') {
-            problems.push('No index used - consider creating an index');
-        }
-        
-        // 2. Too many docs examined
-        if (stats.totalDocsExamined > stats.nReturned * 10) {
-            problems.push(`Examining ${stats.totalDocsExamined} docs for ${stats.nReturned} results - index may be inefficient`);
-        }
-        
-        // 3. In-memory sort
-        if (JSON.stringify(explain).includes('"stage":"SORT"')) {
-            problems.push('In-memory sort detected - consider indexed sort');
-        }
-        
-        // 4. Slow query
-        if (stats.executionTimeMillis > 100) {
-            problems.push(`Query took ${stats.executionTimeMillis}ms - may need optimization`);
-        }
+        const problems = findPlanProblems(explain);
         
         console.log('Problems found:', problems.length ? problems : 'None');
         
@@ -212,5 +219,6 @@ module.exports = {
     explainVerbosityLevels,
     readExplainOutput,
     identifyStages,
+    findPlanProblems,
     identifyProblems
 };
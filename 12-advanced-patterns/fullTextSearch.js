@@ -217,6 +217,13 @@ async function facetedSearch() {
             }
         ]).toArray();
         
+        // Without Atlas Search the same counts come from a $facet over the
+        // matching documents:
+        // { $facet: {
+        //     categoryFacet: [{ $sortByCount: "$category" }],
+        //     priceFacet: [{ $bucket: { groupBy: "$price", boundaries: [0, 500, 1000, 2000], default: "other" } }]
+        // }}
+        
         return results;
         
     } finally {
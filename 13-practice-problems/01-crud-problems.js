@@ -67,6 +67,12 @@ print("✅ Sample data inserted successfully!")
  * PROBLEM 1.1: Find all active users
  * 
  * Find all users where isActive is true.
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: find, equality
+ * modules: 02-crud-operations/findOperations.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -81,6 +87,14 @@ db.users.find({ isActive: true })
  * PROBLEM 1.2: Find users in a specific city
  * 
  * Find all users who live in "New York"
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: find, equality
+ * prerequisites: 1.1
+ * modules: 02-crud-operations/findOperations.js
+ * vary: "New York" from users.city
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -95,6 +109,14 @@ db.users.find({ city: "New York" })
  * PROBLEM 1.3: Find users with specific age range
  * 
  * Find all users who are between 30 and 40 years old (inclusive)
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: find, comparison, ranges
+ * prerequisites: 1.1
+ * modules: 02-crud-operations/findOperations.js, 03-queries-and-filters/comparisonOperators.js
+ * vary: 30 from users.age, 40 from users.age
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -109,6 +131,14 @@ db.users.find({ age: { $gte: 30, $lte: 40 } })
  * PROBLEM 1.4: Find one user by email
  * 
  * Find a single user with email "jane@example.com"
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: find
+ * prerequisites: 1.1
+ * modules: 02-crud-operations/findOperations.js
+ * vary: "jane@example.com" from users.email
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -123,6 +153,13 @@ db.users.findOne({ email: "jane@example.com" })
  * PROBLEM 1.5: Find with projection
  * 
  * Find all users but only return their name and email (exclude _id)
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: find, projection
+ * prerequisites: 1.1
+ * modules: 03-queries-and-filters/projections.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -148,6 +185,13 @@ db.users.find({}, { name: 1, email: 1, _id: 0 })
  * - isActive: true
  * - skills: ["Rust", "WebAssembly"]
  * - createdAt: current date
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: insert
+ * modules: 02-crud-operations/insertOperations.js
+ * state: users
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -173,6 +217,14 @@ db.users.insertOne({
  * Insert two new products:
  * 1. { _id: 111, name: "Mouse Pad XL", category: "Electronics", price: 19.99, stock: 300, rating: 4.0 }
  * 2. { _id: 112, name: "Cable Organizer", category: "Accessories", price: 12.99, stock: 500, rating: 3.8 }
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: insert
+ * prerequisites: 2.1
+ * modules: 02-crud-operations/insertOperations.js
+ * state: products
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -193,6 +245,14 @@ db.products.insertMany([
  * PROBLEM 3.1: Update a single field
  * 
  * Update user with _id: 3 to set isActive to true
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: update
+ * prerequisites: 1.1
+ * modules: 02-crud-operations/updateOperations.js
+ * state: users
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -210,6 +270,14 @@ db.users.updateOne(
  * PROBLEM 3.2: Update multiple documents
  * 
  * Increase the price of all Electronics products by 10%
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: update
+ * prerequisites: 3.1
+ * modules: 02-crud-operations/updateOperations.js
+ * state: products
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -227,6 +295,14 @@ db.products.updateMany(
  * PROBLEM 3.3: Add element to an array
  * 
  * Add "TypeScript" to the skills array for user with _id: 1
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: update, arrays
+ * prerequisites: 3.1
+ * modules: 02-crud-operations/updateOperations.js
+ * state: users
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -244,6 +320,14 @@ db.users.updateOne(
  * PROBLEM 3.4: Remove element from array
  * 
  * Remove "React" from the skills array for user with _id: 1
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: update, arrays
+ * prerequisites: 3.3
+ * modules: 02-crud-operations/updateOperations.js
+ * state: users
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -261,6 +345,14 @@ db.users.updateOne(
  * PROBLEM 3.5: Increment a numeric field
  * 
  * Decrease the stock of product with _id: 101 by 5
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: update
+ * prerequisites: 3.1
+ * modules: 02-crud-operations/updateOperations.js
+ * state: products
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -279,6 +371,14 @@ db.products.updateOne(
  * 
  * Update user with email "newuser@example.com" to set name to "New User" and age to 25.
  * If the user doesn't exist, create them.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: update, upsert
+ * prerequisites: 3.1
+ * modules: 02-crud-operations/updateOperations.js
+ * state: users
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -297,6 +397,14 @@ db.users.updateOne(
  * PROBLEM 3.7: Update with $rename
  * 
  * Rename the "rating" field to "avgRating" in the products collection
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: update, schema changes
+ * prerequisites: 3.1
+ * modules: 02-crud-operations/updateOperations.js
+ * state: products
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -308,7 +416,7 @@ db.products.updateMany(
     { $rename: { "rating": "avgRating" } }
 )
 
-// Revert for other problems
+// RESTORE: undo the rename for later problems
 db.products.updateMany({}, { $rename: { "avgRating": "rating" } })
 
 // -------------------------------------------------------------------------------------------
@@ -317,6 +425,14 @@ db.products.updateMany({}, { $rename: { "avgRating": "rating" } })
  * PROBLEM 3.8: Update with $min/$max
  * 
  * Set the stock of product _id: 102 to 150 only if current stock is greater than 150
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: update
+ * prerequisites: 3.5
+ * modules: 02-crud-operations/updateOperations.js
+ * state: products
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -337,6 +453,14 @@ db.products.updateOne(
  * PROBLEM 4.1: Delete a single document
  * 
  * Delete the user with _id: 9 (the one we inserted earlier)
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: delete
+ * prerequisites: 1.1
+ * modules: 02-crud-operations/deleteOperations.js
+ * state: users
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -351,6 +475,14 @@ db.users.deleteOne({ _id: 9 })
  * PROBLEM 4.2: Delete multiple documents
  * 
  * Delete all orders with status "cancelled"
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: delete
+ * prerequisites: 4.1
+ * modules: 02-crud-operations/deleteOperations.js
+ * state: orders
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -365,6 +497,14 @@ db.orders.deleteMany({ status: "cancelled" })
  * PROBLEM 4.3: Delete with condition
  * 
  * Delete all products where stock is 0
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: delete, comparison
+ * prerequisites: 4.2, 1.3
+ * modules: 02-crud-operations/deleteOperations.js, 03-queries-and-filters/comparisonOperators.js
+ * state: products
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -382,6 +522,14 @@ db.products.deleteMany({ stock: 0 })
  * PROBLEM 5.1: Using $in operator
  * 
  * Find all users who live in either "New York" or "Los Angeles"
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: comparison
+ * prerequisites: 1.2
+ * modules: 03-queries-and-filters/comparisonOperators.js
+ * vary: "New York" from users.city, "Los Angeles" from users.city
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -396,6 +544,14 @@ db.users.find({ city: { $in: ["New York", "Los Angeles"] } })
  * PROBLEM 5.2: Using $nin operator
  * 
  * Find all products NOT in the "Furniture" category
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: comparison
+ * prerequisites: 5.1
+ * modules: 03-queries-and-filters/comparisonOperators.js
+ * vary: "Furniture" from products.category
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -410,6 +566,13 @@ db.products.find({ category: { $nin: ["Furniture"] } })
  * PROBLEM 5.3: Using $exists operator
  * 
  * Find all products that have a "tags" field
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: element operators, missing fields
+ * prerequisites: 1.1
+ * modules: 03-queries-and-filters/elementOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -424,6 +587,13 @@ db.products.find({ tags: { $exists: true } })
  * PROBLEM 5.4: Using $type operator
  * 
  * Find all documents in users collection where age is a number (int or double)
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: element operators, bson types
+ * prerequisites: 5.3
+ * modules: 03-queries-and-filters/elementOperators.js, 01-fundamentals/bsonAndDataTypes.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -439,6 +609,14 @@ db.users.find({ age: { $type: "number" } })
  * PROBLEM 5.5: Using $all operator
  * 
  * Find all users who have BOTH "JavaScript" AND "MongoDB" in their skills
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: arrays
+ * prerequisites: 1.1
+ * modules: 03-queries-and-filters/arrayOperators.js
+ * vary: "JavaScript" from users.skills, "MongoDB" from users.skills
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -453,6 +631,13 @@ db.users.find({ skills: { $all: ["JavaScript", "MongoDB"] } })
  * PROBLEM 5.6: Using $size operator
  * 
  * Find all users who have exactly 3 skills
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: arrays
+ * prerequisites: 5.5
+ * modules: 03-queries-and-filters/arrayOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -467,6 +652,14 @@ db.users.find({ skills: { $size: 3 } })
  * PROBLEM 5.7: Using $elemMatch
  * 
  * Find all orders that have at least one product with quantity >= 2
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: arrays, embedded documents
+ * prerequisites: 5.5, 1.3
+ * modules: 03-queries-and-filters/arrayOperators.js
+ * vary: 2 from orders.products.quantity
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -481,6 +674,13 @@ db.orders.find({ products: { $elemMatch: { quantity: { $gte: 2 } } } })
  * PROBLEM 5.8: Using $regex
  * 
  * Find all users whose name starts with "A" (case-insensitive)
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: pattern matching
+ * prerequisites: 1.1
+ * modules: 03-queries-and-filters/evaluationOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -497,6 +697,14 @@ db.users.find({ name: { $regex: /^A/i } })
  * Find all products that are either:
  * - In Electronics category with price > 100
  * - OR in Furniture category with rating > 4.5
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: logical operators
+ * prerequisites: 1.3
+ * modules: 03-queries-and-filters/logicalOperators.js
+ * vary: "Electronics" from products.category, 100 from products.price, "Furniture" from products.category, 4.5 from products.rating
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -516,6 +724,14 @@ db.products.find({
  * PROBLEM 5.10: Using $not operator
  * 
  * Find all users whose age is NOT greater than or equal to 35
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: logical operators
+ * prerequisites: 5.9
+ * modules: 03-queries-and-filters/logicalOperators.js
+ * vary: 35 from users.age
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -533,6 +749,13 @@ db.users.find({ age: { $not: { $gte: 35 } } })
  * PROBLEM 6.1: Sort ascending
  * 
  * Find all products sorted by price (lowest to highest)
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: sorting
+ * prerequisites: 1.1
+ * modules: 02-crud-operations/findOperations.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -547,6 +770,13 @@ db.products.find().sort({ price: 1 })
  * PROBLEM 6.2: Sort descending
  * 
  * Find all users sorted by age (oldest to youngest)
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: sorting
+ * prerequisites: 6.1
+ * modules: 02-crud-operations/findOperations.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -561,6 +791,13 @@ db.users.find().sort({ age: -1 })
  * PROBLEM 6.3: Limit results
  * 
  * Find the top 3 most expensive products
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: sorting, limit
+ * prerequisites: 6.2
+ * modules: 02-crud-operations/findOperations.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -575,6 +812,13 @@ db.products.find().sort({ price: -1 }).limit(3)
  * PROBLEM 6.4: Skip and Limit (Pagination)
  * 
  * Get the second page of products (5 products per page)
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: pagination
+ * prerequisites: 6.3
+ * modules: 02-crud-operations/findOperations.js, 08-performance/queryOptimization.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -589,6 +833,13 @@ db.products.find().skip(5).limit(5)
  * PROBLEM 6.5: Combined sorting
  * 
  * Find all users sorted by city (ascending), then by age (descending) within each city
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: sorting
+ * prerequisites: 6.2
+ * modules: 02-crud-operations/findOperations.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -606,6 +857,13 @@ db.users.find().sort({ city: 1, age: -1 })
  * PROBLEM 7.1: Count documents
  * 
  * Count the number of active users
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: counting
+ * prerequisites: 1.1
+ * modules: 02-crud-operations/findOperations.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -620,6 +878,14 @@ db.users.countDocuments({ isActive: true })
  * PROBLEM 7.2: Count with filter
  * 
  * Count the number of products with price greater than $100
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: counting, comparison
+ * prerequisites: 7.1, 1.3
+ * modules: 02-crud-operations/findOperations.js
+ * vary: 100 from products.price
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -634,6 +900,13 @@ db.products.countDocuments({ price: { $gt: 100 } })
  * PROBLEM 7.3: Distinct values
  * 
  * Get all unique cities from the users collection
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: distinct values
+ * prerequisites: 1.1
+ * modules: 02-crud-operations/findOperations.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -648,6 +921,14 @@ db.users.distinct("city")
  * PROBLEM 7.4: Distinct with query
  * 
  * Get all unique categories from products with rating >= 4.5
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: distinct values, comparison
+ * prerequisites: 7.3, 1.3
+ * modules: 02-crud-operations/findOperations.js
+ * vary: 4.5 from products.rating
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -665,6 +946,14 @@ db.products.distinct("category", { rating: { $gte: 4.5 } })
  * PROBLEM 8.1: Add unique element to array
  * 
  * Add "GraphQL" to user 1's skills only if it doesn't already exist
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: update, arrays
+ * prerequisites: 3.3
+ * modules: 02-crud-operations/updateOperations.js
+ * state: users
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -682,6 +971,14 @@ db.users.updateOne(
  * PROBLEM 8.2: Add multiple unique elements
  * 
  * Add "Docker" and "AWS" to user 1's skills (only if they don't exist)
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: update, arrays
+ * prerequisites: 8.1
+ * modules: 02-crud-operations/updateOperations.js
+ * state: users
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -699,6 +996,14 @@ db.users.updateOne(
  * PROBLEM 8.3: Remove first/last element
  * 
  * Remove the last skill from user 1's skills array
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: update, arrays
+ * prerequisites: 3.4
+ * modules: 02-crud-operations/updateOperations.js
+ * state: users
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -716,6 +1021,14 @@ db.users.updateOne(
  * PROBLEM 8.4: Update specific array element
  * 
  * In order 1001, update the quantity of the first product to 2
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: update, arrays, dot notation
+ * prerequisites: 3.1
+ * modules: 02-crud-operations/updateOperations.js
+ * state: orders
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -733,6 +1046,14 @@ db.orders.updateOne(
  * PROBLEM 8.5: Update matched array element
  * 
  * In order 1001, update the quantity to 3 for the product with productId 102
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: update, arrays, positional operator
+ * prerequisites: 8.4, 5.7
+ * modules: 02-crud-operations/updateOperations.js
+ * state: orders
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -753,6 +1074,12 @@ db.orders.updateOne(
  * PROBLEM 9.1: Create a text index
  * 
  * Create a text index on the "name" field of the products collection
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: text search, indexes
+ * modules: 04-indexes/textIndexes.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -767,6 +1094,13 @@ db.products.createIndex({ name: "text" })
  * PROBLEM 9.2: Perform text search
  * 
  * Search for products containing "keyboard" OR "mouse" in their name
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: text search
+ * prerequisites: 9.1
+ * modules: 04-indexes/textIndexes.js, 03-queries-and-filters/evaluationOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -781,6 +1115,13 @@ db.products.find({ $text: { $search: "keyboard mouse" } })
  * PROBLEM 9.3: Text search with score
  * 
  * Search for products with "pro" and return results sorted by relevance score
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: text search, relevance sorting
+ * prerequisites: 9.2, 6.2
+ * modules: 04-indexes/textIndexes.js, 12-advanced-patterns/fullTextSearch.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -801,6 +1142,14 @@ db.products.find(
  * PROBLEM 10.1: Find and update with return
  * 
  * Find user with _id: 1, increment their age by 1, and return the NEW document
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: atomic updates
+ * prerequisites: 3.5
+ * modules: 02-crud-operations/findOperations.js, 02-crud-operations/updateOperations.js
+ * state: users
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -819,6 +1168,14 @@ db.users.findOneAndUpdate(
  * PROBLEM 10.2: Find and delete
  * 
  * Find and delete the oldest user (by age), return the deleted document
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: atomic deletes
+ * prerequisites: 4.1
+ * modules: 02-crud-operations/findOperations.js, 02-crud-operations/deleteOperations.js
+ * state: users
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -830,7 +1187,7 @@ db.users.findOneAndDelete(
     { sort: { age: -1 } }
 )
 
-// Re-insert for other problems
+// RESTORE: put Bob back for later problems
 db.users.insertOne({ _id: 3, name: "Bob Wilson", email: "bob@example.com", age: 45, city: "Chicago", isActive: false, skills: ["Java", "Spring", "MySQL"], createdAt: new Date("2023-03-10") })
 
 
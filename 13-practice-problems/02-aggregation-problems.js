@@ -71,6 +71,14 @@ print("✅ Sample data for aggregation problems inserted!")
  * PROBLEM 1.1: Simple $match
  * 
  * Find all employees in the Engineering department
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: pipeline, filtering
+ * prerequisites: 01-crud-problems#1.1
+ * modules: 05-aggregation/aggregationBasics.js
+ * vary: "Engineering" from employees.department
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -87,6 +95,14 @@ db.employees.aggregate([
  * PROBLEM 1.2: $match with comparison
  * 
  * Find all employees with salary greater than 80000
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: pipeline, filtering, comparison
+ * prerequisites: 1.1, 01-crud-problems#1.3
+ * modules: 05-aggregation/aggregationBasics.js
+ * vary: 80000 from employees.salary
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -103,6 +119,13 @@ db.employees.aggregate([
  * PROBLEM 1.3: Simple $project
  * 
  * Return only name and salary for all employees (exclude _id)
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: pipeline, projection
+ * prerequisites: 1.1
+ * modules: 05-aggregation/aggregationBasics.js, 03-queries-and-filters/projections.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -119,6 +142,13 @@ db.employees.aggregate([
  * PROBLEM 1.4: $project with computed field
  * 
  * Return employee name and their annual bonus (10% of salary)
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: pipeline, computed fields
+ * prerequisites: 1.3
+ * modules: 05-aggregation/aggregationBasics.js, 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -141,6 +171,14 @@ db.employees.aggregate([
  * PROBLEM 1.5: Combined $match and $project
  * 
  * Find all Engineering employees and show their name, position, and monthly salary
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: pipeline, computed fields
+ * prerequisites: 1.2, 1.4
+ * modules: 05-aggregation/aggregationBasics.js
+ * vary: "Engineering" from employees.department
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -168,6 +206,13 @@ db.employees.aggregate([
  * PROBLEM 2.1: Group and count
  * 
  * Count the number of employees in each department
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: grouping
+ * prerequisites: 1.1
+ * modules: 05-aggregation/groupAndAccumulators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -189,6 +234,13 @@ db.employees.aggregate([
  * PROBLEM 2.2: Group with $sum
  * 
  * Calculate the total salary expense per department
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: grouping
+ * prerequisites: 2.1
+ * modules: 05-aggregation/groupAndAccumulators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -210,6 +262,13 @@ db.employees.aggregate([
  * PROBLEM 2.3: Group with $avg
  * 
  * Calculate the average salary per department
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: grouping
+ * prerequisites: 2.1
+ * modules: 05-aggregation/groupAndAccumulators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -231,6 +290,13 @@ db.employees.aggregate([
  * PROBLEM 2.4: Group with $min and $max
  * 
  * Find the minimum and maximum salary in each department
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: grouping
+ * prerequisites: 2.1
+ * modules: 05-aggregation/groupAndAccumulators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -253,6 +319,13 @@ db.employees.aggregate([
  * PROBLEM 2.5: Group with $push
  * 
  * Group employees by department and list all employee names in each department
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: grouping, arrays
+ * prerequisites: 2.1
+ * modules: 05-aggregation/groupAndAccumulators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -274,6 +347,13 @@ db.employees.aggregate([
  * PROBLEM 2.6: Group with multiple accumulators
  * 
  * For each department, calculate: total employees, total salary, average salary
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: grouping
+ * prerequisites: 2.2, 2.3
+ * modules: 05-aggregation/groupAndAccumulators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -300,6 +380,13 @@ db.employees.aggregate([
  * PROBLEM 3.1: Sort results
  * 
  * Get all employees sorted by salary (highest first)
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: sorting
+ * prerequisites: 1.1
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -316,6 +403,13 @@ db.employees.aggregate([
  * PROBLEM 3.2: Limit results
  * 
  * Get the top 3 highest-paid employees
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: sorting, limit
+ * prerequisites: 3.1
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -333,6 +427,13 @@ db.employees.aggregate([
  * PROBLEM 3.3: Skip and Limit (Pagination)
  * 
  * Get employees 4-6 when sorted by hire date (oldest first)
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: pagination
+ * prerequisites: 3.2
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -351,6 +452,13 @@ db.employees.aggregate([
  * PROBLEM 3.4: Group, sort, and limit
  * 
  * Find the department with the highest total salary
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: grouping, top n
+ * prerequisites: 2.2, 3.2
+ * modules: 05-aggregation/groupAndAccumulators.js, 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -372,6 +480,13 @@ db.employees.aggregate([
  * PROBLEM 4.1: Basic $unwind
  * 
  * Unwind the skills array to get one document per skill per employee
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: arrays, unwinding
+ * prerequisites: 1.1
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -388,6 +503,13 @@ db.employees.aggregate([
  * PROBLEM 4.2: Unwind and count
  * 
  * Count how many employees have each skill
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: arrays, unwinding, grouping
+ * prerequisites: 4.1, 2.1
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -406,6 +528,13 @@ db.employees.aggregate([
  * PROBLEM 4.3: Unwind with preserveNullAndEmptyArrays
  * 
  * Unwind genres in movies, keeping movies that might not have genres
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: arrays, unwinding, missing fields
+ * prerequisites: 4.1
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -422,6 +551,13 @@ db.movies.aggregate([
  * PROBLEM 4.4: Count movies per genre
  * 
  * Count how many movies are in each genre
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: arrays, unwinding, grouping
+ * prerequisites: 4.2
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -444,6 +580,13 @@ db.movies.aggregate([
  * 
  * Join employees with their managers (self-join)
  * Show employee name, position, and manager name
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: joins
+ * prerequisites: 4.1
+ * modules: 05-aggregation/lookupAndJoins.js, 06-data-modeling/embeddingVsReferencing.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -477,6 +620,13 @@ db.employees.aggregate([
  * 
  * For each department, find employees earning above the department average
  * (This requires a more advanced lookup)
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: joins, expressions
+ * prerequisites: 5.1, 2.3
+ * modules: 05-aggregation/lookupAndJoins.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -517,6 +667,13 @@ db.employees.aggregate([
  * PROBLEM 6.1: Add computed field
  * 
  * Add a field "yearsEmployed" based on hireDate
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: computed fields, dates
+ * prerequisites: 1.4
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -544,6 +701,14 @@ db.employees.aggregate([
  * PROBLEM 6.2: Add multiple fields
  * 
  * Add both "skillCount" (number of skills) and "taxRate" (30% for salary > 90000, else 20%)
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: computed fields, conditionals
+ * prerequisites: 6.1
+ * modules: 05-aggregation/stageOperators.js
+ * vary: 90000 from employees.salary
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -568,6 +733,13 @@ db.employees.aggregate([
  * PROBLEM 7.1: Salary buckets
  * 
  * Group employees into salary buckets: 0-60000, 60000-80000, 80000-100000, 100000+
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: bucketing
+ * prerequisites: 2.1
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -594,6 +766,13 @@ db.employees.aggregate([
  * PROBLEM 7.2: Auto buckets
  * 
  * Automatically create 3 buckets for movie ratings
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: bucketing
+ * prerequisites: 7.1
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -625,6 +804,13 @@ db.movies.aggregate([
  * - "byDepartment": count per department
  * - "topPaid": top 3 highest paid
  * - "bySeniority": buckets by years employed
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: facets, bucketing
+ * prerequisites: 3.4, 7.1
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -664,6 +850,13 @@ db.employees.aggregate([
  * PROBLEM 9.1: Extract date parts
  * 
  * Show sales with year, month, and day of week extracted
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: dates
+ * prerequisites: 1.3
+ * modules: 05-aggregation/groupAndAccumulators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -688,6 +881,13 @@ db.sales.aggregate([
  * PROBLEM 9.2: Group by month
  * 
  * Calculate total sales revenue per month
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: dates, grouping
+ * prerequisites: 9.1, 2.2
+ * modules: 05-aggregation/groupAndAccumulators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -710,7 +910,16 @@ db.sales.aggregate([
 /**
  * PROBLEM 9.3: Filter by date range
  * 
- * Find all sales from January 2024
+ * Find all sales dated from "2024-01-01" up to (but not including)
+ * "2024-02-01"
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: dates, filtering
+ * prerequisites: 1.2
+ * modules: 05-aggregation/aggregationBasics.js
+ * vary: "2024-01-01" from sales.date, "2024-02-01" from sales.date
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -738,6 +947,13 @@ db.sales.aggregate([
  * 
  * Create a "fullTitle" field combining position and department
  * Format: "Position - Department"
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: strings
+ * prerequisites: 1.3
+ * modules: 05-aggregation/aggregationBasics.js, 03-queries-and-filters/projections.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -759,6 +975,13 @@ db.employees.aggregate([
  * PROBLEM 10.2: String case conversion
  * 
  * Show employee names in uppercase and emails in lowercase
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: strings
+ * prerequisites: 10.1
+ * modules: 03-queries-and-filters/projections.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -780,6 +1003,13 @@ db.employees.aggregate([
  * PROBLEM 10.3: Substring extraction
  * 
  * Extract the first name from each employee's full name
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: strings, arrays
+ * prerequisites: 10.1
+ * modules: 03-queries-and-filters/projections.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -809,6 +1039,14 @@ db.employees.aggregate([
  * PROBLEM 11.1: Using $cond
  * 
  * Add a "salaryLevel" field: "High" if salary >= 90000, else "Standard"
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: conditionals
+ * prerequisites: 1.4
+ * modules: 05-aggregation/stageOperators.js, 03-queries-and-filters/evaluationOperators.js
+ * vary: 90000 from employees.salary
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -837,6 +1075,13 @@ db.employees.aggregate([
  * PROBLEM 11.2: Using $switch
  * 
  * Categorize movie ratings: 9+ = "Masterpiece", 8.5-9 = "Excellent", 8-8.5 = "Great", else "Good"
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: conditionals
+ * prerequisites: 11.1
+ * modules: 05-aggregation/stageOperators.js, 03-queries-and-filters/projections.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -868,6 +1113,13 @@ db.movies.aggregate([
  * PROBLEM 11.3: Using $ifNull
  * 
  * Show employee manager name, or "Top Level" if they have no manager
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: conditionals, joins, missing fields
+ * prerequisites: 11.1, 5.1
+ * modules: 05-aggregation/lookupAndJoins.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -906,6 +1158,13 @@ db.employees.aggregate([
  * PROBLEM 12.1: Running total
  * 
  * Calculate running total of sales by date
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: window functions, running totals
+ * prerequisites: 2.2, 3.1
+ * modules: 05-aggregation/windowFunctions.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -933,6 +1192,13 @@ db.sales.aggregate([
  * PROBLEM 12.2: Ranking
  * 
  * Rank employees by salary within their department
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: window functions, ranking
+ * prerequisites: 12.1
+ * modules: 05-aggregation/windowFunctions.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -958,6 +1224,13 @@ db.employees.aggregate([
  * PROBLEM 12.3: Movie profitability
  * 
  * Calculate profit and ROI for each movie, sort by ROI
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: computed fields, sorting
+ * prerequisites: 1.4, 3.1
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -991,6 +1264,13 @@ db.movies.aggregate([
  * PROBLEM 12.4: Director statistics
  * 
  * For directors with multiple movies, calculate average rating and total gross
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: grouping, reporting
+ * prerequisites: 2.6, 3.4
+ * modules: 05-aggregation/groupAndAccumulators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -1021,6 +1301,13 @@ db.movies.aggregate([
  * - Revenue by category
  * - Revenue by region
  * - Top 3 products
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: facets, reporting
+ * prerequisites: 8.1, 9.2
+ * modules: 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -1079,6 +1366,13 @@ db.sales.aggregate([
  * PROBLEM 13.1: Save aggregation results to collection
  * 
  * Create a "departmentStats" collection with department statistics
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: materialized results
+ * prerequisites: 2.6
+ * modules: 05-aggregation/aggregationBasics.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -1106,6 +1400,13 @@ db.departmentStats.find()
  * PROBLEM 13.2: Merge into existing collection
  * 
  * Update the departmentStats collection with latest data (upsert)
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: materialized results, upsert
+ * prerequisites: 13.1
+ * modules: 05-aggregation/aggregationBasics.js, 05-aggregation/stageOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -17,6 +17,9 @@
 db.customers.drop()
 db.transactions.drop()
 
+// Random data differs on every run. For reproducible data (and larger sizes) use:
+//   node tools/practice/fixtures.js seed 03-indexing --scale 100k
+
 // Create customers collection with 1000 documents
 print("Creating sample data... (this may take a moment)")
 
@@ -72,6 +75,14 @@ print(`   - Transactions: ${db.transactions.countDocuments()} documents`)
  * 
  * Run explain() on a query to find customers by email and analyze the execution plan.
  * What type of scan is being performed?
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: explain, collection scan
+ * prerequisites: 01-crud-problems#1.4
+ * modules: 08-performance/explainPlans.js, 04-indexes/indexFundamentals.js
+ * plan: COLLSCAN
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -92,6 +103,14 @@ db.customers.find({ email: "customer500@example.com" }).explain("executionStats"
  * 
  * Use explain() to analyze a query finding customers with age > 40.
  * How many documents were examined?
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: explain, collection scan
+ * prerequisites: 1.1
+ * modules: 08-performance/explainPlans.js
+ * plan: COLLSCAN
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -112,6 +131,13 @@ db.customers.find({ age: { $gt: 40 } }).explain("executionStats")
  * 
  * Create an index on the "email" field for the customers collection.
  * Verify it was created.
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: single field index
+ * prerequisites: 1.1
+ * modules: 04-indexes/indexFundamentals.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -129,6 +155,14 @@ db.customers.getIndexes()
  * PROBLEM 2.2: Analyze query WITH index
  * 
  * Run the same email query from Problem 1.1 and compare the execution plan.
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: single field index, explain
+ * prerequisites: 2.1
+ * modules: 04-indexes/indexFundamentals.js, 08-performance/explainPlans.js
+ * plan: IXSCAN, index email_1, keysExamined/nReturned <= 1
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -149,6 +183,14 @@ db.customers.find({ email: "customer500@example.com" }).explain("executionStats"
  * PROBLEM 2.3: Create index on numeric field
  * 
  * Create an index on the "age" field and verify the range query now uses an index.
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: single field index, ranges
+ * prerequisites: 2.1, 1.2
+ * modules: 04-indexes/indexFundamentals.js
+ * plan: IXSCAN, index age_1
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -167,6 +209,14 @@ db.customers.find({ age: { $gt: 40 } }).explain("executionStats")
  * PROBLEM 2.4: Create descending index
  * 
  * Create a descending index on "orderCount" for efficient sorting.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: index direction, sorting
+ * prerequisites: 2.1, 01-crud-problems#6.3
+ * modules: 04-indexes/indexFundamentals.js
+ * plan: IXSCAN, index orderCount_-1, no SORT
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -188,6 +238,13 @@ db.customers.find().sort({ orderCount: -1 }).limit(10).explain("executionStats")
  * PROBLEM 3.1: Create a compound index
  * 
  * Create a compound index on { city: 1, status: 1 } for the customers collection.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: compound index
+ * prerequisites: 2.1
+ * modules: 04-indexes/compoundIndexes.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -202,6 +259,14 @@ db.customers.createIndex({ city: 1, status: 1 })
  * PROBLEM 3.2: Query using compound index prefix
  * 
  * Run a query that filters only by "city" and verify it uses the compound index.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: compound index, index prefix
+ * prerequisites: 3.1
+ * modules: 04-indexes/compoundIndexes.js
+ * plan: IXSCAN, index city_1_status_1
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -218,6 +283,14 @@ db.customers.find({ city: "New York" }).explain("executionStats")
  * PROBLEM 3.3: Query using full compound index
  * 
  * Run a query that filters by both "city" AND "status" and verify index usage.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: compound index
+ * prerequisites: 3.1
+ * modules: 04-indexes/compoundIndexes.js
+ * plan: IXSCAN, index city_1_status_1, keysExamined/nReturned <= 1
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -235,6 +308,14 @@ db.customers.find({ city: "Chicago", status: "active" }).explain("executionStats
  * 
  * Run a query that filters only by "status" (not the prefix). 
  * Does it use the compound index?
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: compound index, index prefix
+ * prerequisites: 3.2
+ * modules: 04-indexes/compoundIndexes.js
+ * plan: COLLSCAN
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -257,6 +338,14 @@ db.customers.find({ status: "active" }).explain("executionStats")
  * - Sort by orderCount (descending)
  * 
  * Remember ESR: Equality, Sort, Range
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: compound index, esr rule
+ * prerequisites: 3.3, 2.4
+ * modules: 04-indexes/compoundIndexes.js, 04-indexes/indexStrategies.js
+ * plan: IXSCAN, index status_1_orderCount_-1_age_1, no SORT
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -285,6 +374,13 @@ db.customers.find({ status: "active", age: { $gt: 30 } })
  * 
  * Create a unique index on the email field to prevent duplicate emails.
  * (Drop existing email index first)
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: unique index
+ * prerequisites: 2.1
+ * modules: 04-indexes/indexFundamentals.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -300,6 +396,13 @@ db.customers.createIndex({ email: 1 }, { unique: true })
  * PROBLEM 4.2: Test unique constraint
  * 
  * Try to insert a document with an existing email and observe the error.
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: unique index, duplicate keys
+ * prerequisites: 4.1
+ * modules: 04-indexes/indexFundamentals.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -327,6 +430,13 @@ try {
  * 
  * Create a partial index on "totalSpent" that only indexes customers 
  * with totalSpent > 5000 (high-value customers).
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: partial index
+ * prerequisites: 2.1
+ * modules: 04-indexes/indexStrategies.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -345,6 +455,14 @@ db.customers.createIndex(
  * 
  * Run a query that can use the partial index (totalSpent > 6000).
  * Verify it uses the index.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: partial index, explain
+ * prerequisites: 5.1, 2.2
+ * modules: 04-indexes/indexStrategies.js
+ * plan: IXSCAN, index totalSpent_-1
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -362,6 +480,14 @@ db.customers.find({ totalSpent: { $gt: 6000 } }).explain("executionStats")
  * 
  * Run a query that cannot use the partial index (totalSpent > 3000).
  * Explain why.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: partial index, explain
+ * prerequisites: 5.2
+ * modules: 04-indexes/indexStrategies.js
+ * plan: COLLSCAN
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -383,6 +509,13 @@ db.customers.find({ totalSpent: { $gt: 3000 } }).explain("executionStats")
  * PROBLEM 6.1: Create text index
  * 
  * Create a text index on the "name" field for full-text search.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: text index
+ * prerequisites: 2.1
+ * modules: 04-indexes/textIndexes.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -397,6 +530,13 @@ db.customers.createIndex({ name: "text" })
  * PROBLEM 6.2: Perform text search
  * 
  * Search for customers with "Customer 5" in their name.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: text search
+ * prerequisites: 6.1
+ * modules: 04-indexes/textIndexes.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -411,6 +551,13 @@ db.customers.find({ $text: { $search: "Customer 5" } })
  * PROBLEM 6.3: Text search with score sorting
  * 
  * Search for "Customer 50" sorted by text relevance score.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: text search, relevance sorting
+ * prerequisites: 6.2
+ * modules: 04-indexes/textIndexes.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -432,6 +579,13 @@ db.customers.find(
  * 
  * Create a TTL index on transactions that automatically deletes documents 
  * 90 days after their "date" field.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: ttl index
+ * prerequisites: 2.1
+ * modules: 04-indexes/indexFundamentals.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -454,6 +608,13 @@ db.transactions.createIndex(
  * PROBLEM 8.1: Create multikey index
  * 
  * Create an index on the "tags" array field.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: multikey index
+ * prerequisites: 2.1
+ * modules: 04-indexes/indexFundamentals.js, 03-queries-and-filters/arrayOperators.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -468,6 +629,14 @@ db.customers.createIndex({ tags: 1 })
  * PROBLEM 8.2: Query array with index
  * 
  * Find all customers with "vip" tag and verify index usage.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: multikey index, explain
+ * prerequisites: 8.1, 2.2
+ * modules: 04-indexes/indexFundamentals.js
+ * plan: IXSCAN, index tags_1
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -484,6 +653,14 @@ db.customers.find({ tags: "vip" }).explain("executionStats")
  * PROBLEM 8.3: Query with $all operator
  * 
  * Find customers with both "premium" AND "vip" tags.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: multikey index, arrays
+ * prerequisites: 8.2, 01-crud-problems#5.5
+ * modules: 03-queries-and-filters/arrayOperators.js
+ * plan: IXSCAN, index tags_1
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -501,6 +678,13 @@ db.customers.find({ tags: { $all: ["premium", "vip"] } }).explain("executionStat
  * PROBLEM 9.1: List all indexes
  * 
  * List all indexes on the customers collection.
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: index management
+ * prerequisites: 2.1
+ * modules: 04-indexes/indexFundamentals.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -515,6 +699,14 @@ db.customers.getIndexes()
  * PROBLEM 9.2: Get index statistics
  * 
  * Check the usage statistics for all indexes on customers.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: index management, index usage
+ * prerequisites: 9.1
+ * modules: 04-indexes/indexStrategies.js, 08-performance/monitoring.js
+ * grading: manual
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -531,6 +723,13 @@ db.customers.aggregate([{ $indexStats: {} }])
  * PROBLEM 9.3: Drop specific index
  * 
  * Drop the "age_1" index.
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: index management
+ * prerequisites: 9.1
+ * modules: 04-indexes/indexFundamentals.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -545,6 +744,13 @@ db.customers.dropIndex("age_1")
  * PROBLEM 9.4: Drop all non-_id indexes
  * 
  * Drop all indexes except the default _id index.
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: index management
+ * prerequisites: 9.3
+ * modules: 04-indexes/indexFundamentals.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -566,6 +772,14 @@ db.customers.getIndexes()
  * 
  * Create an index and write a query that can be fully satisfied by the index
  * (covered query - no document fetch needed).
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: covered query, projection
+ * prerequisites: 3.3, 01-crud-problems#1.5
+ * modules: 08-performance/queryOptimization.js, 08-performance/explainPlans.js
+ * plan: IXSCAN, index city_1_email_1, no FETCH
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -589,6 +803,14 @@ db.customers.find(
  * PROBLEM 10.2: Hint to force index usage
  * 
  * Create a query that uses hint() to force a specific index.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: index hints
+ * prerequisites: 10.1
+ * modules: 08-performance/queryOptimization.js
+ * plan: IXSCAN, index city_1_email_1
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -605,6 +827,14 @@ db.customers.find({ city: "Chicago" })
  * PROBLEM 10.3: Analyze slow query
  * 
  * Enable the profiler to catch slow queries, then run a slow query.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: slow queries, explain
+ * prerequisites: 2.2
+ * modules: 08-performance/explainPlans.js, 08-performance/queryOptimization.js
+ * grading: manual
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -635,6 +865,14 @@ db.setProfilingLevel(0)
  *     amount: { $gte: 500, $lte: 1500 },
  *     date: { $gte: new Date("2024-01-01") }
  * }).sort({ amount: -1 }).limit(20)
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: esr rule, query optimization
+ * prerequisites: 3.5, 10.3
+ * modules: 08-performance/queryOptimization.js, 04-indexes/compoundIndexes.js
+ * plan: IXSCAN, index status_1_amount_-1_date_1, no SORT
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -667,6 +905,14 @@ db.transactions.find({
  * PROBLEM 11.1: Check index size
  * 
  * Get the size of indexes on the transactions collection.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: index size
+ * prerequisites: 9.1
+ * modules: 04-indexes/indexStrategies.js, 08-performance/monitoring.js
+ * grading: manual
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -685,6 +931,14 @@ db.transactions.stats()
  * PROBLEM 11.2: Check collection statistics
  * 
  * Get full statistics for the customers collection including index details.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: collection statistics
+ * prerequisites: 11.1
+ * modules: 08-performance/monitoring.js
+ * grading: manual
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -712,6 +966,13 @@ db.customers.stats()
  * 1. Find products by category, sorted by price
  * 2. Search products by name (text search)
  * 3. Find products by category and in-stock status
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: compound index, text index, real world
+ * prerequisites: 3.5, 6.1
+ * modules: 04-indexes/indexStrategies.js
+ * ---
  */
 
 // Create sample products first
@@ -753,6 +1014,13 @@ db.products_demo.find({ category: "Electronics", inStock: true })
  * - TTL: delete activities older than 30 days
  * 
  * Create the necessary indexes.
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: compound index, ttl index, real world
+ * prerequisites: 3.5, 7.1
+ * modules: 04-indexes/indexStrategies.js
+ * ---
  */
 
 db.activity_log.drop()
@@ -26,6 +26,12 @@
  * Create a sample blog post with 3 comments.
  * 
  * When to embed: Comments are always fetched with the post, limited comments per post.
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: embedding
+ * modules: 06-data-modeling/embeddingVsReferencing.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -87,6 +93,13 @@ db.blog_embedded.findOne()
  * Create a blog post and 3 separate comment documents.
  * 
  * When to reference: Unlimited comments, independent access to comments.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: referencing, joins
+ * prerequisites: 1.1, 02-aggregation-problems#5.1
+ * modules: 06-data-modeling/embeddingVsReferencing.js, 05-aggregation/lookupAndJoins.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -165,6 +178,13 @@ db.blog_posts.aggregate([
  * - Embed basic product info
  * - Embed summary review stats (avg rating, total reviews)
  * - Reference individual reviews
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: embedding, subset pattern
+ * prerequisites: 1.1
+ * modules: 06-data-modeling/embeddingVsReferencing.js, 06-data-modeling/schemaDesignPatterns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -251,6 +271,13 @@ db.product_reviews.insertMany([
  * PROBLEM 2.1: One-to-Few - User with Addresses
  * 
  * Design a user schema with embedded addresses (most users have 1-3 addresses).
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: one-to-few, embedding
+ * prerequisites: 1.1
+ * modules: 06-data-modeling/relationshipPatterns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -293,6 +320,13 @@ db.users_addresses.findOne({ _id: 1 }, { addresses: { $elemMatch: { isDefault: t
  * 
  * Design schema where Book documents reference their Author.
  * This is better when you have many books per author.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: one-to-many, child references
+ * prerequisites: 1.2
+ * modules: 06-data-modeling/relationshipPatterns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -335,6 +369,13 @@ db.authors.aggregate([
  * 
  * Design where Category embeds an array of product IDs.
  * Good for bounded sets (e.g., featured products).
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: one-to-many, parent references
+ * prerequisites: 2.2
+ * modules: 06-data-modeling/relationshipPatterns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -381,6 +422,13 @@ db.categories.aggregate([
  * 
  * Design a many-to-many relationship between students and courses.
  * Use the array of references approach.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: many-to-many
+ * prerequisites: 2.3
+ * modules: 06-data-modeling/relationshipPatterns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -436,6 +484,13 @@ db.students.find({ enrolledCourses: "CS101" })
  * PROBLEM 3.2: Products and Tags with Junction Collection
  * 
  * Design a many-to-many with a junction collection that stores additional data.
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: many-to-many, junction collection
+ * prerequisites: 3.1
+ * modules: 06-data-modeling/relationshipPatterns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -500,6 +555,13 @@ db.tag_products.aggregate([
  * - price: required number, minimum 0
  * - category: required, enum ["Electronics", "Furniture", "Clothing"]
  * - inStock: required boolean
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: schema validation
+ * prerequisites: 01-crud-problems#2.1
+ * modules: 06-data-modeling/schemaValidation.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -563,6 +625,13 @@ try {
  * PROBLEM 4.2: Add validation to existing collection
  * 
  * Add validation to require email format in users collection.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: schema validation
+ * prerequisites: 4.1
+ * modules: 06-data-modeling/schemaValidation.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -601,6 +670,13 @@ db.runCommand({
  * 
  * Design a schema for IoT sensor data using the bucket pattern.
  * Group readings by hour to reduce document count.
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: bucket pattern
+ * prerequisites: 1.3, 01-crud-problems#3.6
+ * modules: 06-data-modeling/schemaDesignPatterns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -656,6 +732,13 @@ db.sensor_buckets.updateOne(
  * 
  * Design a product schema that pre-computes review statistics
  * to avoid expensive aggregations.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: computed pattern
+ * prerequisites: 1.1, 01-crud-problems#3.5
+ * modules: 06-data-modeling/schemaDesignPatterns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -713,6 +796,13 @@ db.computed_products.findOne({ _id: "PROD-001" })
  * 
  * Design an order schema that copies frequently accessed customer data
  * to avoid joins for common queries.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: extended reference pattern
+ * prerequisites: 1.2
+ * modules: 06-data-modeling/schemaDesignPatterns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -760,6 +850,13 @@ db.extended_orders.find({ "customer.email": "alice@example.com" })
  * 
  * Design a schema for a social media post where most posts have few likes
  * but some viral posts have millions.
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: outlier pattern
+ * prerequisites: 1.3
+ * modules: 06-data-modeling/schemaDesignPatterns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -822,6 +919,13 @@ function userLikedPost(postId, userId) {
  * 
  * Design a category hierarchy using materialized paths.
  * Electronics > Computers > Laptops > Gaming Laptops
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: trees, materialized path
+ * prerequisites: 01-crud-problems#5.8
+ * modules: 06-data-modeling/treeStructures.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -855,6 +959,13 @@ db.category_tree.find({ _id: { $in: ancestorIds } })
  * PROBLEM 6.2: Array of Ancestors Pattern
  * 
  * Design the same category hierarchy using ancestors array.
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: trees, array of ancestors
+ * prerequisites: 6.1
+ * modules: 06-data-modeling/treeStructures.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -887,6 +998,13 @@ db.category_ancestors.find({ ancestors: "electronics" })
  * 
  * Design schemas for: Users, Products, Orders, Shipping
  * Consider: What to embed, what to reference, what to denormalize
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: schema design, real world
+ * prerequisites: 3.2, 5.3, 4.1
+ * modules: 06-data-modeling/schemaDesignPatterns.js, 06-data-modeling/embeddingVsReferencing.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -41,6 +41,13 @@ print("✅ Sample data for transactions created!")
  * 
  * Transfer $500 from Alice (ACC001) to Bob (ACC002) using a transaction.
  * Both updates must succeed or both must fail.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: transactions, sessions
+ * prerequisites: 01-crud-problems#3.5
+ * modules: 07-transactions/acidTransactions.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -90,6 +97,18 @@ db.accounts.find({ _id: { $in: ["ACC001", "ACC002"] } })
  * 2. Performs the transfer
  * 3. Creates a transfer record
  * 4. Logs to audit collection
+ * 
+ * Write it as transferWithAudit(fromAccount, toAccount, amount). The grader
+ * calls it with transaction errors injected: balances must still add up and
+ * each applied transfer must have exactly one audit entry.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: transactions, validation
+ * prerequisites: 1.1
+ * modules: 07-transactions/acidTransactions.js
+ * faults: transient:update, transient:insert, unknown-commit
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -195,6 +214,13 @@ async function transferWithAudit(fromAccount, toAccount, amount) {
  * PROBLEM 1.3: Transaction with Read Preference
  * 
  * Create a transaction that uses specific read/write concerns.
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: transactions, read preference, write concern
+ * prerequisites: 1.1
+ * modules: 07-transactions/acidTransactions.js, 10-replication-and-sharding/readWriteConcerns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -239,6 +265,17 @@ try {
  * 2. Updates inventory for all ordered items
  * 3. Deducts from customer balance
  * All must succeed or none should apply.
+ * 
+ * Write it as processOrder(customerId, items); the grader calls it with
+ * transaction errors injected and checks stock and balance stay consistent.
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: transactions, multi-collection writes
+ * prerequisites: 1.2
+ * modules: 07-transactions/acidTransactions.js, 07-transactions/distributedTransactions.js
+ * faults: transient:update, unknown-commit
+ * ---
  */
 
 // Setup
@@ -366,6 +403,19 @@ async function processOrder(customerId, items) {
  * PROBLEM 3.1: Retry Transaction on Transient Error
  * 
  * Implement a retry mechanism for transient transaction errors.
+ * 
+ * Write it as runTransactionWithRetry(txnFunc, maxRetries). The grader
+ * injects TransientTransactionError and UnknownTransactionCommitResult:
+ * the body must be applied exactly once, and the loop must give up when
+ * every attempt fails.
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: transactions, retries, error labels
+ * prerequisites: 1.1
+ * modules: 07-transactions/acidTransactions.js, 07-transactions/distributedTransactions.js
+ * faults: transient:update, transient:update*2, unknown-commit, transient:update*always
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -441,6 +491,12 @@ function commitWithRetry(session) {
  * Create a change stream that watches for new insertions in the orders collection.
  * 
  * NOTE: Change streams require a replica set.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: change streams
+ * modules: 12-advanced-patterns/changeStreams.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -480,6 +536,13 @@ while (changeStream.hasNext()) {
  * PROBLEM 4.2: Filtered Change Stream
  * 
  * Create a change stream that only watches for high-value orders (> $500).
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: change streams, filtering
+ * prerequisites: 4.1, 02-aggregation-problems#1.2
+ * modules: 12-advanced-patterns/changeStreams.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -518,6 +581,13 @@ const highValueStream = db.customer_orders.watch([
  * PROBLEM 4.3: Resume Token
  * 
  * Create a change stream that can resume from where it left off.
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: change streams, resume tokens
+ * prerequisites: 4.1
+ * modules: 12-advanced-patterns/changeStreams.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -570,6 +640,14 @@ function resumeWatching() {
  * 
  * Perform multiple operations in order.
  * If one fails, subsequent operations are skipped.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: bulk writes
+ * prerequisites: 01-crud-problems#3.1, 01-crud-problems#4.1
+ * modules: 02-crud-operations/bulkOperations.js
+ * state: bulk_test
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -611,6 +689,14 @@ db.bulk_test.find()
  * 
  * Perform multiple operations in parallel.
  * Failures don't stop other operations.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: bulk writes, error handling
+ * prerequisites: 5.1
+ * modules: 02-crud-operations/bulkOperations.js
+ * state: bulk_parallel
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -638,6 +724,14 @@ db.bulk_parallel.find()  // Should have 1, 2, 3, 4
  * PROBLEM 5.3: Bulk Upserts
  * 
  * Update multiple documents, inserting if they don't exist.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: bulk writes, upsert
+ * prerequisites: 5.1, 01-crud-problems#3.6
+ * modules: 02-crud-operations/bulkOperations.js
+ * state: products_bulk
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -685,6 +779,13 @@ db.products_bulk.find()
  * PROBLEM 6.1: Critical Write with Full Durability
  * 
  * Insert a critical document with the strongest durability guarantee.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: write concern, durability
+ * prerequisites: 01-crud-problems#2.1
+ * modules: 10-replication-and-sharding/readWriteConcerns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -712,6 +813,13 @@ db.critical_data.insertOne(
  * PROBLEM 6.2: Read Committed Data Only
  * 
  * Read data that is guaranteed to be committed (won't be rolled back).
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: read concern
+ * prerequisites: 6.1
+ * modules: 10-replication-and-sharding/readWriteConcerns.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -736,6 +844,13 @@ db.critical_data.aggregate([
  * PROBLEM 7.1: Create and Use Capped Collection
  * 
  * Create a capped collection for storing logs (max 10MB, max 10000 docs).
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: capped collections
+ * prerequisites: 01-crud-problems#6.2
+ * modules: 01-fundamentals/collectionsAndDocuments.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -768,6 +883,13 @@ db.logs_capped.find().sort({ $natural: -1 }).limit(5)  // Latest 5 logs
  * PROBLEM 7.2: Tailable Cursor on Capped Collection
  * 
  * Create a tailable cursor to continuously read new logs.
+ * 
+ * ---
+ * difficulty: advanced
+ * tags: capped collections, tailable cursors
+ * prerequisites: 7.1
+ * modules: 01-fundamentals/collectionsAndDocuments.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -793,11 +915,19 @@ const tailableCursor = db.logs_capped.find().tailable()
  * 
  * GridFS stores files larger than 16MB by splitting into chunks.
  * Use mongofiles command-line tool or the driver.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: gridfs, file storage
+ * modules: 12-advanced-patterns/gridFS.js
+ * ---
  */
 
-// Using mongosh/driver approach:
+// YOUR SOLUTION HERE:
+
 
 // ✅ SOLUTION:
+// Using mongosh/driver approach:
 // In mongosh, GridFS operations are typically done via drivers or mongofiles CLI
 
 // CLI Example (run in terminal, not mongosh):
@@ -825,6 +955,13 @@ db.fs.files.find()
  * PROBLEM 9.1: Session Storage with TTL
  * 
  * Create a sessions collection where sessions expire after 30 minutes.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: ttl index, sessions
+ * prerequisites: 03-indexing-problems#7.1
+ * modules: 04-indexes/indexFundamentals.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -855,6 +992,13 @@ db.sessions.insertOne({
  * PROBLEM 9.2: TTL with Custom Expiration
  * 
  * Create tokens that expire at a specific time (not after duration).
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: ttl index
+ * prerequisites: 9.1
+ * modules: 04-indexes/indexFundamentals.js
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -892,6 +1036,13 @@ db.tokens.insertOne({
  * PROBLEM 10.1: Collection Statistics
  * 
  * Get detailed statistics about a collection.
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: administration, collection statistics
+ * modules: 08-performance/monitoring.js
+ * grading: manual
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -914,6 +1065,14 @@ db.accounts.stats()
  * PROBLEM 10.2: Compact Collection
  * 
  * Reclaim disk space after many deletions.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: administration, storage
+ * prerequisites: 10.1
+ * modules: 01-fundamentals/mongoShell.js
+ * grading: manual
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -929,6 +1088,14 @@ db.runCommand({ compact: "accounts" })
  * PROBLEM 10.3: Profiler
  * 
  * Enable the database profiler to log slow queries.
+ * 
+ * ---
+ * difficulty: intermediate
+ * tags: profiler, slow queries
+ * prerequisites: 03-indexing-problems#10.3
+ * modules: 08-performance/monitoring.js, 08-performance/queryOptimization.js
+ * grading: manual
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -957,6 +1124,13 @@ db.setProfilingLevel(0)
  * PROBLEM 10.4: Server Status
  * 
  * Get comprehensive server statistics.
+ * 
+ * ---
+ * difficulty: beginner
+ * tags: administration, server status
+ * modules: 08-performance/monitoring.js
+ * grading: manual
+ * ---
  */
 
 // YOUR SOLUTION HERE:
@@ -0,0 +1,216 @@
+/**
+ * TOOL: FLASHCARD EXTRACTION
+ * DESCRIPTION:
+ * Turns the "SUMMARY & BEST PRACTICES" comments that close every teaching
+ * module into question cards. A summary comment is a list of groups
+ * ("COMPOUND INDEX KEY POINTS:", "BEST PRACTICES:", ...) of numbered or
+ * bulleted points, and each point becomes at most one card:
+ *
+ *   definition - "2. Follow ESR rule: Equality, Sort, Range" or
+ *                "$all - Array contains all specified values":
+ *                the term is shown, the explanation is the answer
+ *   cloze      - "- Use odd number of voting members (3, 5, 7)": the most
+ *                specific token ($operator, method, number, acronym) is
+ *                blanked out and is the answer
+ *
+ * Every group of two or more points also gets a `list` card asking for
+ * all of them. Sections titled "... BEST PRACTICES" (e.g. the replica set
+ * guidelines) are read like the summaries.
+ *
+ * Card ids are derived from the module, the group and the point's text,
+ * so review history (scheduler.js) survives unrelated edits to a module
+ * and a reworded point simply becomes a new card.
+ */
+
+const crypto = require('crypto');
+const { REPO_ROOT, PRACTICE_FOLDER, listTopicFolders, commentText, slugify, loadModule } = require('../workbook/sources');
+
+const SUMMARY_TITLE = /\bSUMMARY\b|\bBEST PRACTICES\b/;
+
+// Longest term a definition card is made from, in words
+const MAX_TERM_WORDS = 6;
+
+// Groups with more points than this are too long to recall as a list
+const MAX_LIST_POINTS = 8;
+
+const CLOZE = '_____';
+
+// -------------------------------------------------------------------------------------------
+// 1. READING SUMMARY COMMENTS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * "COMPOUND INDEX KEY POINTS:" -> "COMPOUND INDEX KEY POINTS"
+ */
+function groupHeading(line) {
+    const match = line.match(/^([A-Z0-9][A-Z0-9 &/()'.,+-]*[A-Z)])\s*:?\s*$/);
+    return match && /[A-Z]{2}/.test(match[1]) ? match[1] : null;
+}
+
+/**
+ * Splits a summary comment's text into groups of points:
+ * [{ title, points: [{ text, details: ['sub-bullet', ...] }] }]
+ *
+ * Points are numbered ("1. ..."), bulleted ("- ...") or plain lines
+ * ("$all - ..."). Indented bullets under a point are its details; under
+ * a numbered heading without text of its own ("1. MEMBER COUNT") they
+ * form a group of their own.
+ */
+function parseSummary(text) {
+    const groups = [];
+    let group = null;
+    let point = null;
+
+    const startGroup = title => {
+        group = { title, points: [] };
+        groups.push(group);
+        point = null;
+    };
+
+    for (const rawLine of text.split('\n')) {
+        if (rawLine.trim() === '') continue;
+
+        const indented = /^\s/.test(rawLine);
+        const line = rawLine.trim();
+        const numbered = line.match(/^\d+\.\s+(.+)$/);
+        const bullet = line.match(/^[-•]\s+(.+)$/);
+
+        if (!indented && !numbered && !bullet && groupHeading(line)) {
+            startGroup(groupHeading(line));
+            continue;
+        }
+        if (numbered && groupHeading(numbered[1]) && !/[:=]|\s-\s/.test(numbered[1].replace(/:\s*$/, ''))) {
+            startGroup(groupHeading(numbered[1]));
+            group.nested = true;
+            continue;
+        }
+        if (!group) startGroup('KEY POINTS');
+
+        if (indented && point && !group.nested) {
+            point.details.push(bullet ? bullet[1] : line);
+        } else {
+            point = { text: (numbered || bullet || [null, line])[1], details: [] };
+            group.points.push(point);
+        }
+    }
+
+    return groups.filter(candidate => candidate.points.length > 0);
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. CARDS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * "Follow ESR rule: Equality, Sort, Range" -> { term: 'Follow ESR rule', definition: 'Equality, Sort, Range' }
+ */
+function splitDefinition(text) {
+    const match = text.match(/^(.+?)\s*(?::\s+|\s+-\s+|\s+=\s+)(.+)$/);
+    if (!match || match[1].split(/\s+/).length > MAX_TERM_WORDS) return null;
+    // "Enable journaling (default: on)" is a sentence, not a term
+    if ((match[1].match(/\(/g) || []).length !== (match[1].match(/\)/g) || []).length) return null;
+    return { term: match[1].trim(), definition: match[2].trim() };
+}
+
+/**
+ * The token of a point worth asking for: an $operator, a method or
+ * option name, a number or an acronym - or null.
+ */
+function clozeTarget(text) {
+    const patterns = [
+        /\$[A-Za-z]+/,
+        /\b[A-Za-z]+\(\)|\b[a-z]+[A-Z][A-Za-z]*\b|\b[A-Za-z]+\.[A-Za-z]+\b/,
+        /\b\d+(?:\.\d+)*(?:[-–]\d+)?\+?(?:\s?(?:MB|GB|KB|ms|%|hours|seconds|members))?(?:,\s*\d+)*(?!\w)/,
+        /(?!^)\b[A-Z]{2,}\b/
+    ];
+
+    for (const pattern of patterns) {
+        const match = text.match(pattern);
+        if (match && match[0].trim() !== text.trim()) return match[0];
+    }
+    return null;
+}
+
+function cardId(modulePath, group, text) {
+    const digest = crypto.createHash('sha1').update(text).digest('hex').slice(0, 8);
+    return `${modulePath.replace(/\.js$/, '')}#${slugify(group)}-${digest}`;
+}
+
+function withDetails(text, details) {
+    return [text, ...details.map(detail => `- ${detail}`)].join('\n');
+}
+
+/**
+ * The cards for one module:
+ * [{ id, module, topic, group, kind, front, back }]
+ * `front` is the question, `back` the answer; `topic` is the module's
+ * TOPIC line ("COMPOUND INDEXES").
+ */
+function cardsForModule(module) {
+    const cards = [];
+    const topic = module.topic || module.path;
+
+    for (const section of module.sections.filter(candidate => SUMMARY_TITLE.test(candidate.title))) {
+        for (const block of section.blocks) {
+            for (const group of parseSummary(commentText(block.code))) {
+                const base = { module: module.path, topic, group: group.title };
+
+                for (const point of group.points) {
+                    const definition = splitDefinition(point.text);
+                    const target = definition ? null : clozeTarget(point.text);
+                    const id = cardId(module.path, group.title, point.text);
+
+                    if (definition) {
+                        cards.push({
+                            ...base,
+                            id,
+                            kind: 'definition',
+                            front: `${definition.term}: ?`,
+                            back: withDetails(definition.definition, point.details)
+                        });
+                    } else if (target) {
+                        cards.push({
+                            ...base,
+                            id,
+                            kind: 'cloze',
+                            front: point.text.replace(target, CLOZE),
+                            back: withDetails(`${target} - ${point.text}`, point.details)
+                        });
+                    }
+                }
+
+                if (group.points.length >= 2 && group.points.length <= MAX_LIST_POINTS) {
+                    cards.push({
+                        ...base,
+                        id: cardId(module.path, group.title, group.points.map(point => point.text).join('\n')),
+                        kind: 'list',
+                        front: `Name the ${group.points.length} points of "${group.title}"`,
+                        back: group.points.map(point => `- ${point.text}`).join('\n')
+                    });
+                }
+            }
+        }
+    }
+
+    return cards;
+}
+
+/**
+ * Every card of every teaching module, in folder and file order.
+ */
+function loadCards(root = REPO_ROOT) {
+    return listTopicFolders(root)
+        .filter(folder => folder.folder !== PRACTICE_FOLDER)
+        .flatMap(folder => folder.files)
+        .flatMap(file => cardsForModule(loadModule(file, root)));
+}
+
+module.exports = {
+    SUMMARY_TITLE,
+    CLOZE,
+    parseSummary,
+    splitDefinition,
+    clozeTarget,
+    cardsForModule,
+    loadCards
+};
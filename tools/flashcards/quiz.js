@@ -0,0 +1,176 @@
+/**
+ * TOOL: FLASHCARD QUIZ
+ * DESCRIPTION:
+ * Spaced-repetition review of the modules' SUMMARY & BEST PRACTICES
+ * points in the terminal. Each card (cards.js) shows its question; press
+ * Enter to see the answer, then grade your recall from 0 (blank) to 5
+ * (perfect). The grade schedules the card's next review with SM-2
+ * (scheduler.js) and is saved right away, so a session can be stopped
+ * at any point with "q".
+ *
+ * A session holds the cards due today and up to --new cards not seen
+ * before; --topic limits both to modules whose path contains the text.
+ *
+ * USAGE:
+ *   node tools/flashcards/quiz.js                      # today's reviews
+ *   node tools/flashcards/quiz.js --topic 04-indexes --new 5
+ *   node tools/flashcards/quiz.js stats
+ *   node tools/flashcards/quiz.js list --topic compoundIndexes
+ */
+
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { defaultLearner } = require('../practice/progress');
+const { loadCards } = require('./cards');
+const {
+    defaultStatePath,
+    loadState,
+    saveState,
+    recordReview,
+    reviewQueue,
+    summarizeState
+} = require('./scheduler');
+
+const DEFAULT_NEW_CARDS = 10;
+
+const GRADE_PROMPT = 'Recall 0-5 (0 blank, 3 hard, 4 good, 5 easy), q to stop: ';
+
+function indent(text) {
+    return text.split('\n').map(line => `    ${line}`).join('\n');
+}
+
+function formatInterval(days) {
+    return days === 1 ? 'tomorrow' : `in ${days} days`;
+}
+
+// -------------------------------------------------------------------------------------------
+// 1. REVIEW SESSION
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Reads answers line by line; resolves to null once the input ends.
+ */
+function createPrompter(input, output) {
+    const lines = readline.createInterface({ input, terminal: false })[Symbol.asyncIterator]();
+
+    return {
+        async ask(question) {
+            output.write(question);
+            const { value, done } = await lines.next();
+            return done ? null : value.trim();
+        },
+        close() {
+            return lines.return();
+        }
+    };
+}
+
+/**
+ * Runs through `queue`, recording and saving every grade.
+ * Returns { reviewed, stopped }.
+ */
+async function runSession(queue, { data, learner, file, input = process.stdin, output = process.stdout, now = () => new Date() }) {
+    const prompter = createPrompter(input, output);
+    const log = line => output.write(`${line}\n`);
+    let reviewed = 0;
+
+    try {
+        for (const [index, card] of queue.entries()) {
+            log(`\n[${index + 1}/${queue.length}] ${card.topic} › ${card.group}`);
+            log(indent(card.front));
+
+            if (await prompter.ask('(Enter to show the answer) ') === null) return { reviewed, stopped: true };
+            log(indent(card.back));
+
+            let answer = await prompter.ask(GRADE_PROMPT);
+            while (answer !== null && answer !== 'q' && !/^[0-5]$/.test(answer)) {
+                answer = await prompter.ask(GRADE_PROMPT);
+            }
+            if (answer === null || answer === 'q') return { reviewed, stopped: true };
+
+            const record = recordReview(data, learner, card.id, Number(answer), now());
+            saveState(data, file);
+            reviewed += 1;
+            log(`Next review ${formatInterval(record.interval)}.`);
+        }
+    } finally {
+        await prompter.close();
+    }
+
+    return { reviewed, stopped: false };
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. COMMAND LINE
+// -------------------------------------------------------------------------------------------
+
+function printStats(summary, learner, log = console.log) {
+    const total = key => summary.reduce((sum, row) => sum + row[key], 0);
+
+    log(`Flashcards for ${learner}: ${total('total')} cards, ${total('due')} due, ${total('new')} new\n`);
+    log(`${'Folder'.padEnd(30)} ${'cards'.padStart(5)} ${'new'.padStart(5)} ${'due'.padStart(5)} ${'learning'.padStart(8)} ${'mature'.padStart(6)}`);
+    for (const row of summary) {
+        log(`${row.folder.padEnd(30)} ${String(row.total).padStart(5)} ${String(row.new).padStart(5)} ${String(row.due).padStart(5)} ${String(row.learning).padStart(8)} ${String(row.mature).padStart(6)}`);
+    }
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            learner: { type: 'string', default: defaultLearner() },
+            file: { type: 'string', default: defaultStatePath() },
+            topic: { type: 'string' },
+            new: { type: 'string', default: String(DEFAULT_NEW_CARDS) }
+        }
+    });
+    const [command = 'review'] = positionals;
+
+    const cards = loadCards().filter(card => !values.topic || card.module.includes(values.topic));
+    if (cards.length === 0) {
+        console.error(values.topic ? `No flashcards for modules matching "${values.topic}"` : 'No flashcards found');
+        return 2;
+    }
+
+    const data = loadState(values.file);
+
+    if (command === 'stats') {
+        printStats(summarizeState(cards, data, values.learner), values.learner);
+        return 0;
+    }
+    if (command === 'list') {
+        for (const card of cards) {
+            console.log(`${card.id} [${card.kind}]\n${indent(card.front)}\n${indent(card.back)}\n`);
+        }
+        return 0;
+    }
+    if (command !== 'review') {
+        console.error('Usage: node tools/flashcards/quiz.js [review|stats|list] [--topic 04-indexes] [--new 10]');
+        return 2;
+    }
+
+    const queue = reviewQueue(cards, data, values.learner, { newLimit: Number(values.new) || 0 });
+    if (queue.length === 0) {
+        console.log('No cards are due. Add --new to learn cards you have not seen yet.');
+        return 0;
+    }
+
+    const { reviewed } = await runSession(queue, { data, learner: values.learner, file: values.file });
+    console.log(`\nReviewed ${reviewed} of ${queue.length} cards.`);
+    return 0;
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    runSession,
+    main
+};
@@ -0,0 +1,194 @@
+/**
+ * TOOL: FLASHCARD SCHEDULER
+ * DESCRIPTION:
+ * SM-2 spaced repetition for the flashcards (cards.js) and the local
+ * file that remembers each learner's reviews.
+ *
+ * After every review the learner grades their recall from 0 to 5:
+ *
+ *   5 perfect   4 correct after a pause   3 correct with difficulty
+ *   2 wrong, but the answer looked familiar   1 wrong   0 blank
+ *
+ * A grade of 3 or more schedules the card 1 day, then 6 days, then the
+ * previous interval times the card's ease factor later; a lower grade
+ * starts the card over tomorrow. The ease factor (2.5 for a new card,
+ * never below 1.3) moves with every grade, so hard cards come back more
+ * often than easy ones.
+ *
+ * Review state lives in one JSON file (default
+ * ~/.mongodb-practice/flashcards.json, override with
+ * PRACTICE_FLASHCARDS_FILE or --file), keyed by learner like progress.js:
+ *
+ * {
+ *   version: 1,
+ *   learners: {
+ *     alice: {
+ *       cards: {
+ *         '04-indexes/compoundIndexes#best-practices-1a2b3c4d': {
+ *           ease, interval, repetitions, lapses, reviews, due, lastReviewedAt
+ *         }
+ *       }
+ *     }
+ *   }
+ * }
+ *
+ * Cards without an entry are new.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const STATE_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const PASSING_GRADE = 3;
+
+// A card is "mature" once it is scheduled this many days out
+const MATURE_INTERVAL = 21;
+
+// -------------------------------------------------------------------------------------------
+// 1. STORAGE
+// -------------------------------------------------------------------------------------------
+
+function defaultStatePath() {
+    return process.env.PRACTICE_FLASHCARDS_FILE
+        || path.join(os.homedir(), '.mongodb-practice', 'flashcards.json');
+}
+
+function loadState(file = defaultStatePath()) {
+    if (!fs.existsSync(file)) {
+        return { version: STATE_VERSION, learners: {} };
+    }
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.version !== STATE_VERSION) {
+        throw new Error(`Unsupported flashcard file version ${data.version} in ${file}`);
+    }
+    return data;
+}
+
+/**
+ * Writes through a temporary file, like saveProgress() in progress.js.
+ */
+function saveState(data, file = defaultStatePath()) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify(data, null, 2)}\n`);
+    fs.renameSync(tmp, file);
+}
+
+function learnerCards(data, learner) {
+    data.learners[learner] = data.learners[learner] || { cards: {} };
+    return data.learners[learner].cards;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. SM-2
+// -------------------------------------------------------------------------------------------
+
+/**
+ * The card's review record after a review graded `grade` (0-5) at `now`.
+ * `record` is undefined for a new card. Returns a new object.
+ */
+function nextReview(record, grade, now = new Date()) {
+    if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+        throw new RangeError(`Grade must be an integer from 0 to 5, got ${grade}`);
+    }
+
+    const previous = record || { ease: INITIAL_EASE, interval: 0, repetitions: 0, lapses: 0, reviews: 0 };
+    let { interval, repetitions, lapses } = previous;
+
+    if (grade >= PASSING_GRADE) {
+        if (repetitions === 0) interval = 1;
+        else if (repetitions === 1) interval = 6;
+        else interval = Math.round(interval * previous.ease);
+        repetitions += 1;
+    } else {
+        if (repetitions > 0) lapses += 1;
+        repetitions = 0;
+        interval = 1;
+    }
+
+    const ease = Math.max(MIN_EASE, previous.ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+
+    return {
+        ease: Math.round(ease * 100) / 100,
+        interval,
+        repetitions,
+        lapses,
+        reviews: previous.reviews + 1,
+        due: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+        lastReviewedAt: now.toISOString()
+    };
+}
+
+/**
+ * Records a review in the learner's state and returns the new record.
+ */
+function recordReview(data, learner, cardId, grade, now = new Date()) {
+    const cards = learnerCards(data, learner);
+    cards[cardId] = nextReview(cards[cardId], grade, now);
+    return cards[cardId];
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. WHAT TO REVIEW
+// -------------------------------------------------------------------------------------------
+
+/**
+ * The cards to study now: every due card (most overdue first), then
+ * up to `newLimit` cards never seen before, in module order.
+ */
+function reviewQueue(cards, data, learner, { now = new Date(), newLimit = 10 } = {}) {
+    const records = (data.learners[learner] || { cards: {} }).cards;
+    const due = cards
+        .filter(card => records[card.id] && new Date(records[card.id].due) <= now)
+        .sort((a, b) => new Date(records[a.id].due) - new Date(records[b.id].due));
+    const fresh = cards.filter(card => !records[card.id]).slice(0, newLimit);
+
+    return [...due, ...fresh];
+}
+
+/**
+ * Counts per module folder:
+ * [{ folder, total, new, due, learning, mature }]
+ * `learning` cards have been seen but are not mature yet.
+ */
+function summarizeState(cards, data, learner, now = new Date()) {
+    const records = (data.learners[learner] || { cards: {} }).cards;
+    const byFolder = new Map();
+
+    for (const card of cards) {
+        const folder = card.module.split('/')[0];
+        if (!byFolder.has(folder)) byFolder.set(folder, { folder, total: 0, new: 0, due: 0, learning: 0, mature: 0 });
+
+        const counts = byFolder.get(folder);
+        const record = records[card.id];
+        counts.total += 1;
+        if (!record) {
+            counts.new += 1;
+            continue;
+        }
+        if (new Date(record.due) <= now) counts.due += 1;
+        if (record.interval >= MATURE_INTERVAL) counts.mature += 1;
+        else counts.learning += 1;
+    }
+
+    return [...byFolder.values()];
+}
+
+module.exports = {
+    INITIAL_EASE,
+    MIN_EASE,
+    MATURE_INTERVAL,
+    defaultStatePath,
+    loadState,
+    saveState,
+    nextReview,
+    recordReview,
+    reviewQueue,
+    summarizeState
+};
@@ -0,0 +1,297 @@
+/**
+ * TOOL: ACCUMULATORS
+ * DESCRIPTION:
+ * The accumulators of $group - { total: { $sum: '$amount' } } - as
+ * reducers over the documents of a group:
+ *
+ *   $sum, $avg             numbers only; other values are skipped ($sum of
+ *                          nothing is 0, $avg of nothing is null)
+ *   $stdDevPop/Samp        numbers only; null without enough values
+ *   $min, $max             any type, in BSON order; null and missing skipped
+ *   $first, $last          the value of the first/last document (null if missing)
+ *   $push, $addToSet       every value / distinct values (missing skipped)
+ *   $mergeObjects          the documents merged, later fields winning
+ *   $count                 the number of documents ({ $count: {} })
+ *   $firstN, $lastN        { input, n }: the first/last n values, nulls kept
+ *   $maxN, $minN           { input, n }: the n largest/smallest, nulls skipped
+ *   $top, $bottom          { sortBy, output }: the output of the first/last
+ *                          document in sortBy order
+ *   $topN, $bottomN        { n, sortBy, output }: the same for n documents
+ *
+ * Sums follow the server's numeric promotion (see numbers.js): int + int
+ * stays int until it overflows to long, int + long is long, anything with
+ * a double is double and anything with a decimal is decimal. A conditional
+ * sum is an ordinary expression: { $sum: { $cond: [<test>, '$amount', 0] } }.
+ * The `n` of the N accumulators may depend on the group's _id.
+ */
+
+const { bsonTypeOf, isDocument, isNumber, compareValues, valuesEqual, toDouble } = require('./bsonTypes');
+const { MISSING } = require('./paths');
+const { compileExpression, requireObject } = require('./expressions');
+const { compileSort } = require('./sorting');
+const numbers = require('./numbers');
+const { EngineError } = require('./errors');
+
+function accumulatorError(code, message) {
+    return new EngineError(message, { code, codeName: 'Location' + code });
+}
+
+function isNullish(value) {
+    return value === MISSING || value === null || value === undefined;
+}
+
+function orNull(value) {
+    return value === MISSING ? null : value;
+}
+
+// -------------------------------------------------------------------------------------------
+// 1. ONE-EXPRESSION ACCUMULATORS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * An accumulator of one expression: `initial(groupCtx)` starts a
+ * group's state, `accumulate(state, value)` folds in a document's value
+ * and returns the state, `finalize(state)` gives the group's result.
+ */
+function unary(definition) {
+    return {
+        compile(operand, scope, name) {
+            if (Array.isArray(operand)) throw accumulatorError(40237, `The ${name} accumulator is a unary operator`);
+            return { argument: compileExpression(operand, scope), ...definition };
+        }
+    };
+}
+
+function sumOf(total, value) {
+    return isNumber(value) ? numbers.add(total, value) : total;
+}
+
+function extreme(direction) {
+    return unary({
+        initial: () => MISSING,
+        accumulate: (best, value) => {
+            if (isNullish(value)) return best;
+            return best === MISSING || direction * compareValues(value, best) > 0 ? value : best;
+        },
+        finalize: best => orNull(best)
+    });
+}
+
+/**
+ * Welford's running variance; the result is a double.
+ */
+function standardDeviation(sample) {
+    return unary({
+        initial: () => ({ count: 0, mean: 0, squares: 0 }),
+        accumulate: (state, value) => {
+            if (!isNumber(value)) return state;
+            const x = toDouble(value);
+            const count = state.count + 1;
+            const delta = x - state.mean;
+            const mean = state.mean + delta / count;
+            return { count, mean, squares: state.squares + delta * (x - mean) };
+        },
+        finalize: ({ count, squares }) => {
+            const divisor = sample ? count - 1 : count;
+            return divisor <= 0 ? null : Math.sqrt(squares / divisor);
+        }
+    });
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. N ACCUMULATORS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Checks the { input, n } style operand of `name`: `required` fields
+ * must be there, nothing else may be.
+ */
+function namedOperand(operand, name, required) {
+    if (!isDocument(operand)) throw accumulatorError(5787900, `specification must be an object; found ${bsonTypeOf(operand)}`);
+    for (const key of Object.keys(operand)) {
+        if (!required.includes(key)) throw accumulatorError(5787901, `Unknown argument for '${name}' operator: ${key}`);
+    }
+    for (const key of required) {
+        if (!(key in operand)) throw accumulatorError(5787906, `Missing value for '${key}'`);
+    }
+    return operand;
+}
+
+/**
+ * Compiles `n`, which is evaluated once per group against { _id }.
+ */
+function compileCount(operand, scope) {
+    const expression = compileExpression(operand, scope);
+    return groupCtx => {
+        const n = expression(groupCtx);
+        if (!isNumber(n) || !Number.isInteger(toDouble(n))) {
+            throw accumulatorError(5787902, `Value for 'n' must be of integral type, but found ${n === MISSING ? 'missing' : JSON.stringify(n)}`);
+        }
+        if (toDouble(n) <= 0) throw accumulatorError(5787908, `'n' must be greater than 0, found ${toDouble(n)}`);
+        return toDouble(n);
+    };
+}
+
+/**
+ * $firstN/$lastN/$maxN/$minN: { input, n }. `collect(state, value)`
+ * adds a value to state.values; `finish(values, n)` picks the result.
+ */
+function nValues({ collect, finish }) {
+    return {
+        compile(operand, scope, name) {
+            const { input, n } = namedOperand(operand, name, ['input', 'n']);
+            const count = compileCount(n, scope);
+            return {
+                argument: compileExpression(input, scope),
+                initial: groupCtx => ({ n: count(groupCtx), values: [] }),
+                accumulate: (state, value) => {
+                    collect(state, value);
+                    return state;
+                },
+                finalize: state => finish(state.values, state.n)
+            };
+        }
+    };
+}
+
+function largest(direction) {
+    return nValues({
+        collect: (state, value) => {
+            if (!isNullish(value)) state.values.push(value);
+        },
+        finish: (values, n) => [...values].sort((a, b) => direction * compareValues(b, a)).slice(0, n)
+    });
+}
+
+/**
+ * $top/$bottom/$topN/$bottomN: the `output` of the documents that sort
+ * first (top) or last (bottom) by `sortBy`, in sortBy order.
+ */
+function sorted(end, { single }) {
+    return {
+        compile(operand, scope, name) {
+            const spec = namedOperand(operand, name, single ? ['sortBy', 'output'] : ['n', 'sortBy', 'output']);
+            const compare = compileSort(spec.sortBy, name);
+            const output = compileExpression(spec.output, scope);
+            const count = single ? () => 1 : compileCount(spec.n, scope);
+            return {
+                argument: ctx => ({ doc: ctx.vars.CURRENT, output: orNull(output(ctx)) }),
+                initial: groupCtx => ({ n: count(groupCtx), entries: [] }),
+                accumulate: (state, entry) => {
+                    state.entries.push(entry);
+                    return state;
+                },
+                finalize: ({ n, entries }) => {
+                    const ordered = [...entries].sort((a, b) => compare(a.doc, b.doc));
+                    const picked = (end === 'top' ? ordered.slice(0, n) : ordered.slice(-n)).map(entry => entry.output);
+                    return single ? picked[0] : picked;
+                }
+            };
+        }
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. THE TABLE
+// -------------------------------------------------------------------------------------------
+
+const ACCUMULATORS = {
+    $sum: unary({
+        initial: () => 0,
+        accumulate: sumOf,
+        finalize: total => total
+    }),
+    $avg: unary({
+        initial: () => ({ total: 0, count: 0 }),
+        accumulate: (state, value) => {
+            if (!isNumber(value)) return state;
+            return { total: numbers.add(state.total, value), count: state.count + 1 };
+        },
+        finalize: ({ total, count }) => (count === 0 ? null : numbers.divide(total, count))
+    }),
+    $stdDevPop: standardDeviation(false),
+    $stdDevSamp: standardDeviation(true),
+    $min: extreme(-1),
+    $max: extreme(1),
+    $first: unary({
+        initial: () => ({ seen: false, value: null }),
+        accumulate: (state, value) => (state.seen ? state : { seen: true, value: orNull(value) }),
+        finalize: state => state.value
+    }),
+    $last: unary({
+        initial: () => null,
+        accumulate: (last, value) => orNull(value),
+        finalize: last => last
+    }),
+    $push: unary({
+        initial: () => [],
+        accumulate: (values, value) => {
+            if (value !== MISSING) values.push(value);
+            return values;
+        },
+        finalize: values => values
+    }),
+    $addToSet: unary({
+        initial: () => [],
+        accumulate: (values, value) => {
+            if (value !== MISSING && !values.some(existing => valuesEqual(existing, value))) values.push(value);
+            return values;
+        },
+        finalize: values => values
+    }),
+    $mergeObjects: unary({
+        initial: () => ({}),
+        accumulate: (merged, value) => (isNullish(value) ? merged : Object.assign(merged, requireObject(value))),
+        finalize: merged => merged
+    }),
+    $count: {
+        compile(operand, scope, name) {
+            if (!isDocument(operand) || Object.keys(operand).length > 0) {
+                throw accumulatorError(5, `${name} takes no arguments, i.e. $count:{}`);
+            }
+            return { argument: () => null, initial: () => 0, accumulate: count => count + 1, finalize: count => count };
+        }
+    },
+    $firstN: nValues({
+        collect: (state, value) => {
+            if (state.values.length < state.n) state.values.push(orNull(value));
+        },
+        finish: values => values
+    }),
+    $lastN: nValues({
+        collect: (state, value) => {
+            state.values.push(orNull(value));
+            if (state.values.length > state.n) state.values.shift();
+        },
+        finish: values => values
+    }),
+    $maxN: largest(1),
+    $minN: largest(-1),
+    $top: sorted('top', { single: true }),
+    $bottom: sorted('bottom', { single: true }),
+    $topN: sorted('top', { single: false }),
+    $bottomN: sorted('bottom', { single: false })
+};
+
+// -------------------------------------------------------------------------------------------
+// 4. COMPILING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * { $sum: '$amount' } -> a compiled accumulator (see unary()).
+ * `field` is the output field name, for the error messages.
+ */
+function compileAccumulator(spec, field, scope) {
+    const keys = isDocument(spec) ? Object.keys(spec) : [];
+    if (keys.length !== 1) throw accumulatorError(40234, `The field '${field}' must be an accumulator object`);
+
+    const [name] = keys;
+    const accumulator = ACCUMULATORS[name];
+    if (!accumulator) throw accumulatorError(15952, `unknown group operator '${name}'`);
+    return accumulator.compile(spec[name], scope, name);
+}
+
+module.exports = {
+    ACCUMULATORS,
+    compileAccumulator
+};
@@ -0,0 +1,368 @@
+/**
+ * TOOL: BSON TYPES AND ORDERING
+ * DESCRIPTION:
+ * Classifies JavaScript values the way the server sees them once the
+ * Node driver has serialized them, and compares them in MongoDB's sort
+ * order. Driver values (ObjectId, Long, Decimal128, ...) are recognized
+ * by their `_bsontype` tag, so plain objects from any bson version work
+ * and nothing here needs the driver installed.
+ *
+ * Values of different types are ordered by type bracket first:
+ *
+ *   MinKey < undefined < null < numbers < strings < objects < arrays
+ *          < binary data < ObjectId < booleans < dates < timestamps
+ *          < regular expressions < JavaScript < MaxKey
+ *
+ * All numeric types (int, long, double, decimal) share one bracket and
+ * compare by value, so 5, Int32(5), Long(5) and Decimal128("5") are
+ * equal. Objects compare field by field (type bracket, then field name,
+ * then value) and arrays element by element.
+ */
+
+// -------------------------------------------------------------------------------------------
+// 1. CLASSIFYING VALUES
+// -------------------------------------------------------------------------------------------
+
+const BSON_TAGS = {
+    ObjectId: 'objectId',
+    ObjectID: 'objectId',
+    Int32: 'int',
+    Long: 'long',
+    Double: 'double',
+    Decimal128: 'decimal',
+    Binary: 'binData',
+    UUID: 'binData',
+    Timestamp: 'timestamp',
+    MinKey: 'minKey',
+    MaxKey: 'maxKey',
+    BSONRegExp: 'regex',
+    BSONSymbol: 'symbol',
+    Symbol: 'symbol',
+    DBRef: 'object'
+};
+
+// $type aliases and their BSON type numbers
+const BSON_TYPE_CODES = {
+    double: 1,
+    string: 2,
+    object: 3,
+    array: 4,
+    binData: 5,
+    undefined: 6,
+    objectId: 7,
+    bool: 8,
+    date: 9,
+    null: 10,
+    regex: 11,
+    dbPointer: 12,
+    javascript: 13,
+    symbol: 14,
+    javascriptWithScope: 15,
+    int: 16,
+    timestamp: 17,
+    long: 18,
+    decimal: 19,
+    minKey: -1,
+    maxKey: 127
+};
+
+// { $type: 'number' } matches any of these
+const NUMBER_ALIASES = ['double', 'int', 'long', 'decimal'];
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+
+/**
+ * The BSON type alias ('int', 'string', 'objectId', ...) a value is
+ * stored as - what { $type: ... } and the $type expression see.
+ *
+ *   5, new Int32(5)                 'int'
+ *   5.5, 2 ** 40, new Double(5)     'double'
+ *   Long.fromNumber(5), 5n          'long'
+ *   Decimal128.fromString('1.5')    'decimal'
+ *   new Binary(...), new UUID(),
+ *   Buffer.from(...)                'binData' (a UUID is subtype 4)
+ *   new Code('...', scope)          'javascriptWithScope'
+ *   DBRef                           'object'
+ *
+ * JavaScript numbers are stored as int when they are whole and fit in
+ * 32 bits, and as double otherwise, like the driver does.
+ */
+function bsonTypeOf(value) {
+    if (value === null) return 'null';
+    if (value === undefined) return 'undefined';
+
+    switch (typeof value) {
+        case 'number':
+            return Number.isInteger(value) && value >= INT32_MIN && value <= INT32_MAX && !Object.is(value, -0) ? 'int' : 'double';
+        case 'bigint':
+            return 'long';
+        case 'string':
+            return 'string';
+        case 'boolean':
+            return 'bool';
+        case 'function':
+            return 'javascript';
+        default:
+            break;
+    }
+
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof Date) return 'date';
+    if (value instanceof RegExp) return 'regex';
+    if (value instanceof Uint8Array) return 'binData';
+    if (value._bsontype === 'Code') return value.scope ? 'javascriptWithScope' : 'javascript';
+    if (typeof value._bsontype === 'string' && BSON_TAGS[value._bsontype]) return BSON_TAGS[value._bsontype];
+    return 'object';
+}
+
+/**
+ * True for values stored as embedded documents: plain objects, but not
+ * arrays, dates, regular expressions or driver values.
+ */
+function isDocument(value) {
+    return bsonTypeOf(value) === 'object' && value !== null && typeof value === 'object';
+}
+
+// The server's canonical type order (see the header)
+const CANONICAL_ORDER = {
+    minKey: -1,
+    undefined: 0,
+    null: 5,
+    double: 10,
+    int: 10,
+    long: 10,
+    decimal: 10,
+    string: 15,
+    symbol: 15,
+    object: 20,
+    array: 25,
+    binData: 30,
+    objectId: 35,
+    bool: 40,
+    date: 45,
+    timestamp: 47,
+    regex: 50,
+    dbPointer: 55,
+    javascript: 60,
+    javascriptWithScope: 65,
+    maxKey: 127
+};
+
+/**
+ * The BSON type number of an alias ('string' -> 2), or undefined.
+ */
+function bsonTypeCode(alias) {
+    return BSON_TYPE_CODES[alias];
+}
+
+/**
+ * The alias for a $type operand: an alias, 'number', or a type number.
+ * Returns null for anything else.
+ */
+function typeAlias(spec) {
+    if (typeof spec === 'string') return spec === 'number' || spec in BSON_TYPE_CODES ? spec : null;
+    if (typeof spec !== 'number') return null;
+    return Object.keys(BSON_TYPE_CODES).find(alias => BSON_TYPE_CODES[alias] === spec) || null;
+}
+
+/**
+ * True when `value` is of type `alias` ('number' covers all numbers).
+ */
+function isOfType(value, alias) {
+    return alias === 'number' ? NUMBER_ALIASES.includes(bsonTypeOf(value)) : bsonTypeOf(value) === alias;
+}
+
+function canonicalOrder(value) {
+    return CANONICAL_ORDER[bsonTypeOf(value)];
+}
+
+function isNumber(value) {
+    return canonicalOrder(value) === CANONICAL_ORDER.double;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. NUMBERS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * A numeric value as { nan } or { big, num }: `big` (a BigInt) is set
+ * for whole numbers so longs beyond 2^53 compare exactly; `num` is the
+ * nearest double. Non-integral decimals compare as doubles.
+ */
+function numericParts(value) {
+    let num;
+    switch (bsonTypeOf(value)) {
+        case 'long':
+            if (typeof value === 'bigint') return { big: value, num: Number(value) };
+            return { big: BigInt(value.toString()), num: Number(value.toString()) };
+        case 'decimal': {
+            const text = value.toString();
+            if (/^[-+]?NaN$/i.test(text)) return { nan: true };
+            num = Number(text.replace(/E\+?/i, 'e'));
+            break;
+        }
+        default:
+            num = typeof value === 'number' ? value : Number(value.valueOf());
+    }
+
+    if (Number.isNaN(num)) return { nan: true };
+    return Number.isSafeInteger(num) ? { big: BigInt(num), num } : { num };
+}
+
+/**
+ * Orders a whole number against a double exactly.
+ */
+function compareBigToDouble(big, double) {
+    if (!Number.isFinite(double)) return double > 0 ? -1 : 1;
+    if (Number.isInteger(double)) {
+        const other = BigInt(double);
+        return big < other ? -1 : big > other ? 1 : 0;
+    }
+    return big <= BigInt(Math.floor(double)) ? -1 : 1;
+}
+
+/**
+ * -1, 0 or 1. NaN equals NaN and sorts below every other number.
+ */
+function compareNumbers(a, b) {
+    const x = numericParts(a);
+    const y = numericParts(b);
+
+    if (x.nan || y.nan) return x.nan && y.nan ? 0 : x.nan ? -1 : 1;
+    if (x.big !== undefined && y.big !== undefined) return x.big < y.big ? -1 : x.big > y.big ? 1 : 0;
+    if (x.big !== undefined) return compareBigToDouble(x.big, y.num);
+    if (y.big !== undefined) return -compareBigToDouble(y.big, x.num);
+    return x.num < y.num ? -1 : x.num > y.num ? 1 : 0;
+}
+
+/**
+ * The JavaScript number nearest to a numeric value of any BSON type.
+ */
+function toDouble(value) {
+    const parts = numericParts(value);
+    return parts.nan ? NaN : parts.num;
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. COMPARISON
+// -------------------------------------------------------------------------------------------
+
+function sign(number) {
+    return number < 0 ? -1 : number > 0 ? 1 : 0;
+}
+
+/**
+ * Strings compare by their UTF-8 bytes (the server's simple collation).
+ */
+function compareStrings(a, b) {
+    return sign(Buffer.compare(Buffer.from(a, 'utf8'), Buffer.from(b, 'utf8')));
+}
+
+function bytesOf(value) {
+    if (value instanceof Uint8Array) return { subType: 0, bytes: value };
+    const bytes = value.buffer instanceof Uint8Array ? value.buffer : Buffer.from(value.value ? value.value(true) : []);
+    return { subType: value.sub_type === undefined ? 0 : value.sub_type, bytes };
+}
+
+function compareBinary(a, b) {
+    const x = bytesOf(a);
+    const y = bytesOf(b);
+    if (x.bytes.length !== y.bytes.length) return sign(x.bytes.length - y.bytes.length);
+    if (x.subType !== y.subType) return sign(x.subType - y.subType);
+    return sign(Buffer.compare(Buffer.from(x.bytes), Buffer.from(y.bytes)));
+}
+
+function regexParts(value) {
+    return value instanceof RegExp
+        ? { pattern: value.source, options: value.flags.split('').sort().join('') }
+        : { pattern: value.pattern, options: value.options.split('').sort().join('') };
+}
+
+function compareTimestamps(a, b) {
+    const high = value => (value.high === undefined ? value.t : value.high) >>> 0;
+    const low = value => (value.low === undefined ? value.i : value.low) >>> 0;
+    return sign(high(a) - high(b)) || sign(low(a) - low(b));
+}
+
+/**
+ * Field-by-field comparison shared by objects and arrays.
+ */
+function compareEntries(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const [keyA, valueA] = a[i];
+        const [keyB, valueB] = b[i];
+        const byType = sign(canonicalOrder(valueA) - canonicalOrder(valueB));
+        if (byType) return byType;
+        const byName = compareStrings(keyA, keyB);
+        if (byName) return byName;
+        const byValue = compareValues(valueA, valueB);
+        if (byValue) return byValue;
+    }
+    return sign(a.length - b.length);
+}
+
+/**
+ * Orders any two values like the server does: -1, 0 or 1.
+ */
+function compareValues(a, b) {
+    const byBracket = sign(canonicalOrder(a) - canonicalOrder(b));
+    if (byBracket) return byBracket;
+
+    switch (bsonTypeOf(a)) {
+        case 'double':
+        case 'int':
+        case 'long':
+        case 'decimal':
+            return compareNumbers(a, b);
+        case 'string':
+        case 'symbol':
+            return compareStrings(String(a.valueOf()), String(b.valueOf()));
+        case 'object':
+            return compareEntries(Object.entries(a), Object.entries(b));
+        case 'array':
+            return compareEntries(a.map((value, index) => [String(index), value]), b.map((value, index) => [String(index), value]));
+        case 'binData':
+            return compareBinary(a, b);
+        case 'objectId':
+            return compareStrings(a.toHexString(), b.toHexString());
+        case 'bool':
+            return sign(Number(a) - Number(b));
+        case 'date':
+            return sign(a.getTime() - b.getTime());
+        case 'timestamp':
+            return compareTimestamps(a, b);
+        case 'regex': {
+            const x = regexParts(a);
+            const y = regexParts(b);
+            return compareStrings(x.pattern, y.pattern) || compareStrings(x.options, y.options);
+        }
+        case 'javascript':
+        case 'javascriptWithScope':
+            return compareStrings(String(a.code === undefined ? a : a.code), String(b.code === undefined ? b : b.code));
+        default:
+            // minKey, maxKey, null and undefined hold no value of their own
+            return 0;
+    }
+}
+
+function valuesEqual(a, b) {
+    return compareValues(a, b) === 0;
+}
+
+module.exports = {
+    BSON_TYPE_CODES,
+    NUMBER_ALIASES,
+    CANONICAL_ORDER,
+    bsonTypeOf,
+    bsonTypeCode,
+    typeAlias,
+    isOfType,
+    isDocument,
+    isNumber,
+    canonicalOrder,
+    compareNumbers,
+    toDouble,
+    compareValues,
+    valuesEqual
+};
@@ -0,0 +1,30 @@
+/**
+ * TOOL: LOCAL ENGINE ERRORS
+ * DESCRIPTION:
+ * The error the local engine throws for queries, updates and pipelines
+ * the server would reject. It carries the server's message, code and
+ * codeName, so code written against the driver's MongoServerError
+ * (`error.code === 2`) handles both the same way.
+ */
+
+class EngineError extends Error {
+    constructor(message, { code = 2, codeName = 'BadValue' } = {}) {
+        super(message);
+        this.name = 'MongoServerError';
+        this.code = code;
+        this.codeName = codeName;
+    }
+}
+
+/**
+ * EngineError with the BadValue code (2), the server's error for
+ * malformed operators and operands.
+ */
+function badValue(message) {
+    return new EngineError(message, { code: 2, codeName: 'BadValue' });
+}
+
+module.exports = {
+    EngineError,
+    badValue
+};
@@ -0,0 +1,997 @@
+/**
+ * TOOL: AGGREGATION EXPRESSIONS
+ * DESCRIPTION:
+ * Evaluates aggregation expressions - the language of $expr, $project,
+ * $addFields and $group keys - against plain JavaScript documents:
+ *
+ *   "$price"                        a field path (through arrays it
+ *                                   gives every element's value)
+ *   "$$ROOT", "$$item.price"        variables (ROOT, CURRENT, NOW,
+ *                                   REMOVE and those of $let/$map/...)
+ *   { $multiply: ["$price", 0.8] }  an operator and its arguments
+ *   { total: "$amount" }            an object of expressions
+ *   anything else                   a literal
+ *
+ * Unlike query operators, expression comparisons ($eq, $gt, ...) order
+ * values of every type (null < numbers < strings < ...), and a missing
+ * field is not null: { $eq: ["$missing", null] } is false.
+ *
+ * Expressions are compiled once (unknown operators and wrong argument
+ * counts fail right away, like they do on the server) and evaluated per
+ * document. Errors are EngineErrors with the server's codes and messages.
+ *
+ * USAGE:
+ *   const { evaluateExpression } = require('./tools/localEngine/expressions');
+ *   evaluateExpression({ $gt: ['$spent', '$budget'] }, { spent: 120, budget: 100 });  // true
+ */
+
+const { bsonTypeOf, isDocument, isNumber, compareValues, toDouble } = require('./bsonTypes');
+const { MISSING, fieldPathValue } = require('./paths');
+const numbers = require('./numbers');
+const { EngineError } = require('./errors');
+
+// Variables every expression can use
+const SYSTEM_VARIABLES = ['ROOT', 'CURRENT', 'NOW', 'REMOVE'];
+
+// -------------------------------------------------------------------------------------------
+// 1. VALUES
+// -------------------------------------------------------------------------------------------
+
+function isNullish(value) {
+    return value === MISSING || value === null || value === undefined;
+}
+
+/**
+ * false, null, missing and numeric zero are false; everything else
+ * (including "" and []) is true.
+ */
+function isTruthy(value) {
+    if (isNullish(value) || value === false) return false;
+    if (isNumber(value)) return toDouble(value) !== 0;
+    return true;
+}
+
+/**
+ * The $type alias of a value, 'missing' for a missing field.
+ */
+function typeName(value) {
+    return value === MISSING ? 'missing' : bsonTypeOf(value);
+}
+
+/**
+ * Compares like the server's expression comparisons: missing sorts
+ * before null and never equals it.
+ */
+function compare(a, b) {
+    return compareValues(a === MISSING ? undefined : a, b === MISSING ? undefined : b);
+}
+
+function expressionError(code, message) {
+    return new EngineError(message, { code, codeName: 'Location' + code });
+}
+
+function invalidOperator(name) {
+    return new EngineError(`Unrecognized expression '${name}'`, { code: 168, codeName: 'InvalidPipelineOperator' });
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. COMPILING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * { $op: ... } - an object whose first key starts with $, which must be
+ * its only key.
+ */
+function isOperatorObject(expr) {
+    if (!isDocument(expr)) return false;
+    const keys = Object.keys(expr);
+    if (keys.length === 0 || !keys[0].startsWith('$')) return false;
+    if (keys.length > 1) {
+        throw expressionError(15983, `an expression specification must contain exactly one field, the name of the expression. Found ${keys.length} fields`);
+    }
+    return true;
+}
+
+function compileFieldPath(text, scope) {
+    if (text.startsWith('$$')) {
+        const [name, ...parts] = text.slice(2).split('.');
+        if (!scope.has(name)) {
+            throw new EngineError(`Use of undefined variable: ${name}`, { code: 17276, codeName: 'Location17276' });
+        }
+        return ctx => {
+            const value = name === 'REMOVE' ? MISSING : ctx.vars[name];
+            return value === undefined ? MISSING : fieldPathValue(value, parts);
+        };
+    }
+
+    const parts = text.slice(1).split('.');
+    if (parts.some(part => part === '')) {
+        throw new EngineError(`FieldPath field names may not be empty strings.`, { code: 15998, codeName: 'Location15998' });
+    }
+    return ctx => fieldPathValue(ctx.vars.CURRENT, parts);
+}
+
+/**
+ * Compiles `expr` into a function (ctx) -> value, where ctx.vars holds
+ * the variables (at least ROOT and CURRENT). Missing values are MISSING.
+ * `scope` is the set of variable names defined where `expr` appears.
+ */
+function compileExpression(expr, scope = new Set(SYSTEM_VARIABLES)) {
+    if (typeof expr === 'string' && expr.startsWith('$')) return compileFieldPath(expr, scope);
+
+    if (Array.isArray(expr)) {
+        const items = expr.map(item => compileExpression(item, scope));
+        return ctx => items.map(item => {
+            const value = item(ctx);
+            return value === MISSING ? null : value;
+        });
+    }
+
+    if (isOperatorObject(expr)) {
+        const [name] = Object.keys(expr);
+        const operator = EXPRESSION_OPERATORS[name];
+        if (!operator) throw invalidOperator(name);
+        return operator.compile ? operator.compile(expr[name], scope, name) : compileEager(operator, expr[name], scope, name);
+    }
+
+    if (isDocument(expr)) {
+        const fields = Object.entries(expr).map(([key, value]) => {
+            if (key.startsWith('$')) {
+                throw new EngineError(`FieldPath field names may not start with '$'. Consider using $getField or $setField.`, {
+                    code: 16410,
+                    codeName: 'Location16410'
+                });
+            }
+            return [key, compileExpression(value, scope)];
+        });
+        return ctx => {
+            const out = {};
+            for (const [key, field] of fields) {
+                const value = field(ctx);
+                if (value !== MISSING) out[key] = value;
+            }
+            return out;
+        };
+    }
+
+    return () => expr;
+}
+
+/**
+ * The argument list of `{ $op: operand }`: an array operand is the list,
+ * anything else is the single argument.
+ */
+function argumentList(operand) {
+    return Array.isArray(operand) ? operand : [operand];
+}
+
+function checkArity(name, count, [min, max]) {
+    if (count >= min && count <= max) return;
+    const message = min === max
+        ? `Expression ${name} takes exactly ${min} arguments. ${count} were passed in.`
+        : max === Infinity
+            ? `Expression ${name} takes at least ${min} arguments, but ${count} were passed in.`
+            : `Expression ${name} takes at least ${min} arguments, and at most ${max}, but ${count} were passed in.`;
+    throw expressionError(16020, message);
+}
+
+/**
+ * Operators whose arguments are all evaluated before the operator runs:
+ * { arity: [min, max], evaluate(args, name) }.
+ */
+function compileEager(operator, operand, scope, name) {
+    const args = argumentList(operand).map(arg => compileExpression(arg, scope));
+    if (operator.arity) checkArity(name, args.length, operator.arity);
+    return ctx => operator.evaluate(args.map(arg => arg(ctx)), name);
+}
+
+/**
+ * Compiles the named arguments of an object-form operator such as
+ * { $filter: { input, as, cond } }.
+ */
+function namedArguments(operand, name, required, optional = []) {
+    if (!isDocument(operand)) throw expressionError(40396, `${name} only supports an object as its argument`);
+    for (const key of Object.keys(operand)) {
+        if (!required.includes(key) && !optional.includes(key)) {
+            throw expressionError(40397, `Unrecognized parameter to ${name}: ${key}`);
+        }
+    }
+    for (const key of required) {
+        if (!(key in operand)) throw expressionError(40398, `Missing '${key}' parameter to ${name}`);
+    }
+    return operand;
+}
+
+function withVariable(scope, ...names) {
+    return new Set([...scope, ...names]);
+}
+
+function child(ctx, variables) {
+    return { ...ctx, vars: { ...ctx.vars, ...variables } };
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. ARITHMETIC
+// -------------------------------------------------------------------------------------------
+
+function requireNumber(value, name) {
+    if (!isNumber(value)) {
+        throw expressionError(16609, `${name} only supports numeric types, not ${typeName(value)}`);
+    }
+    return toDouble(value);
+}
+
+/**
+ * Applies a one-argument math function; null and missing give null.
+ */
+function unaryMath(fn) {
+    return {
+        arity: [1, 1],
+        evaluate: ([value], name) => (isNullish(value) ? null : fn(requireNumber(value, name), name))
+    };
+}
+
+function add(args, name) {
+    let total = 0;
+    let date = null;
+    for (const value of args) {
+        if (isNullish(value)) return null;
+        if (value instanceof Date) {
+            if (date) throw expressionError(16612, 'only one date allowed in an $add expression');
+            date = value;
+        } else if (isNumber(value)) {
+            total = numbers.add(total, value);
+        } else {
+            throw expressionError(16554, `${name} only supports numeric or date types, not ${typeName(value)}`);
+        }
+    }
+    return date ? new Date(date.getTime() + toDouble(total)) : total;
+}
+
+function subtract([a, b]) {
+    if (isNullish(a) || isNullish(b)) return null;
+    if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+    if (a instanceof Date && isNumber(b)) return new Date(a.getTime() - toDouble(b));
+    if (isNumber(a) && isNumber(b)) return numbers.subtract(a, b);
+    throw expressionError(16556, `cant $subtract a ${typeName(b)} from a ${typeName(a)}`);
+}
+
+function multiply(args, name) {
+    let product = 1;
+    for (const value of args) {
+        if (isNullish(value)) return null;
+        requireNumber(value, name);
+        product = numbers.multiply(product, value);
+    }
+    return product;
+}
+
+function divide([a, b], name) {
+    if (isNullish(a) || isNullish(b)) return null;
+    if (!isNumber(a) || !isNumber(b)) {
+        throw expressionError(16609, `${name} only supports numeric types, not ${typeName(a)} and ${typeName(b)}`);
+    }
+    if (toDouble(b) === 0) throw expressionError(16608, "can't $divide by zero");
+    return numbers.divide(a, b);
+}
+
+function mod([a, b], name) {
+    if (isNullish(a) || isNullish(b)) return null;
+    const divisor = requireNumber(b, name);
+    if (divisor === 0) throw expressionError(16610, "can't $mod by zero");
+    return requireNumber(a, name) % divisor;
+}
+
+/**
+ * $round rounds half to even, like the server; $trunc drops digits.
+ */
+function roundTo(value, place, halfToEven) {
+    const factor = 10 ** place;
+    const scaled = value * factor;
+    if (!halfToEven) return Math.trunc(scaled) / factor;
+
+    const floor = Math.floor(scaled);
+    const diff = scaled - floor;
+    const rounded = diff > 0.5 || (diff === 0.5 && floor % 2 !== 0) ? floor + 1 : floor;
+    return rounded / factor;
+}
+
+function rounding(halfToEven) {
+    return {
+        arity: [1, 2],
+        evaluate: ([value, place = 0], name) => {
+            if (isNullish(value) || isNullish(place)) return null;
+            return roundTo(requireNumber(value, name), requireNumber(place, name), halfToEven);
+        }
+    };
+}
+
+/**
+ * $sum/$avg/$min/$max as expressions: one array argument is aggregated
+ * element by element, several arguments are aggregated together.
+ */
+function operandValues(args) {
+    return args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+}
+
+function sumOf(values) {
+    return values.filter(isNumber).reduce((total, value) => numbers.add(total, value), 0);
+}
+
+function extreme(values, direction) {
+    let best = null;
+    for (const value of values) {
+        if (isNullish(value)) continue;
+        if (best === null || compare(value, best) * direction > 0) best = value;
+    }
+    return best;
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. STRINGS
+// -------------------------------------------------------------------------------------------
+
+function requireString(value, name, code = 16702) {
+    if (typeof value !== 'string') {
+        throw expressionError(code, `${name} requires a string argument, found: ${typeName(value)}`);
+    }
+    return value;
+}
+
+/**
+ * $toUpper/$toLower/$substr coerce numbers and dates to strings and
+ * null to "".
+ */
+function coerceToString(value, name) {
+    if (isNullish(value)) return '';
+    if (typeof value === 'string') return value;
+    if (isNumber(value)) return String(toDouble(value));
+    if (value instanceof Date) return value.toISOString();
+    throw expressionError(16007, `can't convert from BSON type ${typeName(value)} to String`);
+}
+
+function concat(args) {
+    let out = '';
+    for (const value of args) {
+        if (isNullish(value)) return null;
+        if (typeof value !== 'string') throw expressionError(16702, `$concat only supports strings, not ${typeName(value)}`);
+        out += value;
+    }
+    return out;
+}
+
+function substring([value, start, length], name) {
+    const text = Array.from(coerceToString(value, name));
+    const from = toDouble(start);
+    const count = toDouble(length);
+    return text.slice(from, count < 0 ? undefined : from + count).join('');
+}
+
+function trimmer(mode) {
+    return {
+        compile(operand, scope, name) {
+            const { input, chars } = namedArguments(operand, name, ['input'], ['chars']);
+            const inputExpr = compileExpression(input, scope);
+            const charsExpr = chars === undefined ? null : compileExpression(chars, scope);
+            return ctx => {
+                const text = inputExpr(ctx);
+                if (isNullish(text)) return null;
+                requireString(text, name, 50699);
+                const set = charsExpr ? Array.from(requireString(charsExpr(ctx), name, 50700)) : [' ', '\t', '\n', '\r', '\v', '\f', '\0', '\u00a0'];
+                const chars = Array.from(text);
+                let begin = 0;
+                let end = chars.length;
+                if (mode !== 'right') while (begin < end && set.includes(chars[begin])) begin += 1;
+                if (mode !== 'left') while (end > begin && set.includes(chars[end - 1])) end -= 1;
+                return chars.slice(begin, end).join('');
+            };
+        }
+    };
+}
+
+function regexMatch(operand, scope, name) {
+    const args = namedArguments(operand, name, ['input', 'regex'], ['options']);
+    const input = compileExpression(args.input, scope);
+    const regex = compileExpression(args.regex, scope);
+    const options = args.options === undefined ? () => '' : compileExpression(args.options, scope);
+
+    return ctx => {
+        const text = input(ctx);
+        const pattern = regex(ctx);
+        if (isNullish(pattern)) return false;
+        if (isNullish(text)) return false;
+        if (typeof text !== 'string') throw expressionError(51104, `${name} needs 'input' to be of type string`);
+
+        const source = pattern instanceof RegExp ? pattern.source : bsonTypeOf(pattern) === 'regex' ? pattern.pattern : pattern;
+        const flags = `${pattern instanceof RegExp ? pattern.flags : pattern.options || ''}${options(ctx) || ''}`;
+        return new RegExp(source, Array.from(new Set(flags.replace(/[^imsu]/g, ''))).join('')).test(text);
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 5. ARRAYS AND SETS
+// -------------------------------------------------------------------------------------------
+
+function requireArray(value, name, code = 28664) {
+    if (!Array.isArray(value)) {
+        throw expressionError(code, `The argument to ${name} must be an array. Type of argument: ${typeName(value)}`);
+    }
+    return value;
+}
+
+function requireObject(value) {
+    if (!isDocument(value)) {
+        throw expressionError(40400, `$mergeObjects requires object inputs, but input ${JSON.stringify(value)} is of type ${typeName(value)}`);
+    }
+    return value;
+}
+
+function arrayElemAt([array, index], name) {
+    if (isNullish(array) || isNullish(index)) return null;
+    if (!Array.isArray(array)) throw expressionError(28689, `${name}'s first argument must be an array, but is ${typeName(array)}`);
+    const position = toDouble(index);
+    const element = array[position < 0 ? array.length + position : position];
+    return element === undefined ? MISSING : element;
+}
+
+function sliceArray([array, first, second]) {
+    if (isNullish(array) || isNullish(first)) return null;
+    requireArray(array, '$slice', 28724);
+    if (second === undefined) {
+        const count = toDouble(first);
+        return count < 0 ? array.slice(Math.max(array.length + count, 0)) : array.slice(0, count);
+    }
+    const position = toDouble(first);
+    const start = position < 0 ? Math.max(array.length + position, 0) : position;
+    return array.slice(start, start + toDouble(second));
+}
+
+function includes(array, value) {
+    return array.some(element => compare(element, value) === 0);
+}
+
+function distinct(array) {
+    const out = [];
+    for (const value of array) {
+        if (!includes(out, value)) out.push(value);
+    }
+    return out;
+}
+
+/**
+ * Set operators: null or missing arguments give null.
+ */
+function setOperator(arity, fn) {
+    return {
+        arity,
+        evaluate: (args, name) => {
+            if (args.some(isNullish)) return null;
+            args.forEach(arg => {
+                if (!Array.isArray(arg)) throw expressionError(17044, `All operands of ${name} must be arrays. One argument is of type: ${typeName(arg)}`);
+            });
+            return fn(args);
+        }
+    };
+}
+
+function iterate(operand, scope, name, body) {
+    const required = name === '$reduce' ? ['input', 'initialValue', 'in'] : name === '$map' ? ['input', 'in'] : ['input', 'cond'];
+    const args = namedArguments(operand, name, required, name === '$reduce' ? [] : name === '$filter' ? ['as', 'limit'] : ['as']);
+    const as = args.as || 'this';
+    const input = compileExpression(args.input, scope);
+    const inner = compileExpression(args.in === undefined ? args.cond : args.in, withVariable(scope, ...(name === '$reduce' ? ['this', 'value'] : [as])));
+    const initial = args.initialValue === undefined ? null : compileExpression(args.initialValue, scope);
+    const limit = args.limit === undefined ? null : compileExpression(args.limit, scope);
+
+    return ctx => {
+        const array = input(ctx);
+        if (isNullish(array)) return null;
+        if (!Array.isArray(array)) throw expressionError(28651, `input to ${name} must be an array not ${typeName(array)}`);
+        return body({ array, as, inner, initial, limit, ctx });
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 6. DATES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Milliseconds to add to a UTC instant to get wall-clock time in
+ * `timezone`: an Olson name ("Europe/Oslo") or an offset ("+05:30").
+ */
+function timezoneOffset(date, timezone) {
+    if (isNullish(timezone) || /^(UTC|GMT|Z)$/i.test(timezone)) return 0;
+
+    const offset = String(timezone).match(/^([+-])(\d{2}):?(\d{2})?$/);
+    if (offset) return (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3] || 0)) * 60000;
+
+    try {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return wallClock - (date.getTime() - date.getUTCMilliseconds());
+    } catch (error) {
+        throw expressionError(40485, `unrecognized time zone identifier: "${timezone}"`);
+    }
+}
+
+function requireDate(value, name) {
+    if (value instanceof Date) return value;
+    if (bsonTypeOf(value) === 'objectId') return value.getTimestamp();
+    if (bsonTypeOf(value) === 'timestamp') return new Date((value.high === undefined ? value.t : value.high) * 1000);
+    throw expressionError(16006, `can't convert from BSON type ${typeName(value)} to Date`);
+}
+
+/**
+ * The parts of `date` as seen in `timezone`.
+ */
+function dateParts(date, timezone) {
+    const local = new Date(date.getTime() + timezoneOffset(date, timezone));
+    const startOfYear = Date.UTC(local.getUTCFullYear(), 0, 1);
+    const dayOfYear = Math.floor((local.getTime() - startOfYear) / 86400000) + 1;
+    const dayOfWeek = local.getUTCDay() + 1;
+
+    // ISO 8601: weeks start on Monday; week 1 holds the year's first Thursday
+    const isoDayOfWeek = local.getUTCDay() || 7;
+    const thursday = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + 4 - isoDayOfWeek));
+    const isoWeekYear = thursday.getUTCFullYear();
+    const isoWeek = Math.floor((thursday.getTime() - Date.UTC(isoWeekYear, 0, 1)) / (7 * 86400000)) + 1;
+
+    return {
+        year: local.getUTCFullYear(),
+        month: local.getUTCMonth() + 1,
+        dayOfMonth: local.getUTCDate(),
+        hour: local.getUTCHours(),
+        minute: local.getUTCMinutes(),
+        second: local.getUTCSeconds(),
+        millisecond: local.getUTCMilliseconds(),
+        dayOfYear,
+        dayOfWeek,
+        week: Math.floor((dayOfYear - 1 + 7 - local.getUTCDay()) / 7),
+        isoDayOfWeek,
+        isoWeek,
+        isoWeekYear,
+        offsetMinutes: Math.round(timezoneOffset(date, timezone) / 60000)
+    };
+}
+
+/**
+ * $year, $month, ...: { $year: "$date" } or { $year: { date, timezone } }.
+ */
+function datePart(part) {
+    return {
+        compile(operand, scope, name) {
+            const args = isDocument(operand) && 'date' in operand
+                ? namedArguments(operand, name, ['date'], ['timezone'])
+                : { date: argumentList(operand)[0] };
+            if (Array.isArray(operand)) checkArity(name, operand.length, [1, 1]);
+            const date = compileExpression(args.date, scope);
+            const timezone = args.timezone === undefined ? () => null : compileExpression(args.timezone, scope);
+            return ctx => {
+                const value = date(ctx);
+                if (isNullish(value)) return null;
+                return dateParts(requireDate(value, name), timezone(ctx))[part];
+            };
+        }
+    };
+}
+
+const pad = (number, width = 2) => String(Math.abs(number)).padStart(width, '0');
+
+const DATE_FORMATS = {
+    Y: parts => pad(parts.year, 4),
+    m: parts => pad(parts.month),
+    d: parts => pad(parts.dayOfMonth),
+    H: parts => pad(parts.hour),
+    M: parts => pad(parts.minute),
+    S: parts => pad(parts.second),
+    L: parts => pad(parts.millisecond, 3),
+    j: parts => pad(parts.dayOfYear, 3),
+    w: parts => String(parts.dayOfWeek),
+    u: parts => String(parts.isoDayOfWeek),
+    U: parts => pad(parts.week),
+    V: parts => pad(parts.isoWeek),
+    G: parts => pad(parts.isoWeekYear, 4),
+    z: parts => `${parts.offsetMinutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(parts.offsetMinutes) / 60))}${pad(Math.abs(parts.offsetMinutes) % 60)}`,
+    Z: parts => String(parts.offsetMinutes),
+    '%': () => '%'
+};
+
+function formatDate(format, parts) {
+    return format.replace(/%(.?)/g, (match, code) => {
+        if (!DATE_FORMATS[code]) throw expressionError(18536, `Invalid format character '%${code}' in format string`);
+        return DATE_FORMATS[code](parts);
+    });
+}
+
+function dateToString(operand, scope, name) {
+    const args = namedArguments(operand, name, ['date'], ['format', 'timezone', 'onNull']);
+    const date = compileExpression(args.date, scope);
+    const format = args.format === undefined ? null : compileExpression(args.format, scope);
+    const timezone = args.timezone === undefined ? () => null : compileExpression(args.timezone, scope);
+    const onNull = args.onNull === undefined ? () => null : compileExpression(args.onNull, scope);
+
+    return ctx => {
+        const value = date(ctx);
+        if (isNullish(value)) return onNull(ctx);
+        const zone = timezone(ctx);
+        const pattern = format ? format(ctx) : isNullish(zone) ? '%Y-%m-%dT%H:%M:%S.%LZ' : '%Y-%m-%dT%H:%M:%S.%L';
+        return formatDate(pattern, dateParts(requireDate(value, name), zone));
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 7. TYPE CONVERSION
+// -------------------------------------------------------------------------------------------
+
+function conversionError(value, target) {
+    return expressionError(241, `Unsupported conversion from ${typeName(value)} to ${target} in $convert with no onError value`);
+}
+
+function toNumber(value, target, integral) {
+    if (isNullish(value)) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.getTime();
+    if (isNumber(value)) return integral ? Math.trunc(toDouble(value)) : toDouble(value);
+    if (typeof value === 'string' && value.trim() !== '' && (integral ? /^[-+]?\d+$/ : /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$|^[-+]?(Infinity|NaN)$/).test(value.trim())) {
+        return Number(value);
+    }
+    throw typeof value === 'string'
+        ? expressionError(241, `Failed to parse number '${value}' in $convert with no onError value`)
+        : conversionError(value, target);
+}
+
+function toStringValue(value) {
+    if (isNullish(value)) return null;
+    switch (bsonTypeOf(value)) {
+        case 'string':
+            return value;
+        case 'bool':
+            return String(value);
+        case 'date':
+            return value.toISOString();
+        case 'objectId':
+            return value.toHexString();
+        default:
+            if (isNumber(value)) return String(value.valueOf ? value.valueOf() : value);
+            throw conversionError(value, 'string');
+    }
+}
+
+function toDate(value) {
+    if (isNullish(value)) return null;
+    if (value instanceof Date) return value;
+    if (isNumber(value)) return new Date(toDouble(value));
+    if (bsonTypeOf(value) === 'objectId') return value.getTimestamp();
+    if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) return new Date(value);
+    throw typeof value === 'string'
+        ? expressionError(241, `Error parsing date string '${value}'`)
+        : conversionError(value, 'date');
+}
+
+// -------------------------------------------------------------------------------------------
+// 8. OPERATOR TABLE
+// -------------------------------------------------------------------------------------------
+
+const comparison = test => ({ arity: [2, 2], evaluate: ([a, b]) => test(compare(a, b)) });
+
+/**
+ * Expression operators. Entries either evaluate already-evaluated
+ * arguments ({ arity, evaluate(args, name) }) or compile their operand
+ * themselves ({ compile(operand, scope, name) -> (ctx) -> value }).
+ */
+const EXPRESSION_OPERATORS = {
+    // Literals and variables
+    $literal: { compile: operand => () => operand },
+    $let: {
+        compile(operand, scope, name) {
+            const args = namedArguments(operand, name, ['vars', 'in']);
+            const vars = Object.entries(args.vars).map(([key, value]) => [key, compileExpression(value, scope)]);
+            const body = compileExpression(args.in, withVariable(scope, ...Object.keys(args.vars)));
+            return ctx => body(child(ctx, Object.fromEntries(vars.map(([key, value]) => [key, value(ctx)]))));
+        }
+    },
+
+    // Comparison
+    $eq: comparison(order => order === 0),
+    $ne: comparison(order => order !== 0),
+    $gt: comparison(order => order > 0),
+    $gte: comparison(order => order >= 0),
+    $lt: comparison(order => order < 0),
+    $lte: comparison(order => order <= 0),
+    $cmp: comparison(order => order),
+
+    // Boolean (short-circuiting, like the server)
+    $and: {
+        compile: (operand, scope) => {
+            const args = argumentList(operand).map(arg => compileExpression(arg, scope));
+            return ctx => args.every(arg => isTruthy(arg(ctx)));
+        }
+    },
+    $or: {
+        compile: (operand, scope) => {
+            const args = argumentList(operand).map(arg => compileExpression(arg, scope));
+            return ctx => args.some(arg => isTruthy(arg(ctx)));
+        }
+    },
+    $not: { arity: [1, 1], evaluate: ([value]) => !isTruthy(value) },
+
+    // Conditionals
+    $cond: {
+        compile(operand, scope, name) {
+            let parts;
+            if (Array.isArray(operand)) {
+                checkArity(name, operand.length, [3, 3]);
+                parts = operand;
+            } else {
+                const args = namedArguments(operand, name, ['if', 'then', 'else']);
+                parts = [args.if, args.then, args.else];
+            }
+            const [test, then, otherwise] = parts.map(part => compileExpression(part, scope));
+            return ctx => (isTruthy(test(ctx)) ? then(ctx) : otherwise(ctx));
+        }
+    },
+    $ifNull: {
+        compile(operand, scope, name) {
+            const args = argumentList(operand).map(arg => compileExpression(arg, scope));
+            checkArity(name, args.length, [2, Infinity]);
+            return ctx => {
+                for (const arg of args.slice(0, -1)) {
+                    const value = arg(ctx);
+                    if (!isNullish(value)) return value;
+                }
+                return args[args.length - 1](ctx);
+            };
+        }
+    },
+    $switch: {
+        compile(operand, scope, name) {
+            const args = namedArguments(operand, name, ['branches'], ['default']);
+            const branches = argumentList(args.branches).map(branch => {
+                const { case: test, then } = namedArguments(branch, `${name} branch`, ['case', 'then']);
+                return [compileExpression(test, scope), compileExpression(then, scope)];
+            });
+            const fallback = args.default === undefined ? null : compileExpression(args.default, scope);
+            return ctx => {
+                const branch = branches.find(([test]) => isTruthy(test(ctx)));
+                if (branch) return branch[1](ctx);
+                if (!fallback) throw expressionError(40066, '$switch could not find a matching branch for an input, and no default was specified.');
+                return fallback(ctx);
+            };
+        }
+    },
+
+    // Arithmetic
+    $add: { arity: [0, Infinity], evaluate: add },
+    $subtract: { arity: [2, 2], evaluate: subtract },
+    $multiply: { arity: [0, Infinity], evaluate: multiply },
+    $divide: { arity: [2, 2], evaluate: divide },
+    $mod: { arity: [2, 2], evaluate: mod },
+    $abs: unaryMath(Math.abs),
+    $ceil: unaryMath(Math.ceil),
+    $floor: unaryMath(Math.floor),
+    $exp: unaryMath(Math.exp),
+    $ln: unaryMath(Math.log),
+    $log10: unaryMath(Math.log10),
+    $sqrt: unaryMath((value, name) => {
+        if (value < 0) throw expressionError(28714, `${name}'s argument must be greater than or equal to 0`);
+        return Math.sqrt(value);
+    }),
+    $pow: {
+        arity: [2, 2],
+        evaluate: ([base, exponent], name) => (isNullish(base) || isNullish(exponent) ? null : requireNumber(base, name) ** requireNumber(exponent, name))
+    },
+    $log: {
+        arity: [2, 2],
+        evaluate: ([value, base], name) => (isNullish(value) || isNullish(base) ? null : Math.log(requireNumber(value, name)) / Math.log(requireNumber(base, name)))
+    },
+    $round: rounding(true),
+    $trunc: rounding(false),
+    $sum: { arity: [0, Infinity], evaluate: args => sumOf(operandValues(args)) },
+    $avg: {
+        arity: [0, Infinity],
+        evaluate: args => {
+            const values = operandValues(args).filter(isNumber);
+            return values.length === 0 ? null : numbers.divide(sumOf(values), values.length);
+        }
+    },
+    $min: { arity: [0, Infinity], evaluate: args => extreme(operandValues(args), -1) },
+    $max: { arity: [0, Infinity], evaluate: args => extreme(operandValues(args), 1) },
+
+    // Strings
+    $concat: { arity: [0, Infinity], evaluate: concat },
+    $toUpper: { arity: [1, 1], evaluate: ([value], name) => coerceToString(value, name).toUpperCase() },
+    $toLower: { arity: [1, 1], evaluate: ([value], name) => coerceToString(value, name).toLowerCase() },
+    $substr: { arity: [3, 3], evaluate: substring },
+    $substrCP: { arity: [3, 3], evaluate: substring },
+    $substrBytes: { arity: [3, 3], evaluate: substring },
+    $strLenCP: { arity: [1, 1], evaluate: ([value], name) => Array.from(requireString(value, name, 34471)).length },
+    $strLenBytes: { arity: [1, 1], evaluate: ([value], name) => Buffer.byteLength(requireString(value, name, 34473)) },
+    $split: {
+        arity: [2, 2],
+        evaluate: ([value, delimiter], name) => {
+            if (isNullish(value)) return null;
+            return requireString(value, name, 40085).split(requireString(delimiter, name, 40086));
+        }
+    },
+    $indexOfCP: {
+        arity: [2, 4],
+        evaluate: ([value, search, start = 0, end], name) => {
+            if (isNullish(value)) return null;
+            const text = Array.from(requireString(value, name, 40093)).slice(0, end === undefined ? undefined : toDouble(end)).join('');
+            return text.indexOf(requireString(search, name, 40094), toDouble(start));
+        }
+    },
+    $strcasecmp: {
+        arity: [2, 2],
+        evaluate: ([a, b], name) => Math.sign(compareValues(coerceToString(a, name).toUpperCase(), coerceToString(b, name).toUpperCase()))
+    },
+    $trim: trimmer('both'),
+    $ltrim: trimmer('left'),
+    $rtrim: trimmer('right'),
+    $regexMatch: { compile: regexMatch },
+
+    // Arrays
+    $size: { arity: [1, 1], evaluate: ([value], name) => requireArray(value, name, 17124).length },
+    $arrayElemAt: { arity: [2, 2], evaluate: arrayElemAt },
+    $first: { arity: [1, 1], evaluate: ([value], name) => (isNullish(value) ? null : arrayElemAt([requireArray(value, name, 28689), 0], name)) },
+    $last: { arity: [1, 1], evaluate: ([value], name) => (isNullish(value) ? null : arrayElemAt([requireArray(value, name, 28689), -1], name)) },
+    $in: {
+        arity: [2, 2],
+        evaluate: ([value, array]) => {
+            if (!Array.isArray(array)) throw expressionError(40081, `$in requires an array as a second argument, found: ${typeName(array)}`);
+            return includes(array, value);
+        }
+    },
+    $indexOfArray: {
+        arity: [2, 4],
+        evaluate: ([array, value, start = 0, end]) => {
+            if (isNullish(array)) return null;
+            const limit = end === undefined ? array.length : toDouble(end);
+            for (let i = toDouble(start); i < Math.min(limit, array.length); i++) {
+                if (compare(array[i], value) === 0) return i;
+            }
+            return -1;
+        }
+    },
+    $isArray: { arity: [1, 1], evaluate: ([value]) => Array.isArray(value) },
+    $concatArrays: {
+        arity: [0, Infinity],
+        evaluate: (args, name) => {
+            if (args.some(isNullish)) return null;
+            return args.map(arg => requireArray(arg, name, 28664)).flat();
+        }
+    },
+    $reverseArray: {
+        arity: [1, 1],
+        evaluate: ([value], name) => (isNullish(value) ? null : [...requireArray(value, name, 34435)].reverse())
+    },
+    $slice: { arity: [2, 3], evaluate: sliceArray },
+    $range: {
+        arity: [2, 3],
+        evaluate: ([start, end, step = 1]) => {
+            const out = [];
+            const [from, to, by] = [start, end, step].map(toDouble);
+            if (by === 0) throw expressionError(34449, '$range requires a non-zero step value');
+            for (let i = from; by > 0 ? i < to : i > to; i += by) out.push(i);
+            return out;
+        }
+    },
+    $filter: {
+        compile: (operand, scope, name) => iterate(operand, scope, name, ({ array, as, inner, limit, ctx }) => {
+            const max = limit ? toDouble(limit(ctx)) : Infinity;
+            const out = [];
+            for (const element of array) {
+                if (out.length >= max) break;
+                if (isTruthy(inner(child(ctx, { [as]: element })))) out.push(element);
+            }
+            return out;
+        })
+    },
+    $map: {
+        compile: (operand, scope, name) => iterate(operand, scope, name, ({ array, as, inner, ctx }) => array.map(element => {
+            const value = inner(child(ctx, { [as]: element }));
+            return value === MISSING ? null : value;
+        }))
+    },
+    $reduce: {
+        compile: (operand, scope, name) => iterate(operand, scope, name, ({ array, inner, initial, ctx }) => array.reduce(
+            (value, element) => inner(child(ctx, { value, this: element })),
+            initial(ctx)
+        ))
+    },
+    $objectToArray: {
+        arity: [1, 1],
+        evaluate: ([value]) => (isNullish(value) ? null : Object.entries(value).map(([k, v]) => ({ k, v })))
+    },
+    $arrayToObject: {
+        arity: [1, 1],
+        evaluate: ([value], name) => {
+            if (isNullish(value)) return null;
+            return Object.fromEntries(requireArray(value, name, 40386).map(entry => (Array.isArray(entry) ? entry : [entry.k, entry.v])));
+        }
+    },
+    $mergeObjects: {
+        arity: [0, Infinity],
+        evaluate: args => Object.assign({}, ...args.filter(arg => !isNullish(arg)).map(requireObject))
+    },
+
+    // Sets
+    $setUnion: setOperator([0, Infinity], args => distinct(args.flat())),
+    $setIntersection: setOperator([0, Infinity], args => (args.length === 0 ? [] : distinct(args[0]).filter(value => args.every(arg => includes(arg, value))))),
+    $setDifference: setOperator([2, 2], ([a, b]) => distinct(a).filter(value => !includes(b, value))),
+    $setEquals: setOperator([2, Infinity], args => args.every(arg => distinct(arg).length === distinct(args[0]).length && arg.every(value => includes(args[0], value)))),
+    $setIsSubset: setOperator([2, 2], ([a, b]) => a.every(value => includes(b, value))),
+    $anyElementTrue: { arity: [1, 1], evaluate: ([value], name) => requireArray(value, name, 17041).some(isTruthy) },
+    $allElementsTrue: { arity: [1, 1], evaluate: ([value], name) => requireArray(value, name, 17040).every(isTruthy) },
+
+    // Dates
+    $year: datePart('year'),
+    $month: datePart('month'),
+    $dayOfMonth: datePart('dayOfMonth'),
+    $dayOfYear: datePart('dayOfYear'),
+    $dayOfWeek: datePart('dayOfWeek'),
+    $hour: datePart('hour'),
+    $minute: datePart('minute'),
+    $second: datePart('second'),
+    $millisecond: datePart('millisecond'),
+    $week: datePart('week'),
+    $isoWeek: datePart('isoWeek'),
+    $isoWeekYear: datePart('isoWeekYear'),
+    $isoDayOfWeek: datePart('isoDayOfWeek'),
+    $dateToString: { compile: dateToString },
+
+    // Types
+    $type: { arity: [1, 1], evaluate: ([value]) => typeName(value) },
+    $isNumber: { arity: [1, 1], evaluate: ([value]) => isNumber(value) },
+    $toBool: { arity: [1, 1], evaluate: ([value]) => (isNullish(value) ? null : isTruthy(value)) },
+    $toInt: { arity: [1, 1], evaluate: ([value]) => toNumber(value, 'int', true) },
+    $toLong: { arity: [1, 1], evaluate: ([value]) => toNumber(value, 'long', true) },
+    $toDouble: { arity: [1, 1], evaluate: ([value]) => toNumber(value, 'double', false) },
+    $toDecimal: { arity: [1, 1], evaluate: ([value]) => toNumber(value, 'decimal', false) },
+    $toString: { arity: [1, 1], evaluate: ([value]) => toStringValue(value) },
+    $toDate: { arity: [1, 1], evaluate: ([value]) => toDate(value) }
+};
+
+// -------------------------------------------------------------------------------------------
+// 9. EVALUATING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * The context for evaluating expressions against `doc`: $$ROOT and
+ * $$CURRENT are the document, $$NOW the time of the call.
+ */
+function rootContext(doc, variables = {}) {
+    return { vars: { NOW: new Date(), ...variables, ROOT: doc, CURRENT: doc } };
+}
+
+/**
+ * Evaluates `expr` against `doc`. A missing result is returned as
+ * undefined. `variables` adds $$ variables ({ limit: 5 } -> "$$limit").
+ */
+function evaluateExpression(expr, doc = {}, variables = {}) {
+    const compiled = compileExpression(expr, new Set([...SYSTEM_VARIABLES, ...Object.keys(variables)]));
+    const value = compiled(rootContext(doc, variables));
+    return value === MISSING ? undefined : value;
+}
+
+module.exports = {
+    SYSTEM_VARIABLES,
+    EXPRESSION_OPERATORS,
+    isNullish,
+    isTruthy,
+    typeName,
+    requireObject,
+    compare,
+    compileExpression,
+    rootContext,
+    evaluateExpression
+};
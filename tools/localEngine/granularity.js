@@ -0,0 +1,176 @@
+/**
+ * TOOL: BUCKET GRANULARITIES
+ * DESCRIPTION:
+ * The preferred number series that $bucketAuto's `granularity` rounds
+ * bucket boundaries to:
+ *
+ *   R5, R10, R20, R40, R80   Renard series (ISO 3)
+ *   1-2-5                    1, 2, 5, 10, 20, 50, ...
+ *   E6 ... E192              E series (IEC 60063)
+ *   POWERSOF2                1, 2, 4, 8, ... (and 0.5, 0.25, ...)
+ *
+ * Each series is one decade of values and repeats in every power of ten.
+ * roundUp(x) is the next value of the series strictly greater than x,
+ * roundDown(x) the previous one strictly less than x; 0 stays 0. Only
+ * non-negative numbers can be rounded, and the result is a double.
+ */
+
+const { bsonTypeOf, isNumber, toDouble } = require('./bsonTypes');
+const { EngineError } = require('./errors');
+
+function granularityError(code, message) {
+    return new EngineError(message, { code, codeName: 'Location' + code });
+}
+
+// -------------------------------------------------------------------------------------------
+// 1. THE SERIES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * One decade of each series, scaled to integers so that rounding
+ * multiplies or divides by powers of ten without accumulating error.
+ */
+const PREFERRED_NUMBERS = {
+    R5: [10, 16, 25, 40, 63],
+    R10: [100, 125, 160, 200, 250, 315, 400, 500, 630, 800],
+    R20: [
+        100, 112, 125, 140, 160, 180, 200, 224, 250, 280,
+        315, 355, 400, 450, 500, 560, 630, 710, 800, 900
+    ],
+    R40: [
+        100, 106, 112, 118, 125, 132, 140, 150, 160, 170,
+        180, 190, 200, 212, 224, 236, 250, 265, 280, 300,
+        315, 335, 355, 375, 400, 425, 450, 475, 500, 530,
+        560, 600, 630, 670, 710, 750, 800, 850, 900, 950
+    ],
+    R80: [
+        100, 103, 106, 109, 112, 115, 118, 122, 125, 128,
+        132, 136, 140, 145, 150, 155, 160, 165, 170, 175,
+        180, 185, 190, 195, 200, 206, 212, 218, 224, 230,
+        236, 243, 250, 258, 265, 272, 280, 290, 300, 307,
+        315, 325, 335, 345, 355, 365, 375, 387, 400, 412,
+        425, 437, 450, 462, 475, 487, 500, 515, 530, 545,
+        560, 580, 600, 615, 630, 650, 670, 690, 710, 730,
+        750, 775, 800, 825, 850, 875, 900, 925, 950, 975
+    ],
+    '1-2-5': [10, 20, 50],
+    E6: [10, 15, 22, 33, 47, 68],
+    E12: [10, 12, 15, 18, 22, 27, 33, 39, 47, 56, 68, 82],
+    E24: [
+        10, 11, 12, 13, 15, 16, 18, 20, 22, 24, 27, 30,
+        33, 36, 39, 43, 47, 51, 56, 62, 68, 75, 82, 91
+    ],
+    E48: [
+        100, 105, 110, 115, 121, 127, 133, 140, 147, 154, 162, 169,
+        178, 187, 196, 205, 215, 226, 237, 249, 261, 274, 287, 301,
+        316, 332, 348, 365, 383, 402, 422, 442, 464, 487, 511, 536,
+        562, 590, 619, 649, 681, 715, 750, 787, 825, 866, 909, 953
+    ],
+    E96: [
+        100, 102, 105, 107, 110, 113, 115, 118, 121, 124, 127, 130,
+        133, 137, 140, 143, 147, 150, 154, 158, 162, 165, 169, 174,
+        178, 182, 187, 191, 196, 200, 205, 210, 215, 221, 226, 232,
+        237, 243, 249, 255, 261, 267, 274, 280, 287, 294, 301, 309,
+        316, 324, 332, 340, 348, 357, 365, 374, 383, 392, 402, 412,
+        422, 432, 442, 453, 464, 475, 487, 499, 511, 523, 536, 549,
+        562, 576, 590, 604, 619, 634, 649, 665, 681, 698, 715, 732,
+        750, 768, 787, 806, 825, 845, 866, 887, 909, 931, 953, 976
+    ],
+    E192: [
+        100, 101, 102, 104, 105, 106, 107, 109, 110, 111, 113, 114,
+        115, 117, 118, 120, 121, 123, 124, 126, 127, 129, 130, 132,
+        133, 135, 137, 138, 140, 142, 143, 145, 147, 149, 150, 152,
+        154, 156, 158, 160, 162, 164, 165, 167, 169, 172, 174, 176,
+        178, 180, 182, 184, 187, 189, 191, 193, 196, 198, 200, 203,
+        205, 208, 210, 213, 215, 218, 221, 223, 226, 229, 232, 234,
+        237, 240, 243, 246, 249, 252, 255, 258, 261, 264, 267, 271,
+        274, 277, 280, 284, 287, 291, 294, 298, 301, 305, 309, 312,
+        316, 320, 324, 328, 332, 336, 340, 344, 348, 352, 357, 361,
+        365, 370, 374, 379, 383, 388, 392, 397, 402, 407, 412, 417,
+        422, 427, 432, 437, 442, 448, 453, 459, 464, 470, 475, 481,
+        487, 493, 499, 505, 511, 517, 523, 530, 536, 542, 549, 556,
+        562, 569, 576, 583, 590, 597, 604, 612, 619, 626, 634, 642,
+        649, 657, 665, 673, 681, 690, 698, 706, 715, 723, 732, 741,
+        750, 759, 768, 777, 787, 796, 806, 816, 825, 835, 845, 856,
+        866, 876, 887, 898, 909, 920, 931, 942, 953, 965, 976, 988
+    ]
+};
+
+const GRANULARITIES = [...Object.keys(PREFERRED_NUMBERS), 'POWERSOF2'];
+
+// -------------------------------------------------------------------------------------------
+// 2. ROUNDERS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * `value` times 10^exponent; dividing for negative exponents keeps
+ * 16 -> 1.6 exact where 16 * 0.1 would not be.
+ */
+function scale(value, exponent) {
+    return exponent >= 0 ? value * 10 ** exponent : value / 10 ** -exponent;
+}
+
+function preferredNumbers(series) {
+    const first = series[0];
+    const last = series[series.length - 1];
+    return {
+        roundUp(number) {
+            // Find the decade with scale(last, e - 1) <= number < scale(last, e)
+            let exponent = 0;
+            while (number >= scale(last, exponent)) exponent++;
+            while (number < scale(last, exponent - 1)) exponent--;
+            return series.map(value => scale(value, exponent)).find(value => value > number);
+        },
+        roundDown(number) {
+            // Find the decade with scale(first, e) < number <= scale(first, e + 1)
+            let exponent = 0;
+            while (number > scale(first, exponent + 1)) exponent++;
+            while (number <= scale(first, exponent)) exponent--;
+            return series.map(value => scale(value, exponent)).reverse().find(value => value < number);
+        }
+    };
+}
+
+const powersOf2 = {
+    roundUp(number) {
+        let power = 2 ** Math.floor(Math.log2(number));
+        while (power > number) power /= 2;
+        while (power <= number) power *= 2;
+        return power;
+    },
+    roundDown(number) {
+        let power = 2 ** Math.ceil(Math.log2(number));
+        while (power < number) power *= 2;
+        while (power >= number) power /= 2;
+        return power;
+    }
+};
+
+/**
+ * The rounder for a granularity name: { roundUp(value), roundDown(value) }
+ * over BSON numbers.
+ */
+function granularityRounder(granularity) {
+    if (!GRANULARITIES.includes(granularity)) {
+        throw granularityError(40257, `Unknown rounding granularity '${granularity}'`);
+    }
+    const rounder = granularity === 'POWERSOF2' ? powersOf2 : preferredNumbers(PREFERRED_NUMBERS[granularity]);
+
+    const checked = round => value => {
+        if (!isNumber(value)) {
+            throw granularityError(40258, `$bucketAuto can specify a 'granularity' with numeric boundaries only, but found a value with type: ${bsonTypeOf(value)}`);
+        }
+        const number = toDouble(value);
+        if (Number.isNaN(number)) throw granularityError(40266, `A granularity rounder cannot round NaN`);
+        if (number < 0) throw granularityError(40268, `A granularity rounder cannot round a negative number: ${number}`);
+        if (number === 0 || number === Infinity) return number;
+        return round(number);
+    };
+    return { roundUp: checked(rounder.roundUp), roundDown: checked(rounder.roundDown) };
+}
+
+module.exports = {
+    PREFERRED_NUMBERS,
+    GRANULARITIES,
+    granularityRounder
+};
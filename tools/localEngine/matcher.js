@@ -0,0 +1,503 @@
+/**
+ * TOOL: LOCAL QUERY MATCHER
+ * DESCRIPTION:
+ * Evaluates find() filters against plain JavaScript documents with the
+ * server's semantics, so the query examples can be tried without a
+ * running mongod:
+ *
+ *   - Comparisons follow BSON ordering (bsonTypes.js) and only match
+ *     values in the operand's type bracket: { price: { $gt: 10 } } never
+ *     matches a string price, and { field: { $gt: null } } matches
+ *     nothing at all.
+ *   - null matches both null and missing fields; $ne and $nin are the
+ *     exact opposite of $eq and $in, so { field: { $ne: null } } only
+ *     matches documents where the field exists and is not null.
+ *   - A field holding an array matches if the array as a whole or any
+ *     of its elements does: { tags: 'sale' } matches
+ *     { tags: ['new', 'sale'] }.
+ *   - $not, like $ne and $nor, matches documents where the field is
+ *     missing: { price: { $not: { $gt: 100 } } } includes products
+ *     without a price. It takes an operator expression or a regex.
+ *   - $expr evaluates an aggregation expression (expressions.js) per
+ *     document: { $expr: { $gt: ['$spent', '$budget'] } }.
+ *   - Dot paths reach into arrays of subdocuments (paths.js), and every
+ *     clause may be satisfied by a different element:
+ *     { 'items.qty': { $gt: 5 }, 'items.price': { $lt: 10 } } matches
+ *     when one item has qty > 5 and another has price < 10. $elemMatch
+ *     needs one element to satisfy all of its conditions. explainMatch()
+ *     shows which element satisfied each clause.
+ *
+ * Filters the server would reject throw an EngineError (errors.js) with
+ * the server's message, e.g. "unknown operator: $foo".
+ *
+ * USAGE:
+ *   const { matches, filterDocuments } = require('./tools/localEngine/matcher');
+ *   matches({ price: 25, tags: ['sale'] }, { price: { $gte: 10, $lte: 50 }, tags: 'sale' });  // true
+ *   filterDocuments(products, { category: { $in: ['electronics', 'phones'] } });
+ *   filterDocuments(orders, { $or: [{ total: { $gte: 1000 } }, { customerType: 'VIP' }], flagged: { $ne: true } });
+ *   console.log(formatExplanation(explainMatch(student, { 'grades.subject': 'math', 'grades.score': { $gte: 60 } })));
+ */
+
+const util = require('util');
+const { bsonTypeOf, isDocument, isNumber, canonicalOrder, compareValues, valuesEqual, toDouble, typeAlias, isOfType } = require('./bsonTypes');
+const { MISSING, isArrayIndex, joinPath, queryCandidates } = require('./paths');
+const { compileExpression, rootContext, isTruthy } = require('./expressions');
+const { badValue } = require('./errors');
+
+// -------------------------------------------------------------------------------------------
+// 1. VALUE TESTS
+// -------------------------------------------------------------------------------------------
+
+function isNullish(value) {
+    return value === MISSING || value === null || value === undefined;
+}
+
+function isRegex(value) {
+    return bsonTypeOf(value) === 'regex';
+}
+
+/**
+ * A JavaScript RegExp for a RegExp or the driver's BSONRegExp.
+ * Stateful flags (g, y) are dropped so repeated tests agree.
+ */
+function toRegExp(value) {
+    if (value instanceof RegExp) return new RegExp(value.source, value.flags.replace(/[gy]/g, ''));
+    return new RegExp(value.pattern, value.options.replace(/[^imsu]/g, ''));
+}
+
+/**
+ * { field: /pattern/ } and regular expressions in $in: matches strings
+ * the pattern finds, and stored regular expressions equal to it.
+ */
+function regexTest(operand) {
+    const regex = toRegExp(operand);
+    return value => {
+        const type = bsonTypeOf(value);
+        if (type === 'string' || type === 'symbol') return regex.test(String(value.valueOf()));
+        return type === 'regex' && valuesEqual(value, operand);
+    };
+}
+
+/**
+ * The RegExp for { $regex, $options }.
+ */
+function regexOperand(pattern, options) {
+    if (typeof pattern !== 'string' && !isRegex(pattern)) throw badValue('$regex has to be a string');
+    if (options === undefined) return pattern;
+    if (typeof options !== 'string') throw badValue('$options has to be a string');
+
+    const regex = typeof pattern === 'string' ? { source: pattern, flags: '' } : toRegExp(pattern);
+    if (regex.flags) throw badValue('options set in both $regex and $options');
+    return new RegExp(regex.source, Array.from(new Set(options.replace(/[^imsu]/g, ''))).join(''));
+}
+
+function equalityTest(operand) {
+    if (isNullish(operand)) return isNullish;
+    return value => value !== MISSING && valuesEqual(value, operand);
+}
+
+/**
+ * $gt/$gte/$lt/$lte: true when `accept(comparison)` holds for a value of
+ * the operand's type bracket. MinKey and MaxKey compare with everything.
+ */
+function rangeTest(operand, accept) {
+    if (isNullish(operand)) return value => isNullish(value) && accept(0);
+
+    const type = bsonTypeOf(operand);
+    const anyBracket = type === 'minKey' || type === 'maxKey';
+    return value => value !== MISSING
+        && (anyBracket || canonicalOrder(value) === canonicalOrder(operand))
+        && accept(compareValues(value, operand));
+}
+
+function inTest(operand, name) {
+    if (!Array.isArray(operand)) throw badValue(`${name} needs an array`);
+
+    const tests = operand.map(item => {
+        if (isDocument(item) && Object.keys(item).some(key => key.startsWith('$'))) {
+            throw badValue(`cannot nest $ under ${name}`);
+        }
+        return isRegex(item) ? regexTest(item) : equalityTest(item);
+    });
+    return value => tests.some(test => test(value));
+}
+
+/**
+ * { $type: 'string' }, { $type: 2 }, { $type: ['int', 'double'] } and
+ * { $type: 'number' }. Arrays match 'array' as a whole and any other
+ * type through their elements.
+ */
+function typeTest(operand, name) {
+    const specs = Array.isArray(operand) ? operand : [operand];
+    if (specs.length === 0) throw badValue(`${name} must match at least one type`);
+
+    const aliases = specs.map(spec => {
+        const alias = isNumber(spec) ? typeAlias(toDouble(spec)) : typeAlias(spec);
+        if (alias) return alias;
+        if (typeof spec === 'string') throw badValue(`Unknown type name alias: ${spec}`);
+        if (isNumber(spec)) throw badValue(`Invalid numerical type code: ${toDouble(spec)}`);
+        throw badValue('type must be represented as a number or a string');
+    });
+    return value => value !== MISSING && aliases.some(alias => isOfType(value, alias));
+}
+
+function sizeTest(operand, name) {
+    if (!isNumber(operand)) throw badValue(`${name} needs a number`);
+    const size = toDouble(operand);
+    if (!Number.isInteger(size)) throw badValue(`${name} must be a whole number`);
+    if (size < 0) throw badValue(`${name} may not be negative`);
+    return value => Array.isArray(value) && value.length === size;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. FIELD OPERATORS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Operators used as { path: { $op: operand } }.
+ *
+ *   compile(operand, name) -> test(value)   a test for one value
+ *                                           (MISSING for a missing field)
+ *   wholeArray                              arrays are tested only as a
+ *                                           whole, not element by element
+ *   negates: '$op'                          matches exactly when $op does
+ *                                           not (over every candidate)
+ *   clause(target, operand, name)           compiles the whole clause
+ *                                           itself (returns a compiled
+ *                                           filter, see fieldClause)
+ */
+const FIELD_OPERATORS = {
+    $eq: { compile: operand => equalityTest(operand) },
+    $ne: { negates: '$eq' },
+    $gt: { compile: operand => rangeTest(operand, order => order > 0) },
+    $gte: { compile: operand => rangeTest(operand, order => order >= 0) },
+    $lt: { compile: operand => rangeTest(operand, order => order < 0) },
+    $lte: { compile: operand => rangeTest(operand, order => order <= 0) },
+    $in: { compile: (operand, name) => inTest(operand, name) },
+    $nin: { negates: '$in' },
+    $regex: { compile: operand => regexTest(regexOperand(operand)) },
+    $not: { clause: compileNot },
+    $size: { compile: sizeTest, wholeArray: true },
+    $type: { compile: typeTest },
+    $exists: { clause: compileExists },
+    $all: { clause: compileAll },
+    $elemMatch: { clause: compileElemMatch }
+};
+
+/**
+ * What a field clause tests: the values of a query path in a document,
+ * or - inside { $elemMatch: { $gte: 80 } } - a single array element,
+ * which is tested as it is, without looking into it if it is an array.
+ */
+function pathTarget(path) {
+    return { path, candidates: doc => queryCandidates(doc, path), expand: true };
+}
+
+const ELEMENT_TARGET = { path: '', candidates: element => [{ value: element, path: '' }], expand: false };
+
+/**
+ * The concrete path of the first candidate of `target` in `doc` that
+ * passes `test` - an array element's path when only an element does -
+ * or null.
+ */
+function firstMatch(doc, target, test, wholeArray) {
+    for (const candidate of target.candidates(doc)) {
+        if (test(candidate.value)) return candidate.path;
+        if (Array.isArray(candidate.value) && target.expand && !wholeArray) {
+            const index = candidate.value.findIndex(element => test(element));
+            if (index !== -1) return joinPath(candidate.path, index);
+        }
+    }
+    return null;
+}
+
+/**
+ * A compiled filter is a function (doc, trace) -> boolean. When `trace`
+ * is an array, every clause that matched appends
+ * { path, operator, matchedAt } with the concrete path it matched at
+ * (null for negations, which match because nothing else did).
+ */
+function fieldClause(target, operator, test, wholeArray = false) {
+    return (doc, trace) => {
+        const matchedAt = firstMatch(doc, target, test, wholeArray);
+        if (matchedAt === null) return false;
+        if (trace) trace.push({ path: target.path, operator, matchedAt });
+        return true;
+    };
+}
+
+/**
+ * Matches when `positive` does not. A field matches $ne, $nin and $not
+ * when none of its values match the positive operator - which includes
+ * documents without the field.
+ */
+function negate(path, name, positive) {
+    return (doc, trace) => {
+        if (positive(doc, null)) return false;
+        if (trace) trace.push({ path, operator: name, matchedAt: null });
+        return true;
+    };
+}
+
+function compileFieldOperator(target, name, operand, displayName = name) {
+    const operator = FIELD_OPERATORS[name];
+    if (!operator) throw badValue(`unknown operator: ${name}`);
+
+    if (operator.clause) return operator.clause(target, operand, name);
+    if (operator.negates) return negate(target.path, name, compileFieldOperator(target, operator.negates, operand, name));
+    return fieldClause(target, name, operator.compile(operand, displayName), operator.wholeArray);
+}
+
+/**
+ * { price: { $not: { $gt: 100 } } } and { name: { $not: /^A/ } }.
+ */
+function compileNot(target, operand, name) {
+    if (isRegex(operand)) return negate(target.path, name, fieldClause(target, '$regex', regexTest(operand)));
+    if (!isDocument(operand)) throw badValue(`${name} needs a regex or a document`);
+    if (Object.keys(operand).length === 0) throw badValue(`${name} cannot be empty`);
+    if (!isOperatorExpression(operand)) throw badValue(`unknown operator: ${Object.keys(operand)[0]}`);
+    return negate(target.path, name, compilePathClause(target, operand));
+}
+
+/**
+ * { email: { $exists: true } } matches when the path has any value,
+ * null included; { 'items.qty': { $exists: false } } only when no array
+ * element has the field either.
+ */
+function compileExists(target, operand, name) {
+    const present = fieldClause(target, name, value => value !== MISSING, true);
+    return isTruthy(operand) ? present : negate(target.path, name, present);
+}
+
+/**
+ * { tags: { $all: ['mongodb', 'nosql'] } } is one equality clause per
+ * value, each free to match a different element;
+ * { items: { $all: [{ $elemMatch: ... }, { $elemMatch: ... }] } } needs
+ * an element for every $elemMatch.
+ */
+function compileAll(target, operand, name) {
+    if (!Array.isArray(operand)) throw badValue(`${name} needs an array`);
+    if (operand.length === 0) return () => false;
+
+    const isElemMatch = item => isDocument(item) && Object.keys(item)[0] === '$elemMatch';
+    const elemMatches = operand.filter(isElemMatch).length;
+    if (elemMatches > 0 && elemMatches < operand.length) throw badValue(`${name}/$elemMatch has to be consistent`);
+
+    return allOf(operand.map(item => {
+        if (elemMatches > 0) return compileElemMatch(target, item.$elemMatch, '$elemMatch');
+        if (isOperatorExpression(item)) throw badValue(`no $ expressions in ${name}`);
+        return fieldClause(target, name, isRegex(item) ? regexTest(item) : equalityTest(item));
+    }));
+}
+
+/**
+ * { grades: { $elemMatch: { subject: 'math', score: { $gte: 60 } } } }
+ * needs one element (an embedded document) to match the whole filter;
+ * { scores: { $elemMatch: { $gte: 70, $lt: 90 } } } needs one element to
+ * pass every operator. The trace names the element that did.
+ */
+function compileElemMatch(target, operand, name) {
+    if (!isDocument(operand)) throw badValue(`${name} needs an Object`);
+    const elementMatches = compileElementMatcher(operand);
+
+    return (doc, trace) => {
+        for (const candidate of target.candidates(doc)) {
+            if (!Array.isArray(candidate.value)) continue;
+            const index = candidate.value.findIndex(elementMatches);
+            if (index === -1) continue;
+            if (trace) trace.push({ path: target.path, operator: name, matchedAt: joinPath(candidate.path, index) });
+            return true;
+        }
+        return false;
+    };
+}
+
+/**
+ * The test $elemMatch applies to each array element: operators only
+ * ({ $gte: 70, $lt: 90 }) test the element itself, anything else is a
+ * query filter on an embedded document. Also used by $pull.
+ */
+function compileElementMatcher(operand) {
+    const keys = Object.keys(operand);
+    const onValues = keys.length > 0 && keys.every(key => key.startsWith('$') && !TOP_LEVEL_OPERATORS[key]);
+    if (onValues) {
+        const clause = compilePathClause(ELEMENT_TARGET, operand);
+        return element => clause(element, null);
+    }
+    // A nested array is matched like a document with fields "0", "1", ...
+    const filter = compileFilter(operand);
+    return element => (isDocument(element) || Array.isArray(element)) && filter(Array.isArray(element) ? { ...element } : element, null);
+}
+
+/**
+ * { price: { $gte: 10, $lt: 50 } } is an operator expression;
+ * { price: 10 } and { address: { city: 'Oslo' } } are equality.
+ */
+function isOperatorExpression(value) {
+    if (!isDocument(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys[0].startsWith('$');
+}
+
+function compilePathClause(target, value) {
+    if (isOperatorExpression(value)) {
+        if ('$options' in value && !('$regex' in value)) throw badValue('$options needs a $regex');
+        return allOf(Object.entries(value)
+            .filter(([name]) => name !== '$options')
+            .map(([name, operand]) => compileFieldOperator(target, name, name === '$regex' ? regexOperand(operand, value.$options) : operand)));
+    }
+    return fieldClause(target, '$eq', isRegex(value) ? regexTest(value) : equalityTest(value));
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. FILTERS
+// -------------------------------------------------------------------------------------------
+
+function allOf(clauses) {
+    return (doc, trace) => clauses.every(clause => clause(doc, trace));
+}
+
+/**
+ * Matches when any clause does; the trace keeps only the entries of the
+ * clause that matched.
+ */
+function anyOf(clauses) {
+    return (doc, trace) => clauses.some(clause => {
+        const mark = trace ? trace.length : 0;
+        if (clause(doc, trace)) return true;
+        if (trace) trace.length = mark;
+        return false;
+    });
+}
+
+/**
+ * The filters of $and/$or/$nor: a non-empty array of objects.
+ */
+function compileFilterList(operand, name) {
+    if (!Array.isArray(operand) || operand.length === 0) throw badValue(`${name} must be a nonempty array`);
+    return operand.map(entry => {
+        if (!isDocument(entry)) throw badValue(`${name} argument's entries must be objects`);
+        return compileFilter(entry);
+    });
+}
+
+/**
+ * { $expr: <aggregation expression> } matches when the expression is
+ * truthy for the document. $$NOW is fixed when the filter is compiled,
+ * so it is the same for every document, like on the server.
+ */
+function compileExpr(operand) {
+    const expression = compileExpression(operand);
+    const now = new Date();
+    return (doc, trace) => {
+        if (!isTruthy(expression(rootContext(doc, { NOW: now })))) return false;
+        if (trace) trace.push({ path: null, operator: '$expr', matchedAt: null });
+        return true;
+    };
+}
+
+/**
+ * Operators used at the top level of a filter: compile(operand, name)
+ * returns a compiled filter.
+ */
+const TOP_LEVEL_OPERATORS = {
+    $and: { compile: (operand, name) => allOf(compileFilterList(operand, name)) },
+    $or: { compile: (operand, name) => anyOf(compileFilterList(operand, name)) },
+    $nor: { compile: (operand, name) => negate(null, name, anyOf(compileFilterList(operand, name))) },
+    $expr: { compile: compileExpr },
+    $comment: { compile: () => () => true }
+};
+
+/**
+ * Compiles `filter` once for repeated use: returns (doc, trace) -> boolean.
+ */
+function compileFilter(filter = {}) {
+    if (!isDocument(filter)) throw badValue('query filter must be an object');
+
+    return allOf(Object.entries(filter).map(([key, value]) => {
+        if (!key.startsWith('$')) return compilePathClause(pathTarget(key), value);
+
+        const operator = TOP_LEVEL_OPERATORS[key];
+        if (!operator) {
+            throw badValue(`unknown top level operator: ${key}. If you have a field name that starts with a '$' symbol, consider using $getField or $setField.`);
+        }
+        return operator.compile(value, key);
+    }));
+}
+
+function matches(doc, filter) {
+    return compileFilter(filter)(doc);
+}
+
+function filterDocuments(docs, filter) {
+    const predicate = compileFilter(filter);
+    return docs.filter(doc => predicate(doc));
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. EXPLAINING A MATCH
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Whether `doc` matches `filter`, clause by clause:
+ *
+ * {
+ *   matched,
+ *   clauses: [{ clause: { 'grades.score': { $gte: 60 } }, matched, matches: [{ path, operator, matchedAt }] }]
+ * }
+ *
+ * `matchedAt` is the concrete path a value matched at ("grades.1.score"
+ * is the second grade), which shows when clauses on the same array were
+ * satisfied by different elements.
+ */
+function explainMatch(doc, filter) {
+    if (!isDocument(filter)) throw badValue('query filter must be an object');
+
+    const clauses = Object.entries(filter).map(([key, value]) => {
+        const clause = { [key]: value };
+        const matches = [];
+        const matched = compileFilter(clause)(doc, matches);
+        return { clause, matched, matches: matched ? matches : [] };
+    });
+    return { matched: clauses.every(entry => entry.matched), clauses };
+}
+
+/**
+ * The index of the array element a match was found in, for the array at
+ * `prefix` ("grades.1.score" in the trace -> '1' for "grades"), or null.
+ * This is the element "$" refers to in projections and updates.
+ */
+function matchedIndex(trace, prefix) {
+    for (const { matchedAt } of trace || []) {
+        if (typeof matchedAt !== 'string' || !matchedAt.startsWith(`${prefix}.`)) continue;
+        const next = matchedAt.slice(prefix.length + 1).split('.')[0];
+        if (isArrayIndex(next)) return next;
+    }
+    return null;
+}
+
+/**
+ * explainMatch() as text, one line per clause.
+ */
+function formatExplanation(explanation) {
+    const lines = explanation.clauses.map(({ clause, matched, matches }) => {
+        const where = matches
+            .filter(match => match.matchedAt !== null)
+            .map(match => `${match.operator} at ${match.matchedAt}`);
+        const detail = matched ? (where.length ? where.join(', ') : 'no value matched the negated condition') : 'no match';
+        return `  ${matched ? '✔' : '✘'} ${util.inspect(clause, { depth: null, breakLength: Infinity, compact: true })}  ${detail}`;
+    });
+    return [explanation.matched ? 'Document matches:' : 'Document does not match:', ...lines].join('\n');
+}
+
+module.exports = {
+    FIELD_OPERATORS,
+    TOP_LEVEL_OPERATORS,
+    compileFilter,
+    compileElementMatcher,
+    matches,
+    filterDocuments,
+    explainMatch,
+    matchedIndex,
+    formatExplanation
+};
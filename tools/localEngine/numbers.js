@@ -0,0 +1,251 @@
+/**
+ * TOOL: NUMERIC ARITHMETIC
+ * DESCRIPTION:
+ * Addition, subtraction, multiplication and division over the four BSON
+ * number types
+ * with the server's type promotion:
+ *
+ *   int     + int      -> int, or long if the result leaves 32 bits
+ *   int     + long     -> long, or double if the result leaves 64 bits
+ *   any     + double   -> double
+ *   any     + decimal  -> decimal (exact, 34 significant digits)
+ *
+ * Results are plain JavaScript numbers for int and double, and for long
+ * and decimal results a value of the same class as the long or decimal
+ * operand (Long, Decimal128), so they round-trip through the driver. A
+ * long with no Long operand to copy (ints that overflow, or BigInts) is
+ * a driver Long as well, so every long result is a Long.
+ */
+
+const { bsonTypeOf, toDouble } = require('./bsonTypes');
+
+const KIND_RANK = { int: 0, long: 1, double: 2, decimal: 3 };
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+const DECIMAL_DIGITS = 34;
+
+// -------------------------------------------------------------------------------------------
+// 1. KINDS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * 'int', 'long', 'double' or 'decimal' - or null for non-numbers.
+ */
+function numericKind(value) {
+    const type = bsonTypeOf(value);
+    return type in KIND_RANK ? type : null;
+}
+
+function widestKind(values) {
+    return values.map(numericKind).reduce((widest, kind) => (KIND_RANK[kind] > KIND_RANK[widest] ? kind : widest), 'int');
+}
+
+function toBigInt(value) {
+    if (typeof value === 'bigint') return value;
+    if (numericKind(value) === 'long') return BigInt(value.toString());
+    return BigInt(toDouble(value));
+}
+
+/**
+ * A long result: of the class of a Long among `operands`, else the
+ * driver's Long.
+ */
+function makeLong(big, operands) {
+    const template = operands.find(value => numericKind(value) === 'long' && typeof value === 'object');
+    const Long = template ? template.constructor : require('mongodb').Long;
+    return Long.fromString(big.toString());
+}
+
+function makeDecimal(decimal, operands) {
+    const template = operands.find(value => numericKind(value) === 'decimal');
+    return template.constructor.fromString(formatDecimal(decimal));
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. DECIMALS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Decimals are { coefficient: BigInt, exponent } (value = coefficient
+ * x 10^exponent), or { special: NaN | Infinity | -Infinity }.
+ */
+function parseDecimal(text) {
+    const match = String(text).trim().match(/^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/);
+    if (!match || (match[2] === '' && !match[3])) {
+        const special = Number(String(text).replace(/^([+-]?)inf(inity)?$/i, '$1Infinity'));
+        return { special: Number.isNaN(special) ? NaN : special };
+    }
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    const coefficient = BigInt(`${whole}${fraction}` || '0');
+    return { coefficient: sign === '-' ? -coefficient : coefficient, exponent: Number(exponent) - fraction.length, negative: sign === '-' };
+}
+
+function toDecimal(value) {
+    switch (numericKind(value)) {
+        case 'decimal':
+            return parseDecimal(value.toString());
+        case 'double': {
+            const number = toDouble(value);
+            return Number.isFinite(number) ? parseDecimal(String(number)) : { special: number };
+        }
+        default:
+            return { coefficient: toBigInt(value), exponent: 0 };
+    }
+}
+
+function digitCount(big) {
+    return (big < 0n ? -big : big).toString().length;
+}
+
+/**
+ * Rounds to 34 significant digits, half to even.
+ */
+function normalizeDecimal(decimal) {
+    let { coefficient, exponent } = decimal;
+    const excess = digitCount(coefficient) - DECIMAL_DIGITS;
+    if (excess <= 0) return decimal;
+
+    const divisor = 10n ** BigInt(excess);
+    let quotient = coefficient / divisor;
+    const remainder = (coefficient % divisor) * 2n;
+    const magnitude = remainder < 0n ? -remainder : remainder;
+    if (magnitude > divisor || (magnitude === divisor && quotient % 2n !== 0n)) {
+        quotient += coefficient < 0n ? -1n : 1n;
+    }
+    coefficient = quotient;
+    exponent += excess;
+    return { coefficient, exponent };
+}
+
+function formatDecimal(decimal) {
+    if (decimal.special !== undefined) return String(decimal.special);
+    const sign = decimal.negative && decimal.coefficient === 0n ? '-' : '';
+    return `${sign}${decimal.coefficient}E${decimal.exponent}`;
+}
+
+function specialResult(a, b, operation) {
+    return { special: operation(a.special !== undefined ? a.special : Number(formatDecimal(a)), b.special !== undefined ? b.special : Number(formatDecimal(b))) };
+}
+
+function addDecimals(a, b) {
+    if (a.special !== undefined || b.special !== undefined) return specialResult(a, b, (x, y) => x + y);
+    const exponent = Math.min(a.exponent, b.exponent);
+    const scale = decimal => decimal.coefficient * 10n ** BigInt(decimal.exponent - exponent);
+    return normalizeDecimal({ coefficient: scale(a) + scale(b), exponent });
+}
+
+function multiplyDecimals(a, b) {
+    if (a.special !== undefined || b.special !== undefined) return specialResult(a, b, (x, y) => x * y);
+    return normalizeDecimal({ coefficient: a.coefficient * b.coefficient, exponent: a.exponent + b.exponent });
+}
+
+/**
+ * a / b to 34 significant digits; exact quotients keep the fewest
+ * digits (10 / 4 -> 2.5).
+ */
+function divideDecimals(a, b) {
+    if (a.special !== undefined || b.special !== undefined || b.coefficient === 0n) return specialResult(a, b, (x, y) => x / y);
+    if (a.coefficient === 0n) return { coefficient: 0n, exponent: a.exponent - b.exponent };
+
+    const ideal = a.exponent - b.exponent;
+    const shift = Math.max(0, DECIMAL_DIGITS + 1 + digitCount(b.coefficient) - digitCount(a.coefficient));
+    let coefficient = (a.coefficient * 10n ** BigInt(shift)) / b.coefficient;
+    const exact = (a.coefficient * 10n ** BigInt(shift)) % b.coefficient === 0n;
+    let exponent = ideal - shift;
+
+    if (exact) {
+        while (exponent < ideal && coefficient % 10n === 0n) {
+            coefficient /= 10n;
+            exponent += 1;
+        }
+    }
+    return normalizeDecimal({ coefficient, exponent });
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. ARITHMETIC
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Combines `a` and `b` by kind. `onLongOverflow` is 'double' (the
+ * accumulators' behavior) or 'error' (returns null, for $inc/$mul).
+ */
+function combine(a, b, { int, long, double, decimal }, onLongOverflow) {
+    const operands = [a, b];
+    switch (widestKind(operands)) {
+        case 'decimal':
+            return makeDecimal(decimal(toDecimal(a), toDecimal(b)), operands);
+        case 'double':
+            return double(toDouble(a), toDouble(b));
+        case 'long': {
+            const result = long(toBigInt(a), toBigInt(b));
+            if (result >= INT64_MIN && result <= INT64_MAX) return makeLong(result, operands);
+            return onLongOverflow === 'error' ? null : double(toDouble(a), toDouble(b));
+        }
+        default: {
+            const result = int(toDouble(a), toDouble(b));
+            if (result >= INT32_MIN && result <= INT32_MAX) return result;
+            return combine(toBigInt(a), toBigInt(b), { int, long, double, decimal }, onLongOverflow);
+        }
+    }
+}
+
+function add(a, b, { onLongOverflow = 'double' } = {}) {
+    return combine(a, b, {
+        int: (x, y) => x + y,
+        long: (x, y) => x + y,
+        double: (x, y) => x + y,
+        decimal: addDecimals
+    }, onLongOverflow);
+}
+
+function subtract(a, b, { onLongOverflow = 'double' } = {}) {
+    return combine(a, b, {
+        int: (x, y) => x - y,
+        long: (x, y) => x - y,
+        double: (x, y) => x - y,
+        decimal: (x, y) => addDecimals(x, y.special !== undefined ? { special: -y.special } : { coefficient: -y.coefficient, exponent: y.exponent })
+    }, onLongOverflow);
+}
+
+function multiply(a, b, { onLongOverflow = 'double' } = {}) {
+    return combine(a, b, {
+        int: (x, y) => x * y,
+        long: (x, y) => x * y,
+        double: (x, y) => x * y,
+        decimal: multiplyDecimals
+    }, onLongOverflow);
+}
+
+/**
+ * a / b: a double, or a decimal if either operand is one. The caller
+ * rejects division by zero.
+ */
+function divide(a, b) {
+    const operands = [a, b];
+    if (widestKind(operands) === 'decimal') return makeDecimal(divideDecimals(toDecimal(a), toDecimal(b)), operands);
+    return toDouble(a) / toDouble(b);
+}
+
+/**
+ * Zero of the same kind as `value` (for $mul on a missing field).
+ */
+function zeroLike(value) {
+    return multiply(0, value);
+}
+
+module.exports = {
+    numericKind,
+    widestKind,
+    add,
+    subtract,
+    multiply,
+    divide,
+    zeroLike,
+    parseDecimal,
+    formatDecimal
+};
@@ -0,0 +1,117 @@
+/**
+ * TOOL: QUERY PATHS
+ * DESCRIPTION:
+ * Resolves a dotted query path ("items.qty") against a document the way
+ * the query engine does, including through arrays:
+ *
+ *   { items: [{ qty: 2 }, { qty: 8 }] }    'items.qty'  -> 2, 8
+ *   { items: [{ qty: 2 }, { sku: 'x' }] }  'items.qty'  -> 2, (missing)
+ *   { items: [{ qty: 2 }, { qty: 8 }] }    'items.1.qty' -> 8
+ *
+ * An array in the middle of a path is searched element by element; only
+ * embedded documents have fields, so scalar elements count as missing.
+ * A numeric path component ("items.1") both indexes the array and is
+ * looked up as a field name in its embedded documents.
+ *
+ * Every value found is a candidate { value, path } whose `path` is the
+ * concrete location ("items.1.qty"). Missing fields are candidates too,
+ * with the value MISSING, because { field: null } matches them.
+ */
+
+const { isDocument } = require('./bsonTypes');
+
+// The value of a path that does not exist (distinct from null)
+const MISSING = Symbol('missing');
+
+function isArrayIndex(part) {
+    return /^\d+$/.test(part);
+}
+
+function joinPath(prefix, part) {
+    return prefix ? `${prefix}.${part}` : String(part);
+}
+
+function walk(value, parts, index, trail, out) {
+    if (index === parts.length) {
+        out.push({ value, path: trail });
+        return;
+    }
+
+    const part = parts[index];
+
+    if (Array.isArray(value)) {
+        if (isArrayIndex(part)) {
+            const position = Number(part);
+            walk(position < value.length ? value[position] : MISSING, parts, index + 1, joinPath(trail, part), out);
+        }
+        value.forEach((element, position) => {
+            // Arrays nested directly in arrays are not searched
+            if (Array.isArray(element)) return;
+            walk(element, parts, index, joinPath(trail, position), out);
+        });
+        return;
+    }
+
+    if (isDocument(value) && Object.prototype.hasOwnProperty.call(value, part)) {
+        walk(value[part], parts, index + 1, joinPath(trail, part), out);
+        return;
+    }
+
+    out.push({ value: MISSING, path: joinPath(trail, parts.slice(index).join('.')) });
+}
+
+/**
+ * Every candidate for `path` in `doc`: [{ value, path }].
+ * Arrays at the end of the path are returned whole; operators decide
+ * whether to look inside them (see matcher.js).
+ */
+function queryCandidates(doc, path) {
+    const out = [];
+    walk(doc, String(path).split('.'), 0, '', out);
+    return out;
+}
+
+/**
+ * The value at `path` without array expansion (numeric components
+ * index arrays), or MISSING.
+ */
+function getPath(doc, path) {
+    let value = doc;
+    for (const part of String(path).split('.')) {
+        if (Array.isArray(value) && isArrayIndex(part)) {
+            value = Number(part) < value.length ? value[Number(part)] : MISSING;
+        } else if (isDocument(value) && Object.prototype.hasOwnProperty.call(value, part)) {
+            value = value[part];
+        } else {
+            return MISSING;
+        }
+    }
+    return value;
+}
+
+/**
+ * The value of an aggregation field path ("$items.qty" without the $):
+ * through an array it yields the array of each element's value, so
+ * { items: [{ qty: 2 }, { sku: 'x' }, { qty: 8 }] } gives [2, 8].
+ * Numeric components are field names here, never array indexes.
+ */
+function fieldPathValue(value, parts) {
+    if (parts.length === 0) return value;
+
+    if (Array.isArray(value)) {
+        return value.map(element => fieldPathValue(element, parts)).filter(element => element !== MISSING);
+    }
+    if (isDocument(value) && Object.prototype.hasOwnProperty.call(value, parts[0])) {
+        return fieldPathValue(value[parts[0]], parts.slice(1));
+    }
+    return MISSING;
+}
+
+module.exports = {
+    MISSING,
+    isArrayIndex,
+    joinPath,
+    queryCandidates,
+    getPath,
+    fieldPathValue
+};
@@ -0,0 +1,683 @@
+/**
+ * TOOL: AGGREGATION PIPELINES
+ * DESCRIPTION:
+ * Runs an aggregation pipeline over an array of plain JavaScript
+ * documents, stage by stage, with the server's semantics and errors -
+ * collection.aggregate(pipeline) without a server, e.g. to unit-test
+ * pipelines in CI.
+ *
+ * Stages: $match, $project, $addFields/$set, $unset, $group, $sort,
+ * $skip, $limit, $unwind, $replaceRoot/$replaceWith, $count,
+ * $sortByCount, $bucket, $bucketAuto, $facet and $redact. $addFields/$set, $unset, $project and
+ * $replaceRoot/$replaceWith are also the stages an update pipeline may
+ * use (updateMany(filter, [{ $set: ... }])), see updates.js.
+ *
+ * USAGE:
+ *   const { runPipeline } = require('./tools/localEngine/pipeline');
+ *   runPipeline(orders, [
+ *       { $match: { status: 'completed' } },
+ *       { $group: { _id: '$customerId', total: { $sum: '$amount' } } },
+ *       { $sort: { total: -1 } }
+ *   ]);
+ */
+
+const { bsonTypeOf, isDocument, isNumber, canonicalOrder, compareValues, valuesEqual, toDouble } = require('./bsonTypes');
+const { MISSING } = require('./paths');
+const { SYSTEM_VARIABLES, compileExpression, rootContext, typeName, compare } = require('./expressions');
+const { compileFilter } = require('./matcher');
+const { compileProjection } = require('./projection');
+const { compileSort } = require('./sorting');
+const { compileAccumulator } = require('./accumulators');
+const { granularityRounder } = require('./granularity');
+const { EngineError } = require('./errors');
+
+function stageError(code, message, codeName = 'Location' + code) {
+    return new EngineError(message, { code, codeName });
+}
+
+// -------------------------------------------------------------------------------------------
+// 1. $addFields / $set
+// -------------------------------------------------------------------------------------------
+
+/**
+ * { 'a.b': expr } and { a: { b: expr } } both set a.b; an embedded
+ * object without operators is a list of fields to set, not a literal.
+ */
+function compileAssignments(spec, scope, name) {
+    return Object.entries(spec).map(([key, value]) => {
+        if (key.startsWith('$')) {
+            throw stageError(16410, `FieldPath field names may not start with '$'. Consider using $getField or $setField.`);
+        }
+        const parts = key.split('.');
+        if (parts.some(part => part === '')) throw stageError(15998, 'FieldPath field names may not be empty strings.');
+
+        const keys = isDocument(value) ? Object.keys(value) : [];
+        if (keys.length > 0 && !keys[0].startsWith('$')) {
+            return { parts, nested: compileAssignments(value, scope, name) };
+        }
+        return { parts, expression: compileExpression(value, scope) };
+    });
+}
+
+function assignAll(assignments, doc, ctx) {
+    return assignments.reduce((out, assignment) => assign(out, assignment.parts, assignment, ctx), doc);
+}
+
+/**
+ * A copy of `target` with the assignment made at `parts`. Through an
+ * array the rest of the path is set in every element (scalars become
+ * documents); a missing or scalar field becomes a new document.
+ */
+function assign(target, parts, assignment, ctx) {
+    const [head, ...rest] = parts;
+    const out = { ...target };
+    const current = Object.prototype.hasOwnProperty.call(target, head) ? target[head] : MISSING;
+
+    let value;
+    if (rest.length > 0) value = descend(current, rest, assignment, ctx);
+    else if (assignment.nested) value = nestedValue(current, assignment.nested, ctx);
+    else value = assignment.expression(ctx);
+
+    if (value === MISSING) delete out[head];
+    else out[head] = value;
+    return out;
+}
+
+function descend(value, parts, assignment, ctx) {
+    if (Array.isArray(value)) return value.map(element => descend(element, parts, assignment, ctx));
+    return assign(isDocument(value) ? value : {}, parts, assignment, ctx);
+}
+
+function nestedValue(value, assignments, ctx) {
+    if (Array.isArray(value)) return value.map(element => nestedValue(element, assignments, ctx));
+    return assignAll(assignments, isDocument(value) ? value : {}, ctx);
+}
+
+function compileAddFields(spec, name, scope) {
+    if (!isDocument(spec)) throw stageError(40272, `${name} specification stage must be an object, got ${bsonTypeOf(spec)}`);
+    if (Object.keys(spec).length === 0) {
+        throw stageError(40177, `Invalid ${name} :: caused by :: specification must have at least one field`);
+    }
+    const assignments = compileAssignments(spec, scope, name);
+    return (docs, env) => docs.map(doc => assignAll(assignments, doc, env.context(doc)));
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. $project / $unset
+// -------------------------------------------------------------------------------------------
+
+function projectionValues(scope) {
+    return value => {
+        const expression = compileExpression(value, scope);
+        return ctx => expression(ctx);
+    };
+}
+
+function compileProject(spec, name, scope) {
+    if (!isDocument(spec)) throw stageError(15969, `${name} specification must be an object`);
+    const project = compileProjection(spec, { compileValue: projectionValues(scope) });
+    return (docs, env) => docs.map(doc => project(doc, env.context(doc)));
+}
+
+/**
+ * { $unset: 'password' } or { $unset: ['password', 'address.zip'] } is
+ * an exclusion projection.
+ */
+function compileUnset(spec, name) {
+    const fields = typeof spec === 'string' ? [spec] : spec;
+    if (!Array.isArray(fields) || !fields.every(field => typeof field === 'string')) {
+        throw stageError(31002, `${name} specification must be a string or an array containing only string values`);
+    }
+    if (fields.length === 0) throw stageError(31119, `${name} specification must be a string or an array with at least one field`);
+
+    const project = compileProjection(Object.fromEntries(fields.map(field => [field, 0])));
+    return docs => docs.map(doc => project(doc));
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. $replaceRoot / $replaceWith
+// -------------------------------------------------------------------------------------------
+
+function compileReplaceRoot(spec, name, scope) {
+    let newRoot = spec;
+    if (name === '$replaceRoot') {
+        if (!isDocument(spec) || !('newRoot' in spec)) throw stageError(40231, `no newRoot specified for the $replaceRoot stage`);
+        newRoot = spec.newRoot;
+    }
+    const expression = compileExpression(newRoot, scope);
+
+    return (docs, env) => docs.map(doc => {
+        const value = expression(env.context(doc));
+        if (!isDocument(value)) {
+            throw stageError(40228, `'newRoot' expression must evaluate to an object, but resulting value was: ${value === MISSING ? 'MISSING' : JSON.stringify(value)}. Type of resulting value: '${typeName(value)}'.`);
+        }
+        return value;
+    });
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. $match / $sort / $skip / $limit
+// -------------------------------------------------------------------------------------------
+
+function compileMatch(spec, name) {
+    if (!isDocument(spec)) throw stageError(15959, 'the match filter must be an expression in an object');
+    const matches = compileFilter(spec);
+    return docs => docs.filter(doc => matches(doc));
+}
+
+function compileSortStage(spec, name) {
+    const compare = compileSort(spec, name);
+    return docs => [...docs].sort(compare);
+}
+
+function requireCount(spec, name, allowZero) {
+    if (!isNumber(spec) || !Number.isInteger(toDouble(spec))) {
+        throw stageError(15957, `the ${name.slice(1)} must be specified as a number`);
+    }
+    const count = toDouble(spec);
+    if (count < 0 || (count === 0 && !allowZero)) {
+        throw stageError(15958, `the ${name.slice(1)} must be ${allowZero ? 'non-negative' : 'positive'}`);
+    }
+    return count;
+}
+
+// -------------------------------------------------------------------------------------------
+// 5. $group / $count / $sortByCount
+// -------------------------------------------------------------------------------------------
+
+/**
+ * A cheap key that equal group ids share (1, 1.0 and Long(1) alike);
+ * ids with the same key are then told apart with valuesEqual.
+ */
+function groupHash(value) {
+    if (isNumber(value)) return `n:${toDouble(value)}`;
+    if (typeof value === 'string') return `s:${value}`;
+    if (value instanceof Date) return `d:${value.getTime()}`;
+    return `${canonicalOrder(value)}:`;
+}
+
+/**
+ * The accumulated fields of a $group (or a $bucket's `output`):
+ * [[field, compiled accumulator], ...].
+ */
+function compileGroupFields(spec, scope) {
+    return Object.entries(spec).map(([field, accumulator]) => {
+        if (field.startsWith('$')) throw stageError(40236, `The field name '${field}' cannot be an operator name`);
+        if (field.includes('.')) throw stageError(40235, `The field name '${field}' cannot contain '.'`);
+        return [field, compileAccumulator(accumulator, field, scope)];
+    });
+}
+
+function startGroup(key, fields, groupCtx) {
+    return { key, states: fields.map(([, accumulator]) => accumulator.initial(groupCtx)) };
+}
+
+function addToGroup(group, fields, ctx) {
+    fields.forEach(([, accumulator], index) => {
+        group.states[index] = accumulator.accumulate(group.states[index], accumulator.argument(ctx));
+    });
+}
+
+function finishGroup(group, fields) {
+    const out = { _id: group.key };
+    fields.forEach(([field, accumulator], index) => {
+        out[field] = accumulator.finalize(group.states[index]);
+    });
+    return out;
+}
+
+/**
+ * Groups `docs` by keyOf(ctx); groups come out in the order their first
+ * document came in.
+ */
+function groupDocuments(docs, env, keyOf, fields) {
+    const buckets = new Map();
+    const groups = [];
+    for (const doc of docs) {
+        const ctx = env.context(doc);
+        let key = keyOf(ctx);
+        if (key === MISSING) key = null;
+
+        const hash = groupHash(key);
+        if (!buckets.has(hash)) buckets.set(hash, []);
+        let group = buckets.get(hash).find(candidate => valuesEqual(candidate.key, key));
+        if (!group) {
+            group = startGroup(key, fields, env.context({ _id: key }));
+            buckets.get(hash).push(group);
+            groups.push(group);
+        }
+        addToGroup(group, fields, ctx);
+    }
+    return groups.map(group => finishGroup(group, fields));
+}
+
+/**
+ * { _id: <expression>, <field>: { <accumulator>: <expression> }, ... }.
+ */
+function compileGroup(spec, name, scope) {
+    if (!isDocument(spec)) throw stageError(15947, 'a group\'s fields must be specified in an object');
+    if (!('_id' in spec)) throw stageError(15955, 'a group specification must include an _id');
+
+    const id = compileExpression(spec._id, scope);
+    const { _id, ...accumulated } = spec;
+    const fields = compileGroupFields(accumulated, scope);
+    return (docs, env) => groupDocuments(docs, env, id, fields);
+}
+
+/**
+ * A $-prefixed path or an { $operator: ... } expression - what
+ * $sortByCount, $bucket and $bucketAuto group by.
+ */
+function isGroupByExpression(spec) {
+    const isPath = typeof spec === 'string' && spec.startsWith('$') && !spec.startsWith('$$');
+    const isExpression = isDocument(spec) && Object.keys(spec).length === 1 && Object.keys(spec)[0].startsWith('$');
+    return isPath || isExpression;
+}
+
+function compileCount(spec, name) {
+    if (typeof spec !== 'string') throw stageError(40156, 'the count field must be a non-empty string');
+    if (spec === '') throw stageError(40157, 'the count field must be a non-empty string');
+    if (spec.startsWith('$')) throw stageError(40158, 'the count field cannot be a $-prefixed path');
+    if (spec.includes('.')) throw stageError(40160, 'the count field cannot contain \'.\'');
+
+    // No input documents, no output document
+    return docs => (docs.length > 0 ? [{ [spec]: docs.length }] : []);
+}
+
+/**
+ * { $sortByCount: expr } is { $group: { _id: expr, count: { $sum: 1 } } }
+ * followed by { $sort: { count: -1 } }.
+ */
+function compileSortByCount(spec, name, scope) {
+    if (!isGroupByExpression(spec)) {
+        throw stageError(40148, 'the sortByCount field must be defined as a $-prefixed path or an expression inside an object');
+    }
+    const group = compileGroup({ _id: spec, count: { $sum: 1 } }, '$group', scope);
+    const sort = compileSortStage({ count: -1 }, '$sort');
+    return (docs, env) => sort(group(docs, env), env);
+}
+
+// -------------------------------------------------------------------------------------------
+// 6. $unwind
+// -------------------------------------------------------------------------------------------
+
+/**
+ * The value at a path of embedded documents (arrays are not searched).
+ */
+function documentPath(doc, parts) {
+    let value = doc;
+    for (const part of parts) {
+        if (!isDocument(value) || !Object.prototype.hasOwnProperty.call(value, part)) return MISSING;
+        value = value[part];
+    }
+    return value;
+}
+
+/**
+ * A copy of `doc` with the value at `parts` replaced (MISSING removes it).
+ */
+function replacePath(doc, parts, value) {
+    const [head, ...rest] = parts;
+    const out = { ...doc };
+    const next = rest.length > 0 ? replacePath(doc[head], rest, value) : value;
+    if (next === MISSING) delete out[head];
+    else out[head] = next;
+    return out;
+}
+
+/**
+ * { $unwind: '$items' } or
+ * { $unwind: { path: '$items', includeArrayIndex: 'i', preserveNullAndEmptyArrays: true } }:
+ * one document per element. A non-array value counts as a
+ * one-element array; null, missing and [] give no document unless
+ * preserveNullAndEmptyArrays is set.
+ */
+function compileUnwind(spec, name) {
+    const options = typeof spec === 'string' ? { path: spec } : spec;
+    if (!isDocument(options)) {
+        throw stageError(15981, `expected either a string or an object as specification for $unwind stage, got ${bsonTypeOf(spec)}`);
+    }
+    const { path, includeArrayIndex, preserveNullAndEmptyArrays = false } = options;
+    for (const key of Object.keys(options)) {
+        if (!['path', 'includeArrayIndex', 'preserveNullAndEmptyArrays'].includes(key)) {
+            throw stageError(28811, `unrecognized option to $unwind stage: ${key}`);
+        }
+    }
+    if (typeof path !== 'string') throw stageError(28812, 'no path specified to $unwind stage');
+    if (!path.startsWith('$')) throw stageError(28818, `path option to $unwind stage should be prefixed with a '$': ${path}`);
+    if (includeArrayIndex !== undefined && (typeof includeArrayIndex !== 'string' || includeArrayIndex === '')) {
+        throw stageError(28810, 'expected a non-empty string for the includeArrayIndex option to $unwind stage');
+    }
+    if (typeof includeArrayIndex === 'string' && includeArrayIndex.startsWith('$')) {
+        throw stageError(28822, `includeArrayIndex option to $unwind stage should not be prefixed with a '$': ${includeArrayIndex}`);
+    }
+    if (typeof preserveNullAndEmptyArrays !== 'boolean') {
+        throw stageError(28809, 'expected a boolean for the preserveNullAndEmptyArrays option to $unwind stage');
+    }
+
+    const parts = path.slice(1).split('.');
+    const indexParts = includeArrayIndex ? includeArrayIndex.split('.') : null;
+    const withIndex = (doc, index) => (indexParts ? replacePath(doc, indexParts, index) : doc);
+
+    return docs => docs.flatMap(doc => {
+        const value = documentPath(doc, parts);
+        if (Array.isArray(value) && value.length > 0) {
+            return value.map((element, index) => withIndex(replacePath(doc, parts, element), index));
+        }
+        if (Array.isArray(value)) return preserveNullAndEmptyArrays ? [withIndex(replacePath(doc, parts, MISSING), null)] : [];
+        if (value === MISSING || value === null) return preserveNullAndEmptyArrays ? [withIndex(doc, null)] : [];
+        return [withIndex(doc, null)];
+    });
+}
+
+// -------------------------------------------------------------------------------------------
+// 7. $bucket / $bucketAuto
+// -------------------------------------------------------------------------------------------
+
+function checkOptions(spec, name, allowed, code) {
+    for (const key of Object.keys(spec)) {
+        if (!allowed.includes(key)) throw stageError(code, `Unrecognized option to ${name}: ${key}.`);
+    }
+}
+
+/**
+ * { groupBy, boundaries: [0, 10, 50], default: 'Other', output }: one
+ * document per non-empty range [boundaries[i], boundaries[i + 1]), with
+ * the lower boundary as _id, sorted by _id. Values outside every range
+ * go to the `default` bucket, which is an error without one. `output`
+ * holds $group accumulators and defaults to { count: { $sum: 1 } }.
+ */
+function compileBucket(spec, name, scope) {
+    if (!isDocument(spec)) throw stageError(40201, `Argument to $bucket stage must be an object, but found type: ${bsonTypeOf(spec)}.`);
+    checkOptions(spec, name, ['groupBy', 'boundaries', 'default', 'output'], 40197);
+    if (!('groupBy' in spec) || !('boundaries' in spec)) {
+        throw stageError(40198, '$bucket requires \'groupBy\' and \'boundaries\' to be specified.');
+    }
+    if (!isGroupByExpression(spec.groupBy)) {
+        throw stageError(40202, `The $bucket 'groupBy' field must be defined as a $-prefixed path or an expression, but found: ${JSON.stringify(spec.groupBy)}.`);
+    }
+
+    const { boundaries } = spec;
+    if (!Array.isArray(boundaries)) {
+        throw stageError(40200, `The $bucket 'boundaries' field must be an array, but found type: ${bsonTypeOf(boundaries)}.`);
+    }
+    if (boundaries.length < 2) {
+        throw stageError(40192, `The $bucket 'boundaries' field must have at least 2 values, but found ${boundaries.length} value(s).`);
+    }
+    boundaries.forEach((boundary, index) => {
+        if (index === 0) return;
+        const previous = boundaries[index - 1];
+        if (canonicalOrder(boundary) !== canonicalOrder(previous)) {
+            throw stageError(40193, `All values in the the 'boundaries' option to $bucket must have the same type. Found conflicting types ${bsonTypeOf(previous)} and ${bsonTypeOf(boundary)}.`);
+        }
+        if (compareValues(previous, boundary) >= 0) {
+            throw stageError(40194, `The 'boundaries' option to $bucket must be sorted in ascending order, but elements ${index - 1} and ${index} are not in ascending order (${JSON.stringify(previous)} is not less than ${JSON.stringify(boundary)}).`);
+        }
+    });
+
+    const lowest = boundaries[0];
+    const highest = boundaries[boundaries.length - 1];
+    const hasDefault = 'default' in spec;
+    if (hasDefault && canonicalOrder(spec.default) === canonicalOrder(lowest)
+        && compareValues(spec.default, lowest) >= 0 && compareValues(spec.default, highest) < 0) {
+        throw stageError(40199, 'The $bucket \'default\' field must be less than the lowest boundary or greater than or equal to the highest boundary.');
+    }
+
+    const output = spec.output === undefined ? { count: { $sum: 1 } } : spec.output;
+    if (!isDocument(output)) throw stageError(40196, `The $bucket 'output' field must be an object, but found type: ${bsonTypeOf(output)}.`);
+    const fields = compileGroupFields(output, scope);
+    const groupBy = compileExpression(spec.groupBy, scope);
+
+    const bucketOf = ctx => {
+        const value = groupBy(ctx);
+        if (compare(value, lowest) >= 0 && compare(value, highest) < 0) {
+            return boundaries[boundaries.findIndex(boundary => compare(value, boundary) < 0) - 1];
+        }
+        if (!hasDefault) {
+            throw stageError(40066, '$switch could not find a matching branch for an input, and no default was specified.');
+        }
+        return spec.default;
+    };
+    return (docs, env) => groupDocuments(docs, env, bucketOf, fields).sort((a, b) => compareValues(a._id, b._id));
+}
+
+/**
+ * { groupBy, buckets: 5, output, granularity }: the documents sorted by
+ * groupBy and cut into `buckets` runs of about the same size, each with
+ * _id: { min, max }. Equal values never straddle two buckets, so there
+ * may be fewer buckets than asked for. A bucket's max is the next
+ * bucket's min (the last bucket's max is its largest value); with a
+ * granularity the boundaries are rounded to that series instead (see
+ * granularity.js).
+ */
+function compileBucketAuto(spec, name, scope) {
+    if (!isDocument(spec)) throw stageError(40240, `The argument to $bucketAuto must be an object, but found type: ${bsonTypeOf(spec)}.`);
+    checkOptions(spec, name, ['groupBy', 'buckets', 'output', 'granularity'], 40245);
+    if (!('groupBy' in spec) || !('buckets' in spec)) {
+        throw stageError(40246, '$bucketAuto requires \'groupBy\' and \'buckets\' to be specified');
+    }
+    if (!isGroupByExpression(spec.groupBy)) {
+        throw stageError(40239, `The $bucketAuto 'groupBy' field must be defined as a $-prefixed path or an expression object, but found: ${JSON.stringify(spec.groupBy)}`);
+    }
+    if (!isNumber(spec.buckets)) {
+        throw stageError(40241, `The $bucketAuto 'buckets' field must be a numeric value, but found type: ${bsonTypeOf(spec.buckets)}`);
+    }
+    const count = toDouble(spec.buckets);
+    if (!Number.isInteger(count) || count < -(2 ** 31) || count >= 2 ** 31) {
+        throw stageError(40242, `The $bucketAuto 'buckets' field must be representable as a 32-bit integer, but found ${count}`);
+    }
+    if (count <= 0) throw stageError(40243, `The $bucketAuto 'buckets' field must be greater than 0, but found: ${count}`);
+
+    const output = spec.output === undefined ? { count: { $sum: 1 } } : spec.output;
+    if (!isDocument(output)) throw stageError(40244, `The $bucketAuto 'output' field must be an object, but found type: ${bsonTypeOf(output)}`);
+    if (spec.granularity !== undefined && typeof spec.granularity !== 'string') {
+        throw stageError(40261, `The $bucketAuto 'granularity' field must be a string, but found type: ${bsonTypeOf(spec.granularity)}`);
+    }
+    const rounder = spec.granularity === undefined ? null : granularityRounder(spec.granularity);
+    const fields = compileGroupFields(output, scope);
+    const groupBy = compileExpression(spec.groupBy, scope);
+
+    return (docs, env) => {
+        const entries = docs.map(doc => {
+            const ctx = env.context(doc);
+            const value = groupBy(ctx);
+            return { ctx, value: value === MISSING ? null : value };
+        });
+        if (rounder) entries.forEach(entry => rounder.roundUp(entry.value));
+        entries.sort((a, b) => compareValues(a.value, b.value));
+
+        const size = Math.max(1, Math.round(entries.length / count));
+        const buckets = [];
+        let next = 0;
+        while (next < entries.length && buckets.length < count) {
+            const isLast = buckets.length === count - 1;
+            const first = entries[next];
+            const bucket = { min: first.value, max: first.value, group: startGroup(null, fields, env.context({})) };
+            const add = entry => {
+                bucket.max = entry.value;
+                addToGroup(bucket.group, fields, entry.ctx);
+                next++;
+            };
+
+            const end = isLast ? entries.length : Math.min(next + size, entries.length);
+            while (next < end) add(entries[next]);
+            if (isLast && rounder) {
+                bucket.max = rounder.roundUp(bucket.max);
+            } else if (rounder) {
+                // Take in whatever falls below the rounded-up boundary
+                const boundary = rounder.roundUp(bucket.max);
+                while (next < entries.length && compareValues(entries[next].value, boundary) < 0) add(entries[next]);
+                // A boundary of 0 would make an empty range; end at the next value rounded down instead
+                bucket.max = boundary === 0 && next < entries.length ? rounder.roundDown(entries[next].value) : boundary;
+            } else if (!isLast) {
+                // Equal values stay in one bucket
+                while (next < entries.length && compareValues(entries[next].value, bucket.max) === 0) add(entries[next]);
+                if (next < entries.length) bucket.max = entries[next].value;
+            }
+            buckets.push(bucket);
+        }
+
+        if (rounder && buckets.length > 0) {
+            buckets[0].min = rounder.roundDown(buckets[0].min);
+            buckets.forEach((bucket, index) => {
+                if (index > 0) bucket.min = buckets[index - 1].max;
+            });
+        }
+
+        return buckets.map(({ min, max, group }) => ({ ...finishGroup(group, fields), _id: { min, max } }));
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 8. $facet / $redact
+// -------------------------------------------------------------------------------------------
+
+/**
+ * { name: [<stage>, ...], ... }: every sub-pipeline runs over the same
+ * input; the output is one document with each pipeline's results as an
+ * array under its name.
+ */
+function compileFacet(spec, name, scope) {
+    if (!isDocument(spec) || Object.keys(spec).length === 0) {
+        throw stageError(40169, `the $facet specification must be a non-empty object, but found: ${JSON.stringify(spec)}`);
+    }
+    const facets = Object.entries(spec).map(([field, pipeline]) => {
+        if (field === '' || field.startsWith('$') || field.includes('.')) {
+            throw stageError(40172, `$facet output field '${field}' must be a non-empty field name that does not start with '$' and does not contain '.'`);
+        }
+        if (!Array.isArray(pipeline)) {
+            throw stageError(40170, `arguments to $facet must be arrays, ${field} is type ${bsonTypeOf(pipeline)}`);
+        }
+        return [field, compileStages(pipeline, scope, { inFacet: true })];
+    });
+    return (docs, env) => [Object.fromEntries(facets.map(([field, stages]) => [field, runStages(stages, docs, env)]))];
+}
+
+const REDACT_VARIABLES = { DESCEND: 'descend', PRUNE: 'prune', KEEP: 'keep' };
+
+/**
+ * { $redact: <expression> } evaluates the expression for the document
+ * and then for each embedded document, with $$CURRENT set to it:
+ * $$DESCEND keeps the level and goes on into its embedded documents
+ * (also those in arrays), $$PRUNE removes the level and everything in it,
+ * $$KEEP keeps it as it is.
+ */
+function compileRedact(spec, name, scope) {
+    const expression = compileExpression(spec, new Set([...scope, ...Object.keys(REDACT_VARIABLES)]));
+
+    return (docs, env) => docs.flatMap(doc => {
+        const { vars } = env.context(doc);
+        const redactValue = value => {
+            if (isDocument(value)) return redactDocument(value);
+            if (Array.isArray(value)) return value.map(redactValue).filter(element => element !== MISSING);
+            return value;
+        };
+        const redactDocument = current => {
+            const result = expression({ vars: { ...vars, ...REDACT_VARIABLES, CURRENT: current } });
+            if (result === REDACT_VARIABLES.KEEP) return current;
+            if (result === REDACT_VARIABLES.PRUNE) return MISSING;
+            if (result !== REDACT_VARIABLES.DESCEND) {
+                throw stageError(17053, `$redact's expression should not return anything aside from the variables $$KEEP, $$DESCEND, and $$PRUNE, but returned ${result === MISSING ? 'MISSING' : JSON.stringify(result)}`);
+            }
+            const out = {};
+            for (const [field, value] of Object.entries(current)) {
+                const redacted = redactValue(value);
+                if (redacted !== MISSING) out[field] = redacted;
+            }
+            return out;
+        };
+        const redacted = redactDocument(doc);
+        return redacted === MISSING ? [] : [redacted];
+    });
+}
+
+// -------------------------------------------------------------------------------------------
+// 9. STAGES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * compile(spec, name, scope) returns (docs, env) -> docs, where
+ * env.context(doc) is the expression context for a document.
+ * `update: true` marks the stages allowed in update pipelines,
+ * `facet: false` those not allowed inside $facet.
+ */
+const STAGES = {
+    $match: { compile: compileMatch },
+    $addFields: { compile: compileAddFields, update: true },
+    $set: { compile: compileAddFields, update: true },
+    $project: { compile: compileProject, update: true },
+    $unset: { compile: compileUnset, update: true },
+    $replaceRoot: { compile: compileReplaceRoot, update: true },
+    $replaceWith: { compile: compileReplaceRoot, update: true },
+    $group: { compile: compileGroup },
+    $sort: { compile: compileSortStage },
+    $skip: {
+        compile: (spec, name) => {
+            const count = requireCount(spec, name, true);
+            return docs => docs.slice(count);
+        }
+    },
+    $limit: {
+        compile: (spec, name) => {
+            const count = requireCount(spec, name, false);
+            return docs => docs.slice(0, count);
+        }
+    },
+    $unwind: { compile: compileUnwind },
+    $count: { compile: compileCount },
+    $sortByCount: { compile: compileSortByCount },
+    $bucket: { compile: compileBucket },
+    $bucketAuto: { compile: compileBucketAuto },
+    $facet: { compile: compileFacet, facet: false },
+    $redact: { compile: compileRedact }
+};
+
+/**
+ * The compiled stages of `pipeline`; `forUpdate` allows only the update
+ * pipeline stages, `inFacet` only those a $facet may run.
+ */
+function compileStages(pipeline, scope, { forUpdate = false, inFacet = false } = {}) {
+    if (!Array.isArray(pipeline)) throw stageError(14, 'A pipeline must be an array of stages', 'TypeMismatch');
+
+    return pipeline.map(stage => {
+        if (!isDocument(stage) || Object.keys(stage).length !== 1) {
+            throw stageError(40323, 'A pipeline stage specification object must contain exactly one field.');
+        }
+        const [name] = Object.keys(stage);
+        const definition = STAGES[name];
+        if (!definition) throw stageError(40324, `Unrecognized pipeline stage name: '${name}'`);
+        if (forUpdate && !definition.update) throw stageError(72, `${name} is not allowed to be used within an update`, 'InvalidOptions');
+        if (inFacet && definition.facet === false) throw stageError(40600, `${name} is not allowed to be used within a $facet stage`);
+        return definition.compile(stage[name], name, scope);
+    });
+}
+
+function runStages(stages, docs, env) {
+    return stages.reduce((current, stage) => stage(current, env), docs);
+}
+
+/**
+ * Compiles `pipeline` into docs -> docs. `variables` become $$ variables;
+ * `forUpdate` allows only the update pipeline stages.
+ */
+function compilePipeline(pipeline, { variables = {}, forUpdate = false } = {}) {
+    const scope = new Set([...SYSTEM_VARIABLES, ...Object.keys(variables)]);
+    const stages = compileStages(pipeline, scope, { forUpdate });
+
+    return docs => {
+        // $$NOW is the same for every stage and document
+        const now = new Date();
+        const env = { context: doc => rootContext(doc, { ...variables, NOW: now }) };
+        return runStages(stages, docs, env);
+    };
+}
+
+function runPipeline(docs, pipeline, options) {
+    return compilePipeline(pipeline, options)(docs);
+}
+
+module.exports = {
+    STAGES,
+    compilePipeline,
+    runPipeline
+};
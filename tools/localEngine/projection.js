@@ -0,0 +1,344 @@
+/**
+ * TOOL: PROJECTIONS
+ * DESCRIPTION:
+ * Applies a projection document - { name: 1, 'address.city': 1 },
+ * { password: 0 }, { total: { $multiply: ['$price', '$qty'] } } - to a
+ * plain JavaScript document with the server's rules:
+ *
+ *   - A projection either includes fields (1, true, any non-zero number,
+ *     or a computed expression) or excludes them (0, false). Mixing the
+ *     two is an error, except for _id.
+ *   - _id is kept unless the projection excludes it.
+ *   - Inclusion keeps the document's field order and appends computed
+ *     fields in projection order. Expressions see the whole document.
+ *   - Dotted paths and nested objects ({ 'a.b': 1 } = { a: { b: 1 } })
+ *     apply to every element of an array on the way; including a field
+ *     drops array elements that are not documents.
+ *
+ * find() projections (applyFindProjection, findDocuments) also take the
+ * array operators. $elemMatch and "$" include their field; $slice works
+ * in either kind of projection and on its own excludes nothing:
+ *
+ *   { comments: { $slice: 3 } }, { $slice: -2 }, { $slice: [10, 5] }
+ *   { comments: { $elemMatch: { rating: { $gte: 4 } } } }   first match, placed last
+ *   { 'comments.$': 1 }   the element the query filter matched
+ *
+ * USAGE:
+ *   const { applyProjection, findDocuments } = require('./tools/localEngine/projection');
+ *   applyProjection({ _id: 1, name: 'Ann', password: 'x' }, { password: 0 });  // { _id: 1, name: 'Ann' }
+ *   findDocuments(posts, { 'comments.author': 'john' }, { title: 1, 'comments.$': 1 });
+ */
+
+const { bsonTypeOf, isDocument, isNumber, toDouble } = require('./bsonTypes');
+const { MISSING } = require('./paths');
+const { compileExpression, rootContext } = require('./expressions');
+const { compileFilter, compileElementMatcher, matchedIndex } = require('./matcher');
+const { EngineError } = require('./errors');
+
+function projectionError(code, message) {
+    return new EngineError(message, { code, codeName: 'Location' + code });
+}
+
+// -------------------------------------------------------------------------------------------
+// 1. PARSING
+// -------------------------------------------------------------------------------------------
+
+function isSliceOperand(operand) {
+    return isNumber(operand) || (Array.isArray(operand) && operand.length === 2 && operand.every(isNumber));
+}
+
+/**
+ * 'include', 'exclude' or 'computed' for a projection value, 'nested'
+ * for a sub-projection object, and in find projections 'slice' or
+ * 'elemMatch'.
+ */
+function classify(value, find) {
+    if (value === true || (isNumber(value) && toDouble(value) !== 0)) return 'include';
+    if (value === false || isNumber(value)) return 'exclude';
+    if (!isDocument(value)) return 'computed';
+
+    const keys = Object.keys(value);
+    if (keys.length > 0 && !keys[0].startsWith('$')) return 'nested';
+    if (find && keys.length === 1 && keys[0] === '$slice' && isSliceOperand(value.$slice)) return 'slice';
+    if (find && keys.length === 1 && keys[0] === '$elemMatch') return 'elemMatch';
+    return 'computed';
+}
+
+function newNode() {
+    return { fields: new Map(), hasComputed: false };
+}
+
+/**
+ * { $slice: 3 } -> first 3, -2 -> last 2, [10, 5] -> 5 after skipping
+ * 10 (a negative skip counts from the end).
+ */
+function compileSlice(operand, path) {
+    if (isNumber(operand)) {
+        const count = toDouble(operand);
+        return array => (count >= 0 ? array.slice(0, count) : array.slice(count));
+    }
+    const [skip, limit] = operand.map(toDouble);
+    if (limit <= 0) throw projectionError(31257, `Invalid $slice projection on ${path}: limit must be positive`);
+    return array => {
+        const start = skip >= 0 ? skip : Math.max(0, array.length + skip);
+        return array.slice(start, start + limit);
+    };
+}
+
+/**
+ * 'comments.$' -> 'comments'; the $ has to end the path, once per
+ * projection, and only includes.
+ */
+function positionalPath(key, value, state) {
+    const parts = key.split('.');
+    const dollar = parts.indexOf('$');
+    if (dollar === -1) return null;
+    if (dollar !== parts.length - 1) {
+        throw projectionError(31394, `As of 4.4, it's illegal to specify positional operator in the middle of a path.Positional projection may only be used at the end, for example: a.b.$. If the query previously used a form like a.b.$.d, remove the parts following the '$' and the results will be equivalent.`);
+    }
+    if (classify(value, true) !== 'include') throw projectionError(31395, 'positional projection cannot be used with exclusion');
+    if (state.positional) throw projectionError(31276, 'Cannot specify more than one positional proj. per query.');
+    state.positional = true;
+    return parts.slice(0, -1).join('.');
+}
+
+/**
+ * Parses `spec` into a tree of nodes: node.fields maps a field name to
+ * { action: 'include' | 'exclude' | 'computed' | 'nested' | 'slice' |
+ * 'elemMatch' | 'positional', ... }. `state.mode` collects 'inclusion'
+ * or 'exclusion'.
+ */
+function parse(spec, node, prefix, state) {
+    for (const [rawKey, value] of Object.entries(spec)) {
+        const positional = state.find ? positionalPath(rawKey, value, state) : null;
+        const key = positional === null ? rawKey : positional;
+        const fullPath = prefix ? `${prefix}.${key}` : key;
+        if (key === '' || key.split('.').some(part => part === '')) {
+            throw projectionError(40352, `FieldPath cannot be constructed with empty string`);
+        }
+        if (key.split('.').some(part => part.startsWith('$'))) {
+            throw projectionError(16410, `FieldPath field names may not start with '$'. Consider using $getField or $setField.`);
+        }
+
+        const parts = key.split('.');
+        let target = node;
+        for (const [index, part] of parts.slice(0, -1).entries()) {
+            const existing = target.fields.get(part);
+            if (existing && existing.action !== 'nested') {
+                throw projectionError(31250, `Path collision at ${fullPath} remaining portion ${parts.slice(index + 1).join('.')}`);
+            }
+            if (!existing) target.fields.set(part, { action: 'nested', node: newNode() });
+            target = target.fields.get(part).node;
+        }
+
+        const name = parts[parts.length - 1];
+        if (target.fields.has(name)) throw projectionError(31250, `Path collision at ${fullPath}`);
+
+        const action = positional === null ? classify(value, state.find) : 'positional';
+        if (action === 'nested') {
+            const child = newNode();
+            parse(value, child, fullPath, state);
+            target.fields.set(name, { action, node: child });
+            continue;
+        }
+        if (isDocument(value) && Object.keys(value).length === 0) {
+            throw projectionError(51270, `An empty sub-projection is not a valid value. Found empty object at path ${fullPath}`);
+        }
+
+        // $slice works with either kind of projection; $elemMatch is an inclusion
+        if ((fullPath !== '_id' || action === 'computed') && action !== 'slice') {
+            const mode = action === 'exclude' ? 'exclusion' : 'inclusion';
+            if (state.mode && state.mode !== mode) {
+                throw action === 'exclude'
+                    ? projectionError(31254, `Cannot do exclusion on field ${fullPath} in inclusion projection`)
+                    : projectionError(31253, `Cannot do inclusion on field ${fullPath} in exclusion projection`);
+            }
+            state.mode = mode;
+        }
+
+        const entry = { action };
+        if (action === 'computed') {
+            entry.expression = state.compileValue(value, fullPath);
+            target.hasComputed = true;
+        } else if (action === 'slice') {
+            entry.slice = compileSlice(value.$slice, fullPath);
+        } else if (action === 'elemMatch') {
+            if (parts.length > 1 || prefix) throw projectionError(31275, 'Cannot use $elemMatch projection on a nested field.');
+            if (!isDocument(value.$elemMatch)) {
+                throw projectionError(31274, `elemMatch: Invalid argument, object required, but got ${bsonTypeOf(value.$elemMatch)}`);
+            }
+            entry.matches = compileElementMatcher(value.$elemMatch);
+        } else if (action === 'positional') {
+            entry.path = fullPath;
+        }
+        target.fields.set(name, entry);
+    }
+
+    // A computed field anywhere below marks every node on the way
+    for (const entry of node.fields.values()) {
+        if (entry.action === 'nested' && entry.node.hasComputed) node.hasComputed = true;
+    }
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. APPLYING
+// -------------------------------------------------------------------------------------------
+
+function sliceValue(entry, value) {
+    return Array.isArray(value) ? entry.slice(value) : value;
+}
+
+/**
+ * The element the query matched, as a one-element array.
+ */
+function positionalValue(entry, value, ctx) {
+    if (!Array.isArray(value)) return value;
+    const index = matchedIndex(ctx.trace, entry.path);
+    if (index === null || Number(index) >= value.length) {
+        throw projectionError(51246, `Executor error during find command :: caused by :: positional operator '.$' couldn't find a matching element in the array`);
+    }
+    return [value[Number(index)]];
+}
+
+/**
+ * Fields projected after all others: computed fields, and $elemMatch
+ * (the first matching element, or nothing).
+ */
+function appendFields(node, doc, out, ctx) {
+    for (const [key, entry] of node.fields) {
+        if (entry.action === 'computed') {
+            const value = entry.expression(ctx, doc);
+            if (value === MISSING) delete out[key];
+            else out[key] = value;
+        } else if (entry.action === 'elemMatch') {
+            const value = Array.isArray(doc[key]) ? doc[key].find(entry.matches) : undefined;
+            delete out[key];
+            if (value !== undefined) out[key] = [value];
+        } else if (entry.action === 'nested' && entry.node.hasComputed && !(key in doc)) {
+            out[key] = includeFields(entry.node, {}, ctx);
+        }
+    }
+    return out;
+}
+
+function includeValue(node, value, ctx) {
+    if (Array.isArray(value)) {
+        return value
+            .map(element => includeValue(node, element, ctx))
+            .filter(element => element !== MISSING);
+    }
+    if (isDocument(value)) return includeFields(node, value, ctx);
+    return node.hasComputed ? includeFields(node, {}, ctx) : MISSING;
+}
+
+function includeFields(node, doc, ctx) {
+    const out = {};
+    for (const [key, value] of Object.entries(doc)) {
+        const entry = node.fields.get(key);
+        if (!entry) continue;
+        if (entry.action === 'include') out[key] = value;
+        if (entry.action === 'slice') out[key] = sliceValue(entry, value);
+        if (entry.action === 'positional') out[key] = positionalValue(entry, value, ctx);
+        if (entry.action === 'nested') {
+            const projected = includeValue(entry.node, value, ctx);
+            if (projected !== MISSING) out[key] = projected;
+        }
+    }
+    return appendFields(node, doc, out, ctx);
+}
+
+function excludeValue(node, value, ctx) {
+    if (Array.isArray(value)) return value.map(element => excludeValue(node, element, ctx));
+    return isDocument(value) ? excludeFields(node, value, ctx) : value;
+}
+
+function excludeFields(node, doc, ctx) {
+    const out = {};
+    for (const [key, value] of Object.entries(doc)) {
+        const entry = node.fields.get(key);
+        if (!entry || entry.action === 'include') out[key] = value;
+        else if (entry.action === 'nested') out[key] = excludeValue(entry.node, value, ctx);
+        else if (entry.action === 'slice') out[key] = sliceValue(entry, value);
+    }
+    return appendFields(node, doc, out, ctx);
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. COMPILING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Compiles `spec` into (doc, ctx) -> projected document; `ctx` is an
+ * expression context (expressions.js) and defaults to the document's.
+ * For find projections (`find: true`) ctx.trace is the query's match
+ * trace, which "$" reads. `compileValue(value, path)` turns computed
+ * values into (ctx, doc) -> value functions.
+ */
+function compileProjection(spec, { compileValue, find = false } = {}) {
+    if (!isDocument(spec)) {
+        throw projectionError(2, `projection must be an object, not ${bsonTypeOf(spec)}`);
+    }
+    if (Object.keys(spec).length === 0) {
+        if (find) return doc => doc;
+        throw projectionError(51272, 'projection specification must have at least one field');
+    }
+
+    const root = newNode();
+    const state = {
+        mode: null,
+        find,
+        positional: false,
+        compileValue: compileValue || (value => {
+            const expression = compileExpression(value);
+            return ctx => expression(ctx);
+        })
+    };
+    parse(spec, root, '', state);
+
+    // { _id: 1 } alone returns only _id
+    const id = root.fields.get('_id');
+    const mode = state.mode || (id && id.action === 'include' ? 'inclusion' : 'exclusion');
+    if (mode === 'inclusion' && !id) {
+        root.fields = new Map([['_id', { action: 'include' }], ...root.fields]);
+    }
+
+    return (doc, ctx = rootContext(doc)) => (mode === 'inclusion' ? includeFields(root, doc, ctx) : excludeFields(root, doc, ctx));
+}
+
+function applyProjection(doc, spec) {
+    return compileProjection(spec)(doc);
+}
+
+/**
+ * Projects `doc` like find(filter, { projection: spec }); `filter` is
+ * only needed for "$" projections.
+ */
+function applyFindProjection(doc, spec, { filter = {} } = {}) {
+    const trace = [];
+    compileFilter(filter)(doc, trace);
+    return compileProjection(spec, { find: true })(doc, { ...rootContext(doc), trace });
+}
+
+/**
+ * find(filter, { projection }) over an array of documents.
+ */
+function findDocuments(docs, filter = {}, projection = {}) {
+    const matches = compileFilter(filter);
+    const project = compileProjection(projection, { find: true });
+    const now = new Date();
+
+    const results = [];
+    for (const doc of docs) {
+        const trace = [];
+        if (!matches(doc, trace)) continue;
+        results.push(project(doc, { ...rootContext(doc, { NOW: now }), trace }));
+    }
+    return results;
+}
+
+module.exports = {
+    compileProjection,
+    applyProjection,
+    applyFindProjection,
+    findDocuments
+};
@@ -0,0 +1,842 @@
+/**
+ * TOOL: LOCAL ENGINE SELF-CHECK
+ * DESCRIPTION:
+ * Runs the examples of the topic files through the local engine and
+ * compares the results with what those files (and the server's
+ * documentation they follow) say comes back:
+ *
+ *   1. query filters (03-queries-and-filters/comparisonOperators.js,
+ *      logicalOperators.js, arrayOperators.js and elementOperators.js),
+ *      with BSON comparison order and type brackets
+ *   2. the updates of 02-crud-operations/updateOperations.js: arrayFilters,
+ *      upsert seeding, $rename and numeric type promotion (these load the
+ *      driver for Long, as the engine itself does for long results)
+ *   3. find projections and $project (03-queries-and-filters/projections.js)
+ *   4. the pipelines of 05-aggregation/aggregationBasics.js
+ *   5. the accumulators of 05-aggregation/groupAndAccumulators.js, with
+ *      what each does with missing, null and non-numeric values
+ *   6. the stages of 05-aggregation/stageOperators.js, with $bucketAuto's
+ *      granularities at their series boundaries and $redact's descent
+ *      into embedded documents and arrays
+ *
+ * Prints one line per case and exits with 1 when any case fails.
+ *
+ * USAGE:
+ *   node tools/localEngine/selfCheck.js
+ */
+
+const assert = require('assert');
+const { filterDocuments, explainMatch } = require('./matcher');
+const { bsonTypeOf, compareValues } = require('./bsonTypes');
+const { applyUpdate, dryRunUpdate } = require('./updates');
+const { applyFindProjection, findDocuments } = require('./projection');
+const { runPipeline } = require('./pipeline');
+const { granularityRounder } = require('./granularity');
+
+function expectError(run, code) {
+    assert.throws(run, error => error.code === code || assert.fail(`expected error ${code}, got ${error.code}: ${error.message}`));
+}
+
+/**
+ * Groups come out in no particular order; sorts them by _id.
+ */
+function byId(docs) {
+    const key = doc => JSON.stringify(doc._id);
+    return [...docs].sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0));
+}
+
+// -------------------------------------------------------------------------------------------
+// 1. QUERY FILTERS
+// -------------------------------------------------------------------------------------------
+
+const catalog = [
+    { _id: 1, name: 'Cable', category: 'electronics', price: 9.99, status: 'active', inStock: true },
+    { _id: 2, name: 'Monitor', category: 'computers', price: 1500, status: 'discontinued', inStock: true },
+    { _id: 3, name: 'Desk', category: 'furniture', price: 50, status: 'active', inStock: false },
+    { _id: 4, name: 'Sticker', category: 'stationery', price: '5' },
+    { _id: 5, name: 'Atlas', category: 'books', status: 'pending', inStock: true }
+];
+
+function idsMatching(docs, filter) {
+    return filterDocuments(docs, filter).map(doc => doc._id);
+}
+
+const QUERY_CASES = [
+    {
+        name: '$eq, $ne and the range operators',
+        run() {
+            assert.deepStrictEqual(idsMatching(catalog, { price: 9.99 }), [1]);
+            assert.deepStrictEqual(idsMatching(catalog, { price: { $eq: 9.99 } }), [1]);
+            assert.deepStrictEqual(idsMatching(catalog, { status: { $ne: 'discontinued' } }), [1, 3, 4, 5]);
+            assert.deepStrictEqual(idsMatching(catalog, { price: { $gt: 100 } }), [2]);
+            assert.deepStrictEqual(idsMatching(catalog, { price: { $gte: 50 } }), [2, 3]);
+            assert.deepStrictEqual(idsMatching(catalog, { price: { $gte: 10, $lte: 50 } }), [3]);
+        }
+    },
+    {
+        name: '$in and $nin, which also matches a missing field',
+        run() {
+            assert.deepStrictEqual(idsMatching(catalog, { category: { $in: ['electronics', 'computers', 'phones'] } }), [1, 2]);
+            assert.deepStrictEqual(idsMatching(catalog, { status: { $nin: ['discontinued', 'recalled'] } }), [1, 3, 4, 5]);
+        }
+    },
+    {
+        name: 'comparisons only match within the operand\'s type',
+        run() {
+            assert.deepStrictEqual(idsMatching(catalog, { price: { $lt: 20 } }), [1]);
+            assert.deepStrictEqual(idsMatching(catalog, { price: { $gt: '1' } }), [4]);
+            assert.deepStrictEqual(idsMatching(catalog, { price: { $gt: null } }), []);
+            assert.deepStrictEqual(idsMatching(catalog, { name: { $gt: 'M' } }), [2, 4]);
+            const sessions = [{ _id: 1, startTime: new Date('2023-12-31T23:00:00Z') }, { _id: 2, startTime: new Date('2024-01-01T10:00:00Z') }];
+            assert.deepStrictEqual(idsMatching(sessions, { startTime: { $gte: new Date('2024-01-01T00:00:00Z') } }), [2]);
+        }
+    },
+    {
+        name: 'values of different types sort in BSON comparison order',
+        run() {
+            const regex = /a/;
+            const date = new Date(0);
+            const values = [regex, date, true, [1], { a: 1 }, 'a', 1, null];
+            assert.deepStrictEqual([...values].sort(compareValues), [null, 1, 'a', { a: 1 }, [1], true, date, regex]);
+            assert.ok(compareValues(2, 10.5) < 0 && compareValues(10, 10.0) === 0);
+        }
+    },
+    {
+        name: '$and, $or and their implicit forms',
+        run() {
+            assert.deepStrictEqual(idsMatching(catalog, { status: 'active', price: { $lt: 100 } }), [1, 3]);
+            assert.deepStrictEqual(idsMatching(catalog, { $and: [{ status: 'active' }, { price: { $lt: 100 } }] }), [1, 3]);
+            assert.deepStrictEqual(idsMatching(catalog, { $and: [{ price: { $gt: 10 } }, { price: { $lt: 100 } }] }), [3]);
+            assert.deepStrictEqual(idsMatching(catalog, { $or: [{ status: 'pending' }, { price: { $lt: 10 } }] }), [1, 5]);
+        }
+    },
+    {
+        name: '$not and $nor also match documents without the field',
+        run() {
+            assert.deepStrictEqual(idsMatching(catalog, { price: { $not: { $gt: 100 } } }), [1, 3, 4, 5]);
+            assert.deepStrictEqual(idsMatching(catalog, { name: { $not: /^A/ } }), [1, 2, 3, 4]);
+            assert.deepStrictEqual(idsMatching(catalog, { status: { $not: { $eq: 'active' } } }), idsMatching(catalog, { status: { $ne: 'active' } }));
+
+            const nor = idsMatching(catalog, { $nor: [{ category: 'discontinued' }, { price: { $gt: 1000 } }, { inStock: false }] });
+            assert.deepStrictEqual(nor, [1, 4, 5]);
+            assert.deepStrictEqual(nor, idsMatching(catalog, {
+                $and: [{ category: { $ne: 'discontinued' } }, { price: { $not: { $gt: 1000 } } }, { inStock: { $ne: false } }]
+            }));
+        }
+    },
+    {
+        name: 'array fields match on any element, the whole array or an index',
+        run() {
+            const posts = [
+                { _id: 1, tags: ['mongodb', 'database', 'nosql'] },
+                { _id: 2, tags: ['nosql', 'mongodb'] },
+                { _id: 3, tags: ['sql'] }
+            ];
+            assert.deepStrictEqual(idsMatching(posts, { tags: 'mongodb' }), [1, 2]);
+            assert.deepStrictEqual(idsMatching(posts, { tags: ['mongodb', 'database', 'nosql'] }), [1]);
+            assert.deepStrictEqual(idsMatching(posts, { 'tags.0': 'mongodb' }), [1]);
+            assert.deepStrictEqual(idsMatching(posts, { tags: { $all: ['mongodb', 'nosql'] } }), [1, 2]);
+            assert.deepStrictEqual(idsMatching(posts, { tags: { $size: 3 } }), [1]);
+            assert.deepStrictEqual(idsMatching(posts, { $expr: { $gt: [{ $size: '$tags' }, 1] } }), [1, 2]);
+        }
+    },
+    {
+        name: '$elemMatch needs one element to satisfy every condition',
+        run() {
+            const students = [
+                { _id: 1, grades: [{ subject: 'math', score: 40 }, { subject: 'art', score: 90 }], scores: [65, 95] },
+                { _id: 2, grades: [{ subject: 'math', score: 75 }], scores: [85] }
+            ];
+            assert.deepStrictEqual(idsMatching(students, { grades: { $elemMatch: { subject: 'math', score: { $gte: 60 } } } }), [2]);
+            assert.deepStrictEqual(idsMatching(students, { 'grades.subject': 'math', 'grades.score': { $gte: 60 } }), [1, 2]);
+            assert.deepStrictEqual(idsMatching(students, { scores: { $elemMatch: { $gte: 70, $lt: 90 } } }), [2]);
+            assert.deepStrictEqual(idsMatching(students, { scores: { $all: [{ $elemMatch: { $gte: 80 } }, { $elemMatch: { $lte: 100 } }] } }), [1, 2]);
+
+            const { clauses } = explainMatch(students[0], { 'grades.subject': 'math', 'grades.score': { $gte: 60 } });
+            assert.deepStrictEqual(clauses.map(clause => clause.matches.map(match => match.matchedAt)), [['grades.0.subject'], ['grades.1.score']]);
+        }
+    },
+    {
+        name: '$size 0 or a missing array',
+        run() {
+            const posts = [{ _id: 1, comments: [] }, { _id: 2 }, { _id: 3, comments: ['first'] }];
+            assert.deepStrictEqual(idsMatching(posts, { comments: { $size: 0 } }), [1]);
+            assert.deepStrictEqual(idsMatching(posts, { $or: [{ comments: { $size: 0 } }, { comments: { $exists: false } }] }), [1, 2]);
+        }
+    },
+    {
+        name: '$exists tells a missing field from a null one',
+        run() {
+            const contacts = [{ _id: 1, name: 'Ann', email: 'ann@example.com' }, { _id: 2, name: 'Bo', email: null, phone: '555' }, { _id: 3 }];
+            assert.deepStrictEqual(idsMatching(contacts, { email: { $exists: true } }), [1, 2]);
+            assert.deepStrictEqual(idsMatching(contacts, { phone: { $exists: false } }), [1, 3]);
+            assert.deepStrictEqual(idsMatching(contacts, { email: { $exists: true, $ne: null } }), [1]);
+            assert.deepStrictEqual(idsMatching(contacts, { $or: [{ name: { $exists: false } }, { email: { $exists: false } }] }), [3]);
+        }
+    },
+    {
+        name: '$type by alias, number and list',
+        run() {
+            const values = [
+                { _id: 1, value: 'text' },
+                { _id: 2, value: 5 },
+                { _id: 3, value: 5.5 },
+                { _id: 4, value: ['x'] },
+                { _id: 5, value: { a: 1 } },
+                { _id: 6, value: new Date(0) },
+                { _id: 7, value: true },
+                { _id: 8, value: null }
+            ];
+            assert.deepStrictEqual(idsMatching(values, { value: { $type: 'string' } }), [1, 4]);
+            assert.deepStrictEqual(idsMatching(values, { value: { $type: 2 } }), [1, 4]);
+            assert.deepStrictEqual(idsMatching(values, { value: { $type: 'number' } }), [2, 3]);
+            assert.deepStrictEqual(idsMatching(values, { value: { $type: 'array' } }), [4]);
+            assert.deepStrictEqual(idsMatching(values, { value: { $type: 'object' } }), [5]);
+            assert.deepStrictEqual(idsMatching(values, { value: { $type: ['date', 'bool', 'null'] } }), [6, 7, 8]);
+            assert.deepStrictEqual([5, 5.5, 2 ** 31].map(bsonTypeOf), ['int', 'double', 'double']);
+        }
+    }
+];
+
+// -------------------------------------------------------------------------------------------
+// 2. UPDATES
+// -------------------------------------------------------------------------------------------
+
+const NOW = new Date('2024-01-15T10:00:00Z');
+
+function updated(doc, update, options) {
+    return applyUpdate(doc, update, { now: NOW, ...options }).document;
+}
+
+const UPDATE_CASES = [
+    {
+        name: 'field operators',
+        run() {
+            const product = { _id: 1, name: 'Widget', price: 10, quantity: 3, lowestPrice: 12, highestPrice: 20, oldData: 'x' };
+            assert.deepStrictEqual(updated(product, { $set: { name: 'Widget Pro', 'details.color': 'blue' } }),
+                { _id: 1, name: 'Widget Pro', price: 10, quantity: 3, lowestPrice: 12, highestPrice: 20, oldData: 'x', details: { color: 'blue' } });
+            assert.deepStrictEqual(updated(product, { $unset: { temporaryField: '', oldData: '' } }),
+                { _id: 1, name: 'Widget', price: 10, quantity: 3, lowestPrice: 12, highestPrice: 20 });
+            assert.deepStrictEqual(updated(product, { $inc: { quantity: 5, viewCount: 1 }, $mul: { price: 1.1 } }),
+                { _id: 1, name: 'Widget', price: 10 * 1.1, quantity: 8, lowestPrice: 12, highestPrice: 20, oldData: 'x', viewCount: 1 });
+            assert.deepStrictEqual(updated(product, { $min: { lowestPrice: 9.99 }, $max: { highestPrice: 19.99 } }),
+                { _id: 1, name: 'Widget', price: 10, quantity: 3, lowestPrice: 9.99, highestPrice: 20, oldData: 'x' });
+            assert.strictEqual(applyUpdate(product, { $max: { highestPrice: 19.99 } }).modified, false);
+            assert.deepStrictEqual(updated(product, { $currentDate: { lastModified: true } }).lastModified, NOW);
+        }
+    },
+    {
+        name: '$rename moves the field to the end and refuses paths through arrays',
+        run() {
+            assert.deepStrictEqual(updated({ _id: 1, oldName: 'a', other: 1 }, { $rename: { oldName: 'newName' } }), { _id: 1, other: 1, newName: 'a' });
+            assert.deepStrictEqual(updated({ _id: 1, other: 1 }, { $rename: { oldName: 'newName' } }), { _id: 1, other: 1 });
+
+            const order = { _id: 1, items: [{ oldName: 'a' }, { oldName: 'b' }] };
+            expectError(() => updated(order, { $rename: { 'items.oldName': 'newName' } }), 2);
+            expectError(() => updated(order, { $rename: { 'items.0.oldName': 'newName' } }), 2);
+            expectError(() => updated({ _id: 1, oldName: 'a', items: [] }, { $rename: { oldName: 'items.0' } }), 2);
+        }
+    },
+    {
+        name: 'positional updates and arrayFilters',
+        run() {
+            const doc = {
+                _id: 1,
+                items: [{ name: 'gadget', price: 5 }, { name: 'widget', price: 10 }],
+                scores: [70, 80],
+                grades: [{ score: 50 }, { score: 70 }, { score: 60 }]
+            };
+            assert.deepStrictEqual(updated(doc, { $set: { 'items.$.price': 19.99 } }, { filter: { _id: 1, 'items.name': 'widget' } }).items,
+                [{ name: 'gadget', price: 5 }, { name: 'widget', price: 19.99 }]);
+            assert.deepStrictEqual(updated(doc, { $inc: { 'scores.$[]': 5 } }).scores, [75, 85]);
+            assert.deepStrictEqual(updated(doc, { $set: { 'grades.$[elem].passed': true } }, { arrayFilters: [{ 'elem.score': { $gte: 60 } }] }).grades,
+                [{ score: 50 }, { score: 70, passed: true }, { score: 60, passed: true }]);
+
+            expectError(() => updated(doc, { $set: { 'grades.$[elem].passed': true } }), 2);
+            expectError(() => updated(doc, { $set: { passed: true } }, { arrayFilters: [{ 'elem.score': { $gte: 60 } }] }), 9);
+        }
+    },
+    {
+        name: 'an upsert is seeded from the filter\'s equality fields',
+        run() {
+            const newId = () => 'new-id';
+            const result = dryRunUpdate([], { email: 'new@example.com', age: { $gt: 18 } }, { $set: { name: 'New User' } }, { upsert: true, now: NOW, newId });
+            assert.strictEqual(result.upsertedId, 'new-id');
+            assert.deepStrictEqual(result.documents[0].after, { _id: 'new-id', email: 'new@example.com', name: 'New User' });
+
+            const update = { $set: { name: 'New Product' }, $setOnInsert: { createdAt: NOW } };
+            const inserted = dryRunUpdate([], { productCode: 'NEW001' }, update, { upsert: true, now: NOW, newId });
+            assert.deepStrictEqual(inserted.documents[0].after, { _id: 'new-id', productCode: 'NEW001', name: 'New Product', createdAt: NOW });
+            const existing = dryRunUpdate([{ _id: 1, productCode: 'NEW001' }], { productCode: 'NEW001' }, update, { upsert: true, now: NOW, newId });
+            assert.deepStrictEqual([existing.upsertedCount, existing.documents[0].after], [0, { _id: 1, productCode: 'NEW001', name: 'New Product' }]);
+
+            const replaced = dryRunUpdate([], { _id: 7, email: 'new@example.com' }, { name: 'New User', email: 'new@example.com' }, { upsert: true, now: NOW, newId });
+            assert.deepStrictEqual(replaced.documents[0].after, { _id: 7, name: 'New User', email: 'new@example.com' });
+            expectError(() => dryRunUpdate([], { _id: 7 }, { $set: { _id: 8 } }, { upsert: true, now: NOW }), 66);
+        }
+    },
+    {
+        name: 'numbers promote from int to long to double, and long results are Longs',
+        run() {
+            const { Long } = require('mongodb');
+            const counter = { _id: 1, count: 2 ** 31 - 1, price: 10 };
+
+            const overflowed = updated(counter, { $inc: { count: 1 } }).count;
+            assert.ok(overflowed instanceof Long && bsonTypeOf(overflowed) === 'long');
+            assert.strictEqual(overflowed.toString(), '2147483648');
+            assert.ok(updated(counter, { $inc: { count: 2n } }).count instanceof Long);
+            assert.strictEqual(updated(counter, { $inc: { price: 0.5 } }).price, 10.5);
+            assert.strictEqual(bsonTypeOf(updated(counter, { $mul: { price: 2 } }).price), 'int');
+            assert.deepStrictEqual(updated(counter, { $mul: { missing: Long.fromNumber(3) } }).missing, Long.fromNumber(0));
+
+            expectError(() => updated({ _id: 1, count: Long.MAX_VALUE }, { $inc: { count: 1 } }), 2);
+        }
+    }
+];
+
+// -------------------------------------------------------------------------------------------
+// 3. PROJECTIONS
+// -------------------------------------------------------------------------------------------
+
+const user = {
+    _id: 1,
+    name: 'Ann',
+    email: 'ann@example.com',
+    password: 'secret',
+    sensitiveData: 'x',
+    address: { city: 'Oslo', country: 'NO', zip: '0150' },
+    profile: { private: true, bio: 'Hi' }
+};
+
+const post = {
+    _id: 1,
+    title: 'Indexes',
+    body: '...',
+    comments: Array.from({ length: 13 }, (_, i) => ({ author: i === 3 ? 'john' : `user${i + 1}`, rating: (i + 1) % 5 }))
+};
+
+// The $elemMatch example of the server's projection documentation
+const schools = [
+    { _id: 1, zipcode: '63109', students: [{ name: 'john', school: 102, age: 10 }, { name: 'jess', school: 102, age: 11 }, { name: 'jeff', school: 108, age: 15 }] },
+    { _id: 2, zipcode: '63110', students: [{ name: 'ajax', school: 100, age: 7 }, { name: 'achilles', school: 100, age: 8 }] },
+    { _id: 3, zipcode: '63109', students: [{ name: 'ajax', school: 100, age: 7 }, { name: 'achilles', school: 100, age: 8 }] },
+    { _id: 4, zipcode: '63109', students: [{ name: 'barney', school: 102, age: 7 }, { name: 'ruth', school: 102, age: 16 }] }
+];
+
+const order = { _id: 7, customer: { name: 'Cleo' }, total: 100, status: 'shipped', name: 'alice', firstName: 'Alice', lastName: 'Smith', items: ['a', 'b', 'c'] };
+
+const PROJECTION_CASES = [
+    {
+        name: 'inclusion keeps _id unless excluded',
+        run() {
+            assert.deepStrictEqual(applyFindProjection(user, { name: 1, email: 1 }), { _id: 1, name: 'Ann', email: 'ann@example.com' });
+            assert.deepStrictEqual(applyFindProjection(user, { name: 1, email: 1, _id: 0 }), { name: 'Ann', email: 'ann@example.com' });
+        }
+    },
+    {
+        name: 'exclusion drops only the listed fields',
+        run() {
+            const { password, sensitiveData, ...rest } = user;
+            assert.deepStrictEqual(applyFindProjection(user, { password: 0, sensitiveData: 0 }), rest);
+        }
+    },
+    {
+        name: 'inclusion and exclusion cannot be mixed',
+        run() {
+            expectError(() => applyFindProjection(user, { name: 1, password: 0 }), 31254);
+            expectError(() => applyFindProjection(user, { password: 0, name: 1 }), 31253);
+        }
+    },
+    {
+        name: 'dotted paths include and exclude nested fields',
+        run() {
+            assert.deepStrictEqual(
+                applyFindProjection(user, { name: 1, 'address.city': 1, 'address.country': 1 }),
+                { _id: 1, name: 'Ann', address: { city: 'Oslo', country: 'NO' } }
+            );
+            assert.deepStrictEqual(applyFindProjection(user, { 'profile.private': 0 }).profile, { bio: 'Hi' });
+        }
+    },
+    {
+        name: '$slice takes the first, last or a window of elements',
+        run() {
+            assert.deepStrictEqual(applyFindProjection(post, { title: 1, comments: { $slice: 3 } }).comments, post.comments.slice(0, 3));
+            assert.deepStrictEqual(applyFindProjection(post, { title: 1, comments: { $slice: -2 } }).comments, post.comments.slice(-2));
+            assert.deepStrictEqual(applyFindProjection(post, { title: 1, comments: { $slice: [10, 5] } }).comments, post.comments.slice(10, 15));
+        }
+    },
+    {
+        name: '$slice alone excludes nothing',
+        run() {
+            assert.deepStrictEqual(Object.keys(applyFindProjection(post, { comments: { $slice: 1 } })), ['_id', 'title', 'body', 'comments']);
+        }
+    },
+    {
+        name: '"$" returns the element the filter matched',
+        run() {
+            assert.deepStrictEqual(
+                findDocuments([post], { 'comments.author': 'john' }, { title: 1, 'comments.$': 1 }),
+                [{ _id: 1, title: 'Indexes', comments: [{ author: 'john', rating: 4 }] }]
+            );
+        }
+    },
+    {
+        name: '$elemMatch returns the first match after the other fields',
+        run() {
+            assert.deepStrictEqual(
+                applyFindProjection(post, { comments: { $elemMatch: { rating: { $gte: 4 } } }, title: 1 }),
+                { _id: 1, title: 'Indexes', comments: [{ author: 'john', rating: 4 }] }
+            );
+        }
+    },
+    {
+        name: '$elemMatch alone is an inclusion',
+        run() {
+            assert.deepStrictEqual(findDocuments(schools, { zipcode: '63109' }, { students: { $elemMatch: { school: 102 } } }), [
+                { _id: 1, students: [{ name: 'john', school: 102, age: 10 }] },
+                { _id: 3 },
+                { _id: 4, students: [{ name: 'barney', school: 102, age: 7 }] }
+            ]);
+        }
+    },
+    {
+        name: '$project renames and computes fields',
+        run() {
+            assert.deepStrictEqual(
+                runPipeline([order], [{ $project: { orderId: '$_id', customerName: '$customer.name', orderTotal: '$total' } }]),
+                [{ _id: 7, orderId: 7, customerName: 'Cleo', orderTotal: 100 }]
+            );
+            assert.deepStrictEqual(
+                runPipeline([order], [{ $project: { _id: 1, total: 1, tax: { $multiply: ['$total', 0.1] } } }]),
+                [{ _id: 7, total: 100, tax: 10 }]
+            );
+        }
+    },
+    {
+        name: '$project with $switch, strings and arrays',
+        run() {
+            const [result] = runPipeline([order], [{
+                $project: {
+                    displayStatus: {
+                        $switch: {
+                            branches: [
+                                { case: { $eq: ['$status', 'pending'] }, then: 'Awaiting Processing' },
+                                { case: { $eq: ['$status', 'shipped'] }, then: 'On The Way' }
+                            ],
+                            default: 'Unknown'
+                        }
+                    },
+                    nameUpper: { $toUpper: '$name' },
+                    fullName: { $concat: ['$firstName', ' ', '$lastName'] },
+                    itemCount: { $size: '$items' },
+                    lastItem: { $last: '$items' }
+                }
+            }]);
+            assert.deepStrictEqual(result, { _id: 7, displayStatus: 'On The Way', nameUpper: 'ALICE', fullName: 'Alice Smith', itemCount: 3, lastItem: 'c' });
+        }
+    }
+];
+
+// -------------------------------------------------------------------------------------------
+// 4. AGGREGATION BASICS
+// -------------------------------------------------------------------------------------------
+
+const orders = [
+    { _id: 1, customerId: 'a', amount: 10, status: 'completed', category: 'books', total: 5000, orderDate: new Date('2024-02-01') },
+    { _id: 2, customerId: 'b', amount: 30, status: 'completed', category: 'books', total: 6000, orderDate: new Date('2023-02-01') },
+    { _id: 3, customerId: 'a', amount: 25, status: 'completed', category: 'games', total: 50, orderDate: new Date('2024-03-01') },
+    { _id: 4, customerId: 'c', amount: 99, status: 'pending', category: 'games', total: 7, orderDate: new Date('2024-04-01') }
+];
+
+const electronics = [
+    { _id: 1, name: 'radio', price: 5, category: 'electronics' },
+    { _id: 2, name: 'cable', price: 5, category: 'electronics' },
+    { _id: 3, name: 'phone', price: 9, category: 'electronics' },
+    { _id: 4, name: 'adapter', category: 'electronics' }
+];
+
+const BASICS_CASES = [
+    {
+        name: '$match, $group, $sort and $limit',
+        run() {
+            assert.deepStrictEqual(runPipeline(orders, [
+                { $match: { status: 'completed' } },
+                { $group: { _id: '$customerId', total: { $sum: '$amount' } } },
+                { $sort: { total: -1 } },
+                { $limit: 10 }
+            ]), [{ _id: 'a', total: 35 }, { _id: 'b', total: 30 }]);
+        }
+    },
+    {
+        name: '$match before and after $group',
+        run() {
+            const recent = runPipeline(orders, [{ $match: { status: 'completed', orderDate: { $gte: new Date('2024-01-01') }, total: { $gte: 100 } } }]);
+            assert.deepStrictEqual(recent.map(doc => doc._id), [1]);
+            assert.deepStrictEqual(runPipeline(orders, [
+                { $match: { status: 'completed' } },
+                { $group: { _id: '$category', sum: { $sum: '$total' } } },
+                { $match: { sum: { $gte: 10000 } } }
+            ]), [{ _id: 'books', sum: 11000 }]);
+        }
+    },
+    {
+        name: '$group by one field, several fields and everything',
+        run() {
+            assert.deepStrictEqual(byId(runPipeline(orders, [{ $group: { _id: '$category', totalSales: { $sum: '$total' }, avgOrder: { $avg: '$total' }, count: { $sum: 1 } } }])), [
+                { _id: 'books', totalSales: 11000, avgOrder: 5500, count: 2 },
+                { _id: 'games', totalSales: 57, avgOrder: 28.5, count: 2 }
+            ]);
+            assert.deepStrictEqual(byId(runPipeline(orders, [{ $group: { _id: { category: '$category', status: '$status' }, count: { $sum: 1 } } }])), [
+                { _id: { category: 'books', status: 'completed' }, count: 2 },
+                { _id: { category: 'games', status: 'completed' }, count: 1 },
+                { _id: { category: 'games', status: 'pending' }, count: 1 }
+            ]);
+            assert.deepStrictEqual(runPipeline(orders, [{ $group: { _id: null, totalRevenue: { $sum: '$total' }, orderCount: { $sum: 1 } } }]), [
+                { _id: null, totalRevenue: 11057, orderCount: 4 }
+            ]);
+        }
+    },
+    {
+        name: 'paging with $sort, $skip and $limit',
+        run() {
+            const page = runPipeline(electronics, [{ $match: { category: 'electronics' } }, { $sort: { price: -1, name: 1 } }, { $skip: 1 }, { $limit: 2 }]);
+            assert.deepStrictEqual(page.map(doc => doc.name), ['cable', 'radio']);
+        }
+    },
+    {
+        name: 'numbering sorted rows with $push and includeArrayIndex',
+        run() {
+            const numbered = runPipeline(electronics, [
+                { $sort: { price: -1, name: 1 } },
+                { $group: { _id: null, items: { $push: '$$ROOT' } } },
+                { $unwind: { path: '$items', includeArrayIndex: 'rank' } },
+                { $replaceRoot: { newRoot: { $mergeObjects: ['$items', { rank: { $add: ['$rank', 1] } }] } } }
+            ]);
+            assert.deepStrictEqual(numbered.map(doc => [doc.name, doc.rank]), [['phone', 1], ['cable', 2], ['radio', 3], ['adapter', 4]]);
+        }
+    }
+];
+
+// -------------------------------------------------------------------------------------------
+// 5. GROUP AND ACCUMULATORS
+// -------------------------------------------------------------------------------------------
+
+const sales = [
+    { _id: 1, customerId: 'a', category: 'books', product: 'novel', amount: 20, status: 'completed', orderDate: new Date('2024-01-05') },
+    { _id: 2, customerId: 'b', category: 'books', product: 'atlas', amount: 1500, status: 'completed', orderDate: new Date('2024-02-10') },
+    { _id: 3, customerId: 'a', category: 'games', product: 'chess', amount: 30, status: 'pending', orderDate: new Date('2024-02-20') },
+    { _id: 4, customerId: 'a', category: 'books', product: 'novel', amount: 10, status: 'pending', orderDate: new Date('2024-03-01') },
+    { _id: 5, customerId: 'b', category: 'games', product: 'cards', status: 'completed', orderDate: new Date('2024-03-15') }
+];
+
+const ACCUMULATOR_CASES = [
+    {
+        name: 'count, sum, average, min, max, first and last',
+        run() {
+            assert.deepStrictEqual(byId(runPipeline(sales, [{
+                $group: {
+                    _id: '$category',
+                    count: { $sum: 1 },
+                    totalRevenue: { $sum: '$amount' },
+                    averageOrder: { $avg: '$amount' },
+                    minOrder: { $min: '$amount' },
+                    maxOrder: { $max: '$amount' },
+                    firstOrder: { $first: '$orderDate' },
+                    lastOrder: { $last: '$orderDate' }
+                }
+            }])), [
+                { _id: 'books', count: 3, totalRevenue: 1530, averageOrder: 510, minOrder: 10, maxOrder: 1500, firstOrder: new Date('2024-01-05'), lastOrder: new Date('2024-03-01') },
+                { _id: 'games', count: 2, totalRevenue: 30, averageOrder: 30, minOrder: 30, maxOrder: 30, firstOrder: new Date('2024-02-20'), lastOrder: new Date('2024-03-15') }
+            ]);
+        }
+    },
+    {
+        name: 'missing and non-numeric values',
+        run() {
+            const unpriced = [{ _id: 1 }, { _id: 2, amount: 'free' }, { _id: 3, amount: null }];
+            assert.deepStrictEqual(runPipeline(unpriced, [{
+                $group: { _id: null, total: { $sum: '$amount' }, average: { $avg: '$amount' }, lowest: { $min: '$amount' }, first: { $first: '$amount' }, all: { $push: '$amount' } }
+            }]), [{ _id: null, total: 0, average: null, lowest: 'free', first: null, all: ['free', null] }]);
+
+            const games = [{ $match: { category: 'games' } }, { $sort: { _id: 1 } }];
+            assert.deepStrictEqual(runPipeline(sales, [...games, {
+                $group: {
+                    _id: '$category',
+                    last: { $last: '$amount' },
+                    firstTwo: { $firstN: { input: '$amount', n: 2 } },
+                    largestTwo: { $maxN: { input: '$amount', n: 2 } },
+                    orders: { $count: {} }
+                }
+            }]), [{ _id: 'games', last: null, firstTwo: [30, null], largestTwo: [30], orders: 2 }]);
+        }
+    },
+    {
+        name: 'sums promote int to long and long to double',
+        run() {
+            const { Long } = require('mongodb');
+            const sum = values => runPipeline(values.map(value => ({ value })), [{ $group: { _id: null, sum: { $sum: '$value' } } }])[0].sum;
+
+            assert.deepStrictEqual(sum([2 ** 31 - 1, 1]), Long.fromString('2147483648'));
+            assert.deepStrictEqual(sum([Long.MAX_VALUE, 1]), 2 ** 63);
+            assert.strictEqual(sum([1, 2.5]), 3.5);
+        }
+    },
+    {
+        name: '$push, $addToSet and $topN',
+        run() {
+            const byCustomer = byId(runPipeline(sales, [{
+                $group: { _id: '$customerId', allProducts: { $push: '$product' }, allOrders: { $push: '$$ROOT' }, uniqueProducts: { $addToSet: '$product' } }
+            }]));
+            assert.deepStrictEqual(byCustomer.map(group => [group._id, group.allProducts, [...group.uniqueProducts].sort()]),
+                [['a', ['novel', 'chess', 'novel'], ['chess', 'novel']], ['b', ['atlas', 'cards'], ['atlas', 'cards']]]);
+            assert.deepStrictEqual(byCustomer[1].allOrders, [sales[1], sales[4]]);
+
+            assert.deepStrictEqual(byId(runPipeline(sales, [
+                { $sort: { amount: -1 } },
+                { $group: { _id: '$category', topProducts: { $topN: { n: 2, sortBy: { amount: -1 }, output: { name: '$product', amount: '$amount' } } } } }
+            ])), [
+                { _id: 'books', topProducts: [{ name: 'atlas', amount: 1500 }, { name: 'novel', amount: 20 }] },
+                { _id: 'games', topProducts: [{ name: 'chess', amount: 30 }, { name: 'cards' }] }
+            ]);
+        }
+    },
+    {
+        name: 'standard deviations and distinct counts',
+        run() {
+            const measurements = [2, 4, 4, 4, 5, 5, 7, 9].map((value, i) => ({ sensor: 's1', value, type: i % 2 ? 'temp' : 'humidity' }))
+                .concat([{ sensor: 's2', value: 3, type: 'temp' }]);
+            const stats = byId(runPipeline(measurements, [
+                { $group: { _id: '$sensor', stdDevSamp: { $stdDevSamp: '$value' }, stdDevPop: { $stdDevPop: '$value' }, distinctCount: { $addToSet: '$type' } } },
+                { $addFields: { distinctTypeCount: { $size: '$distinctCount' } } },
+                { $project: { distinctCount: 0 } }
+            ]));
+            assert.deepStrictEqual(stats, [
+                { _id: 's1', stdDevSamp: Math.sqrt(32 / 7), stdDevPop: 2, distinctTypeCount: 2 },
+                { _id: 's2', stdDevSamp: null, stdDevPop: 0, distinctTypeCount: 1 }
+            ]);
+        }
+    },
+    {
+        name: 'conditional sums',
+        run() {
+            assert.deepStrictEqual(byId(runPipeline(sales, [{
+                $group: {
+                    _id: '$category',
+                    completedTotal: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, '$amount', 0] } },
+                    pendingCount: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+                    highValueCompleted: {
+                        $sum: { $cond: { if: { $and: [{ $eq: ['$status', 'completed'] }, { $gte: ['$amount', 1000] }] }, then: 1, else: 0 } }
+                    }
+                }
+            }])), [
+                { _id: 'books', completedTotal: 1520, pendingCount: 1, highValueCompleted: 1 },
+                { _id: 'games', completedTotal: 0, pendingCount: 1, highValueCompleted: 0 }
+            ]);
+        }
+    },
+    {
+        name: 'grouping the groups',
+        run() {
+            assert.deepStrictEqual(runPipeline(sales, [
+                { $group: { _id: { year: { $year: '$orderDate' }, month: { $month: '$orderDate' } }, monthlyTotal: { $sum: '$amount' } } },
+                { $sort: { '_id.month': 1 } },
+                { $group: { _id: '$_id.year', months: { $push: { month: '$_id.month', total: '$monthlyTotal' } }, yearlyTotal: { $sum: '$monthlyTotal' } } },
+                { $sort: { _id: 1 } }
+            ]), [{ _id: 2024, months: [{ month: 1, total: 20 }, { month: 2, total: 1530 }, { month: 3, total: 10 }], yearlyTotal: 1560 }]);
+        }
+    }
+];
+
+// -------------------------------------------------------------------------------------------
+// 6. STAGE OPERATORS
+// -------------------------------------------------------------------------------------------
+
+const products = [
+    { _id: 1, name: 'pen', category: 'office', price: 2, rating: 4 },
+    { _id: 2, name: 'desk', category: 'furniture', price: 250, rating: 5 },
+    { _id: 3, name: 'lamp', category: 'furniture', price: 45, rating: 3 },
+    { _id: 4, name: 'paper', category: 'office', price: 8, rating: 2 },
+    { _id: 5, name: 'chair', category: 'furniture', price: 120, rating: 4.5 },
+    { _id: 6, name: 'car', category: 'auto', price: 25000, rating: 1 },
+    { _id: 7, name: 'voucher', category: 'misc' }
+];
+
+// 1 ... 20
+const counted = Array.from({ length: 20 }, (_, i) => ({ v: i + 1 }));
+
+function bucketBounds(docs, granularity, buckets) {
+    return runPipeline(docs, [{ $bucketAuto: { groupBy: '$v', buckets, granularity } }])
+        .map(({ _id, count }) => [_id.min, _id.max, count]);
+}
+
+const STAGE_CASES = [
+    {
+        name: '$unwind with and without its options',
+        run() {
+            const docs = [{ _id: 1, items: ['a', 'b'] }, { _id: 2, items: [] }, { _id: 3 }, { _id: 4, items: 'z' }];
+            assert.deepStrictEqual(runPipeline(docs, [{ $unwind: '$items' }]), [{ _id: 1, items: 'a' }, { _id: 1, items: 'b' }, { _id: 4, items: 'z' }]);
+            assert.deepStrictEqual(runPipeline(docs, [{ $unwind: { path: '$items', includeArrayIndex: 'itemIndex', preserveNullAndEmptyArrays: true } }]), [
+                { _id: 1, items: 'a', itemIndex: 0 },
+                { _id: 1, items: 'b', itemIndex: 1 },
+                { _id: 2, itemIndex: null },
+                { _id: 3, itemIndex: null },
+                { _id: 4, items: 'z', itemIndex: null }
+            ]);
+        }
+    },
+    {
+        name: '$addFields with $switch, $replaceRoot and $replaceWith',
+        run() {
+            const people = [
+                { _id: 1, firstName: 'Ann', lastName: 'Lee', age: 30, address: { city: 'Oslo' }, defaults: { theme: 'dark', age: 0 }, profile: { bio: 'Hi' } },
+                { _id: 2, firstName: 'Bo', lastName: 'Ng', age: 70, address: { city: 'Rome' }, defaults: { theme: 'light' }, profile: { bio: 'Yo' } }
+            ];
+            const added = runPipeline(people, [{
+                $addFields: {
+                    fullName: { $concat: ['$firstName', ' ', '$lastName'] },
+                    ageGroup: { $switch: { branches: [{ case: { $lt: ['$age', 18] }, then: 'minor' }, { case: { $lt: ['$age', 65] }, then: 'adult' }], default: 'senior' } }
+                }
+            }]);
+            assert.deepStrictEqual(added.map(doc => [doc.fullName, doc.ageGroup]), [['Ann Lee', 'adult'], ['Bo Ng', 'senior']]);
+            assert.deepStrictEqual(runPipeline(people, [{ $replaceRoot: { newRoot: '$address' } }]), [{ city: 'Oslo' }, { city: 'Rome' }]);
+            const [merged] = runPipeline(people, [{ $replaceRoot: { newRoot: { $mergeObjects: ['$defaults', '$$ROOT'] } } }]);
+            assert.deepStrictEqual([merged.theme, merged.age], ['dark', 30]);
+            assert.deepStrictEqual(runPipeline(people, [{ $replaceWith: '$profile' }]), [{ bio: 'Hi' }, { bio: 'Yo' }]);
+        }
+    },
+    {
+        name: '$facet runs each sub-pipeline over the same input',
+        run() {
+            const [result] = runPipeline(products, [{
+                $facet: {
+                    categoryCounts: [{ $group: { _id: '$category', count: { $sum: 1 } } }],
+                    priceStats: [{ $group: { _id: null, avgPrice: { $avg: '$price' }, minPrice: { $min: '$price' }, maxPrice: { $max: '$price' } } }],
+                    topProducts: [{ $sort: { rating: -1 } }, { $limit: 5 }, { $project: { name: 1, rating: 1 } }]
+                }
+            }]);
+            assert.deepStrictEqual(byId(result.categoryCounts), [
+                { _id: 'auto', count: 1 }, { _id: 'furniture', count: 3 }, { _id: 'misc', count: 1 }, { _id: 'office', count: 2 }
+            ]);
+            assert.deepStrictEqual(result.priceStats, [{ _id: null, avgPrice: 4237.5, minPrice: 2, maxPrice: 25000 }]);
+            assert.deepStrictEqual(result.topProducts.map(doc => doc.name), ['desk', 'chair', 'pen', 'lamp', 'paper']);
+        }
+    },
+    {
+        name: '$bucket puts values outside the boundaries in default',
+        run() {
+            assert.deepStrictEqual(runPipeline(products, [{
+                $bucket: {
+                    groupBy: '$price',
+                    boundaries: [0, 10, 50, 100, 500, Infinity],
+                    default: 'Other',
+                    output: { count: { $sum: 1 }, products: { $push: '$name' } }
+                }
+            }]), [
+                { _id: 0, count: 2, products: ['pen', 'paper'] },
+                { _id: 10, count: 1, products: ['lamp'] },
+                { _id: 100, count: 2, products: ['desk', 'chair'] },
+                { _id: 500, count: 1, products: ['car'] },
+                { _id: 'Other', count: 1, products: ['voucher'] }
+            ]);
+        }
+    },
+    {
+        name: '$bucketAuto fills buckets evenly, a missing price first',
+        run() {
+            assert.deepStrictEqual(bucketBounds(counted, undefined, 3), [[1, 8, 7], [8, 15, 7], [15, 20, 6]]);
+            const bounds = runPipeline(products, [{ $bucketAuto: { groupBy: '$price', buckets: 5, output: { count: { $sum: 1 } } } }])
+                .map(({ _id, count }) => [_id.min, _id.max, count]);
+            assert.deepStrictEqual(bounds, [[null, 2, 1], [2, 8, 1], [8, 45, 1], [45, 120, 1], [120, 25000, 3]]);
+        }
+    },
+    {
+        name: 'granularities round to the next value strictly past a series value',
+        run() {
+            const rounded = (granularity, values) => {
+                const { roundUp, roundDown } = granularityRounder(granularity);
+                return values.map(value => [roundDown(value), roundUp(value)]);
+            };
+            assert.deepStrictEqual(rounded('R5', [1, 6.3, 10, 16]), [[0.63, 1.6], [4, 10], [6.3, 16], [10, 25]]);
+            assert.deepStrictEqual(rounded('E12', [1, 5.6, 8.2, 10]), [[0.82, 1.2], [4.7, 6.8], [6.8, 10], [8.2, 12]]);
+            assert.deepStrictEqual(rounded('POWERSOF2', [0.5, 5, 8]), [[0.25, 1], [4, 8], [4, 16]]);
+            assert.deepStrictEqual(rounded('1-2-5', [1, 5, 20]), [[0.5, 2], [2, 10], [10, 50]]);
+            assert.deepStrictEqual(rounded('R5', [0]), [[0, 0]]);
+        }
+    },
+    {
+        name: '$bucketAuto rounds boundaries and absorbs values below them',
+        run() {
+            assert.deepStrictEqual(bucketBounds(counted, 'R5', 3), [[0.63, 10, 9], [10, 25, 11]]);
+            assert.deepStrictEqual(bucketBounds(counted, 'E12', 4), [[0.82, 5.6, 5], [5.6, 12, 6], [12, 18, 6], [18, 22, 3]]);
+            assert.deepStrictEqual(bucketBounds(counted, '1-2-5', 4), [[0.5, 10, 9], [10, 20, 10], [20, 50, 1]]);
+            assert.deepStrictEqual(bucketBounds(counted.map(({ v }) => ({ v: v - 1 })), 'POWERSOF2', 4), [[0, 8, 8], [8, 16, 8], [16, 32, 4]]);
+            expectError(() => bucketBounds(counted, 'R7', 2), 40257);
+            expectError(() => runPipeline(products, [{ $bucketAuto: { groupBy: '$price', buckets: 2, granularity: 'R5' } }]), 40258);
+        }
+    },
+    {
+        name: '$redact descends into embedded documents and arrays',
+        run() {
+            const userLevel = 2;
+            const documents = [
+                {
+                    _id: 1,
+                    accessLevel: 1,
+                    sections: [
+                        { name: 'public', accessLevel: 1, notes: [{ text: 'internal', accessLevel: 3 }, { text: 'open' }] },
+                        { name: 'secret', accessLevel: 3 },
+                        'plain',
+                        [[{ accessLevel: 5 }, { x: 1 }]]
+                    ],
+                    meta: { accessLevel: 4 }
+                },
+                { _id: 2, accessLevel: 5 }
+            ];
+            assert.deepStrictEqual(runPipeline(documents, [{
+                $redact: { $cond: { if: { $gte: [userLevel, '$accessLevel'] }, then: '$$DESCEND', else: '$$PRUNE' } }
+            }]), [{
+                _id: 1,
+                accessLevel: 1,
+                sections: [{ name: 'public', accessLevel: 1, notes: [{ text: 'open' }] }, 'plain', [[{ x: 1 }]]]
+            }]);
+            assert.deepStrictEqual(runPipeline(documents, [{ $redact: { $cond: [{ $eq: ['$_id', 1] }, '$$KEEP', '$$PRUNE'] } }]), [documents[0]]);
+        }
+    }
+];
+
+// -------------------------------------------------------------------------------------------
+// 7. CLI
+// -------------------------------------------------------------------------------------------
+
+const CASES = [
+    ...QUERY_CASES.map(testCase => ({ ...testCase, name: `query filters: ${testCase.name}` })),
+    ...UPDATE_CASES.map(testCase => ({ ...testCase, name: `updates: ${testCase.name}` })),
+    ...PROJECTION_CASES.map(testCase => ({ ...testCase, name: `projections: ${testCase.name}` })),
+    ...BASICS_CASES.map(testCase => ({ ...testCase, name: `aggregation basics: ${testCase.name}` })),
+    ...ACCUMULATOR_CASES.map(testCase => ({ ...testCase, name: `accumulators: ${testCase.name}` })),
+    ...STAGE_CASES.map(testCase => ({ ...testCase, name: `stage operators: ${testCase.name}` }))
+];
+
+function main() {
+    let failed = 0;
+    for (const { name, run } of CASES) {
+        try {
+            run();
+            console.log(`ok    ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`FAIL  ${name}\n      ${error.message.split('\n').join('\n      ')}`);
+        }
+    }
+    console.log(`\n${CASES.length - failed}/${CASES.length} cases passed`);
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = {
+    CASES,
+    main
+};
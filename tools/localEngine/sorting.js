@@ -0,0 +1,69 @@
+/**
+ * TOOL: SORT SPECIFICATIONS
+ * DESCRIPTION:
+ * Turns a sort specification ({ price: -1, name: 1 }) into a comparator
+ * for documents, with the server's ordering rules:
+ *
+ *   - Values compare by BSON type bracket first (numbers < strings <
+ *     objects < arrays < ...; see bsonTypes.js), then by value.
+ *   - A missing field sorts like null.
+ *   - An array field sorts by its smallest element ascending and by its
+ *     largest element descending; an empty array sorts before null.
+ *   - Ties keep their input order.
+ */
+
+const { isDocument, isNumber, compareValues, toDouble } = require('./bsonTypes');
+const { MISSING, queryCandidates } = require('./paths');
+const { EngineError } = require('./errors');
+
+function sortError(code, message) {
+    return new EngineError(message, { code, codeName: 'Location' + code });
+}
+
+/**
+ * The value a document sorts by for `path` in `direction` (1 or -1).
+ */
+function sortKey(doc, path, direction) {
+    const values = [];
+    for (const { value } of queryCandidates(doc, path)) {
+        if (value === MISSING) values.push(null);
+        else if (Array.isArray(value)) values.push(...(value.length > 0 ? value : [undefined]));
+        else values.push(value);
+    }
+    return values.reduce((best, value) => (direction * compareValues(value, best) < 0 ? value : best));
+}
+
+/**
+ * [[path, 1 | -1], ...] from a sort specification.
+ */
+function parseSortSpec(spec, stage = '$sort') {
+    if (!isDocument(spec)) throw sortError(15973, `the ${stage} key specification must be an object`);
+    const keys = Object.entries(spec);
+    if (keys.length === 0) throw sortError(15976, `${stage} stage must have at least one sort key`);
+
+    return keys.map(([path, order]) => {
+        if (!isNumber(order) || ![1, -1].includes(toDouble(order))) {
+            throw sortError(15975, `${stage} key ordering must be 1 (for ascending) or -1 (for descending)`);
+        }
+        return [path, toDouble(order)];
+    });
+}
+
+/**
+ * Compiles `spec` into a comparator (a, b) -> number for Array.sort.
+ */
+function compileSort(spec, stage) {
+    const keys = parseSortSpec(spec, stage);
+    return (a, b) => {
+        for (const [path, direction] of keys) {
+            const difference = compareValues(sortKey(a, path, direction), sortKey(b, path, direction));
+            if (difference !== 0) return direction * difference;
+        }
+        return 0;
+    };
+}
+
+module.exports = {
+    parseSortSpec,
+    compileSort
+};
@@ -0,0 +1,804 @@
+/**
+ * TOOL: UPDATES
+ * DESCRIPTION:
+ * Applies an update - operators ({ $set: ..., $inc: ... }), a
+ * replacement document, or an update pipeline ([{ $set: ... }]) - to
+ * plain JavaScript documents, the way updateOne/updateMany would:
+ *
+ *   - $set, $unset, $setOnInsert, $inc, $mul, $min, $max, $rename,
+ *     $currentDate, $push ($each, $position, $sort, $slice), $addToSet,
+ *     $pop, $pull and $pullAll, with the server's numeric promotion
+ *     (int + int that overflows becomes a long).
+ *   - Positional paths: "grades.$" (the element the filter matched),
+ *     "scores.$[]" (every element) and "grades.$[g].score" (elements
+ *     matching the arrayFilters entry for g).
+ *   - Upserts seed the new document from the filter's equality
+ *     conditions, then apply the update as an insert.
+ *   - Conflicting paths, _id changes and writes through scalars fail
+ *     with the server's error codes and messages.
+ *
+ * dryRunUpdate() runs an updateMany/updateOne over sampled documents and
+ * reports before/after for each, without touching a server.
+ *
+ * USAGE:
+ *   const { applyUpdate, dryRunUpdate } = require('./tools/localEngine/updates');
+ *   applyUpdate({ _id: 1, qty: 5 }, { $inc: { qty: 2 } }).document;  // { _id: 1, qty: 7 }
+ *   dryRunUpdate(sample, { status: 'trial' }, { $set: { status: 'expired' } }, { multi: true });
+ */
+
+const util = require('util');
+const { bsonTypeOf, isDocument, isNumber, compareValues, valuesEqual, toDouble } = require('./bsonTypes');
+const { MISSING, isArrayIndex } = require('./paths');
+const { compileFilter, compileElementMatcher, matchedIndex } = require('./matcher');
+const { compilePipeline } = require('./pipeline');
+const numbers = require('./numbers');
+const { EngineError } = require('./errors');
+
+function updateError(code, codeName, message) {
+    return new EngineError(message, { code, codeName });
+}
+
+function formatValue(value) {
+    return util.inspect(value, { depth: null, breakLength: Infinity, compact: true });
+}
+
+// -------------------------------------------------------------------------------------------
+// 1. VALUES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * A copy of the document tree; BSON values (ObjectId, Date, ...) are
+ * shared since updates replace them rather than change them.
+ */
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (isDocument(value)) return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+    return value;
+}
+
+/**
+ * Same type, value and field order - the server counts a document as
+ * modified only when its bytes change, so { a: 1 } set to 1 is not.
+ */
+function identical(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((value, index) => identical(value, b[index]));
+    }
+    if (isDocument(a) || isDocument(b)) {
+        if (!isDocument(a) || !isDocument(b)) return false;
+        const keys = Object.keys(a);
+        const otherKeys = Object.keys(b);
+        return keys.length === otherKeys.length && keys.every((key, index) => key === otherKeys[index] && identical(a[key], b[key]));
+    }
+    return bsonTypeOf(a) === bsonTypeOf(b) && valuesEqual(a, b);
+}
+
+function withIdFirst(doc) {
+    if (!('_id' in doc)) return doc;
+    const { _id, ...rest } = doc;
+    return { _id, ...rest };
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. PATHS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Splits an update path into parts: field names, plus
+ * { positional: '$' | '$[]' | '$[id]', id } for positional parts.
+ */
+function parsePath(path) {
+    const parts = path.split('.');
+    if (parts.some(part => part === '')) {
+        throw updateError(56, 'EmptyFieldName', `The update path '${path}' contains an empty field name, which is not allowed.`);
+    }
+
+    let dollars = 0;
+    return parts.map(part => {
+        if (part === '$') {
+            dollars += 1;
+            if (dollars > 1) throw updateError(2, 'BadValue', `Too many positional (i.e. '$') elements found in path '${path}'`);
+            return { positional: '$' };
+        }
+        const filtered = part.match(/^\$\[(\w*)\]$/);
+        if (filtered) return filtered[1] ? { positional: '$[id]', id: filtered[1] } : { positional: '$[]' };
+        if (part.startsWith('$')) {
+            throw updateError(52, 'DollarPrefixedFieldName', `The dollar ($) prefixed field '${part}' in '${path}' is not valid for storage.`);
+        }
+        return part;
+    });
+}
+
+function isPositional(part) {
+    return typeof part === 'object';
+}
+
+function childOf(value, part) {
+    if (Array.isArray(value) && isArrayIndex(part)) return Number(part) < value.length ? value[Number(part)] : MISSING;
+    if (isDocument(value) && Object.prototype.hasOwnProperty.call(value, part)) return value[part];
+    return MISSING;
+}
+
+/**
+ * The concrete paths (arrays of field names) a parsed path stands for
+ * in `doc`: positional parts become element indexes.
+ */
+function expandPath(doc, parts, env, index = 0, trail = [], out = []) {
+    if (index === parts.length) {
+        out.push(trail);
+        return out;
+    }
+
+    const part = parts[index];
+    const value = trail.reduce(childOf, doc);
+    if (!isPositional(part)) return expandPath(doc, parts, env, index + 1, [...trail, part], out);
+
+    if (part.positional === '$') {
+        const position = matchedIndex(env.trace, trail.join('.'));
+        if (position === null) throw updateError(2, 'BadValue', 'The positional operator did not find the match needed from the query.');
+        return expandPath(doc, parts, env, index + 1, [...trail, position], out);
+    }
+
+    if (value === MISSING) {
+        throw updateError(2, 'BadValue', `The path '${trail.join('.')}' must exist in the document in order to apply array updates.`);
+    }
+    if (!Array.isArray(value)) {
+        throw updateError(2, 'BadValue', `Cannot apply array updates to non-array element ${trail[trail.length - 1]}: ${formatValue(value)}`);
+    }
+    value.forEach((element, position) => {
+        if (part.positional === '$[id]' && !env.arrayFilters.get(part.id)(element)) return;
+        expandPath(doc, parts, env, index + 1, [...trail, String(position)], out);
+    });
+    return out;
+}
+
+/**
+ * Updated paths conflict when one is a prefix of (or equal to) another.
+ */
+function checkConflicts(paths) {
+    for (const [index, path] of paths.entries()) {
+        for (const other of paths.slice(0, index)) {
+            const shorter = path.length <= other.length ? path : other;
+            if (shorter.every((part, position) => String(part) === String(path[position]) && String(part) === String(other[position]))) {
+                throw updateError(40, 'ConflictingUpdateOperators', `Updating the path '${path.map(String).join('.')}' would create a conflict at '${shorter.map(String).join('.')}'`);
+            }
+        }
+    }
+}
+
+/**
+ * Field names in lexicographic order, numeric names in numeric order
+ * (the order the server applies updates in).
+ */
+function comparePaths(a, b) {
+    for (let index = 0; index < Math.min(a.length, b.length); index += 1) {
+        if (a[index] === b[index]) continue;
+        if (isArrayIndex(a[index]) && isArrayIndex(b[index])) return Number(a[index]) - Number(b[index]);
+        return a[index] < b[index] ? -1 : 1;
+    }
+    return a.length - b.length;
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. READING AND WRITING FIELDS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * { parent, key, value } for a path, or null when a parent is missing
+ * or not a container.
+ */
+function locate(doc, parts) {
+    let parent = doc;
+    for (const part of parts.slice(0, -1)) {
+        parent = childOf(parent, part);
+        if (!Array.isArray(parent) && !isDocument(parent)) return null;
+    }
+    const key = parts[parts.length - 1];
+    return { parent, key, value: childOf(parent, key) };
+}
+
+/**
+ * The name of the first array on the way to the last part of `parts`
+ * (an array at the end does not count), or null.
+ */
+function arrayOnPath(doc, parts) {
+    let value = doc;
+    for (const part of parts.slice(0, -1)) {
+        value = childOf(value, part);
+        if (Array.isArray(value)) return part;
+        if (!isDocument(value)) return null;
+    }
+    return null;
+}
+
+function cannotCreate(field, name, value) {
+    return updateError(28, 'PathNotViable', `Cannot create field '${field}' in element {${name}: ${formatValue(value)}}`);
+}
+
+/**
+ * The container for the last part of `parts`, creating embedded
+ * documents on the way. Arrays are indexed by number and padded with
+ * nulls; a scalar on the way cannot hold a field.
+ */
+function ensureParent(doc, parts) {
+    let parent = doc;
+    let name = null;
+    for (const [position, part] of parts.slice(0, -1).entries()) {
+        let child = childOf(parent, part);
+        if (child === MISSING) {
+            child = {};
+            write(parent, name, part, child);
+        } else if (child === null || (!Array.isArray(child) && !isDocument(child))) {
+            throw cannotCreate(parts[position + 1], part, child);
+        }
+        parent = child;
+        name = part;
+    }
+    return { parent, name };
+}
+
+function write(parent, name, key, value) {
+    if (Array.isArray(parent)) {
+        if (!isArrayIndex(key)) throw cannotCreate(key, name, parent);
+        while (parent.length < Number(key)) parent.push(null);
+        parent[Number(key)] = value;
+    } else {
+        parent[key] = value;
+    }
+}
+
+function setValue(doc, parts, value) {
+    const { parent, name } = ensureParent(doc, parts);
+    write(parent, name, parts[parts.length - 1], value);
+}
+
+/**
+ * Removes a field; an array element becomes null instead, so the other
+ * elements keep their positions.
+ */
+function removeValue(location) {
+    if (Array.isArray(location.parent)) location.parent[Number(location.key)] = null;
+    else delete location.parent[location.key];
+}
+
+function documentId(doc) {
+    return `{_id: ${formatValue(doc._id)}}`;
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. OPERATORS
+// -------------------------------------------------------------------------------------------
+
+function requireInteger(value, message) {
+    if (!isNumber(value) || !Number.isInteger(toDouble(value))) throw updateError(2, 'BadValue', `${message}${bsonTypeOf(value)}`);
+    return toDouble(value);
+}
+
+/**
+ * The value of a numeric operator ($inc, $mul) on an existing number.
+ */
+function arithmetic(name, combine) {
+    const verb = name === '$inc' ? 'increment' : 'multiply';
+    return {
+        prepare(operand, path) {
+            if (!isNumber(operand)) {
+                throw updateError(14, 'TypeMismatch', `Cannot ${verb} with non-numeric argument: {${path}: ${formatValue(operand)}}`);
+            }
+            return operand;
+        },
+        apply(doc, parts, operand, env) {
+            const location = locate(doc, parts);
+            const current = location ? location.value : MISSING;
+            if (current === MISSING) {
+                setValue(doc, parts, name === '$inc' ? operand : numbers.zeroLike(operand));
+                return;
+            }
+            if (!isNumber(current)) {
+                throw updateError(14, 'TypeMismatch', `Cannot apply ${name} to a value of non-numeric type. ${documentId(env.doc)} has the field '${parts[parts.length - 1]}' of non-numeric type ${bsonTypeOf(current)}`);
+            }
+            const result = combine(current, operand, { onLongOverflow: 'error' });
+            if (result === null) {
+                throw updateError(2, 'BadValue', `Failed to apply ${name} operations to current value (${formatValue(current)}) for document ${documentId(env.doc)}`);
+            }
+            setValue(doc, parts, result);
+        }
+    };
+}
+
+function extreme(keep) {
+    return {
+        apply(doc, parts, operand) {
+            const location = locate(doc, parts);
+            const current = location ? location.value : MISSING;
+            if (current === MISSING || keep(compareValues(operand, current))) setValue(doc, parts, operand);
+        }
+    };
+}
+
+function currentDateValue(operand, env) {
+    if (operand.type === 'date') return env.now;
+    const { Timestamp } = require('mongodb');
+    return new Timestamp({ t: Math.floor(env.now.getTime() / 1000), i: 1 });
+}
+
+/**
+ * The array at `parts` for $push/$addToSet: [] when missing.
+ */
+function targetArray(doc, parts, describe) {
+    const location = locate(doc, parts);
+    const current = location ? location.value : MISSING;
+    if (current === MISSING) return [];
+    if (!Array.isArray(current)) throw updateError(2, 'BadValue', describe(current));
+    return current;
+}
+
+/**
+ * $sort for $push: 1/-1 sorts whole elements, { field: 1/-1 } sorts
+ * embedded documents by their fields.
+ */
+function pushSorter(spec) {
+    const direction = value => isNumber(value) && Math.abs(toDouble(value)) === 1;
+    if (direction(spec)) return (a, b) => toDouble(spec) * compareValues(a, b);
+    if (!isDocument(spec) || Object.keys(spec).length === 0 || !Object.values(spec).every(direction)) {
+        throw updateError(2, 'BadValue', 'The $sort is invalid: use 1/-1 to sort the whole element, or {field:1/-1} to sort embedded fields');
+    }
+    const keyOf = (element, path) => {
+        const value = path.split('.').reduce(childOf, element);
+        return value === MISSING ? null : value;
+    };
+    return (a, b) => {
+        for (const [path, order] of Object.entries(spec)) {
+            const difference = compareValues(keyOf(a, path), keyOf(b, path));
+            if (difference !== 0) return toDouble(order) * difference;
+        }
+        return 0;
+    };
+}
+
+function preparePush(operand) {
+    if (!isDocument(operand) || !('$each' in operand)) return { each: [operand] };
+
+    for (const key of Object.keys(operand)) {
+        if (!['$each', '$slice', '$sort', '$position'].includes(key)) throw updateError(2, 'BadValue', `Unrecognized clause in $push: ${key}`);
+    }
+    if (!Array.isArray(operand.$each)) {
+        throw updateError(2, 'BadValue', `The argument to $each in $push must be an array but it was of type: ${bsonTypeOf(operand.$each)}`);
+    }
+    return {
+        each: operand.$each,
+        position: '$position' in operand ? requireInteger(operand.$position, 'The value for $position must be an integer value, not of type: ') : undefined,
+        sort: '$sort' in operand ? pushSorter(operand.$sort) : undefined,
+        slice: '$slice' in operand ? requireInteger(operand.$slice, 'The value for $slice must be an integer value but was given type: ') : undefined
+    };
+}
+
+function applyPush(doc, parts, push, env) {
+    const current = targetArray(doc, parts, value => `The field '${parts[parts.length - 1]}' must be an array but is of type ${bsonTypeOf(value)} in document ${documentId(env.doc)}`);
+    let result = [...current];
+
+    // $position, then $sort, then $slice - whatever order they are written in
+    let position = push.position === undefined ? result.length : push.position;
+    if (position < 0) position = Math.max(0, result.length + position);
+    result.splice(Math.min(position, result.length), 0, ...clone(push.each));
+    if (push.sort) result.sort(push.sort);
+    if (push.slice !== undefined) result = push.slice >= 0 ? result.slice(0, push.slice) : result.slice(push.slice);
+
+    setValue(doc, parts, result);
+}
+
+function prepareAddToSet(operand) {
+    if (!isDocument(operand) || !('$each' in operand)) return [operand];
+    if (Object.keys(operand).length > 1) {
+        throw updateError(2, 'BadValue', `Found unexpected fields after $each in $addToSet: ${formatValue(operand)}`);
+    }
+    if (!Array.isArray(operand.$each)) {
+        throw updateError(2, 'BadValue', `The argument to $each in $addToSet must be an array but it was of type ${bsonTypeOf(operand.$each)}`);
+    }
+    return operand.$each;
+}
+
+function applyAddToSet(doc, parts, values) {
+    const current = targetArray(doc, parts, value => `Cannot apply $addToSet to non-array field. Field named '${parts[parts.length - 1]}' has non-array type ${bsonTypeOf(value)}`);
+    const result = [...current];
+    for (const value of values) {
+        if (!result.some(element => valuesEqual(element, value))) result.push(clone(value));
+    }
+    setValue(doc, parts, result);
+}
+
+/**
+ * Removes the elements of the array at `parts` that `test` accepts.
+ */
+function removeElements(doc, parts, test, describe) {
+    const location = locate(doc, parts);
+    if (!location || location.value === MISSING) return;
+    if (!Array.isArray(location.value)) throw describe(location.value);
+    const kept = location.value.filter(element => !test(element));
+    if (kept.length !== location.value.length) write(location.parent, null, location.key, kept);
+}
+
+/**
+ * $pull: { tags: 'old' } removes equal elements,
+ * { scores: { $lt: 50 } } elements passing the operators, and
+ * { items: { sku: 'x' } } embedded documents matching the filter.
+ */
+function preparePull(operand) {
+    if (isDocument(operand) && Object.keys(operand).length > 0) return compileElementMatcher(operand);
+    if (operand instanceof RegExp) return element => typeof element === 'string' && new RegExp(operand.source, operand.flags).test(element);
+    return element => valuesEqual(element, operand);
+}
+
+/**
+ * apply(doc, parts, operand, env) changes `doc` in place at the concrete
+ * path `parts`; prepare(operand, path) validates the operand once.
+ * `creates: false` marks operators that do nothing when the path is
+ * missing.
+ */
+const UPDATE_OPERATORS = {
+    $set: {
+        apply: (doc, parts, operand) => setValue(doc, parts, clone(operand))
+    },
+    $setOnInsert: {
+        insertOnly: true,
+        apply: (doc, parts, operand) => setValue(doc, parts, clone(operand))
+    },
+    $unset: {
+        apply(doc, parts) {
+            const location = locate(doc, parts);
+            if (location && location.value !== MISSING) removeValue(location);
+        }
+    },
+    $inc: arithmetic('$inc', numbers.add),
+    $mul: arithmetic('$mul', numbers.multiply),
+    $min: extreme(order => order < 0),
+    $max: extreme(order => order > 0),
+    $currentDate: {
+        prepare(operand, path) {
+            if (typeof operand === 'boolean') return { type: 'date' };
+            if (isDocument(operand) && ['date', 'timestamp'].includes(operand.$type) && Object.keys(operand).length === 1) {
+                return { type: operand.$type };
+            }
+            if (isDocument(operand)) {
+                throw updateError(2, 'BadValue', `The '$type' string field is required to be 'date' or 'timestamp': {$currentDate: {field : {$type: 'date'}}}`);
+            }
+            throw updateError(2, 'BadValue', `${path} is not valid type for $currentDate. Please use a boolean ('true') or a $type expression ({$type: 'timestamp/date'}).`);
+        },
+        apply: (doc, parts, operand, env) => setValue(doc, parts, currentDateValue(operand, env))
+    },
+    $rename: {
+        prepare(operand, path) {
+            if (typeof operand !== 'string') throw updateError(2, 'BadValue', `The 'to' field for $rename must be a string: ${path}: ${formatValue(operand)}`);
+            const target = parsePath(operand);
+            if (parsePath(path).some(isPositional)) throw updateError(2, 'BadValue', `The source field for $rename may not be dynamic: ${path}`);
+            if (target.some(isPositional)) throw updateError(2, 'BadValue', `The destination field for $rename may not be dynamic: ${operand}`);
+            if (operand === path) throw updateError(2, 'BadValue', `The source and target field for $rename must differ: ${path}: ${formatValue(operand)}`);
+            if (operand.startsWith(`${path}.`) || path.startsWith(`${operand}.`)) {
+                throw updateError(2, 'BadValue', `The source and target field for $rename must not be on the same path: ${path}: ${formatValue(operand)}`);
+            }
+            return { path: operand, parts: target };
+        },
+        apply(doc, parts, operand, env) {
+            const arrayField = arrayOnPath(doc, parts);
+            if (arrayField) {
+                throw updateError(2, 'BadValue', `The source field cannot be an array element, '${parts.join('.')}' in doc with _id: ${formatValue(env.doc._id)} has an array field called '${arrayField}'`);
+            }
+            const location = locate(doc, parts);
+            if (!location || location.value === MISSING) return;
+            const { parent } = ensureParent(doc, operand.parts);
+            if (Array.isArray(parent)) {
+                throw updateError(2, 'BadValue', `The destination field cannot be an array element, '${operand.path}' in doc with _id: ${formatValue(env.doc._id)} has an array field called '${operand.parts[operand.parts.length - 2]}'`);
+            }
+            removeValue(location);
+            setValue(doc, operand.parts, location.value);
+        }
+    },
+    $push: { prepare: preparePush, apply: applyPush },
+    $addToSet: { prepare: prepareAddToSet, apply: applyAddToSet },
+    $pop: {
+        prepare(operand) {
+            if (!isNumber(operand) || Math.abs(toDouble(operand)) !== 1) {
+                throw updateError(9, 'FailedToParse', `$pop expects 1 or -1, found: ${formatValue(operand)}`);
+            }
+            return toDouble(operand);
+        },
+        apply(doc, parts, operand) {
+            const location = locate(doc, parts);
+            if (!location || location.value === MISSING) return;
+            if (!Array.isArray(location.value)) {
+                throw updateError(14, 'TypeMismatch', `Path '${parts.join('.')}' contains an element of non-array type '${bsonTypeOf(location.value)}'`);
+            }
+            if (location.value.length === 0) return;
+            write(location.parent, null, location.key, operand === 1 ? location.value.slice(0, -1) : location.value.slice(1));
+        }
+    },
+    $pull: {
+        prepare: preparePull,
+        apply: (doc, parts, test) => removeElements(doc, parts, test, () => updateError(2, 'BadValue', 'Cannot apply $pull to a non-array value'))
+    },
+    $pullAll: {
+        prepare(operand) {
+            if (!Array.isArray(operand)) throw updateError(2, 'BadValue', `$pullAll requires an array argument but was given a ${bsonTypeOf(operand)}`);
+            return operand;
+        },
+        apply: (doc, parts, values) => removeElements(doc, parts, element => values.some(value => valuesEqual(element, value)),
+            () => updateError(2, 'BadValue', 'Cannot apply $pull to a non-array value'))
+    }
+};
+
+// -------------------------------------------------------------------------------------------
+// 5. ARRAY FILTERS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * [{ 'g.score': { $gte: 60 } }] -> Map { 'g' => element -> boolean }.
+ * Each filter names one identifier; "g" is the element itself.
+ */
+function compileArrayFilters(arrayFilters = []) {
+    const compiled = new Map();
+    for (const filter of arrayFilters) {
+        if (!isDocument(filter)) throw updateError(14, 'TypeMismatch', `Each array filter must be an object`);
+        const ids = [...new Set(Object.keys(filter).filter(key => !key.startsWith('$')).map(key => key.split('.')[0]))];
+        if (ids.length === 0) throw updateError(9, 'FailedToParse', 'Cannot use an expression without a top-level field name in arrayFilters');
+        if (ids.length > 1) {
+            throw updateError(9, 'FailedToParse', `Error parsing array filter :: caused by :: Expected a single top-level field name, found '${ids[0]}' and '${ids[1]}'`);
+        }
+        const [id] = ids;
+        if (!/^[a-z][a-zA-Z0-9]*$/.test(id)) {
+            throw updateError(2, 'BadValue', `Error parsing array filter :: caused by :: The top-level field name must be an alphanumeric string beginning with a lowercase letter, found '${id}'`);
+        }
+        if (compiled.has(id)) throw updateError(9, 'FailedToParse', `Found multiple array filters with the same top-level field name ${id}`);
+
+        const matches = compileFilter(filter);
+        compiled.set(id, element => matches({ [id]: element }));
+    }
+    return compiled;
+}
+
+// -------------------------------------------------------------------------------------------
+// 6. COMPILING UPDATES
+// -------------------------------------------------------------------------------------------
+
+function updateKind(update) {
+    if (Array.isArray(update)) return 'pipeline';
+    if (!isDocument(update)) throw updateError(9, 'FailedToParse', 'Update argument must be either an object or an array');
+    const keys = Object.keys(update);
+    return keys.length > 0 && keys[0].startsWith('$') ? 'operators' : 'replacement';
+}
+
+/**
+ * { $set: { a: 1 }, $inc: { b: 2 } } -> [{ name, operator, path, parts, operand }].
+ */
+function compileOperations(update, arrayFilters) {
+    const operations = [];
+    for (const [name, fields] of Object.entries(update)) {
+        const operator = UPDATE_OPERATORS[name];
+        if (!operator) {
+            throw updateError(9, 'FailedToParse', `Unknown modifier: ${name}. Expected a valid update modifier or pipeline-style update specified as an array`);
+        }
+        if (!isDocument(fields)) {
+            throw updateError(9, 'FailedToParse', `Modifiers operate on fields but we found type ${bsonTypeOf(fields)} instead. For example: {$mod: {<field>: ...}} not {${name}: ${formatValue(fields)}}`);
+        }
+        for (const [path, operand] of Object.entries(fields)) {
+            const parts = parsePath(path);
+            for (const part of parts) {
+                if (part.positional === '$[id]' && !arrayFilters.has(part.id)) {
+                    throw updateError(2, 'BadValue', `No array filter found for identifier '${part.id}' in path '${path}'`);
+                }
+            }
+            operations.push({ name, operator, path, parts, operand: operator.prepare ? operator.prepare(operand, path) : operand });
+        }
+    }
+
+    // Conflicts are an error whether or not the document has the fields
+    checkConflicts(operations.flatMap(operation => updatedPaths(operation, operation.parts)));
+
+    const used = new Set(operations.flatMap(operation => operation.parts.filter(part => part.positional === '$[id]').map(part => part.id)));
+    for (const id of arrayFilters.keys()) {
+        if (!used.has(id)) {
+            throw updateError(9, 'FailedToParse', `The array filter for identifier '${id}' was not used in the update ${formatValue(update)}`);
+        }
+    }
+    return operations;
+}
+
+/**
+ * The paths an operation writes: $rename writes its source and target.
+ */
+function updatedPaths(operation, parts) {
+    const key = part => (isPositional(part) ? (part.id ? `$[${part.id}]` : part.positional) : part);
+    const paths = [parts.map(key)];
+    if (operation.name === '$rename') paths.push(operation.operand.parts);
+    return paths;
+}
+
+function applyOperations(operations, doc, env) {
+    const steps = [];
+    for (const operation of operations) {
+        if (operation.operator.insertOnly && !env.isInsert) continue;
+        for (const parts of expandPath(doc, operation.parts, env)) steps.push({ operation, parts });
+    }
+    checkConflicts(steps.flatMap(step => updatedPaths(step.operation, step.parts)));
+
+    steps.sort((a, b) => comparePaths(a.parts, b.parts));
+    for (const { operation, parts } of steps) {
+        operation.operator.apply(doc, parts, operation.operand, { ...env, doc });
+    }
+
+    if (env.originalId !== undefined && (!('_id' in doc) || !identical(doc._id, env.originalId))) {
+        throw updateError(66, 'ImmutableField', `Performing an update on the path '_id' would modify the immutable field '_id'`);
+    }
+    return doc;
+}
+
+function replaceDocument(replacement, doc) {
+    for (const key of Object.keys(replacement)) {
+        if (key.startsWith('$')) {
+            throw updateError(52, 'DollarPrefixedFieldName', `The dollar ($) prefixed field '${key}' in '${key}' is not valid for storage.`);
+        }
+    }
+    const next = clone(replacement);
+    if ('_id' in doc) {
+        if ('_id' in next && !identical(next._id, doc._id)) {
+            throw updateError(66, 'ImmutableField', `After applying the update, the (immutable) field '_id' was found to have been altered to _id: ${formatValue(next._id)}`);
+        }
+        return { _id: doc._id, ...next };
+    }
+    return withIdFirst(next);
+}
+
+function runUpdatePipeline(pipeline, doc) {
+    const [result] = pipeline([doc]);
+    if (!('_id' in doc)) return withIdFirst(result);
+    if (!('_id' in result)) return { _id: doc._id, ...result };
+    if (!identical(result._id, doc._id)) {
+        throw updateError(66, 'ImmutableField', `After applying the update, the (immutable) field '_id' was found to have been altered to _id: ${formatValue(result._id)}`);
+    }
+    return result;
+}
+
+/**
+ * Compiles `update` once: returns (doc, { trace, isInsert, now }) ->
+ * { document, modified }, where `trace` is the filter's match trace
+ * (for "$" paths). The document passed in is not changed.
+ */
+function compileUpdate(update, { arrayFilters } = {}) {
+    const kind = updateKind(update);
+    if (kind !== 'operators' && arrayFilters && arrayFilters.length > 0) {
+        throw updateError(72, 'InvalidOptions', 'arrayFilters may not be specified for pipeline-style or replacement-style updates');
+    }
+
+    let apply;
+    if (kind === 'pipeline') {
+        const pipeline = compilePipeline(update, { forUpdate: true });
+        apply = doc => runUpdatePipeline(pipeline, doc);
+    } else if (kind === 'replacement') {
+        apply = doc => replaceDocument(update, doc);
+    } else {
+        const filters = compileArrayFilters(arrayFilters);
+        const operations = compileOperations(update, filters);
+        apply = (doc, env) => applyOperations(operations, clone(doc), {
+            ...env,
+            arrayFilters: filters,
+            originalId: env.isInsert || !('_id' in doc) ? undefined : doc._id
+        });
+    }
+
+    return (doc, { trace = null, isInsert = false, now = new Date() } = {}) => {
+        const document = apply(doc, { trace, isInsert, now });
+        return { document, modified: !identical(document, doc) };
+    };
+}
+
+/**
+ * Applies `update` to `doc`. `filter` is the query the document matched
+ * (needed for "$" paths); `isInsert` applies $setOnInsert.
+ */
+function applyUpdate(doc, update, { filter = {}, arrayFilters, isInsert = false, now } = {}) {
+    const trace = [];
+    compileFilter(filter)(doc, trace);
+    return compileUpdate(update, { arrayFilters })(doc, { trace, isInsert, now });
+}
+
+// -------------------------------------------------------------------------------------------
+// 7. UPSERTS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * The equality conditions of a filter as [path, value]:
+ * { sku: 'x', 'dims.h': 10, qty: { $eq: 5 }, $and: [{ color: 'red' }] }.
+ * Other operators and $or/$nor branches seed nothing.
+ */
+function equalityFields(filter, out = []) {
+    for (const [key, value] of Object.entries(filter)) {
+        if (key === '$and') {
+            value.forEach(branch => equalityFields(branch, out));
+        } else if (!key.startsWith('$')) {
+            const isOperators = isDocument(value) && Object.keys(value).length > 0 && Object.keys(value)[0].startsWith('$');
+            if (!isOperators && !(value instanceof RegExp)) out.push([key, value]);
+            else if (isOperators && '$eq' in value) out.push([key, value.$eq]);
+        }
+    }
+    return out;
+}
+
+/**
+ * The document an upsert inserts: the filter's equality fields, then
+ * the update applied as an insert, then a new _id if it has none.
+ */
+function upsertDocument(filter, update, { arrayFilters, now, newId } = {}) {
+    const fields = equalityFields(filter);
+    const paths = fields.map(([path]) => path.split('.'));
+    for (const [index, path] of paths.entries()) {
+        for (const other of paths.slice(0, index)) {
+            const shorter = path.length <= other.length ? path : other;
+            if (!shorter.every((part, position) => part === path[position] && part === other[position])) continue;
+            throw updateError(54, 'NotSingleValueField', path.length === other.length
+                ? `cannot infer query fields to set, path '${path.join('.')}' is matched twice`
+                : `cannot infer query fields to set, both paths '${other.join('.')}' and '${path.join('.')}' are matched`);
+        }
+    }
+
+    let seed = {};
+    if (updateKind(update) === 'replacement') {
+        const id = fields.find(([path]) => path === '_id');
+        if (id) seed._id = clone(id[1]);
+    } else {
+        for (const [path, value] of fields) setValue(seed, path.split('.'), clone(value));
+    }
+
+    const { document } = compileUpdate(update, { arrayFilters })(seed, { isInsert: true, now });
+    if ('_id' in seed && (!('_id' in document) || !identical(document._id, seed._id))) {
+        throw updateError(66, 'ImmutableField', `After applying the update, the (immutable) field '_id' was found to have been altered to _id: ${formatValue(document._id)}`);
+    }
+    if ('_id' in document) return withIdFirst(document);
+    return { _id: newId ? newId() : new (require('mongodb').ObjectId)(), ...document };
+}
+
+// -------------------------------------------------------------------------------------------
+// 8. DRY RUNS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * What updateOne (multi: false) or updateMany (multi: true) would do to
+ * `docs`, without changing them:
+ *
+ * {
+ *   matchedCount, modifiedCount, upsertedCount, upsertedId,
+ *   documents: [{ before, after, modified }]   // before is null for an upsert
+ * }
+ */
+function dryRunUpdate(docs, filter, update, { multi = false, upsert = false, arrayFilters, now = new Date(), newId } = {}) {
+    if (multi && updateKind(update) === 'replacement') {
+        throw updateError(9, 'FailedToParse', 'multi update is not supported for replacement-style update');
+    }
+    const matches = compileFilter(filter);
+    const apply = compileUpdate(update, { arrayFilters });
+
+    const result = { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null, documents: [] };
+    for (const doc of docs) {
+        const trace = [];
+        if (!matches(doc, trace)) continue;
+
+        const { document, modified } = apply(doc, { trace, now });
+        result.matchedCount += 1;
+        if (modified) result.modifiedCount += 1;
+        result.documents.push({ before: doc, after: document, modified });
+        if (!multi) break;
+    }
+
+    if (result.matchedCount === 0 && upsert) {
+        const document = upsertDocument(filter, update, { arrayFilters, now, newId });
+        result.upsertedCount = 1;
+        result.upsertedId = document._id;
+        result.documents.push({ before: null, after: document, modified: true });
+    }
+    return result;
+}
+
+module.exports = {
+    UPDATE_OPERATORS,
+    compileUpdate,
+    applyUpdate,
+    upsertDocument,
+    dryRunUpdate
+};
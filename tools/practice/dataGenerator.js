@@ -0,0 +1,291 @@
+/**
+ * TOOL: PRACTICE DATA GENERATOR
+ * DESCRIPTION:
+ * Deterministic generator for the document shapes used by the practice
+ * problem SETUP sections (users, products, orders, employees, sales,
+ * movies, customers, transactions, accounts). The same seed always
+ * yields the same documents, at any scale from a handful to 1M+, so
+ * explain() output such as totalDocsExamined is reproducible.
+ *
+ * Documents are produced lazily (generator functions) so a 1M-document
+ * collection never has to sit in memory at once.
+ */
+
+// Fixed "now" so date fields do not drift between runs
+const REFERENCE_DATE = Date.UTC(2024, 5, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FIRST_NAMES = ['John', 'Jane', 'Bob', 'Alice', 'Charlie', 'Diana', 'Edward', 'Fiona', 'George', 'Helen', 'Ivan', 'Julia', 'Kevin', 'Laura', 'Mike', 'Nina'];
+const LAST_NAMES = ['Doe', 'Smith', 'Wilson', 'Brown', 'Davis', 'Martinez', 'Lee', 'Green', 'White', 'Black', 'Kim', 'Garcia', 'Clark', 'Lopez', 'Young', 'Hall'];
+const CITIES = ['New York', 'Los Angeles', 'Chicago', 'Houston', 'Phoenix', 'Philadelphia', 'San Antonio', 'San Diego', 'Dallas', 'San Jose', 'Boston', 'Seattle', 'Austin', 'Denver'];
+const SKILLS = ['JavaScript', 'MongoDB', 'React', 'Python', 'Django', 'PostgreSQL', 'Java', 'Spring', 'MySQL', 'Node.js', 'Go', 'Kubernetes', 'Docker', 'Ruby', 'Rails', 'Redis', 'C#', '.NET', 'Azure', 'Vue.js', 'Firebase'];
+
+const PRODUCT_CATALOG = {
+    Electronics: ['Laptop', 'Mouse', 'Keyboard', 'USB-C Hub', 'Monitor', 'Webcam', 'Headphones', 'Tablet', 'Phone', 'Speaker'],
+    Furniture: ['Desk Chair', 'Standing Desk', 'Desk Lamp', 'Bookshelf', 'Filing Cabinet'],
+    Accessories: ['Mouse Pad', 'Cable Organizer', 'Laptop Stand', 'Monitor Arm']
+};
+const PRODUCT_ADJECTIVES = ['Pro', 'Lite', 'Max', 'Mini', 'Plus', 'HD', 'Ultra', 'Classic'];
+const PRODUCT_TAGS = ['computer', 'portable', 'work', 'accessory', 'wireless', 'gaming', 'rgb', 'display', '4k', 'office', 'ergonomic', 'adjustable', 'health', 'video', 'streaming', 'audio', 'lighting'];
+const ORDER_STATUSES = ['delivered', 'shipped', 'processing', 'cancelled'];
+
+const DEPARTMENTS = {
+    Engineering: ['Senior Developer', 'Junior Developer', 'Tech Lead', 'DevOps Engineer', 'QA Engineer'],
+    Marketing: ['Marketing Manager', 'Content Writer', 'SEO Specialist'],
+    HR: ['HR Director', 'Recruiter'],
+    Sales: ['Sales Director', 'Account Executive']
+};
+const REGIONS = ['North', 'South', 'East', 'West'];
+const SALES_PRODUCTS = { Laptop: 1200, Phone: 800, Tablet: 500, Monitor: 400, Keyboard: 100, Headphones: 200, Desk: 350, Chair: 150, Lamp: 75 };
+const FURNITURE = new Set(['Desk', 'Chair', 'Lamp']);
+
+const GENRES = ['Sci-Fi', 'Action', 'Thriller', 'Drama', 'Crime', 'Romance', 'Comedy', 'Horror'];
+const DIRECTORS = ['Christopher Nolan', 'Quentin Tarantino', 'Robert Zemeckis', 'Frank Darabont', 'David Fincher', 'Wachowskis'];
+const TITLE_WORDS = ['Dark', 'Last', 'Lost', 'Silent', 'Red', 'Hidden', 'Broken', 'Golden', 'Night', 'River', 'Empire', 'Signal', 'Garden', 'Storm'];
+
+const CUSTOMER_STATUSES = ['active', 'inactive', 'pending'];
+const TRANSACTION_PRODUCTS = ['Laptop', 'Phone', 'Tablet', 'Monitor', 'Keyboard', 'Mouse', 'Headphones', 'Camera', 'Printer', 'Speaker'];
+const TRANSACTION_STATUSES = ['completed', 'pending', 'refunded', 'cancelled'];
+const PAYMENT_METHODS = ['credit_card', 'debit_card', 'paypal', 'bank_transfer'];
+
+// -------------------------------------------------------------------------------------------
+// 1. SEEDED RANDOMNESS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Small deterministic PRNG (mulberry32) with helpers for the shapes below.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const pick = list => list[Math.floor(next() * list.length)];
+
+    return {
+        next,
+        int,
+        pick,
+        chance: probability => next() < probability,
+        money: (min, max) => Math.round((min + next() * (max - min)) * 100) / 100,
+        sample(list, count) {
+            const pool = list.slice();
+            const out = [];
+            while (out.length < count && pool.length) {
+                out.push(pool.splice(Math.floor(next() * pool.length), 1)[0]);
+            }
+            return out;
+        },
+        daysAgo: maxDays => new Date(REFERENCE_DATE - int(0, maxDays) * DAY_MS),
+        dateBetween: (from, to) => new Date(from.getTime() + Math.floor(next() * (to.getTime() - from.getTime())))
+    };
+}
+
+/**
+ * Derives an independent seed per collection, so changing the size of
+ * one collection never changes the documents of another.
+ */
+function collectionSeed(seed, name) {
+    let hash = seed >>> 0;
+    for (const char of name) {
+        hash = Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0;
+    }
+    return hash;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. DOCUMENT SHAPES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Each shape builds the i-th document (0-based). `counts` holds the sizes
+ * of the other collections in the same fixture so references (userId,
+ * productId, customerId) always point at existing documents.
+ */
+const SHAPES = {
+    users(i, random) {
+        return {
+            _id: i + 1,
+            name: `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`,
+            email: `user${i + 1}@example.com`,
+            age: random.int(18, 65),
+            city: random.pick(CITIES),
+            isActive: random.chance(0.75),
+            skills: random.sample(SKILLS, random.int(1, 4)),
+            createdAt: random.dateBetween(new Date('2023-01-01'), new Date('2024-01-01'))
+        };
+    },
+
+    products(i, random) {
+        const category = random.pick(Object.keys(PRODUCT_CATALOG));
+        return {
+            _id: 101 + i,
+            name: `${random.pick(PRODUCT_CATALOG[category])} ${random.pick(PRODUCT_ADJECTIVES)}`,
+            category,
+            price: random.money(9.99, 1499.99),
+            stock: random.int(0, 500),
+            rating: Math.round((3 + random.next() * 2) * 10) / 10,
+            tags: random.sample(PRODUCT_TAGS, random.int(1, 3))
+        };
+    },
+
+    orders(i, random, counts) {
+        const productCount = counts.products || 10;
+        const lines = Array.from({ length: random.int(1, 3) }, () => ({
+            productId: 101 + random.int(0, productCount - 1),
+            quantity: random.int(1, 3),
+            price: random.money(9.99, 1299.99)
+        }));
+        const total = Math.round(lines.reduce((sum, line) => sum + line.quantity * line.price, 0) * 100) / 100;
+
+        return {
+            _id: 1001 + i,
+            userId: random.int(1, counts.users || 8),
+            products: lines,
+            total,
+            status: random.pick(ORDER_STATUSES),
+            orderDate: random.dateBetween(new Date('2024-01-01'), new Date('2024-06-30'))
+        };
+    },
+
+    employees(i, random, counts) {
+        const department = random.pick(Object.keys(DEPARTMENTS));
+        return {
+            _id: i + 1,
+            name: `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`,
+            department,
+            position: random.pick(DEPARTMENTS[department]),
+            salary: random.int(45, 130) * 1000,
+            hireDate: random.dateBetween(new Date('2015-01-01'), new Date('2024-01-01')),
+            skills: random.sample(SKILLS, random.int(1, 4)),
+            manager: i > 0 && random.chance(0.6) ? random.int(1, Math.min(i, counts.employees || i)) : null
+        };
+    },
+
+    sales(i, random) {
+        const product = random.pick(Object.keys(SALES_PRODUCTS));
+        return {
+            _id: i + 1,
+            product,
+            category: FURNITURE.has(product) ? 'Furniture' : 'Electronics',
+            quantity: random.int(1, 30),
+            price: SALES_PRODUCTS[product],
+            region: random.pick(REGIONS),
+            date: random.dateBetween(new Date('2024-01-01'), new Date('2024-07-01')),
+            salesperson: random.pick(['George White', 'Fiona Green'])
+        };
+    },
+
+    movies(i, random) {
+        const budget = random.int(5, 200) * 1000000;
+        return {
+            _id: i + 1,
+            title: `The ${random.pick(TITLE_WORDS)} ${random.pick(TITLE_WORDS)}`,
+            year: random.int(1970, 2024),
+            genres: random.sample(GENRES, random.int(1, 3)),
+            rating: Math.round((5 + random.next() * 4.5) * 10) / 10,
+            director: random.pick(DIRECTORS),
+            cast: Array.from({ length: random.int(1, 3) }, () => `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`),
+            boxOffice: { budget, gross: Math.round(budget * (0.5 + random.next() * 6)) }
+        };
+    },
+
+    customers(i, random) {
+        const n = i + 1;
+        return {
+            _id: n,
+            name: `Customer ${n}`,
+            email: `customer${n}@example.com`,
+            age: random.int(18, 67),
+            city: random.pick(CITIES.slice(0, 10)),
+            status: random.pick(CUSTOMER_STATUSES),
+            registeredAt: random.daysAgo(365),
+            orderCount: random.int(0, 99),
+            totalSpent: random.int(0, 9999),
+            tags: ['customer', n % 2 === 0 ? 'premium' : 'standard', n % 5 === 0 ? 'vip' : 'regular']
+        };
+    },
+
+    transactions(i, random, counts) {
+        return {
+            _id: i + 1,
+            customerId: random.int(1, counts.customers || 1000),
+            product: random.pick(TRANSACTION_PRODUCTS),
+            amount: random.int(10, 2009),
+            quantity: random.int(1, 5),
+            date: random.daysAgo(180),
+            status: random.pick(TRANSACTION_STATUSES),
+            paymentMethod: random.pick(PAYMENT_METHODS)
+        };
+    },
+
+    accounts(i, random) {
+        return {
+            _id: `ACC${String(i + 1).padStart(3, '0')}`,
+            name: `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`,
+            balance: random.int(10, 100) * 100,
+            currency: 'USD'
+        };
+    }
+};
+
+// -------------------------------------------------------------------------------------------
+// 3. GENERATION
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Lazily yields `count` documents of `shape`.
+ */
+function* generateDocuments(shape, count, { seed = 1, counts = {} } = {}) {
+    if (!SHAPES[shape]) {
+        throw new Error(`Unknown document shape "${shape}" (expected one of: ${Object.keys(SHAPES).join(', ')})`);
+    }
+
+    const random = createRandom(collectionSeed(seed, shape));
+    for (let i = 0; i < count; i++) {
+        yield SHAPES[shape](i, random, counts);
+    }
+}
+
+/**
+ * Groups a document iterator into arrays of `size` for insertMany().
+ */
+function* inBatches(documents, size = 1000) {
+    let batch = [];
+    for (const doc of documents) {
+        batch.push(doc);
+        if (batch.length === size) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length) yield batch;
+}
+
+/**
+ * Parses sizes like "10k", "100k", "1m" or "2500".
+ */
+function parseScale(value) {
+    const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)([km]?)$/);
+    if (!match) throw new Error(`Invalid scale "${value}" (use e.g. 10k, 100k, 1m)`);
+
+    const multiplier = { '': 1, k: 1000, m: 1000000 }[match[2]];
+    return Math.round(Number(match[1]) * multiplier);
+}
+
+module.exports = {
+    REFERENCE_DATE,
+    SHAPES,
+    createRandom,
+    collectionSeed,
+    generateDocuments,
+    inBatches,
+    parseScale
+};
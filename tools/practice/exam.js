@@ -0,0 +1,468 @@
+/**
+ * TOOL: TIMED EXAM
+ * DESCRIPTION:
+ * Certification-style exams drawn from the practice problems. `start`
+ * picks N problems across the five topics (CRUD, aggregation, indexing,
+ * modeling, transactions) from a seed, writes an answer sheet with the
+ * problem descriptions but no solutions, and runs the clock: when the
+ * time limit is up - or when you type "submit" - the sheet is frozen and
+ * graded with the grader, and a report card is written as JSON and HTML
+ * (see reportCard.js).
+ *
+ * An exam directory holds:
+ *
+ *   exam.json     - the questions, the seed, start time and deadline
+ *   answers.js    - the answer sheet; write each answer under "YOUR SOLUTION HERE"
+ *   submitted.js  - the sheet as it was handed in (graded from then on)
+ *   report.json, report.html
+ *
+ * The same seed always gives the same questions. Only problems that can
+ * be graded automatically are drawn: ones whose solution ends in a value
+ * to compare, or that declare `state`, `plan` or `faults`, and never
+ * ones marked `grading: manual`.
+ *
+ * With --detach the clock is not run; `grade` hands the sheet in later,
+ * and an answer sheet saved after the deadline scores zero.
+ *
+ * USAGE:
+ *   node tools/practice/exam.js start --count 10 --minutes 60 --seed 42
+ *   node tools/practice/exam.js start --count 5 --topics crud,aggregation --detach
+ *   node tools/practice/exam.js grade exams/exam-42
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { hasCode, loadProblemFile, listProblemFiles, parseProblemFile } = require('./problemParser');
+const { DEFAULT_URI, DEFAULT_DB } = require('./mongoshRunner');
+const { defaultLearner } = require('./progress');
+const { createRandom } = require('./dataGenerator');
+const { resolveFixtureName } = require('./fixtures');
+const { RUNTIMES, gradeFile } = require('./grader');
+const { TOPICS, scoreExam, renderReportCard } = require('./reportCard');
+
+const EXAM_VERSION = 1;
+const DEFAULT_COUNT = 10;
+const DEFAULT_MINUTES = 60;
+
+// Saving the sheet this long after the deadline still counts as on time
+const GRACE_MS = 60 * 1000;
+
+// Minutes left at which the clock prints a reminder
+const REMINDERS = [10, 5, 1];
+
+const FILES = {
+    manifest: 'exam.json',
+    answers: 'answers.js',
+    submitted: 'submitted.js',
+    reportJson: 'report.json',
+    reportHtml: 'report.html'
+};
+
+// -------------------------------------------------------------------------------------------
+// 1. PICKING THE QUESTIONS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * The last top-level statement of `code`, with strings and comments
+ * blanked out ("" and nothing).
+ */
+function finalStatement(code) {
+    const lines = code
+        .replace(/(["'`])(?:\\[\s\S]|(?!\1)[^\\])*\1/g, '""')
+        .replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, '')
+        .split('\n');
+    let depth = 0;
+    let start = -1;
+
+    lines.forEach((line, index) => {
+        const text = line.trim();
+        // Lines opening with . ) ] } or an operator continue the statement above
+        if (depth === 0 && text && !/^[.)\]}?:+\-*\/|&,]/.test(text)) start = index;
+        for (const char of text) {
+            if ('([{'.includes(char)) depth++;
+            else if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+        }
+    });
+
+    return start === -1 ? '' : lines.slice(start).join('\n').trim();
+}
+
+/**
+ * True when the grader can tell a right answer from a wrong one: the
+ * problem declares how it is checked, or its solution ends in a value.
+ * Problems marked `grading: manual` (server statistics, profiler, ...)
+ * never are.
+ */
+function isAutoGradable(problem) {
+    const { metadata } = problem;
+
+    if (metadata.grading === 'manual') return false;
+    if (!problem.hasSolutionMarker || !hasCode(problem.solutionCode)) return false;
+    if (metadata.state.length + metadata.plan.length + metadata.faults.length > 0) return true;
+
+    const last = finalStatement(problem.solutionCode);
+    return last !== '' && !/^(async\s+function|function|class|const|let|var|if|for|while|do|try|switch|print|printjson|console\.)\b/.test(last);
+}
+
+/**
+ * Draws `count` questions, taking turns between the topics so every
+ * topic is covered before any gets a second question:
+ * [{ topic, file, problem }] in topic order.
+ */
+function pickQuestions({ count, seed, topics = Object.keys(TOPICS), files = listProblemFiles() }) {
+    const random = createRandom(seed);
+    const pools = topics.map(topic => {
+        const filePath = files.find(candidate => path.basename(candidate).startsWith(TOPICS[topic].prefix));
+        if (!filePath) throw new Error(`No practice file for topic "${topic}"`);
+
+        const file = loadProblemFile(filePath);
+        const gradable = file.problems.filter(isAutoGradable);
+        return { topic, file: file.file, problems: random.sample(gradable, gradable.length) };
+    });
+
+    const picked = [];
+    while (picked.length < count && pools.some(pool => pool.problems.length > 0)) {
+        for (const pool of pools) {
+            if (picked.length === count || pool.problems.length === 0) continue;
+            picked.push({ topic: pool.topic, file: pool.file, problem: pool.problems.shift() });
+        }
+    }
+
+    return topics.flatMap(topic => picked.filter(question => question.topic === topic));
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. THE ANSWER SHEET
+// -------------------------------------------------------------------------------------------
+
+function banner(title) {
+    const rule = `// ${'='.repeat(77)}`;
+    return [rule, `// ${title}`, rule];
+}
+
+function docComment(lines) {
+    return ['/**', ...lines.map(line => (line ? ` * ${line}` : ' *')), ' */'];
+}
+
+/**
+ * The answer sheet: one "PROBLEM N" section per topic, one question per
+ * problem, numbered 1.1, 1.2, 2.1, ... Descriptions, difficulty and any
+ * per-problem setup are kept; solutions, tags and hints are not.
+ */
+function renderSheet(manifest, questions) {
+    const fixtures = [...new Set(questions.map(question => resolveFixtureName(question.file)).filter(Boolean))];
+    const lines = [
+        ...docComment([
+            `EXAM ${manifest.seed} - ${questions.length} questions, ${manifest.minutes} minutes`,
+            '',
+            `Started:  ${manifest.startedAt}`,
+            `Deadline: ${manifest.deadline}`,
+            '',
+            'Write each answer under "YOUR SOLUTION HERE" and save the file.',
+            'Every answer is graded on its own against freshly seeded sample',
+            'data, so do not rely on changes made by an earlier answer.'
+        ]),
+        '',
+        ...banner('SETUP'),
+        '',
+        ...(fixtures.length
+            ? [
+                '// Load the sample data before you start (and whenever you want it reset):',
+                ...fixtures.map(fixture => `//   node tools/practice/fixtures.js seed ${fixture}`)
+            ]
+            : ['// The questions create their own data.']),
+        ''
+    ];
+
+    manifest.topics.forEach((topic, topicIndex) => {
+        const inTopic = questions.filter(question => question.topic === topic);
+        if (inTopic.length === 0) return;
+
+        lines.push('', ...banner(`PROBLEM ${topicIndex + 1}: ${TOPICS[topic].label}`), '');
+        inTopic.forEach((question, index) => {
+            const { problem } = question;
+            if (index > 0) lines.push(`// ${'-'.repeat(77)}`, '');
+            lines.push(
+                ...docComment([
+                    `PROBLEM ${question.id}: ${problem.title}`,
+                    '',
+                    ...problem.description.split('\n'),
+                    '',
+                    '---',
+                    `difficulty: ${problem.metadata.difficulty || 'intermediate'}`,
+                    '---'
+                ]),
+                ...(problem.localSetup ? ['', problem.localSetup] : []),
+                '',
+                '// YOUR SOLUTION HERE:',
+                '',
+                '',
+                ''
+            );
+        });
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. STARTING AND HANDING IN
+// -------------------------------------------------------------------------------------------
+
+function readManifest(dir) {
+    const file = path.join(dir, FILES.manifest);
+    if (!fs.existsSync(file)) throw new Error(`${dir} is not an exam directory (no ${FILES.manifest})`);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeManifest(dir, manifest) {
+    fs.writeFileSync(path.join(dir, FILES.manifest), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+/**
+ * Picks the questions and writes exam.json and answers.js into `dir`,
+ * which must not hold an exam already. Returns the manifest.
+ */
+function createExam(dir, { count = DEFAULT_COUNT, minutes = DEFAULT_MINUTES, seed, topics = Object.keys(TOPICS), learner = defaultLearner(), now = new Date() }) {
+    if (fs.existsSync(path.join(dir, FILES.manifest))) {
+        throw new Error(`${dir} already holds an exam; grade it or choose another --out directory`);
+    }
+
+    const picked = pickQuestions({ count, seed, topics });
+    const sectionOf = topic => topics.indexOf(topic) + 1;
+    const numbers = {};
+    const questions = picked.map(question => {
+        numbers[question.topic] = (numbers[question.topic] || 0) + 1;
+        return { ...question, id: `${sectionOf(question.topic)}.${numbers[question.topic]}` };
+    });
+
+    const manifest = {
+        version: EXAM_VERSION,
+        seed,
+        learner,
+        minutes,
+        topics,
+        startedAt: now.toISOString(),
+        deadline: new Date(now.getTime() + minutes * 60 * 1000).toISOString(),
+        submittedAt: null,
+        late: false,
+        questions: questions.map(question => ({
+            id: question.id,
+            topic: question.topic,
+            file: question.file,
+            problem: question.problem.id,
+            title: question.problem.title,
+            difficulty: question.problem.metadata.difficulty || 'intermediate'
+        }))
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, FILES.answers), renderSheet(manifest, questions));
+    writeManifest(dir, manifest);
+    return manifest;
+}
+
+/**
+ * Freezes the answer sheet as submitted.js (once). A sheet handed in
+ * after the deadline is late when it was saved after the deadline too.
+ */
+function submitExam(dir, { now = new Date() } = {}) {
+    const manifest = readManifest(dir);
+    if (manifest.submittedAt) return manifest;
+
+    const answers = path.join(dir, FILES.answers);
+    const deadline = new Date(manifest.deadline).getTime();
+    const savedAt = fs.statSync(answers).mtimeMs;
+
+    fs.copyFileSync(answers, path.join(dir, FILES.submitted));
+    manifest.submittedAt = now.toISOString();
+    manifest.late = now.getTime() > deadline + GRACE_MS && savedAt > deadline + GRACE_MS;
+    writeManifest(dir, manifest);
+    return manifest;
+}
+
+function formatRemaining(ms) {
+    const minutes = Math.ceil(ms / 60000);
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+/**
+ * Runs the clock until the deadline or until "submit" is typed.
+ * Resolves to 'submitted' or 'time'.
+ */
+function runClock(manifest, { input = process.stdin, log = console.log } = {}) {
+    const deadline = new Date(manifest.deadline).getTime();
+    const timers = [];
+    const rl = readline.createInterface({ input, terminal: false });
+
+    return new Promise(resolve => {
+        const finish = reason => {
+            timers.forEach(clearTimeout);
+            rl.close();
+            resolve(reason);
+        };
+
+        for (const minutes of REMINDERS) {
+            const at = deadline - minutes * 60 * 1000 - Date.now();
+            if (at > 0) timers.push(setTimeout(() => log(`⏰ ${formatRemaining(minutes * 60000)} left`), at));
+        }
+        timers.push(setTimeout(() => finish('time'), Math.max(0, deadline - Date.now())));
+
+        rl.on('line', line => {
+            if (line.trim().toLowerCase() === 'submit') finish('submitted');
+            else log(`${formatRemaining(deadline - Date.now())} left. Type "submit" to hand in now.`);
+        });
+    });
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. GRADING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Grades the submitted sheet question by question (each against its
+ * practice file and fixture) and writes report.json and report.html.
+ * Returns the report card (see reportCard.js).
+ */
+async function gradeExam(dir, options = {}) {
+    const manifest = submitExam(dir, options);
+    const sheet = parseProblemFile(fs.readFileSync(path.join(dir, FILES.submitted), 'utf8'), FILES.submitted);
+    const answers = new Map(sheet.problems.map(problem => [problem.id, problem.learnerCode]));
+    const files = listProblemFiles();
+    const results = new Map();
+
+    for (const fileName of [...new Set(manifest.questions.map(question => question.file))]) {
+        const inFile = manifest.questions.filter(question => question.file === fileName);
+        const graded = await gradeFile(files.find(file => path.basename(file) === fileName), {
+            ...options,
+            problems: inFile.map(question => question.problem),
+            answers: Object.fromEntries(inFile.map(question => [question.problem, answers.get(question.id) || '']))
+        });
+        for (const result of graded) {
+            results.set(`${fileName}#${result.id}`, result);
+        }
+    }
+
+    const card = scoreExam(manifest, manifest.questions.map(question => results.get(`${question.file}#${question.problem}`)), {
+        passMark: options.passMark
+    });
+    fs.writeFileSync(path.join(dir, FILES.reportJson), `${JSON.stringify(card, null, 2)}\n`);
+    fs.writeFileSync(path.join(dir, FILES.reportHtml), renderReportCard(card));
+    return card;
+}
+
+// -------------------------------------------------------------------------------------------
+// 5. COMMAND LINE
+// -------------------------------------------------------------------------------------------
+
+function printCard(card, dir, log = console.log) {
+    log(`\n${card.exam.late ? 'Handed in late: every answer scores zero.\n' : ''}Score: ${card.score.earned}/${card.score.possible} points (${card.score.percent}%) - ${card.score.passed ? 'PASSED' : 'NOT PASSED'}`);
+    for (const topic of card.topics) {
+        log(`  ${topic.label.padEnd(14)} ${String(topic.earned).padStart(3)}/${String(topic.possible).padEnd(3)} ${topic.percent}%`);
+    }
+    log(`\nReport card: ${path.join(dir, FILES.reportHtml)}`);
+}
+
+function parseTopics(value) {
+    const topics = value.split(',').map(topic => topic.trim().toLowerCase()).filter(Boolean);
+    const unknown = topics.filter(topic => !TOPICS[topic]);
+    if (unknown.length) throw new Error(`Unknown topic(s) ${unknown.join(', ')} (expected: ${Object.keys(TOPICS).join(', ')})`);
+    return topics;
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            count: { type: 'string', default: String(DEFAULT_COUNT) },
+            minutes: { type: 'string', default: String(DEFAULT_MINUTES) },
+            seed: { type: 'string' },
+            topics: { type: 'string', default: Object.keys(TOPICS).join(',') },
+            out: { type: 'string' },
+            detach: { type: 'boolean', default: false },
+            'pass-mark': { type: 'string' },
+            learner: { type: 'string', default: defaultLearner() },
+            uri: { type: 'string', default: DEFAULT_URI },
+            db: { type: 'string', default: DEFAULT_DB },
+            runtime: { type: 'string', default: 'node' }
+        }
+    });
+    const [command, dirArgument] = positionals;
+
+    if (!RUNTIMES[values.runtime]) {
+        console.error(`Unknown runtime "${values.runtime}" (expected: ${Object.keys(RUNTIMES).join(', ')})`);
+        return 2;
+    }
+
+    const gradeOptions = {
+        uri: values.uri,
+        dbName: values.db,
+        runtime: values.runtime,
+        passMark: values['pass-mark'] === undefined ? undefined : Number(values['pass-mark'])
+    };
+
+    if (command === 'start') {
+        if (!(Number(values.count) >= 1) || !(Number(values.minutes) > 0)) {
+            console.error('--count and --minutes must be positive numbers');
+            return 2;
+        }
+        const seed = values.seed === undefined ? Date.now() % 100000 : Number(values.seed);
+        const dir = path.resolve(values.out || path.join('exams', `exam-${seed}`));
+        const manifest = createExam(dir, {
+            count: Number(values.count),
+            minutes: Number(values.minutes),
+            seed,
+            topics: parseTopics(values.topics),
+            learner: values.learner
+        });
+
+        console.log(`Exam ${seed}: ${manifest.questions.length} questions, ${manifest.minutes} minutes (until ${new Date(manifest.deadline).toLocaleTimeString()})`);
+        console.log(`Answer sheet: ${path.join(dir, FILES.answers)}`);
+        if (values.detach) {
+            console.log(`Hand in with: node tools/practice/exam.js grade ${path.relative(process.cwd(), dir)}`);
+            return 0;
+        }
+
+        console.log('Type "submit" and press Enter to hand in early.');
+        const reason = await runClock(manifest);
+        console.log(reason === 'time' ? '\nTime is up - grading the answer sheet as saved.' : '\nGrading ...');
+
+        const card = await gradeExam(dir, gradeOptions);
+        printCard(card, dir);
+        return card.score.passed ? 0 : 1;
+    }
+
+    if (command === 'grade' && dirArgument) {
+        const dir = path.resolve(dirArgument);
+        const card = await gradeExam(dir, gradeOptions);
+        printCard(card, dir);
+        return card.score.passed ? 0 : 1;
+    }
+
+    console.error('Usage: node tools/practice/exam.js start [--count 10] [--minutes 60] [--seed 42] | grade <exam-dir>');
+    return 2;
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    finalStatement,
+    isAutoGradable,
+    pickQuestions,
+    renderSheet,
+    createExam,
+    submitExam,
+    runClock,
+    gradeExam,
+    main
+};
@@ -0,0 +1,202 @@
+/**
+ * TOOL: TRANSACTION FAULT INJECTION
+ * DESCRIPTION:
+ * Makes the transaction errors that retry code is written for actually
+ * happen, so a learner can see whether their handling works:
+ *
+ *   transient       - TransientTransactionError (WriteConflict) on a
+ *                     command inside a transaction; nothing was applied,
+ *                     the whole transaction should be retried
+ *   unknown-commit  - UnknownTransactionCommitResult on commitTransaction;
+ *                     the commit DID apply, only the reply was lost, so
+ *                     retrying the commit is safe and re-running the
+ *                     transaction body is not
+ *
+ * A fault spec names the fault, the server command it hits and how many
+ * times (default once):
+ *
+ *   transient:update            first update inside a transaction
+ *   transient:insert*2          first two inserts
+ *   transient:update*always     every update - the retry loop must give up
+ *   unknown-commit              first commitTransaction
+ *
+ * Two ways to inject:
+ * - the Node shell runtime's worker wraps its driver calls with
+ *   createFaultInjector() (works against any replica set)
+ * - failPointCommand() builds the server's `failCommand` fail point for
+ *   a local replica set started with --setParameter enableTestCommands=1
+ *   (works with mongosh too); it only hits clients with SANDBOX_APP_NAME
+ */
+
+const SANDBOX_APP_NAME = 'practice-sandbox';
+
+// -------------------------------------------------------------------------------------------
+// 1. FAULTS
+// -------------------------------------------------------------------------------------------
+
+const FAULTS = {
+    transient: {
+        label: 'TransientTransactionError',
+        code: 112,
+        codeName: 'WriteConflict',
+        message: 'WriteConflict error: this operation conflicted with another operation. Please retry your operation or multi-document transaction.',
+        applied: false
+    },
+    'unknown-commit': {
+        label: 'UnknownTransactionCommitResult',
+        code: 64,
+        codeName: 'WriteConcernFailed',
+        message: 'waiting for replication timed out',
+        command: 'commitTransaction',
+        applied: true
+    }
+};
+
+/**
+ * "transient:insert*2" -> { fault: 'transient', command: 'insert', times: 2, label: 'transient:insert*2' }
+ * `times` is Infinity for "*always".
+ */
+function parseFaultSpec(spec) {
+    const match = String(spec).trim().match(/^([a-z-]+)(?::(\w+))?(?:\*(\d+|always))?$/);
+    if (!match || !FAULTS[match[1]]) {
+        throw new Error(`Unknown fault "${spec}" (expected ${Object.keys(FAULTS).join(' | ')}[:command][*times])`);
+    }
+
+    const [, fault, command = FAULTS[fault].command, times = '1'] = match;
+    if (!command) {
+        throw new Error(`Fault "${spec}" needs a command, e.g. ${fault}:update`);
+    }
+
+    return {
+        fault,
+        command,
+        times: times === 'always' ? Infinity : Number(times),
+        label: String(spec).trim()
+    };
+}
+
+function faultError(spec) {
+    const fault = FAULTS[spec.fault];
+    const error = new Error(`${fault.message} [injected on ${spec.command}]`);
+    error.name = 'MongoServerError';
+    error.code = fault.code;
+    error.codeName = fault.codeName;
+    error.errorLabels = [fault.label];
+    return error;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. DRIVER WRAPPER
+// -------------------------------------------------------------------------------------------
+
+// Server command behind each driver/shell method
+const COMMAND_NAMES = {
+    insertOne: 'insert',
+    insertMany: 'insert',
+    updateOne: 'update',
+    updateMany: 'update',
+    replaceOne: 'update',
+    deleteOne: 'delete',
+    deleteMany: 'delete',
+    find: 'find',
+    findOne: 'find',
+    aggregate: 'aggregate',
+    countDocuments: 'aggregate',
+    distinct: 'distinct',
+    findOneAndUpdate: 'findAndModify',
+    findOneAndReplace: 'findAndModify',
+    findOneAndDelete: 'findAndModify',
+    commitTransaction: 'commitTransaction',
+    abortTransaction: 'abortTransaction'
+};
+
+function commandName(method) {
+    return COMMAND_NAMES[method] || method;
+}
+
+/**
+ * Wrapper state for one runtime. `run(method, inTransaction, fn)` calls
+ * fn() unless a fault is due for that command: faults that were not
+ * applied throw instead of calling fn(), faults that were applied
+ * (unknown-commit) call it and throw afterwards. Only commands inside a
+ * transaction (and commits, which may be retried after it ended) count.
+ */
+function createFaultInjector(specs = []) {
+    const pending = specs.map(spec => ({ ...(typeof spec === 'string' ? parseFaultSpec(spec) : spec), injected: 0 }));
+
+    return {
+        async run(method, inTransaction, fn) {
+            const command = commandName(method);
+            const spec = pending.find(candidate => candidate.command === command && candidate.injected < candidate.times);
+
+            if (!spec || !(inTransaction || command === 'commitTransaction')) {
+                return fn();
+            }
+
+            spec.injected++;
+            if (FAULTS[spec.fault].applied) await fn();
+            throw faultError(spec);
+        },
+
+        /**
+         * [{ label, injected }] - how often each fault actually fired.
+         */
+        report() {
+            return pending.map(spec => ({ label: spec.label, injected: spec.injected }));
+        }
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. SERVER FAIL POINTS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * configureFailPoint command for one fault spec. The server fails the
+ * command before running it (transient), or runs it and then reports a
+ * write concern error (unknown-commit).
+ */
+function failPointCommand(spec, appName = SANDBOX_APP_NAME) {
+    const parsed = typeof spec === 'string' ? parseFaultSpec(spec) : spec;
+    const fault = FAULTS[parsed.fault];
+    const data = { failCommands: [parsed.command], appName, errorLabels: [fault.label] };
+
+    if (fault.applied) {
+        data.writeConcernError = { code: fault.code, codeName: fault.codeName, errmsg: fault.message, errInfo: { wtimeout: true } };
+    } else {
+        data.errorCode = fault.code;
+    }
+
+    return {
+        configureFailPoint: 'failCommand',
+        mode: parsed.times === Infinity ? 'alwaysOn' : { times: parsed.times },
+        data
+    };
+}
+
+function clearFailPointCommand() {
+    return { configureFailPoint: 'failCommand', mode: 'off' };
+}
+
+/**
+ * Adds appName to a connection string so fail points only hit the
+ * sandboxed runtime, not the grader's own connections.
+ */
+function withAppName(uri, appName = SANDBOX_APP_NAME) {
+    const [base, query] = uri.split('?');
+    const hasPath = /^mongodb(\+srv)?:\/\/[^/]+\//.test(base);
+    const params = new URLSearchParams(query || '');
+    params.set('appName', appName);
+    return `${base}${hasPath ? '' : '/'}?${params.toString()}`;
+}
+
+module.exports = {
+    SANDBOX_APP_NAME,
+    FAULTS,
+    parseFaultSpec,
+    commandName,
+    createFaultInjector,
+    failPointCommand,
+    clearFailPointCommand,
+    withAppName
+};
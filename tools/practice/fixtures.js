@@ -0,0 +1,359 @@
+/**
+ * TOOL: PRACTICE FIXTURES
+ * DESCRIPTION:
+ * Versioned sample data for the practice problem files. Each fixture is
+ * an Extended JSON file under fixtures/<version>/, named after the
+ * practice file it belongs to (01-crud-problems.json, ...).
+ *
+ * A collection in a fixture either lists its documents verbatim or asks
+ * the deterministic generator (dataGenerator.js) for them:
+ *
+ * {
+ *   "source": "13-practice-problems/01-crud-problems.js",
+ *   "collections": {
+ *     "users": { "shape": "users", "documents": [ ... ] },
+ *     "transactions": { "shape": "transactions", "count": 5000 }
+ *   }
+ * }
+ *
+ * With --scale every collection is generated instead, the largest one at
+ * the requested size and the others in proportion, so the same fixture
+ * can be seeded at 10k, 100k or 1M documents for explain() exercises.
+ *
+ * USAGE:
+ *   node tools/practice/fixtures.js list
+ *   node tools/practice/fixtures.js seed 01-crud
+ *   node tools/practice/fixtures.js seed 03-indexing --scale 100k --seed 7
+ *   node tools/practice/fixtures.js reset                      (every fixture)
+ *   node tools/practice/fixtures.js generate customers --count 3
+ *   node tools/practice/fixtures.js snapshot 01-crud --version v2
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { MongoClient, BSON } = require('mongodb');
+const { DEFAULT_URI, DEFAULT_DB } = require('./mongoshRunner');
+const { generateDocuments, inBatches, parseScale } = require('./dataGenerator');
+
+const { EJSON } = BSON;
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const BATCH_SIZE = 1000;
+const DEFAULT_SEED = 1;
+
+// -------------------------------------------------------------------------------------------
+// 1. LOADING FIXTURES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Fixture versions on disk, oldest first: ['v1', 'v2', ...]
+ */
+function listFixtureVersions(dir = FIXTURES_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(name => /^v\d+$/.test(name))
+        .sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+}
+
+function latestFixtureVersion(dir = FIXTURES_DIR) {
+    const versions = listFixtureVersions(dir);
+    return versions[versions.length - 1];
+}
+
+function listFixtures({ version = latestFixtureVersion(), dir = FIXTURES_DIR } = {}) {
+    const versionDir = path.join(dir, version || '');
+    if (!version || !fs.existsSync(versionDir)) return [];
+
+    return fs.readdirSync(versionDir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => path.basename(name, '.json'))
+        .sort();
+}
+
+/**
+ * Resolves "01", "01-crud" or a practice file path to a fixture name.
+ * Returns null when the practice file has no fixture (e.g. its SETUP
+ * is empty).
+ */
+function resolveFixtureName(nameOrFile, options = {}) {
+    const wanted = path.basename(nameOrFile, path.extname(nameOrFile));
+    const names = listFixtures(options);
+
+    if (names.includes(wanted)) return wanted;
+
+    const matches = names.filter(name => name.startsWith(wanted));
+    if (matches.length > 1) {
+        throw new Error(`Fixture name "${nameOrFile}" is ambiguous: ${matches.join(', ')}`);
+    }
+    return matches[0] || null;
+}
+
+function loadFixture(nameOrFile, { version = latestFixtureVersion(), dir = FIXTURES_DIR } = {}) {
+    const name = resolveFixtureName(nameOrFile, { version, dir });
+    if (!name) {
+        throw new Error(`No fixture "${nameOrFile}" in version ${version}`);
+    }
+
+    const file = path.join(dir, version, `${name}.json`);
+    const fixture = EJSON.parse(fs.readFileSync(file, 'utf8'), { relaxed: true });
+    return { name, version, ...fixture };
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. PLANNING WHAT TO INSERT
+// -------------------------------------------------------------------------------------------
+
+function baseCount(spec) {
+    return spec.documents ? spec.documents.length : spec.count;
+}
+
+/**
+ * Decides, per collection, where documents come from:
+ * [{ collection, shape, count, documents? }]
+ *
+ * Without a scale, verbatim documents are used as-is and generated
+ * collections get their fixture count. With a scale, everything is
+ * generated and sized relative to the largest collection.
+ */
+function planFixture(fixture, { scale } = {}) {
+    const entries = Object.entries(fixture.collections);
+    const largest = Math.max(...entries.map(([, spec]) => baseCount(spec)));
+    const target = scale === undefined ? undefined : parseScale(scale);
+
+    const plan = entries.map(([collection, spec]) => {
+        if (target === undefined) {
+            return { collection, shape: spec.shape, count: baseCount(spec), documents: spec.documents };
+        }
+        if (!spec.shape && baseCount(spec) === 0) {
+            return { collection, count: 0, documents: [] };
+        }
+        if (!spec.shape) {
+            throw new Error(`Collection "${collection}" has no generator shape and cannot be scaled`);
+        }
+        return {
+            collection,
+            shape: spec.shape,
+            count: Math.max(1, Math.round((baseCount(spec) / largest) * target))
+        };
+    });
+
+    // Generated references (userId, customerId...) must point at documents that exist
+    const counts = {};
+    for (const step of plan) counts[step.shape || step.collection] = step.count;
+    plan.forEach(step => {
+        step.counts = counts;
+    });
+
+    return plan;
+}
+
+function documentsFor(step, seed) {
+    if (step.documents) return step.documents;
+    return generateDocuments(step.shape, step.count, { seed, counts: step.counts });
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. SEEDING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Drops and re-creates every collection of the fixture in `db` (a driver
+ * Db handle). Returns [{ collection, count }].
+ */
+async function seedFixture(db, fixture, { scale, seed = DEFAULT_SEED, log = () => {} } = {}) {
+    const seeded = [];
+
+    for (const step of planFixture(fixture, { scale })) {
+        const collection = db.collection(step.collection);
+        await collection.drop().catch(error => {
+            if (error.codeName !== 'NamespaceNotFound') throw error;
+        });
+
+        let inserted = 0;
+        for (const batch of inBatches(documentsFor(step, seed), BATCH_SIZE)) {
+            await collection.insertMany(batch, { ordered: false });
+            inserted += batch.length;
+        }
+
+        log(`   - ${step.collection}: ${inserted} documents`);
+        seeded.push({ collection: step.collection, count: inserted });
+    }
+
+    return seeded;
+}
+
+/**
+ * Keeps one connection open for repeatedly resetting a fixture, as the
+ * grader does before every learner and reference run.
+ */
+function createFixtureSeeder({ uri = DEFAULT_URI, dbName = DEFAULT_DB, fixture, scale, seed }) {
+    const client = new MongoClient(uri);
+
+    return {
+        fixture,
+        async reset() {
+            return seedFixture(client.db(dbName), fixture, { scale, seed });
+        },
+        async close() {
+            await client.close();
+        }
+    };
+}
+
+/**
+ * Reads the fixture's collections back out of `db` as a new fixture
+ * document, e.g. after editing the sample data by hand.
+ */
+async function snapshotFixture(db, fixture) {
+    const collections = {};
+
+    for (const [name, spec] of Object.entries(fixture.collections)) {
+        const documents = await db.collection(name).find().sort({ _id: 1 }).toArray();
+        collections[name] = spec.shape ? { shape: spec.shape, documents } : { documents };
+    }
+
+    return { source: fixture.source, description: fixture.description, collections };
+}
+
+/**
+ * Fixture files keep one document per line so version diffs stay readable.
+ */
+function formatFixture(fixture) {
+    const stringify = value => EJSON.stringify(value, { relaxed: true });
+    const lines = ['{'];
+    const header = Object.entries(fixture).filter(([key]) => !['collections', 'name', 'version'].includes(key));
+
+    for (const [key, value] of header) {
+        lines.push(`    ${JSON.stringify(key)}: ${stringify(value)},`);
+    }
+    lines.push('    "collections": {');
+
+    const collections = Object.entries(fixture.collections);
+    collections.forEach(([name, spec], index) => {
+        const fields = Object.entries(spec).filter(([key]) => key !== 'documents')
+            .map(([key, value]) => `            ${JSON.stringify(key)}: ${stringify(value)}`);
+
+        if (spec.documents && spec.documents.length === 0) {
+            fields.push('            "documents": []');
+        } else if (spec.documents) {
+            const docs = spec.documents.map((doc, i) => `                ${stringify(doc)}${i < spec.documents.length - 1 ? ',' : ''}`);
+            fields.push(`            "documents": [\n${docs.join('\n')}\n            ]`);
+        }
+
+        lines.push(`        ${JSON.stringify(name)}: {`);
+        lines.push(fields.join(',\n'));
+        lines.push(`        }${index < collections.length - 1 ? ',' : ''}`);
+    });
+
+    lines.push('    }', '}');
+    return `${lines.join('\n')}\n`;
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. COMMAND LINE
+// -------------------------------------------------------------------------------------------
+
+async function withDatabase(values, fn) {
+    const client = new MongoClient(values.uri);
+    try {
+        return await fn(client.db(values.db));
+    } finally {
+        await client.close();
+    }
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            version: { type: 'string', default: latestFixtureVersion() },
+            scale: { type: 'string' },
+            seed: { type: 'string', default: String(DEFAULT_SEED) },
+            count: { type: 'string', default: '5' },
+            uri: { type: 'string', default: DEFAULT_URI },
+            db: { type: 'string', default: DEFAULT_DB }
+        }
+    });
+
+    const [command, name] = positionals;
+    const seed = Number(values.seed);
+
+    if (command === 'list') {
+        for (const version of listFixtureVersions()) {
+            console.log(`${version}: ${listFixtures({ version }).join(', ')}`);
+        }
+        return 0;
+    }
+
+    if (command === 'seed' || command === 'reset') {
+        if (command === 'seed' && !name) {
+            console.error('Usage: node tools/practice/fixtures.js seed <fixture> [--scale 100k] [--seed 1]');
+            return 2;
+        }
+
+        const names = name ? [loadFixture(name, values).name] : listFixtures(values);
+        await withDatabase(values, async db => {
+            for (const fixtureName of names) {
+                console.log(`Seeding ${fixtureName} (${values.version}${values.scale ? `, scale ${values.scale}` : ''}) into ${values.db}`);
+                await seedFixture(db, loadFixture(fixtureName, values), { scale: values.scale, seed, log: console.log });
+            }
+        });
+        return 0;
+    }
+
+    if (command === 'generate') {
+        if (!name) {
+            console.error('Usage: node tools/practice/fixtures.js generate <shape> [--count 5] [--seed 1]');
+            return 2;
+        }
+        for (const doc of generateDocuments(name, parseScale(values.count), { seed })) {
+            console.log(EJSON.stringify(doc, { relaxed: true }));
+        }
+        return 0;
+    }
+
+    if (command === 'snapshot') {
+        const current = loadFixture(name, { version: latestFixtureVersion() });
+        const file = path.join(FIXTURES_DIR, values.version, `${current.name}.json`);
+        if (fs.existsSync(file)) {
+            console.error(`${path.relative(process.cwd(), file)} already exists; snapshot into a new --version`);
+            return 2;
+        }
+
+        const snapshot = await withDatabase(values, db => snapshotFixture(db, current));
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, formatFixture(snapshot));
+        console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+        return 0;
+    }
+
+    console.error('Usage: node tools/practice/fixtures.js <list | seed | reset | generate | snapshot> ...');
+    return 2;
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    listFixtureVersions,
+    latestFixtureVersion,
+    listFixtures,
+    resolveFixtureName,
+    loadFixture,
+    planFixture,
+    seedFixture,
+    createFixtureSeeder,
+    snapshotFixture,
+    formatFixture,
+    main
+};
@@ -0,0 +1,573 @@
+/**
+ * TOOL: PRACTICE PROBLEM GRADER
+ * DESCRIPTION:
+ * Grades the learner's answers in a 13-practice-problems file. For every
+ * PROBLEM X.Y with code under "YOUR SOLUTION HERE", the SETUP section is
+ * run once before the learner's code and once before the "✅ SOLUTION"
+ * code, and the two results are compared with resultComparator.js (by
+ * BSON value, with array order checked only where the reference defines
+ * it, see resultOrdering.js).
+ *
+ * Problems whose front-matter declares a `plan` are graded on how the
+ * query runs instead: the learner's final query is explained and checked
+ * with planChecks.js. The reference solutions of the problem's
+ * prerequisites in the same file are replayed first, so indexes created
+ * in earlier problems exist.
+ *
+ * Problems whose front-matter declares `state` (inserts, updates, deletes
+ * and bulk writes) are graded on the collections they change: each run's
+ * collections are snapshotted before and after the code and the two
+ * outcomes are compared with stateDiff.js.
+ *
+ * Problems whose front-matter lists `faults` (the transaction problems of
+ * 05-transactions-advanced-problems.js) run in a sandbox: the learner's
+ * function is called with TransientTransactionError and
+ * UnknownTransactionCommitResult injected (faultInjection.js) and checked
+ * for conserved money, unduplicated audit rows and a terminating retry
+ * loop (transactionSandbox.js). The Node runtime injects the errors
+ * itself; --fail-points uses the server's failCommand fail point instead
+ * (always the case with --runtime mongosh).
+ *
+ * With --variant <seed> the file's `vary` problems are graded against a
+ * randomized variant instead (variants.js): the fixture is generated
+ * from that seed and the reference solution's parameters are swapped for
+ * values from the new data, as `variants.js --seed <seed>` shows them.
+ *
+ * Code runs in the Node shell runtime (shellRuntime.js) by default, or
+ * in a real mongosh process with --runtime mongosh.
+ *
+ * When the practice file has a fixture (see fixtures.js), its collections
+ * are re-seeded from the fixture before each run instead of executing the
+ * file's SETUP section, so every run starts from identical data. Use
+ * --inline-setup to run the SETUP code as written instead.
+ *
+ * USAGE:
+ *   node tools/practice/grader.js 13-practice-problems/01-crud-problems.js
+ *   node tools/practice/grader.js 13-practice-problems/01-crud-problems.js --problem 1.3
+ *   node tools/practice/grader.js --all --uri mongodb://localhost:27017 --db practiceDB
+ *   node tools/practice/grader.js 13-practice-problems/01-crud-problems.js --runtime mongosh
+ *   node tools/practice/grader.js 13-practice-problems/03-indexing-problems.js --scale 100k
+ *   node tools/practice/grader.js 13-practice-problems/05-transactions-advanced-problems.js -p 3.1 --fault transient:insert*2
+ *   node tools/practice/grader.js 13-practice-problems/02-aggregation-problems.js --variant 42
+ *
+ * Every graded attempt is recorded in the learner's progress file
+ * (see progress.js) unless --dry-run is given.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { hasCode, loadProblemFile, listProblemFiles } = require('./problemParser');
+const { DEFAULT_URI, DEFAULT_DB, runInMongosh } = require('./mongoshRunner');
+const { runInNode } = require('./shellRuntime');
+const { defaultLearner, defaultProgressPath, problemKey, recordGradeResults } = require('./progress');
+const { latestFixtureVersion, resolveFixtureName, loadFixture, createFixtureSeeder } = require('./fixtures');
+const { compareResults, formatDifferences } = require('./resultComparator');
+const { resultOrdering } = require('./resultOrdering');
+const { checkPlan, summarizePlan } = require('./planChecks');
+const { createStateReader, compareStates, formatStateDifferences } = require('./stateDiff');
+const { parseFaultSpec, withAppName } = require('./faultInjection');
+const { SANDBOX_TIMEOUT_MS, SCENARIOS, createFailPointController, isTimeout } = require('./transactionSandbox');
+const { VARIANT_SCALE, createVariant } = require('./variants');
+
+const RUNTIMES = {
+    node: runInNode,
+    mongosh: runInMongosh
+};
+
+// -------------------------------------------------------------------------------------------
+// 1. GRADING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Code of the problem's same-file prerequisites (transitively), in file
+ * order, to recreate the state earlier problems leave behind.
+ */
+function prerequisiteCode(file, problem) {
+    const byId = new Map(file.problems.map(candidate => [candidate.id, candidate]));
+    const needed = new Set();
+
+    const visit = current => {
+        for (const id of current.metadata.prerequisites) {
+            if (id.includes('#') || needed.has(id) || !byId.has(id)) continue;
+            needed.add(id);
+            visit(byId.get(id));
+        }
+    };
+    visit(problem);
+
+    return file.problems
+        .filter(candidate => needed.has(candidate.id))
+        .map(candidate => [candidate.localSetup, candidate.solutionCode, candidate.restoreCode].join('\n'))
+        .join('\n');
+}
+
+/**
+ * Plan grading: both runs end in explain('executionStats'); the reference
+ * must meet the declared plan, the learner's query must meet it and
+ * return as many documents.
+ */
+function gradePlan(base, problem, expected, actual) {
+    const reference = checkPlan(expected.value, problem.metadata.plan);
+    if (!reference.ok) {
+        return { ...base, status: 'error', reason: `reference solution does not meet its plan: ${reference.failures.join('; ')}` };
+    }
+
+    const learner = checkPlan(actual.value, problem.metadata.plan);
+    if (!learner.ok) {
+        return {
+            ...base,
+            status: 'fail',
+            reason: 'query plan does not meet the problem requirements',
+            diff: [...learner.failures, ...learner.hints.map(hint => `hint: ${hint}`)]
+        };
+    }
+
+    const expectedCount = summarizePlan(expected.value).nReturned;
+    if (learner.summary.nReturned !== expectedCount) {
+        return {
+            ...base,
+            status: 'fail',
+            reason: `query returns ${learner.summary.nReturned} documents, the reference returns ${expectedCount}`
+        };
+    }
+
+    return { ...base, status: 'pass', expected: expected.value };
+}
+
+function hasChanges(changes) {
+    return Object.values(changes).some(entry => entry.added.length + entry.removed.length + entry.modified.length > 0);
+}
+
+/**
+ * Gives `names` a fresh start: collections outside the fixture are
+ * dropped, the fixture is re-seeded and the setup run. Resolves to the
+ * setup's error message, if any.
+ */
+async function resetCollections(names, setup, run, options, reader) {
+    const seeded = options.seeder ? Object.keys(options.seeder.fixture.collections) : [];
+
+    await reader.drop(names.filter(name => !seeded.includes(name)));
+    if (options.seeder) await options.seeder.reset();
+    if (!hasCode(setup)) return null;
+
+    const prepared = await run(setup, '', options);
+    return prepared.error;
+}
+
+/**
+ * State grading: every run starts from fresh data (resetCollections) and
+ * the collections are snapshotted right before and after the code. An error
+ * half-way through (e.g. the duplicate key in an unordered bulk write)
+ * still leaves a state to compare; the learner's answer only fails on an
+ * error the reference does not raise.
+ */
+async function gradeState(base, problem, setup, run, options) {
+    const names = problem.metadata.state;
+    const reader = options.stateReader || createStateReader({ uri: options.uri, dbName: options.dbName });
+
+    const runFresh = async code => {
+        const setupError = await resetCollections(names, setup, run, options, reader);
+        if (setupError) return { setupError };
+
+        const before = await reader.snapshot(names);
+        const result = await run('', code, options);
+        return { ...result, before, after: await reader.snapshot(names) };
+    };
+
+    try {
+        const startedAt = new Date();
+        const actual = await runFresh(problem.learnerCode);
+        const expected = await runFresh(problem.solutionCode);
+
+        if (expected.setupError) {
+            return { ...base, status: 'error', reason: `setup failed: ${expected.setupError}` };
+        }
+
+        const comparison = compareStates(expected, actual, { generatedAfter: startedAt });
+        if (expected.error && !hasChanges(comparison.expectedChanges)) {
+            return { ...base, status: 'error', reason: `reference solution failed: ${expected.error}` };
+        }
+        if (actual.error && !expected.error) {
+            return {
+                ...base,
+                status: 'fail',
+                reason: actual.error,
+                diff: comparison.equal ? undefined : formatStateDifferences(comparison)
+            };
+        }
+        if (comparison.equal) {
+            return { ...base, status: 'pass', expectedChanges: comparison.expectedChanges };
+        }
+
+        return {
+            ...base,
+            status: 'fail',
+            reason: 'collections differ from the reference solution\'s',
+            diff: formatStateDifferences(comparison)
+        };
+    } finally {
+        if (!options.stateReader) await reader.close();
+    }
+}
+
+/**
+ * Lines explaining how one sandbox run of the learner's code went wrong
+ * compared with the reference run under the same fault (`spec`, or null
+ * for the run without faults).
+ */
+function sandboxFailures(scenario, spec, expected, actual) {
+    const lines = [...actual.failures];
+
+    if (isTimeout(actual.error)) {
+        lines.push(`did not finish within ${SANDBOX_TIMEOUT_MS / 1000}s - the retry loop must give up eventually`);
+    } else if (actual.error && !expected.error && (!spec || scenario.sameOutcome)) {
+        lines.push(`failed: ${actual.error} (the reference succeeds)`);
+    } else if (!actual.error && expected.error && scenario.sameOutcome) {
+        lines.push(`succeeded, the reference gives up with: ${expected.error}`);
+    }
+    if (spec && !actual.injected) {
+        lines.push(`the fault never fired - run ${spec.command} inside a transaction`);
+    }
+
+    return lines;
+}
+
+/**
+ * Sandbox grading: the scenario's call runs after the learner's code and
+ * after the reference solution, first without faults and then once per
+ * fault, and the scenario's invariants are checked after every run.
+ */
+async function gradeFaults(base, file, problem, setup, run, options) {
+    const key = problemKey(file.file, problem.id);
+    const scenario = SCENARIOS[key];
+    if (!scenario) {
+        return { ...base, status: 'error', reason: `no sandbox scenario for ${key}` };
+    }
+
+    const specs = (options.faults && options.faults.length ? options.faults : problem.metadata.faults).map(parseFaultSpec);
+    const reader = options.stateReader || createStateReader({ uri: options.uri, dbName: options.dbName });
+    const failPoints = options.failPoints || options.runtime === 'mongosh'
+        ? createFailPointController({ uri: options.uri })
+        : null;
+    const sandboxOptions = {
+        ...options,
+        uri: withAppName(options.uri || DEFAULT_URI),
+        timeoutMs: SANDBOX_TIMEOUT_MS,
+        scriptTimeoutMs: SANDBOX_TIMEOUT_MS
+    };
+
+    const runScenario = async (code, spec) => {
+        const setupError = await resetCollections(scenario.collections, setup, run, options, reader);
+        if (setupError) return { setupError };
+
+        const before = await reader.snapshot(scenario.collections);
+        let result;
+        let injected = 0;
+
+        if (failPoints && spec) await failPoints.arm(spec);
+        try {
+            result = await run('', `${code}
+${scenario.call}`, { ...sandboxOptions, faults: spec && !failPoints ? [spec] : undefined });
+        } finally {
+            if (failPoints && spec) injected = await failPoints.disarm();
+        }
+        if (spec && !failPoints) injected = result.faults ? result.faults[0].injected : 0;
+
+        const after = await reader.snapshot(scenario.collections);
+        return { ...result, injected, failures: scenario.check({ before, after }) };
+    };
+
+    try {
+        const failures = [];
+
+        for (const spec of [null, ...specs]) {
+            const name = spec ? spec.label : 'no faults';
+            const actual = await runScenario(problem.learnerCode, spec);
+            const expected = await runScenario(problem.solutionCode, spec);
+
+            if (expected.setupError) {
+                return { ...base, status: 'error', reason: `setup failed: ${expected.setupError}` };
+            }
+            const broken = [...expected.failures];
+            if (isTimeout(expected.error)) broken.push(expected.error);
+            if (spec && !expected.injected) broken.push('the fault never fired');
+            if (broken.length > 0) {
+                return { ...base, status: 'error', reason: `reference solution breaks in the sandbox (${name}): ${broken.join('; ')}` };
+            }
+
+            failures.push(...sandboxFailures(scenario, spec, expected, actual).map(line => `${name}: ${line}`));
+        }
+
+        if (failures.length === 0) {
+            return { ...base, status: 'pass' };
+        }
+        return { ...base, status: 'fail', reason: 'transaction handling breaks under injected errors', diff: failures };
+    } finally {
+        if (failPoints) await failPoints.close();
+        if (!options.stateReader) await reader.close();
+    }
+}
+
+/**
+ * Grades a single problem. Status is one of:
+ * 'pass' | 'fail' | 'error' | 'skipped'
+ * A pass carries what the reference produced: `expected` (its result or
+ * explain output) or, for state problems, `expectedChanges`.
+ */
+async function gradeProblem(file, original, options = {}) {
+    const run = options.run || RUNTIMES[options.runtime || 'node'];
+    const base = { id: original.id, title: original.title, file: file.file };
+    let problem = original;
+
+    if (!hasCode(problem.learnerCode)) {
+        return { ...base, status: 'skipped', reason: 'no solution written' };
+    }
+    if (options.variant !== undefined) {
+        if (problem.metadata.vary.length === 0) {
+            return { ...base, status: 'skipped', reason: 'no variant of this problem' };
+        }
+        if (options.seeder) await options.seeder.reset();
+        ({ problem } = await createVariant(problem, {
+            seed: options.variant,
+            reader: options.stateReader,
+            run,
+            runOptions: options
+        }));
+    }
+
+    base.code = problem.learnerCode;
+
+    const seeder = options.seeder;
+    const planned = problem.metadata.plan.length > 0;
+    const setup = [
+        seeder ? '' : file.setup,
+        planned ? prerequisiteCode(file, problem) : '',
+        problem.localSetup
+    ].join('\n');
+
+    if (problem.metadata.faults.length > 0) {
+        return gradeFaults(base, file, problem, setup, run, options);
+    }
+    if (problem.metadata.state.length > 0) {
+        return gradeState(base, problem, setup, run, options);
+    }
+
+    const runOptions = planned ? { ...options, explain: 'executionStats' } : options;
+    const runFresh = async code => {
+        if (seeder) await seeder.reset();
+        return run(setup, code, runOptions);
+    };
+
+    const startedAt = new Date();
+    const actual = await runFresh(problem.learnerCode);
+    const expected = await runFresh(problem.solutionCode);
+
+    if (expected.error) {
+        return { ...base, status: 'error', reason: `reference solution failed: ${expected.error}` };
+    }
+    if (actual.error) {
+        return { ...base, status: 'fail', reason: actual.error, expected: expected.value };
+    }
+    if (planned) {
+        return gradePlan(base, problem, expected, actual);
+    }
+
+    const comparison = compareResults(expected.value, actual.value, {
+        ordered: resultOrdering(problem.solutionCode),
+        generatedAfter: startedAt
+    });
+    if (comparison.equal) {
+        return { ...base, status: 'pass', expected: expected.value };
+    }
+
+    return {
+        ...base,
+        status: 'fail',
+        reason: 'result differs from the reference solution',
+        expected: expected.value,
+        actual: actual.value,
+        diff: formatDifferences(comparison.differences)
+    };
+}
+
+/**
+ * Seeder for the file's fixture, or null when the file has none or
+ * `options.inlineSetup` is set.
+ */
+function fixtureSeederFor(filePath, options) {
+    if (options.inlineSetup || options.seeder) return null;
+
+    const version = options.fixtureVersion || latestFixtureVersion();
+    if (!resolveFixtureName(filePath, { version })) return null;
+
+    return createFixtureSeeder({
+        uri: options.uri,
+        dbName: options.dbName,
+        fixture: loadFixture(filePath, { version }),
+        scale: options.scale,
+        seed: options.seed
+    });
+}
+
+/**
+ * Grades every problem in a practice file (or only `options.problems`).
+ * With `options.selfCheck` each reference solution is graded as its own
+ * answer (see problemLinter.js); `options.answers` ({ '1.3': 'code' })
+ * grades answers written elsewhere instead of the file's own (see exam.js).
+ */
+async function gradeFile(filePath, baseOptions = {}) {
+    const options = baseOptions.variant === undefined
+        ? baseOptions
+        : { ...baseOptions, seed: baseOptions.variant, scale: baseOptions.scale || VARIANT_SCALE };
+    const file = loadProblemFile(filePath);
+    const wanted = options.problems && options.problems.length ? new Set(options.problems) : null;
+    const problems = file.problems
+        .filter(problem => !wanted || wanted.has(problem.id))
+        .map(problem => {
+            if (options.selfCheck) return { ...problem, learnerCode: problem.solutionCode };
+            if (options.answers) return { ...problem, learnerCode: options.answers[problem.id] || '' };
+            return problem;
+        });
+    const seeder = fixtureSeederFor(filePath, options);
+    const stateReader = !options.stateReader
+        && (options.variant !== undefined
+            || problems.some(problem => problem.metadata.state.length > 0 || problem.metadata.faults.length > 0))
+        ? createStateReader({ uri: options.uri, dbName: options.dbName })
+        : null;
+    const shared = {
+        ...options,
+        ...(seeder ? { seeder } : {}),
+        ...(stateReader ? { stateReader } : {})
+    };
+    const results = [];
+
+    try {
+        for (const problem of problems) {
+            results.push(await gradeProblem(file, problem, shared));
+        }
+    } finally {
+        if (seeder) await seeder.close();
+        if (stateReader) await stateReader.close();
+    }
+
+    return results;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. REPORTING
+// -------------------------------------------------------------------------------------------
+
+const STATUS_ICONS = {
+    pass: '✅',
+    fail: '❌',
+    error: '⚠️ ',
+    skipped: '· '
+};
+
+function printReport(fileName, results, log = console.log) {
+    log(`\n${fileName}`);
+
+    for (const result of results) {
+        log(`  ${STATUS_ICONS[result.status]} ${result.id} ${result.title}${result.reason ? ` (${result.reason})` : ''}`);
+        if (result.diff) {
+            result.diff.forEach(line => log(`      ${line}`));
+        }
+    }
+}
+
+function summarize(results) {
+    return results.reduce((counts, result) => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        return counts;
+    }, { pass: 0, fail: 0, error: 0, skipped: 0 });
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            problem: { type: 'string', multiple: true, short: 'p' },
+            all: { type: 'boolean', default: false },
+            uri: { type: 'string', default: DEFAULT_URI },
+            db: { type: 'string', default: DEFAULT_DB },
+            runtime: { type: 'string', default: 'node' },
+            learner: { type: 'string', default: defaultLearner() },
+            progress: { type: 'string', default: defaultProgressPath() },
+            'fixture-version': { type: 'string' },
+            scale: { type: 'string' },
+            seed: { type: 'string', default: '1' },
+            'inline-setup': { type: 'boolean', default: false },
+            fault: { type: 'string', multiple: true },
+            'fail-points': { type: 'boolean', default: false },
+            variant: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+
+    if (!RUNTIMES[values.runtime]) {
+        console.error(`Unknown runtime "${values.runtime}" (expected: ${Object.keys(RUNTIMES).join(', ')})`);
+        return 2;
+    }
+
+    if (values.variant !== undefined && values['inline-setup']) {
+        console.error('--variant re-seeds the fixture and cannot be combined with --inline-setup');
+        return 2;
+    }
+
+    const files = values.all ? listProblemFiles() : positionals.map(file => path.resolve(file));
+    if (files.length === 0) {
+        console.error('Usage: node tools/practice/grader.js <problem-file> [--problem 1.1] | --all');
+        return 2;
+    }
+
+    const options = {
+        problems: values.problem,
+        uri: values.uri,
+        dbName: values.db,
+        runtime: values.runtime,
+        fixtureVersion: values['fixture-version'],
+        scale: values.scale,
+        seed: Number(values.seed),
+        inlineSetup: values['inline-setup'],
+        faults: values.fault,
+        failPoints: values['fail-points'],
+        variant: values.variant === undefined ? undefined : Number(values.variant)
+    };
+    const allResults = [];
+
+    for (const file of files) {
+        const results = await gradeFile(file, options);
+        printReport(path.basename(file), results);
+        allResults.push(...results);
+
+        if (!values['dry-run']) {
+            recordGradeResults(results, { learner: values.learner, file: values.progress });
+        }
+    }
+
+    const counts = summarize(allResults);
+    console.log(`\nSummary: ${counts.pass} passed, ${counts.fail} failed, ${counts.error} errors, ${counts.skipped} not attempted`);
+
+    return counts.fail + counts.error > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    RUNTIMES,
+    prerequisiteCode,
+    fixtureSeederFor,
+    gradeProblem,
+    gradeFile,
+    printReport,
+    summarize,
+    main
+};
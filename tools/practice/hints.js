@@ -0,0 +1,519 @@
+/**
+ * TOOL: PROGRESSIVE HINTS
+ * DESCRIPTION:
+ * Hints derived from a problem's reference solution, so every problem
+ * gets them without anyone writing them:
+ *
+ *   level 1 - the methods, stages and operators the solution uses
+ *             ("db.orders.aggregate() with the stages $unwind and $group")
+ *   level 2 - the skeleton of its queries with every value blanked out:
+ *             db.orders.aggregate([{ $group: { _id: ___, total: { $sum: ___ } } }])
+ *   level 3 - the full solution
+ *
+ * The solution is tokenized and its queries (db.<collection>.<method>(...),
+ * also through a variable holding the collection, and the calls chained
+ * onto them) are parsed into a small syntax tree of
+ * object, array, literal and call nodes. Code the parser does not model
+ * (functions, arithmetic, ...) is kept as an opaque `raw` node: it is
+ * still searched for operators and shows as a blank in the skeleton.
+ *
+ * USAGE:
+ *   node tools/practice/hints.js 13-practice-problems/02-aggregation-problems.js -p 3.1
+ *   node tools/practice/hints.js 13-practice-problems/01-crud-problems.js -p 5.7 --level 2
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadProblemFile } = require('./problemParser');
+const { extractOperators } = require('./problemIndex');
+
+const BLANK = '___';
+const HINT_LEVELS = 3;
+
+// Skeleton objects and arrays shorter than this stay on one line
+const INLINE_WIDTH = 60;
+
+// Tokens after which a "/" starts a regular expression rather than a division
+const REGEX_PRECEDERS = new Set(['(', ',', '=', ':', '[', '!', '&', '&&', '|', '||', '?', '{', '}', ';', 'return', 'typeof']);
+
+const PUNCTUATORS = ['...', '=>', '===', '!==', '&&', '||', '??', '?.', '==', '!=', '<=', '>=', '++', '--'];
+
+// -------------------------------------------------------------------------------------------
+// 1. TOKENS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Splits shell code into tokens: { type, value, newline }, where type is
+ * one of 'string' | 'template' | 'number' | 'regex' | 'name' | 'punct'
+ * and `newline` marks a token starting a line (statements in the
+ * practice files end without semicolons). Comments and whitespace are
+ * dropped; strings keep their quotes.
+ */
+function tokenize(code) {
+    const tokens = [];
+    let i = 0;
+    let newline = true;
+
+    const previous = () => tokens[tokens.length - 1];
+    const push = (type, value) => {
+        tokens.push({ type, value, newline });
+        newline = false;
+    };
+
+    while (i < code.length) {
+        const char = code[i];
+        const rest = code.slice(i);
+
+        if (/\s/.test(char)) {
+            if (char === '\n') newline = true;
+            i++;
+        } else if (rest.startsWith('//')) {
+            i = code.indexOf('\n', i) === -1 ? code.length : code.indexOf('\n', i);
+        } else if (rest.startsWith('/*')) {
+            i = code.indexOf('*/', i + 2) === -1 ? code.length : code.indexOf('*/', i + 2) + 2;
+        } else if (char === '"' || char === '\'' || char === '`') {
+            let end = i + 1;
+            while (end < code.length && code[end] !== char) end += code[end] === '\\' ? 2 : 1;
+            push(char === '`' ? 'template' : 'string', code.slice(i, end + 1));
+            i = end + 1;
+        } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(code[i + 1] || ''))) {
+            const [number] = rest.match(/^(?:0[xX][0-9a-fA-F]+|\d*\.?\d+(?:[eE][+-]?\d+)?)n?/);
+            push('number', number);
+            i += number.length;
+        } else if (/[A-Za-z_$]/.test(char)) {
+            const [name] = rest.match(/^[\w$]+/);
+            push('name', name);
+            i += name.length;
+        } else if (char === '/' && (!previous() || REGEX_PRECEDERS.has(previous().value))) {
+            const match = rest.match(/^\/(?:\\.|\[(?:\\.|[^\]\\])*\]|[^/\\\n[])+\/[a-z]*/);
+            push(match ? 'regex' : 'punct', match ? match[0] : char);
+            i += match ? match[0].length : 1;
+        } else {
+            const punct = PUNCTUATORS.find(candidate => rest.startsWith(candidate)) || char;
+            push('punct', punct);
+            i += punct.length;
+        }
+    }
+
+    return tokens;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. SYNTAX TREE
+// -------------------------------------------------------------------------------------------
+
+/*
+ * Nodes:
+ *   { type: 'object', properties: [{ key, value }] }       key is the property name ('$match', 'total', ...)
+ *   { type: 'array', elements: [node] }
+ *   { type: 'literal', value: '"A"' | '42' | '/^A/i' | 'true' | ... }
+ *   { type: 'identifier', name }
+ *   { type: 'call', callee: 'new Date' | 'ObjectId' | ..., args: [node] }
+ *   { type: 'raw', tokens: [token] }                       anything else
+ */
+
+const CLOSERS = { '(': ')', '[': ']', '{': '}' };
+const LITERAL_NAMES = new Set(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity']);
+
+function createParser(tokens, start = 0) {
+    let pos = start;
+
+    const peek = (offset = 0) => tokens[pos + offset];
+    const at = value => Boolean(peek()) && peek().value === value && peek().type !== 'string';
+    const expect = value => {
+        if (!at(value)) throw new SyntaxError(`expected "${value}"`);
+        pos++;
+    };
+
+    /**
+     * Consumes tokens up to the next , ) ] } or ; at this nesting level.
+     */
+    function skipBalanced() {
+        const skipped = [];
+        const open = [];
+
+        while (peek()) {
+            const token = peek();
+            if (token.type === 'punct') {
+                if (open.length === 0 && [',', ')', ']', '}', ';'].includes(token.value)) break;
+                if (CLOSERS[token.value]) open.push(CLOSERS[token.value]);
+                else if (token.value === open[open.length - 1]) open.pop();
+            }
+            skipped.push(token);
+            pos++;
+        }
+        return skipped;
+    }
+
+    function parseList(closer, parseItem) {
+        const items = [];
+        while (!at(closer)) {
+            if (!peek()) throw new SyntaxError(`expected "${closer}"`);
+            items.push(parseItem());
+            if (!at(closer)) expect(',');
+        }
+        pos++;
+        return items;
+    }
+
+    function parseProperty() {
+        const token = peek();
+
+        if (at('...')) return { key: '...', value: { type: 'raw', tokens: skipBalanced() } };
+        if (at('[')) {
+            const computed = skipBalanced();
+            return { key: computed.map(part => part.value).join(''), value: { type: 'raw', tokens: [] } };
+        }
+        if (!['name', 'string', 'number'].includes(token.type)) throw new SyntaxError(`unexpected "${token.value}"`);
+
+        pos++;
+        const key = token.type === 'string' ? token.value.slice(1, -1) : token.value;
+        if (at(',') || at('}')) return { key, value: { type: 'identifier', name: key } };
+        if (!at(':')) return { key, value: { type: 'raw', tokens: skipBalanced() } };
+
+        pos++;
+        return { key, value: parseExpression() };
+    }
+
+    function parseArguments() {
+        expect('(');
+        return parseList(')', parseExpression);
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (!token) throw new SyntaxError('unexpected end of code');
+
+        if (at('{')) {
+            pos++;
+            return { type: 'object', properties: parseList('}', parseProperty) };
+        }
+        if (at('[')) {
+            pos++;
+            return { type: 'array', elements: parseList(']', parseExpression) };
+        }
+        if (['string', 'template', 'number', 'regex'].includes(token.type)) {
+            pos++;
+            return { type: 'literal', value: token.value };
+        }
+        if (at('-') && peek(1) && peek(1).type === 'number') {
+            pos += 2;
+            return { type: 'literal', value: `-${peek(-1).value}` };
+        }
+        if (token.type === 'name' && LITERAL_NAMES.has(token.value)) {
+            pos++;
+            return { type: 'literal', value: token.value };
+        }
+        if (at('new') && peek(1) && peek(1).type === 'name') {
+            pos += 2;
+            const callee = `new ${peek(-1).value}`;
+            return { type: 'call', callee, args: at('(') ? parseArguments() : [] };
+        }
+        if (token.type === 'name' && !['function', 'async'].includes(token.value) && !(peek(1) && peek(1).value === '=>')) {
+            pos++;
+            return { type: 'identifier', name: token.value };
+        }
+        return { type: 'raw', tokens: skipBalanced() };
+    }
+
+    /**
+     * A primary expression with its member accesses and calls; anything
+     * after that (operators, ternaries, ...) turns the whole expression
+     * into a raw node.
+     */
+    function parseExpression() {
+        const from = pos;
+        let node = parsePrimary();
+
+        while (node.type !== 'raw') {
+            if (at('.') && peek(1) && peek(1).type === 'name') {
+                const name = `${calleeName(node)}.${peek(1).value}`;
+                pos += 2;
+                node = { type: 'identifier', name, object: node };
+            } else if (at('(') && node.type === 'identifier') {
+                node = { type: 'call', callee: node.name, object: node.object || null, args: parseArguments() };
+            } else {
+                break;
+            }
+        }
+
+        const ended = !peek() || [',', ')', ']', '}', ';'].includes(peek().value) || (peek().newline && peek().type !== 'punct');
+        if (node.type !== 'raw' && !ended) {
+            pos = from;
+            return { type: 'raw', tokens: skipBalanced() };
+        }
+        return node;
+    }
+
+    return {
+        parseExpression,
+        get position() {
+            return pos;
+        }
+    };
+}
+
+function calleeName(node) {
+    if (node.type === 'identifier') return node.name;
+    if (node.type === 'call') return `${node.callee}()`;
+    return '(...)';
+}
+
+/**
+ * The collection a parsed expression refers to, or null:
+ * db.<coll>, db.getCollection("coll"), <session>.getDatabase(...).<coll>,
+ * db.getSiblingDB(...).<coll> or a variable holding one of these.
+ */
+function collectionOf(node, variables) {
+    if (node.type === 'identifier' && !node.object) return variables.get(node.name) || null;
+    if (node.type === 'identifier') {
+        const { object } = node;
+        const isDatabase = object.type === 'identifier'
+            ? object.name === 'db'
+            : object.type === 'call' && /(^|\.)(getDatabase|getSiblingDB)$/.test(object.callee);
+        return isDatabase ? node.name.split('.').pop() : null;
+    }
+    if (node.type === 'call' && /(^|\.)getCollection$/.test(node.callee)) {
+        const [name] = node.args;
+        return name && name.type === 'literal' && /^["']/.test(name.value) ? name.value.slice(1, -1) : null;
+    }
+    return null;
+}
+
+/**
+ * The queries in a piece of shell code, in order:
+ * [{ collection, calls: [{ method, args: [node] }] }]
+ * e.g. db.products.find({ ... }).sort({ price: 1 }) gives
+ * { collection: 'products', calls: [{ method: 'find', ... }, { method: 'sort', ... }] }.
+ * Queries inside functions and transactions are found too, also through
+ * variables such as `const accounts = session.getDatabase("shop").accounts`.
+ */
+function findQueries(code) {
+    const tokens = tokenize(code);
+    const variables = new Map();
+    const queries = [];
+
+    const parseAt = start => {
+        const parser = createParser(tokens, start);
+        try {
+            return { node: parser.parseExpression(), end: parser.position };
+        } catch (error) {
+            return null;
+        }
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type !== 'name' || (tokens[i - 1] && tokens[i - 1].value === '.')) continue;
+
+        const isBinding = ['const', 'let', 'var'].includes(token.value)
+            && tokens[i + 1] && tokens[i + 1].type === 'name'
+            && tokens[i + 2] && tokens[i + 2].value === '=';
+        if (isBinding) {
+            const bound = parseAt(i + 3);
+            const collection = bound && collectionOf(bound.node, variables);
+            if (collection) variables.set(tokens[i + 1].value, collection);
+            else variables.delete(tokens[i + 1].value);
+            continue;
+        }
+
+        const isQuery = (token.value === 'db' || variables.has(token.value))
+            && tokens[i + 1] && tokens[i + 1].value === '.';
+        if (!isQuery) continue;
+
+        const parsed = parseAt(i);
+        if (!parsed || parsed.node.type !== 'call') continue;
+
+        const calls = [];
+        let base = parsed.node;
+        while (base && base.type === 'call' && !collectionOf(base, variables)) {
+            calls.unshift({ method: base.callee.split('.').pop(), args: base.args });
+            base = base.object;
+        }
+        const collection = base && collectionOf(base, variables);
+        if (!collection || calls.length === 0) continue;
+
+        queries.push({ collection, calls });
+        i = parsed.end - 1;
+    }
+
+    return queries;
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. HINTS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Every $operator used as a key below `node`, in order of appearance.
+ */
+function collectOperators(node, found = []) {
+    const add = operator => {
+        if (!found.includes(operator)) found.push(operator);
+    };
+
+    if (node.type === 'object') {
+        for (const { key, value } of node.properties) {
+            if (key.startsWith('$')) add(key);
+            collectOperators(value, found);
+        }
+    } else if (node.type === 'array') {
+        node.elements.forEach(element => collectOperators(element, found));
+    } else if (node.type === 'call') {
+        node.args.forEach(arg => collectOperators(arg, found));
+    } else if (node.type === 'raw') {
+        extractOperators(node.tokens.map(token => token.value).join(' ')).filter(name => name.startsWith('$')).forEach(add);
+    }
+    return found;
+}
+
+/**
+ * Stage names of an aggregate() call's pipeline.
+ */
+function pipelineStages(call) {
+    const [pipeline] = call.args;
+    if (!pipeline || pipeline.type !== 'array') return [];
+    return pipeline.elements
+        .filter(stage => stage.type === 'object')
+        .flatMap(stage => stage.properties.map(property => property.key).filter(key => key.startsWith('$')));
+}
+
+function listWords(words) {
+    const quoted = words.map(word => `\`${word}\``);
+    return quoted.length <= 1 ? quoted.join('') : `${quoted.slice(0, -1).join(', ')} and ${quoted[quoted.length - 1]}`;
+}
+
+/**
+ * Level 1: one line per query, naming its method, stages and operators.
+ * Falls back to the operators found anywhere in the code when it has
+ * no db.<collection>.<method>() queries.
+ */
+function describeQueries(code) {
+    const queries = findQueries(code);
+
+    if (queries.length === 0) {
+        const operators = extractOperators(code);
+        return [operators.length ? `The reference solution uses ${listWords(operators)}` : 'The reference solution uses no query operators'];
+    }
+
+    const seen = new Set();
+    return queries.map(({ collection, calls }) => {
+        const [first, ...chained] = calls;
+        const stages = first.method === 'aggregate' ? pipelineStages(first) : [];
+        const operators = calls.flatMap(call => call.args.flatMap(arg => collectOperators(arg))).filter(operator => !stages.includes(operator));
+        const parts = [];
+
+        if (stages.length) parts.push(`with the stages ${listWords([...new Set(stages)])}`);
+        if (operators.length) parts.push(`using ${listWords([...new Set(operators)])}`);
+        if (chained.length) parts.push(`then ${listWords(chained.map(call => `.${call.method}()`))}`);
+        return [`db.${collection}.${first.method}()`, parts.join(', ')].join(' ').trim();
+    }).filter(line => !seen.has(line) && seen.add(line));
+}
+
+/**
+ * Shell code for a node with every value replaced by ___; keys,
+ * operators and the shape of objects and arrays are kept.
+ */
+function blankSkeleton(node, indent = '') {
+    const inner = `${indent}    `;
+    const fits = (open, items, close) => {
+        const inline = `${open}${items.join(', ')}${close}`;
+        return inline.length <= INLINE_WIDTH && !inline.includes('\n') ? inline : null;
+    };
+
+    if (node.type === 'object') {
+        if (node.properties.length === 0) return '{}';
+        const items = node.properties.map(({ key, value }) => (key === '...'
+            ? `...${BLANK}`
+            : `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${blankSkeleton(value, inner)}`));
+        return fits('{ ', items, ' }') || `{\n${items.map(item => `${inner}${item}`).join(',\n')}\n${indent}}`;
+    }
+    if (node.type === 'array') {
+        if (node.elements.length === 0) return '[]';
+        const items = node.elements.map(element => blankSkeleton(element, inner));
+        const stages = node.elements.every(element => element.type === 'object') && node.elements.length > 1;
+        return (!stages && fits('[', items, ']')) || `[\n${items.map(item => `${inner}${item}`).join(',\n')}\n${indent}]`;
+    }
+    if (node.type === 'call' && node.args.some(arg => arg.type === 'object' || arg.type === 'array')) {
+        return `${node.callee}(${node.args.map(arg => blankSkeleton(arg, indent)).join(', ')})`;
+    }
+    return BLANK;
+}
+
+/**
+ * Level 2: the skeleton of every query in the code.
+ */
+function querySkeletons(code) {
+    return findQueries(code).map(({ collection, calls }) => {
+        const [first, ...chained] = calls;
+        const call = ({ method, args }) => `${method}(${args.map(arg => blankSkeleton(arg)).join(', ')})`;
+        return [`db.${collection}.${call(first)}`, ...chained.map(link => `    .${call(link)}`)].join('\n');
+    });
+}
+
+/**
+ * The hint at `level` (1-3) for a parsed problem, as lines of text.
+ */
+function hintFor(problem, level) {
+    const code = problem.solutionCode;
+
+    if (level <= 1) return describeQueries(code);
+    if (level === 2) {
+        const skeletons = querySkeletons(code);
+        return skeletons.length
+            ? ['Fill in the blanks:', ...skeletons.join('\n\n').split('\n')]
+            : ['No query skeleton for this solution; the next hint is the full solution.'];
+    }
+    return ['Reference solution:', ...code.split('\n')];
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. COMMAND LINE
+// -------------------------------------------------------------------------------------------
+
+function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            problem: { type: 'string', short: 'p' },
+            level: { type: 'string', default: String(HINT_LEVELS - 1) }
+        }
+    });
+
+    if (positionals.length !== 1 || !values.problem) {
+        console.error('Usage: node tools/practice/hints.js <problem-file> --problem 3.1 [--level 1|2|3]');
+        return 2;
+    }
+
+    const file = loadProblemFile(path.resolve(positionals[0]));
+    const problem = file.problems.find(candidate => candidate.id === values.problem);
+    if (!problem) {
+        console.error(`No problem ${values.problem} in ${file.file}`);
+        return 2;
+    }
+
+    const level = Math.min(HINT_LEVELS, Math.max(1, Number(values.level) || 1));
+    console.log(`PROBLEM ${problem.id}: ${problem.title}`);
+    for (let current = 1; current <= level; current++) {
+        console.log(`\nHint ${current}:`);
+        hintFor(problem, current).forEach(line => console.log(`  ${line}`));
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = {
+    BLANK,
+    HINT_LEVELS,
+    tokenize,
+    findQueries,
+    describeQueries,
+    blankSkeleton,
+    querySkeletons,
+    hintFor,
+    main
+};
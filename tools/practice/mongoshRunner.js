@@ -0,0 +1,159 @@
+/**
+ * TOOL: MONGOSH RUNNER
+ * DESCRIPTION:
+ * Runs practice-file code in a mongosh child process and returns the
+ * value of its last statement. Cursors are drained with toArray() and
+ * the value travels back as canonical Extended JSON (--json=canonical),
+ * so ObjectId, Date, Decimal128 and friends keep their BSON types.
+ */
+
+const { execFile } = require('child_process');
+const { BSON } = require('mongodb');
+
+const { EJSON } = BSON;
+
+const DEFAULT_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const DEFAULT_DB = 'practiceDB';
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const NO_VALUE_STATEMENT = /^(const|let|var|function|async\s+function|class|if|for|while|do|try|switch|return|throw)\b/;
+
+// -------------------------------------------------------------------------------------------
+// 1. CAPTURING THE LAST STATEMENT
+// -------------------------------------------------------------------------------------------
+
+/**
+ * mongosh only reports the raw value of an --eval script, so the last
+ * top-level statement is rewritten into an assignment we can drain.
+ *
+ * Practice files write one statement per column-0 line, so the last
+ * line that starts at column 0 (ignoring comments and closing brackets)
+ * is where the final statement begins. Declarations and control flow
+ * produce no value and are left untouched.
+ */
+function captureLastStatement(code) {
+    const lines = code.split('\n');
+
+    for (let i = lines.length - 1; i >= 0; i--) {
+        const line = lines[i];
+
+        if (line.trim() === '' || /^\s/.test(line) || /^(\/\/|\/\*|\*|[}\])])/.test(line)) {
+            continue;
+        }
+        if (NO_VALUE_STATEMENT.test(line)) return { code, captured: false };
+
+        const statement = trimTrailingComments(lines.slice(i));
+        const last = statement.length - 1;
+        statement[last] = statement[last].replace(/;(\s*(\/\/.*)?)$/, '$1');
+
+        return {
+            code: [
+                ...lines.slice(0, i),
+                'globalThis.__practiceResult = (',
+                ...statement,
+                ');'
+            ].join('\n'),
+            captured: true
+        };
+    }
+
+    return { code, captured: false };
+}
+
+function trimTrailingComments(lines) {
+    let end = lines.length;
+    while (end > 1 && /^\s*(\/\/.*)?$/.test(lines[end - 1])) end--;
+    return lines.slice(0, end);
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. BUILDING THE SCRIPT
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Joins the setup code and the snippet into one --eval script. The final
+ * statement drains a captured cursor so --json prints documents rather
+ * than the cursor object, or explains it when `explain` names a
+ * verbosity ('executionStats').
+ */
+function buildScript(setupCode, snippet, dbName, explain) {
+    const { code, captured } = captureLastStatement(snippet);
+    const finish = explain ? `explain(${JSON.stringify(explain)})` : 'toArray()';
+
+    return [
+        `db = db.getSiblingDB(${JSON.stringify(dbName)});`,
+        'globalThis.__practiceResult = undefined;',
+        setupCode,
+        ';',
+        code,
+        ';',
+        captured
+            ? `(globalThis.__practiceResult && typeof globalThis.__practiceResult.toArray === "function") ? globalThis.__practiceResult.${finish} : globalThis.__practiceResult`
+            : 'undefined'
+    ].join('\n');
+}
+
+/**
+ * Setup code prints progress messages, so the JSON value is the longest
+ * tail of stdout that parses on its own.
+ */
+function parseJsonTail(stdout) {
+    const lines = stdout.trimEnd().split('\n');
+
+    for (let i = lines.length - 1; i >= 0; i--) {
+        const candidate = lines.slice(i).join('\n');
+        try {
+            return { found: true, value: EJSON.parse(candidate, { relaxed: false }) };
+        } catch (error) {
+            // Not the start of the JSON value yet, keep walking back
+        }
+    }
+    return { found: false, value: undefined };
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. RUNNING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Runs `snippet` after `setupCode` and resolves to:
+ * { value, output, error }
+ * where `error` is the message of anything the script threw. With
+ * `options.explain` a final cursor is explained instead of drained.
+ */
+function runInMongosh(setupCode, snippet, options = {}) {
+    const {
+        uri = DEFAULT_URI,
+        dbName = DEFAULT_DB,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        mongoshPath = process.env.MONGOSH_PATH || 'mongosh'
+    } = options;
+
+    const script = buildScript(setupCode, snippet, dbName, options.explain);
+    const args = [uri, '--quiet', '--json=canonical', '--eval', script];
+
+    return new Promise((resolve) => {
+        execFile(mongoshPath, args, { timeout: timeoutMs, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            const parsed = parseJsonTail(stdout);
+
+            if (error) {
+                let message = (parsed.value && parsed.value.message) || stderr.trim() || error.message;
+                if (error.code === 'ENOENT') message = `mongosh not found (${mongoshPath}) - install it or set MONGOSH_PATH`;
+                else if (error.killed) message = `Script execution timed out after ${timeoutMs}ms`;
+                resolve({ value: undefined, output: stdout, error: message });
+                return;
+            }
+
+            resolve({ value: parsed.value, output: stdout, error: null });
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_URI,
+    DEFAULT_DB,
+    captureLastStatement,
+    buildScript,
+    parseJsonTail,
+    runInMongosh
+};
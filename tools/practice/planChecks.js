@@ -0,0 +1,179 @@
+/**
+ * TOOL: QUERY PLAN CHECKS
+ * DESCRIPTION:
+ * Grades *how* a query runs, for problems whose front-matter declares a
+ * `plan` (mostly 03-indexing-problems.js). The grader captures
+ * explain('executionStats') for the learner's final query and checks it
+ * against the declared properties:
+ *
+ *   IXSCAN / COLLSCAN / TEXT ...       - stage the winning plan must use
+ *   index city_1_email_1               - index the winning plan must use
+ *   no FETCH                           - covered query (no document fetch)
+ *   no SORT                            - no in-memory (blocking) sort
+ *   keysExamined/nReturned <= 1        - efficiency ratio
+ *   docsExamined/nReturned <= 1
+ *
+ * e.g. front-matter line:  plan: IXSCAN, index email_1, keysExamined/nReturned <= 1
+ *
+ * When a check fails, the general heuristics from
+ * 08-performance/explainPlans.js findPlanProblems() are added as hints.
+ */
+
+const { findPlanProblems } = require('../../08-performance/explainPlans');
+
+// -------------------------------------------------------------------------------------------
+// 1. PLAN SPEC
+// -------------------------------------------------------------------------------------------
+
+const RATIO_METRICS = {
+    keysExamined: 'totalKeysExamined',
+    docsExamined: 'totalDocsExamined'
+};
+
+/**
+ * Turns the front-matter `plan` list into check objects:
+ * { type: 'stage' | 'index' | 'absent' | 'ratio', ... }
+ */
+function parsePlanSpec(items) {
+    return items.map(item => {
+        let match;
+
+        if ((match = item.match(/^no\s+([A-Z_]+)$/))) {
+            return { type: 'absent', stage: match[1], label: item };
+        }
+        if ((match = item.match(/^index\s+(\S+)$/))) {
+            return { type: 'index', name: match[1], label: item };
+        }
+        if ((match = item.match(/^(keysExamined|docsExamined)\/nReturned\s*<=\s*(\d+(?:\.\d+)?)$/))) {
+            return { type: 'ratio', metric: match[1], max: Number(match[2]), label: item };
+        }
+        if (/^[A-Z_]+$/.test(item)) {
+            return { type: 'stage', stage: item, label: item };
+        }
+        throw new Error(`Unknown plan check "${item}"`);
+    });
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. READING EXPLAIN OUTPUT
+// -------------------------------------------------------------------------------------------
+
+function isExplainOutput(value) {
+    return Boolean(value && typeof value === 'object' && (value.queryPlanner || value.stages || value.executionStats));
+}
+
+/**
+ * find() explains carry queryPlanner/executionStats at the top level;
+ * aggregate() explains nest them in the first stage's $cursor.
+ */
+function cursorExplain(explain) {
+    if (explain.queryPlanner) return explain;
+
+    const cursorStage = (explain.stages || []).find(stage => stage.$cursor);
+    return cursorStage ? cursorStage.$cursor : explain;
+}
+
+/**
+ * Every stage of a plan tree, depth first. Newer servers wrap the
+ * classic tree in `queryPlan` (slot-based execution).
+ */
+function planStages(plan, out = []) {
+    if (!plan) return out;
+    if (plan.queryPlan) return planStages(plan.queryPlan, out);
+
+    out.push(plan);
+    if (plan.inputStage) planStages(plan.inputStage, out);
+    (plan.inputStages || []).forEach(stage => planStages(stage, out));
+    return out;
+}
+
+function number(value) {
+    return value === undefined || value === null ? 0 : Number(value.valueOf());
+}
+
+/**
+ * The figures the checks look at:
+ * { stages: ['FETCH', 'IXSCAN'], indexes: ['email_1'], nReturned,
+ *   totalKeysExamined, totalDocsExamined }
+ */
+function summarizePlan(explain) {
+    const inner = cursorExplain(explain);
+    const stats = inner.executionStats || {};
+    const stages = planStages(inner.queryPlanner && inner.queryPlanner.winningPlan);
+
+    return {
+        stages: stages.map(stage => stage.stage),
+        indexes: stages.filter(stage => stage.indexName).map(stage => stage.indexName),
+        nReturned: number(stats.nReturned),
+        totalKeysExamined: number(stats.totalKeysExamined),
+        totalDocsExamined: number(stats.totalDocsExamined)
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. CHECKING
+// -------------------------------------------------------------------------------------------
+
+function runCheck(check, summary) {
+    switch (check.type) {
+        case 'stage':
+            return summary.stages.includes(check.stage)
+                ? null
+                : `expected a ${check.stage} stage, winning plan is ${summary.stages.join(' <- ') || '(none)'}`;
+        case 'index':
+            return summary.indexes.includes(check.name)
+                ? null
+                : `expected index ${check.name}, plan uses ${summary.indexes.join(', ') || 'no index'}`;
+        case 'absent':
+            return summary.stages.includes(check.stage)
+                ? `winning plan has a ${check.stage} stage (${summary.stages.join(' <- ')})`
+                : null;
+        case 'ratio': {
+            const examined = summary[RATIO_METRICS[check.metric]];
+            const ratio = examined / Math.max(summary.nReturned, 1);
+            return ratio <= check.max
+                ? null
+                : `${check.metric}/nReturned is ${examined}/${summary.nReturned} = ${ratio.toFixed(2)}, expected <= ${check.max}`;
+        }
+        default:
+            return `unknown check ${check.type}`;
+    }
+}
+
+/**
+ * Checks explain output against the declared plan. Returns
+ * { ok, failures: ['...'], hints: ['...'], summary }.
+ */
+function checkPlan(explain, planItems) {
+    if (!isExplainOutput(explain)) {
+        return {
+            ok: false,
+            failures: ['no query plan to check - end your answer with the query (or its .explain("executionStats"))'],
+            hints: [],
+            summary: null
+        };
+    }
+
+    const summary = summarizePlan(explain);
+    const failures = parsePlanSpec(planItems)
+        .map(check => runCheck(check, summary))
+        .filter(Boolean);
+
+    let hints = [];
+    if (failures.length > 0) {
+        try {
+            hints = findPlanProblems(cursorExplain(explain));
+        } catch (error) {
+            // Partial explain output (e.g. queryPlanner verbosity) has no stats to judge
+        }
+    }
+
+    return { ok: failures.length === 0, failures, hints, summary };
+}
+
+module.exports = {
+    parsePlanSpec,
+    isExplainOutput,
+    summarizePlan,
+    checkPlan
+};
@@ -0,0 +1,592 @@
+/**
+ * TOOL: INTERACTIVE PRACTICE MODE
+ * DESCRIPTION:
+ * One terminal loop for working through the practice problems: it shows
+ * a problem's description and the sample documents it works on, runs
+ * each query you type against freshly seeded data and prints the result
+ * next to the reference solution's, with the differences underneath.
+ *
+ * Your inputs build on each other like in mongosh (variables, functions
+ * and writes stay until :reset). A problem counts as solved - and is
+ * recorded in your progress file (see progress.js) - the first time a
+ * result matches the reference: the returned documents, the collections
+ * left behind (`state` problems) or the query plan (`plan` problems).
+ *
+ * COMMANDS:
+ *   :hint              the concepts and operators the solution uses, then its
+ *                      skeleton with the values blanked, then the solution (hints.js)
+ *   :explain           query plan of the last find()/aggregate()
+ *   :reset             restore the sample data (your variables stay; :grade
+ *                      counts the code typed after it)
+ *   :grade             grade everything typed so far with the grader
+ *   :solution          show the reference solution
+ *   :next / :prev      move through the problems
+ *   :problem <id>      jump to 2.3 or 02-aggregation-problems#2.3
+ *   :list / :data      problems in this file / the sample documents again
+ *   :help / :quit
+ *
+ * USAGE:
+ *   node tools/practice/practiceRepl.js                      # first unsolved problem
+ *   node tools/practice/practiceRepl.js 13-practice-problems/01-crud-problems.js -p 5.7
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { hasCode, loadProblemFile, listProblemFiles } = require('./problemParser');
+const { DEFAULT_URI, DEFAULT_DB } = require('./mongoshRunner');
+const { ShellCursor, createShell, formatShellValue, runInNode } = require('./shellRuntime');
+const { defaultLearner, defaultProgressPath, loadProgress, saveProgress, problemKey, recordAttempt } = require('./progress');
+const { describe, compareResults, formatDifferences } = require('./resultComparator');
+const { resultOrdering } = require('./resultOrdering');
+const { checkPlan, summarizePlan } = require('./planChecks');
+const { createStateReader, compareStates, formatStateDifferences } = require('./stateDiff');
+const { HINT_LEVELS, hintFor } = require('./hints');
+const { prerequisiteCode, fixtureSeederFor, gradeProblem } = require('./grader');
+
+const PREVIEW_DOCUMENTS = 3;
+const MAX_COLUMN_ROWS = 25;
+
+// -------------------------------------------------------------------------------------------
+// 1. PROBLEMS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Every problem of the given files, in file order: [{ file, problem, key }].
+ */
+function loadEntries(filePaths) {
+    return filePaths.flatMap(filePath => {
+        const file = loadProblemFile(filePath);
+        file.path = filePath;
+        return file.problems.map(problem => ({ file, problem, key: problemKey(file.file, problem.id) }));
+    });
+}
+
+/**
+ * '2.3' (in the current file), '02-aggregation-problems#2.3' or
+ * '02-aggregation#2.3'.
+ */
+function findEntry(entries, reference, currentFile) {
+    if (!reference.includes('#')) {
+        return entries.find(entry => entry.file === currentFile && entry.problem.id === reference);
+    }
+    const [prefix, id] = reference.split('#');
+    return entries.find(entry => entry.problem.id === id && entry.key.startsWith(prefix));
+}
+
+function isSolved(progress, learner, key) {
+    const record = ((progress.learners[learner] || { problems: {} }).problems)[key];
+    return Boolean(record && record.solvedAt);
+}
+
+/**
+ * Collections a problem works on: the ones its setup and solution name
+ * (db.users..., db.getCollection("users")) plus its declared state.
+ */
+function collectionsOf(problem) {
+    const code = `${problem.localSetup}\n${problem.solutionCode}`;
+    const names = new Set(problem.metadata.state);
+
+    for (const [, name] of code.matchAll(/\bdb\.([A-Za-z_]\w*)\s*\./g)) names.add(name);
+    for (const [, name] of code.matchAll(/getCollection\(\s*["']([\w.-]+)["']\s*\)/g)) names.add(name);
+
+    return [...names];
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. DISPLAY
+// -------------------------------------------------------------------------------------------
+
+function clip(line, width) {
+    return line.length > width ? `${line.slice(0, width - 1)}…` : line.padEnd(width);
+}
+
+/**
+ * Two texts in columns, capped at MAX_COLUMN_ROWS rows:
+ *
+ *   yours                       │ expected
+ *   [ { _id: 1, ... } ]         │ [ { _id: 1, ... } ]
+ */
+function sideBySide(left, right, width = process.stdout.columns || 100) {
+    const column = Math.max(20, Math.floor((width - 3) / 2));
+    const leftLines = left.text.split('\n');
+    const rightLines = right.text.split('\n');
+    const rows = Math.max(leftLines.length, rightLines.length);
+    const lines = [`${clip(left.title, column)} │ ${right.title}`, `${'─'.repeat(column)}─┼─${'─'.repeat(column)}`];
+
+    for (let i = 0; i < Math.min(rows, MAX_COLUMN_ROWS); i++) {
+        lines.push(`${clip(leftLines[i] || '', column)} │ ${clip(rightLines[i] || '', column).trimEnd()}`);
+    }
+    if (rows > MAX_COLUMN_ROWS) {
+        lines.push(`… ${rows - MAX_COLUMN_ROWS} more lines`);
+    }
+
+    return lines;
+}
+
+function showValue(value) {
+    return value === undefined ? '(no value)' : formatShellValue(value);
+}
+
+/**
+ * Reads lines until the brackets, strings and template literals of the
+ * input are closed, like mongosh's multi-line input.
+ */
+function isIncomplete(code) {
+    const closing = { '(': ')', '[': ']', '{': '}' };
+    const stack = [];
+    let quote = null;
+
+    for (let i = 0; i < code.length; i++) {
+        const char = code[i];
+
+        if (quote) {
+            if (char === '\\') i++;
+            else if (char === quote) quote = null;
+            continue;
+        }
+        if (char === '/' && code[i + 1] === '/') {
+            while (i < code.length && code[i] !== '\n') i++;
+        } else if (char === '"' || char === '\'' || char === '`') {
+            quote = char;
+        } else if (closing[char]) {
+            stack.push(closing[char]);
+        } else if (char === stack[stack.length - 1]) {
+            stack.pop();
+        }
+    }
+
+    return Boolean(quote) || stack.length > 0;
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. PRACTICE SESSION
+// -------------------------------------------------------------------------------------------
+
+/**
+ * State of the loop: the current problem, the learner's shell, the
+ * reference run it is compared with and the code typed so far. Every
+ * method resolves to the lines to print.
+ */
+function createPracticeSession(options) {
+    const { uri, dbName, learner, progressPath, dryRun } = options;
+    const reader = createStateReader({ uri, dbName });
+    const seeders = new Map();
+    const runOptions = { uri, dbName };
+    let current = null;
+
+    const seederFor = file => {
+        if (!seeders.has(file.path)) seeders.set(file.path, fixtureSeederFor(file.path, options));
+        return seeders.get(file.path);
+    };
+
+    const setupFor = ({ file, problem }) => [
+        seederFor(file) ? '' : file.setup,
+        problem.metadata.plan.length > 0 ? prerequisiteCode(file, problem) : '',
+        problem.localSetup
+    ].join('\n');
+
+    /**
+     * Fresh sample data for the current problem: collections outside the
+     * fixture are dropped, the fixture re-seeded and the setup run.
+     */
+    async function resetData() {
+        const seeder = seederFor(current.file);
+        const seeded = seeder ? Object.keys(seeder.fixture.collections) : [];
+
+        await reader.drop(current.collections.filter(name => !seeded.includes(name)));
+        if (seeder) await seeder.reset();
+
+        const setup = setupFor(current);
+        if (hasCode(setup)) {
+            const prepared = await runInNode(setup, '', runOptions);
+            if (prepared.error) throw new Error(`setup failed: ${prepared.error}`);
+        }
+    }
+
+    /**
+     * The reference solution's result (or, for `state` problems, the
+     * collections before and after it), on fresh data.
+     */
+    async function runReference() {
+        const { problem } = current;
+        if (problem.metadata.faults.length > 0) return null;
+
+        await resetData();
+        const before = await reader.snapshot(current.collections);
+        const result = await runInNode('', problem.solutionCode, runOptions);
+        return { ...result, before, after: await reader.snapshot(current.collections) };
+    }
+
+    async function startShell() {
+        if (current.shell) current.shell.close();
+        await resetData();
+        current.output = [];
+        current.shell = createShell({ uri, dbName, print: text => current.output.push(text) });
+        current.before = await reader.snapshot(current.collections);
+        current.lastCursor = null;
+    }
+
+    async function preview() {
+        const lines = [];
+        const snapshot = await reader.snapshot(current.collections);
+
+        for (const name of current.collections) {
+            const docs = snapshot[name];
+            lines.push(`  ${name} (${docs.length ? `${docs.length} document${docs.length === 1 ? '' : 's'}` : 'empty'})`);
+            docs.slice(0, PREVIEW_DOCUMENTS).forEach(doc => lines.push(`    ${describe(doc)}`));
+            if (docs.length > PREVIEW_DOCUMENTS) lines.push('    ...');
+        }
+        return lines;
+    }
+
+    function recordResult(status, code) {
+        if (dryRun) return;
+        const progress = loadProgress(progressPath);
+        recordAttempt(progress, learner, {
+            file: current.file.file,
+            id: current.problem.id,
+            status,
+            code,
+            durationMs: Date.now() - current.startedAt
+        });
+        saveProgress(progress, progressPath);
+        current.startedAt = Date.now();
+    }
+
+    /**
+     * Verdict for one evaluated input, by the problem's grading mode:
+     * { solved, lines }.
+     */
+    async function judge(value) {
+        const { problem } = current;
+
+        if (problem.metadata.faults.length > 0) {
+            return { lines: ['(transaction problems are graded in the fault sandbox: type :grade when your function is ready)'] };
+        }
+        if (problem.metadata.state.length > 0) {
+            const after = await reader.snapshot(current.collections);
+            const comparison = compareStates(current.expected, { before: current.before, after }, { generatedAfter: current.loadedAt });
+            return comparison.equal
+                ? { solved: true, lines: ['✅ The collections match the reference solution\'s.'] }
+                : { lines: ['The collections differ from the reference solution\'s:', ...formatStateDifferences(comparison).map(line => `  ${line}`)] };
+        }
+        if (problem.metadata.plan.length > 0) {
+            if (!current.lastCursor) return { lines: ['(this problem is graded on its query plan: end with a find() or aggregate())'] };
+            const result = checkPlan(current.lastCursor.explain('executionStats'), problem.metadata.plan);
+            return result.ok
+                ? { solved: true, lines: [`✅ The query plan meets the requirements (${problem.metadata.plan.join(', ')}).`] }
+                : { lines: ['The query plan does not meet the requirements:', ...[...result.failures, ...result.hints.map(hint => `hint: ${hint}`)].map(line => `  ${line}`)] };
+        }
+        if (value === undefined) return { lines: [] };
+
+        const comparison = compareResults(current.expected.value, value, {
+            ordered: resultOrdering(problem.solutionCode),
+            generatedAfter: current.loadedAt
+        });
+        return comparison.equal
+            ? { solved: true, lines: ['✅ Matches the reference solution.'] }
+            : { lines: formatDifferences(comparison.differences).map(line => `  ${line}`) };
+    }
+
+    return {
+        get current() {
+            return current;
+        },
+
+        async load(entry) {
+            if (current && current.shell) current.shell.close();
+            current = {
+                ...entry,
+                collections: collectionsOf(entry.problem),
+                history: [],
+                hintLevel: 0,
+                solved: false,
+                loadedAt: new Date(),
+                startedAt: Date.now()
+            };
+            current.expected = await runReference();
+            await startShell();
+
+            const { problem, file } = current;
+            const level = problem.metadata.difficulty ? ` [${problem.metadata.difficulty}]` : '';
+            const lines = [
+                '',
+                `PROBLEM ${problem.id}: ${problem.title}${level}  (${file.file})`,
+                '',
+                ...problem.description.split('\n').map(line => `  ${line}`)
+            ];
+            if (current.expected && current.expected.error) {
+                lines.push('', `(the reference solution fails here: ${current.expected.error})`);
+            }
+            if (current.collections.length) lines.push('', 'Sample data:', ...await preview());
+            return lines;
+        },
+
+        async run(code) {
+            current.output = [];
+            let value;
+            try {
+                value = current.shell.evaluate(code, 'answer');
+                if (value && typeof value.then === 'function') value = await value;
+                if (value instanceof ShellCursor) {
+                    current.lastCursor = value;
+                    value = value.toArray();
+                } else if (value !== undefined) {
+                    current.lastCursor = null;
+                }
+            } catch (error) {
+                return [...current.output, `Error: ${error.message}`];
+            }
+            current.history.push(code);
+
+            const lines = [...current.output];
+            const showsResult = current.expected && current.problem.metadata.plan.length === 0;
+            if (showsResult && (value !== undefined || current.problem.metadata.state.length > 0)) {
+                lines.push(...sideBySide(
+                    { title: 'yours', text: showValue(value) },
+                    { title: 'expected', text: showValue(current.expected.value) }
+                ));
+            } else if (value !== undefined) {
+                lines.push(showValue(value));
+            }
+
+            const verdict = await judge(value);
+            if (verdict.solved && !current.solved) {
+                current.solved = true;
+                recordResult('pass', current.history.join('\n'));
+                verdict.lines.push('Type :next for the next problem.');
+            }
+            return [...lines, ...verdict.lines];
+        },
+
+        async reset() {
+            await resetData();
+            current.before = await reader.snapshot(current.collections);
+            current.lastCursor = null;
+            current.history = [];
+            return ['Sample data restored; :grade counts the code typed from here.', ...await preview()];
+        },
+
+        async data() {
+            return ['Sample data:', ...await preview()];
+        },
+
+        hint() {
+            const { problem } = current;
+            if (current.hintLevel === HINT_LEVELS) return ['No more hints.'];
+            current.hintLevel++;
+
+            const lines = hintFor(problem, current.hintLevel);
+            if (current.hintLevel > 1) return lines;
+            return [
+                `Concepts: ${problem.metadata.tags.join(', ') || '(none listed)'}`,
+                ...problem.metadata.modules.map(module => `Read: ${module}`),
+                ...lines
+            ];
+        },
+
+        async explain() {
+            if (!current.lastCursor) return ['Nothing to explain: run a find() or aggregate() first.'];
+
+            const explain = current.lastCursor.explain('executionStats');
+            const summary = summarizePlan(explain);
+            const lines = [
+                `Winning plan: ${summary.stages.join(' <- ') || '(none)'}${summary.indexes.length ? ` using ${summary.indexes.join(', ')}` : ''}`,
+                `nReturned ${summary.nReturned}, keysExamined ${summary.totalKeysExamined}, docsExamined ${summary.totalDocsExamined}`
+            ];
+            if (current.problem.metadata.plan.length > 0) {
+                const result = checkPlan(explain, current.problem.metadata.plan);
+                lines.push(result.ok
+                    ? `Meets the requirements: ${current.problem.metadata.plan.join(', ')}`
+                    : `Requirements not met: ${result.failures.join('; ')}`);
+                result.hints.forEach(hint => lines.push(`hint: ${hint}`));
+            }
+            return lines;
+        },
+
+        solution() {
+            return ['Reference solution:', '', ...current.problem.solutionCode.split('\n').map(line => `  ${line}`)];
+        },
+
+        /**
+         * Grades the inputs typed so far as one answer, exactly as the
+         * grader would (sandbox included), then restores the sample data.
+         */
+        async grade() {
+            if (current.history.length === 0) return ['Nothing to grade yet.'];
+
+            const seeder = seederFor(current.file);
+            const result = await gradeProblem(current.file, { ...current.problem, learnerCode: current.history.join('\n') }, {
+                ...runOptions,
+                ...(seeder ? { seeder } : {}),
+                stateReader: reader
+            });
+            recordResult(result.status, current.history.join('\n'));
+            if (result.status === 'pass') current.solved = true;
+
+            await resetData();
+            current.before = await reader.snapshot(current.collections);
+            return [
+                `${result.status === 'pass' ? '✅' : '❌'} ${result.status}${result.reason ? ` (${result.reason})` : ''}`,
+                ...(result.diff || []).map(line => `  ${line}`),
+                'Sample data restored.'
+            ];
+        },
+
+        async close() {
+            if (current && current.shell) current.shell.close();
+            for (const seeder of seeders.values()) {
+                if (seeder) await seeder.close();
+            }
+            await reader.close();
+        }
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. COMMAND LOOP
+// -------------------------------------------------------------------------------------------
+
+const HELP = [
+    'Type shell code to run it against the sample data. Commands:',
+    '  :hint            a hint (repeat for more, up to the solution)',
+    '  :explain         query plan of the last find()/aggregate()',
+    '  :reset           restore the sample data',
+    '  :grade           grade everything typed so far',
+    '  :solution        show the reference solution',
+    '  :next / :prev    next / previous problem',
+    '  :problem <id>    jump to a problem (2.3 or 02-aggregation-problems#2.3)',
+    '  :list            problems in this file',
+    '  :data            show the sample documents again',
+    '  :quit'
+];
+
+async function runCommand(session, entries, input, context) {
+    const [command, argument] = input.slice(1).trim().split(/\s+/);
+    const index = entries.indexOf(entries.find(entry => entry.key === session.current.key));
+
+    switch (command) {
+        case 'help': return HELP;
+        case 'hint': return session.hint();
+        case 'explain': return session.explain();
+        case 'reset': return session.reset();
+        case 'grade': return session.grade();
+        case 'solution': return session.solution();
+        case 'data': return session.data();
+        case 'next':
+        case 'prev': {
+            const next = entries[index + (command === 'next' ? 1 : -1)];
+            return next ? session.load(next) : [`No ${command === 'next' ? 'more' : 'earlier'} problems.`];
+        }
+        case 'problem': {
+            const entry = argument && findEntry(entries, argument, session.current.file);
+            return entry ? session.load(entry) : [`Unknown problem "${argument || ''}" (expected e.g. 2.3 or 02-aggregation-problems#2.3)`];
+        }
+        case 'list': {
+            const progress = loadProgress(context.progressPath);
+            return entries
+                .filter(entry => entry.file === session.current.file)
+                .map(entry => `${isSolved(progress, context.learner, entry.key) ? '✓' : ' '} ${entry.problem.id} ${entry.problem.title}${entry === entries[index] ? '   <' : ''}`);
+        }
+        case 'quit':
+        case 'exit':
+            context.quit = true;
+            return [];
+        default:
+            return [`Unknown command :${command} (:help lists the commands)`];
+    }
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            problem: { type: 'string', short: 'p' },
+            uri: { type: 'string', default: DEFAULT_URI },
+            db: { type: 'string', default: DEFAULT_DB },
+            learner: { type: 'string', default: defaultLearner() },
+            progress: { type: 'string', default: defaultProgressPath() },
+            'inline-setup': { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+
+    const entries = loadEntries(positionals.length ? positionals.map(file => path.resolve(file)) : listProblemFiles());
+    const progress = loadProgress(values.progress);
+    const start = values.problem
+        ? entries.find(entry => entry.problem.id === values.problem)
+        : entries.find(entry => !isSolved(progress, values.learner, entry.key)) || entries[0];
+
+    if (!start) {
+        console.error(values.problem ? `Unknown problem ${values.problem}` : 'No practice problems found');
+        return 2;
+    }
+
+    const context = { learner: values.learner, progressPath: values.progress, quit: false };
+    const session = createPracticeSession({
+        uri: values.uri,
+        dbName: values.db,
+        learner: values.learner,
+        progressPath: values.progress,
+        inlineSetup: values['inline-setup'],
+        dryRun: values['dry-run']
+    });
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    const print = lines => lines.forEach(line => console.log(line));
+    const prompt = () => {
+        rl.setPrompt(`${session.current.problem.id}> `);
+        rl.prompt();
+    };
+
+    try {
+        print(await session.load(start));
+        print(['', 'Type a query to run it, :help for commands.']);
+        prompt();
+
+        let buffer = '';
+        for await (const line of rl) {
+            buffer = buffer ? `${buffer}\n${line}` : line;
+            if (isIncomplete(buffer)) {
+                rl.setPrompt('... ');
+                rl.prompt();
+                continue;
+            }
+
+            const input = buffer.trim();
+            buffer = '';
+            try {
+                if (input.startsWith(':')) print(await runCommand(session, entries, input, context));
+                else if (input) print(await session.run(input));
+            } catch (error) {
+                print([`Error: ${error.message}`]);
+            }
+
+            if (context.quit) break;
+            prompt();
+        }
+    } finally {
+        rl.close();
+        await session.close();
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    collectionsOf,
+    sideBySide,
+    isIncomplete,
+    createPracticeSession,
+    main
+};
@@ -0,0 +1,401 @@
+/**
+ * TOOL: PRACTICE PROBLEM INDEX
+ * DESCRIPTION:
+ * Builds a browsable index of the practice problems from their
+ * front-matter (difficulty, tags, prerequisites, modules; see
+ * problemParser.js) and from the operators their reference solutions
+ * use. The index groups problems by topic, operator, difficulty and
+ * teaching module, and orders them into learning paths in which every
+ * problem comes after its prerequisites.
+ *
+ * The generated Markdown is checked in as 13-practice-problems/INDEX.md.
+ *
+ * USAGE:
+ *   node tools/practice/problemIndex.js --write
+ *   node tools/practice/problemIndex.js --check
+ *   node tools/practice/problemIndex.js --json
+ *   node tools/practice/problemIndex.js --path-to 02-aggregation-problems#12.2
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { PRACTICE_DIR, DIFFICULTIES, loadProblemFile, listProblemFiles } = require('./problemParser');
+const { problemKey } = require('./progress');
+
+const REPO_ROOT = path.resolve(__dirname, '../..');
+const INDEX_FILE = path.join(PRACTICE_DIR, 'INDEX.md');
+
+// Shell/driver methods worth indexing next to the $operators
+const INDEXED_METHODS = [
+    'find', 'findOne', 'insertOne', 'insertMany', 'updateOne', 'updateMany', 'replaceOne',
+    'deleteOne', 'deleteMany', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace',
+    'countDocuments', 'distinct', 'aggregate', 'bulkWrite', 'sort', 'skip', 'limit', 'hint',
+    'explain', 'createIndex', 'getIndexes', 'dropIndex', 'dropIndexes', 'createCollection',
+    'runCommand', 'stats', 'startSession', 'startTransaction', 'commitTransaction',
+    'abortTransaction', 'withTransaction', 'watch', 'setProfilingLevel', 'serverStatus'
+];
+
+// -------------------------------------------------------------------------------------------
+// 1. COLLECTING PROBLEMS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * $operators used as keys ({ $elemMatch: ... }) or stage names, plus the
+ * indexed method calls (find(), createIndex(), ...). Field paths such as
+ * "$salary" are not operators and are ignored.
+ */
+function extractOperators(code) {
+    const operators = new Set();
+
+    for (const [, operator] of code.matchAll(/["']?(\$[a-zA-Z]+)["']?\s*:/g)) {
+        operators.add(operator);
+    }
+    for (const [, method] of code.matchAll(/\.([a-zA-Z]+)\s*\(/g)) {
+        if (INDEXED_METHODS.includes(method)) operators.add(`${method}()`);
+    }
+
+    return [...operators].sort();
+}
+
+/**
+ * Resolves a prerequisite ('1.3' or '01-crud-problems#1.3') to a problem key.
+ */
+function resolvePrerequisite(reference, fileName) {
+    return reference.includes('#') ? reference : problemKey(fileName, reference);
+}
+
+/**
+ * One flat entry per problem:
+ * { key, file, topic, id, title, section, line, difficulty, tags,
+ *   operators, prerequisites, modules }
+ */
+function collectProblems(problemFiles = listProblemFiles()) {
+    const problems = [];
+
+    for (const filePath of problemFiles) {
+        const parsed = loadProblemFile(filePath);
+
+        for (const problem of parsed.problems) {
+            const { difficulty, tags, prerequisites, modules } = problem.metadata;
+            problems.push({
+                key: problemKey(parsed.file, problem.id),
+                file: parsed.file,
+                topic: parsed.title,
+                id: problem.id,
+                title: problem.title,
+                section: problem.section,
+                line: problem.line,
+                difficulty,
+                tags,
+                operators: extractOperators(problem.solutionCode),
+                prerequisites: prerequisites.map(reference => resolvePrerequisite(reference, parsed.file)),
+                modules
+            });
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Metadata mistakes: missing/unknown difficulty, prerequisites that do
+ * not exist, module links to missing files and prerequisite cycles.
+ * Returns a list of messages (empty when everything is consistent).
+ */
+function checkMetadata(problems, { root = REPO_ROOT } = {}) {
+    const keys = new Set(problems.map(problem => problem.key));
+    const errors = [];
+
+    for (const problem of problems) {
+        if (!DIFFICULTIES.includes(problem.difficulty)) {
+            errors.push(`${problem.key}: difficulty must be one of ${DIFFICULTIES.join(', ')} (got ${problem.difficulty})`);
+        }
+        if (problem.modules.length === 0) {
+            errors.push(`${problem.key}: no teaching module linked`);
+        }
+        for (const prerequisite of problem.prerequisites) {
+            if (!keys.has(prerequisite)) errors.push(`${problem.key}: unknown prerequisite ${prerequisite}`);
+        }
+        for (const module of problem.modules) {
+            if (!fs.existsSync(path.join(root, module))) errors.push(`${problem.key}: module ${module} does not exist`);
+        }
+    }
+
+    try {
+        learningPath(problems, problems.map(problem => problem.key));
+    } catch (error) {
+        errors.push(error.message);
+    }
+
+    return errors;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. GROUPING
+// -------------------------------------------------------------------------------------------
+
+function groupBy(problems, keysOf, { sorted = true } = {}) {
+    const groups = new Map();
+
+    for (const problem of problems) {
+        for (const key of keysOf(problem)) {
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(problem.key);
+        }
+    }
+
+    const entries = [...groups.entries()];
+    if (sorted) entries.sort(([a], [b]) => a.localeCompare(b));
+    return Object.fromEntries(entries);
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. LEARNING PATHS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Orders `goals` and all their transitive prerequisites so every problem
+ * comes after the problems it depends on. Among the problems that are
+ * ready, easier ones come first, then file and problem order.
+ */
+function learningPath(problems, goals) {
+    const byKey = new Map(problems.map((problem, index) => [problem.key, { ...problem, order: index }]));
+    const included = new Set();
+
+    const include = key => {
+        if (included.has(key) || !byKey.has(key)) return;
+        included.add(key);
+        byKey.get(key).prerequisites.forEach(include);
+    };
+    goals.forEach(include);
+
+    const pending = new Map([...included].map(key => [
+        key,
+        new Set(byKey.get(key).prerequisites.filter(prerequisite => included.has(prerequisite)))
+    ]));
+    const rank = problem => DIFFICULTIES.indexOf(problem.difficulty);
+    const ordered = [];
+
+    while (pending.size > 0) {
+        const ready = [...pending.keys()]
+            .filter(key => pending.get(key).size === 0)
+            .map(key => byKey.get(key))
+            .sort((a, b) => rank(a) - rank(b) || a.order - b.order);
+
+        if (ready.length === 0) {
+            throw new Error(`Prerequisite cycle between: ${[...pending.keys()].join(', ')}`);
+        }
+
+        const next = ready[0];
+        ordered.push(next.key);
+        pending.delete(next.key);
+        for (const waiting of pending.values()) waiting.delete(next.key);
+    }
+
+    return ordered;
+}
+
+/**
+ * Suggested paths: one per topic (including prerequisites from other
+ * topics), one per difficulty level, and the full course.
+ */
+function buildLearningPaths(problems) {
+    const topics = [...new Set(problems.map(problem => problem.file))];
+    const paths = topics.map(file => ({
+        name: problems.find(problem => problem.file === file).topic,
+        path: learningPath(problems, problems.filter(problem => problem.file === file).map(problem => problem.key))
+    }));
+
+    for (const difficulty of DIFFICULTIES) {
+        paths.push({
+            name: `Up to ${difficulty}`,
+            path: learningPath(problems, problems
+                .filter(problem => DIFFICULTIES.indexOf(problem.difficulty) <= DIFFICULTIES.indexOf(difficulty))
+                .map(problem => problem.key))
+        });
+    }
+
+    return paths;
+}
+
+function buildIndex(problems = collectProblems()) {
+    return {
+        problems,
+        byTopic: groupBy(problems, problem => [problem.topic], { sorted: false }),
+        byDifficulty: groupBy(problems, problem => [problem.difficulty || 'unrated']),
+        byOperator: groupBy(problems, problem => problem.operators),
+        byTag: groupBy(problems, problem => problem.tags),
+        byModule: groupBy(problems, problem => problem.modules),
+        paths: buildLearningPaths(problems)
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. MARKDOWN
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Heading anchors the way GitHub generates them, including the -1, -2
+ * suffixes for repeated headings (`$limit` and `limit()` both slug to
+ * "limit").
+ */
+function createSlugger() {
+    const seen = new Map();
+
+    return text => {
+        const base = text.toLowerCase().replace(/[^\p{L}\p{N} _-]/gu, '').replace(/ /g, '-');
+        const count = seen.get(base) || 0;
+        seen.set(base, count + 1);
+        return count === 0 ? base : `${base}-${count}`;
+    };
+}
+
+/**
+ * Renders the index as Markdown with links relative to 13-practice-problems/.
+ */
+function renderMarkdown(index) {
+    const byKey = new Map(index.problems.map(problem => [problem.key, problem]));
+    const link = key => {
+        const problem = byKey.get(key);
+        return `[${problem.file.replace(/-problems\.js$/, '')} ${problem.id} ${problem.title}](${problem.file}#L${problem.line})`;
+    };
+    const list = keys => keys.map(key => `- ${link(key)}`);
+    const slug = createSlugger();
+    const heading = (level, text) => {
+        slug(text);
+        return `${'#'.repeat(level)} ${text}`;
+    };
+
+    const lines = [
+        '# Practice Problem Index',
+        '',
+        '<!-- Generated by tools/practice/problemIndex.js --write. Edit the problem front-matter, not this file. -->',
+        '',
+        `${index.problems.length} problems. Browse by [topic](#by-topic), [difficulty](#by-difficulty),`,
+        '[operator](#by-operator), [tag](#by-tag) or [teaching module](#by-teaching-module),',
+        'or follow one of the [learning paths](#learning-paths).',
+        '',
+        heading(2, 'By Topic'),
+        ''
+    ];
+
+    for (const [topic, keys] of Object.entries(index.byTopic)) {
+        lines.push(heading(3, topic), '', '| Problem | Difficulty | Operators | Modules |', '| --- | --- | --- | --- |');
+        for (const key of keys) {
+            const problem = byKey.get(key);
+            const modules = problem.modules.map(module => `[${path.basename(module, '.js')}](../${module})`).join(', ');
+            const operators = problem.operators.map(operator => `\`${operator}\``).join(' ');
+            lines.push(`| ${link(key)} | ${problem.difficulty} | ${operators} | ${modules} |`);
+        }
+        lines.push('');
+    }
+
+    lines.push(heading(2, 'By Difficulty'), '');
+    for (const difficulty of DIFFICULTIES) {
+        const keys = index.byDifficulty[difficulty] || [];
+        lines.push(heading(3, `${difficulty} (${keys.length})`), '', ...list(keys), '');
+    }
+
+    // The jump list comes before the headings, so their anchors are taken up front
+    const groupSection = (title, groups, format) => {
+        lines.push(heading(2, title), '');
+        const names = Object.keys(groups);
+        const anchors = names.map(name => slug(format(name)));
+        lines.push(names.map((name, i) => `[${format(name)}](#${anchors[i]})`).join(' · '), '');
+        for (const name of names) {
+            lines.push(`### ${format(name)}`, '', ...list(groups[name]), '');
+        }
+    };
+
+    groupSection('By Operator', index.byOperator, name => `\`${name}\``);
+    groupSection('By Tag', index.byTag, name => name);
+    groupSection('By Teaching Module', index.byModule, name => name);
+
+    lines.push(heading(2, 'Learning Paths'), '');
+    lines.push('Each path lists problems in an order that respects their prerequisites.', '');
+    for (const { name, path: keys } of index.paths) {
+        lines.push(heading(3, `${name} (${keys.length} problems)`), '');
+        keys.forEach((key, i) => lines.push(`${i + 1}. ${link(key)}`));
+        lines.push('');
+    }
+
+    return `${lines.join('\n').trimEnd()}\n`;
+}
+
+// -------------------------------------------------------------------------------------------
+// 5. COMMAND LINE
+// -------------------------------------------------------------------------------------------
+
+function main(argv = process.argv.slice(2)) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            write: { type: 'boolean', default: false },
+            check: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+            'path-to': { type: 'string', multiple: true }
+        }
+    });
+
+    const problems = collectProblems();
+    const errors = checkMetadata(problems);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`✗ ${error}`));
+        return 1;
+    }
+
+    if (values['path-to']) {
+        const unknown = values['path-to'].filter(key => !problems.some(problem => problem.key === key));
+        if (unknown.length > 0) {
+            console.error(`Unknown problem ${unknown.join(', ')} (expected e.g. 01-crud-problems#1.3)`);
+            return 2;
+        }
+        learningPath(problems, values['path-to']).forEach((key, i) => console.log(`${i + 1}. ${key}`));
+        return 0;
+    }
+
+    const index = buildIndex(problems);
+
+    if (values.json) {
+        console.log(JSON.stringify(index, null, 2));
+        return 0;
+    }
+
+    const markdown = renderMarkdown(index);
+
+    if (values.check) {
+        const current = fs.existsSync(INDEX_FILE) ? fs.readFileSync(INDEX_FILE, 'utf8') : '';
+        if (current !== markdown) {
+            console.error(`${path.relative(process.cwd(), INDEX_FILE)} is out of date; run with --write`);
+            return 1;
+        }
+        console.log(`${path.relative(process.cwd(), INDEX_FILE)} is up to date`);
+        return 0;
+    }
+
+    if (values.write) {
+        fs.writeFileSync(INDEX_FILE, markdown);
+        console.log(`Wrote ${path.relative(process.cwd(), INDEX_FILE)} (${problems.length} problems)`);
+        return 0;
+    }
+
+    process.stdout.write(markdown);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = {
+    INDEX_FILE,
+    extractOperators,
+    collectProblems,
+    checkMetadata,
+    learningPath,
+    buildLearningPaths,
+    buildIndex,
+    renderMarkdown,
+    main
+};
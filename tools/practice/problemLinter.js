@@ -0,0 +1,413 @@
+/**
+ * TOOL: PRACTICE PROBLEM LINTER
+ * DESCRIPTION:
+ * Self-check for the files in 13-practice-problems/. `node --check`
+ * cannot read them (mongosh's `use practiceDB` is not JavaScript) and the
+ * parser skips blocks it does not recognise, so this checks the format
+ * documented in 13-practice-problems/README.md directly:
+ *
+ * - every `// PROBLEM N: Title` banner and ` * PROBLEM X.Y: Title` line is
+ *   well-formed and numbered, and each problem sits in the section with
+ *   its number
+ * - problem IDs are unique within a file and run 1, 2, 3, ... per section
+ * - every problem has a description, a "YOUR SOLUTION HERE" section (left
+ *   empty) and a "✅ SOLUTION" with code
+ * - SETUP, local setup and solution code compile, after the same mongosh
+ *   syntax rewrite the shell runtime applies
+ * - the front-matter uses known fields, passes problemIndex.js's checks
+ *   and has plan / faults / vary items the grader can read
+ *
+ * Unless --static is given, every reference solution is then graded as
+ * its own answer on freshly seeded data (gradeFile's selfCheck option), which
+ * catches solutions that error, return no documents, change nothing or
+ * give a different result on the second run.
+ *
+ * USAGE:
+ *   node tools/practice/problemLinter.js --static
+ *   node tools/practice/problemLinter.js
+ *   node tools/practice/problemLinter.js 13-practice-problems/02-aggregation-problems.js -p 6.2
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+const { MongoClient } = require('mongodb');
+const {
+    LIST_FIELDS,
+    GRADINGS,
+    BANNER_RULE,
+    SECTION_TITLE,
+    PROBLEM_TITLE,
+    hasCode,
+    parseProblemFile,
+    listProblemFiles
+} = require('./problemParser');
+const { DEFAULT_URI, DEFAULT_DB } = require('./mongoshRunner');
+const { preprocessShellSyntax } = require('./shellRuntime');
+const { problemKey } = require('./progress');
+const { collectProblems, checkMetadata } = require('./problemIndex');
+const { parsePlanSpec, summarizePlan } = require('./planChecks');
+const { parseFaultSpec } = require('./faultInjection');
+const { SCENARIOS } = require('./transactionSandbox');
+const { parseVaryParams, isEmptyResult } = require('./variants');
+const { RUNTIMES, gradeFile } = require('./grader');
+
+const FRONT_MATTER_FIELDS = ['difficulty', 'grading', ...LIST_FIELDS];
+const LOOSE_SECTION_TITLE = /^PROBLEM\b/;
+const LOOSE_PROBLEM_TITLE = /^\s*\*\s*PROBLEM\b/;
+
+// -------------------------------------------------------------------------------------------
+// 1. FORMAT
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Issues are { file, line, id, severity: 'error' | 'warning', message };
+ * `line` is 1-based, `id` the problem id when the issue belongs to one.
+ */
+function issue(file, line, id, severity, message) {
+    return { file, line, id, severity, message };
+}
+
+/**
+ * Banners and problem titles the parser did not pick up, section numbers
+ * that repeat or skip, and a missing SETUP banner.
+ */
+function checkHeadings(lines, parsed) {
+    const issues = [];
+    const problemLines = new Set(parsed.problems.map(problem => problem.line));
+    let lastSection = 0;
+    let hasSetup = false;
+
+    for (let i = 0; i + 2 < lines.length; i++) {
+        if (!BANNER_RULE.test(lines[i]) || !BANNER_RULE.test(lines[i + 2])) continue;
+
+        const title = lines[i + 1].replace(/^\/\/\s*/, '').trim();
+        const match = title.match(SECTION_TITLE);
+        i += 2;
+
+        if (/^SETUP\b/.test(title)) hasSetup = true;
+        if (!match) {
+            if (LOOSE_SECTION_TITLE.test(title)) {
+                issues.push(issue(parsed.file, i, null, 'error', `malformed section banner "${title}" (expected PROBLEM N: Title)`));
+            }
+            continue;
+        }
+
+        const number = Number(match[1]);
+        if (number <= lastSection) {
+            issues.push(issue(parsed.file, i, null, 'error', `section PROBLEM ${number} comes after PROBLEM ${lastSection}`));
+        } else if (number !== lastSection + 1) {
+            issues.push(issue(parsed.file, i, null, 'warning', `section PROBLEM ${number} follows PROBLEM ${lastSection}`));
+        }
+        lastSection = Math.max(lastSection, number);
+    }
+    if (!hasSetup) {
+        issues.push(issue(parsed.file, 1, null, 'error', 'no SETUP section'));
+    }
+
+    lines.forEach((line, index) => {
+        if (!LOOSE_PROBLEM_TITLE.test(line) || problemLines.has(index + 1)) return;
+
+        const title = line.replace(/^\s*\*\s*/, '').trim();
+        issues.push(issue(parsed.file, index + 1, null, 'error', PROBLEM_TITLE.test(line)
+            ? `"${title}" is not inside a PROBLEM N section`
+            : `malformed or unnumbered problem title "${title}" (expected PROBLEM X.Y: Title)`));
+    });
+
+    return issues;
+}
+
+/**
+ * Compiles shell code the way the shell runtime will run it. Returns the
+ * syntax error message, or null.
+ */
+function syntaxError(code) {
+    try {
+        new vm.Script(preprocessShellSyntax(code));
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function checkProblem(parsed, problem, seen, expectedNumber) {
+    const issues = [];
+    const add = (severity, message) => issues.push(issue(parsed.file, problem.line, problem.id, severity, message));
+    const [sectionNumber, number] = problem.id.split('.').map(Number);
+
+    if (seen.has(problem.id)) {
+        add('error', `duplicate problem id ${problem.id} (first used on line ${seen.get(problem.id)})`);
+    } else {
+        seen.set(problem.id, problem.line);
+    }
+    if (sectionNumber !== problem.section.number) {
+        add('error', `PROBLEM ${problem.id} is in section PROBLEM ${problem.section.number}`);
+    } else if (number !== expectedNumber) {
+        add('warning', `numbered ${problem.id}, expected ${sectionNumber}.${expectedNumber}`);
+    }
+
+    if (!problem.description) add('error', 'no description');
+    if (!problem.hasLearnerMarker) {
+        add('error', 'no "// YOUR SOLUTION HERE:" section');
+    } else if (hasCode(problem.learnerCode)) {
+        add('warning', 'code under "YOUR SOLUTION HERE" (the grader treats it as an answer)');
+    }
+    if (!problem.hasSolutionMarker) {
+        add('error', 'no "// ✅ SOLUTION:" section');
+    } else if (!hasCode(problem.solutionCode)) {
+        add('error', 'the reference solution is empty');
+    }
+
+    for (const [part, code] of [['local setup', problem.localSetup], ['solution', problem.solutionCode], ['restore code', problem.restoreCode]]) {
+        const error = syntaxError(code);
+        if (error) add('error', `${part} does not compile: ${error}`);
+    }
+
+    issues.push(...checkFrontMatter(parsed, problem).map(message => issue(parsed.file, problem.line, problem.id, 'error', message)));
+    return issues;
+}
+
+/**
+ * Front-matter items the grader would reject when it reaches them.
+ */
+function checkFrontMatter(parsed, problem) {
+    const errors = [];
+    const { metadata } = problem;
+
+    for (const key of Object.keys(metadata)) {
+        if (!FRONT_MATTER_FIELDS.includes(key)) errors.push(`unknown front-matter field "${key}"`);
+    }
+
+    const attempt = fn => {
+        try {
+            fn();
+        } catch (error) {
+            errors.push(error.message.replace(`Problem ${problem.id}: `, ''));
+        }
+    };
+
+    if (metadata.grading !== null && !GRADINGS.includes(metadata.grading)) {
+        errors.push(`grading must be one of ${GRADINGS.join(', ')} (got ${metadata.grading})`);
+    }
+    attempt(() => parsePlanSpec(metadata.plan));
+    metadata.faults.forEach(spec => attempt(() => parseFaultSpec(spec)));
+    if (metadata.faults.length > 0 && !SCENARIOS[problemKey(parsed.file, problem.id)]) {
+        errors.push('faults declared, but transactionSandbox.js has no scenario for this problem');
+    }
+    attempt(() => parseVaryParams(problem));
+
+    return errors;
+}
+
+/**
+ * Format checks for one practice file (no database needed).
+ */
+function lintSource(source, fileName) {
+    const lines = source.replace(/\r\n/g, '\n').split('\n');
+    const parsed = parseProblemFile(source, fileName);
+    const issues = checkHeadings(lines, parsed);
+
+    if (syntaxError(parsed.setup)) {
+        issues.push(issue(fileName, 1, null, 'error', `SETUP does not compile: ${syntaxError(parsed.setup)}`));
+    }
+    if (parsed.cleanup && syntaxError(parsed.cleanup)) {
+        issues.push(issue(fileName, 1, null, 'error', `CLEANUP does not compile: ${syntaxError(parsed.cleanup)}`));
+    }
+    if (parsed.problems.length === 0) {
+        issues.push(issue(fileName, 1, null, 'error', 'no PROBLEM X.Y blocks found'));
+    }
+
+    const seen = new Map();
+    let section = null;
+    let expectedNumber = 0;
+    for (const problem of parsed.problems) {
+        if (problem.section !== section) {
+            section = problem.section;
+            expectedNumber = 0;
+        }
+        expectedNumber++;
+        issues.push(...checkProblem(parsed, problem, seen, expectedNumber));
+    }
+
+    return issues;
+}
+
+/**
+ * problemIndex.js's metadata checks (difficulty, modules, prerequisites,
+ * cycles), run over every file so cross-file prerequisites resolve, and
+ * reported for the files being linted.
+ */
+function lintMetadata(filePaths) {
+    const given = new Map(filePaths.map(filePath => [path.basename(filePath), filePath]));
+    const problems = collectProblems([
+        ...listProblemFiles().filter(filePath => !given.has(path.basename(filePath))),
+        ...given.values()
+    ]);
+    const byKey = new Map(problems.map(problem => [problem.key, problem]));
+    const fileNames = new Set(filePaths.map(filePath => path.basename(filePath)));
+
+    return checkMetadata(problems)
+        .map(message => {
+            const problem = byKey.get(message.split(':')[0]);
+            return problem
+                ? issue(problem.file, problem.line, problem.id, 'error', message.slice(message.indexOf(':') + 2))
+                : issue('', null, null, 'error', message);
+        })
+        .filter(found => !found.file || fileNames.has(found.file));
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. RUNNING THE REFERENCE SOLUTIONS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Why a reference solution that graded against itself is still no good
+ * as a problem: it returns no documents, or changes nothing. A solution
+ * with no final value (e.g. one that only defines a function) cannot be
+ * graded on its result and gets a warning.
+ */
+function emptinessIssue(problem, result) {
+    const { metadata } = problem;
+
+    if (metadata.faults.length > 0) return null;
+    if (metadata.state.length > 0) {
+        const changed = Object.values(result.expectedChanges || {})
+            .some(entry => entry.added.length + entry.removed.length + entry.modified.length > 0);
+        return changed ? null : ['error', `the reference solution changes nothing in ${metadata.state.join(', ')}`];
+    }
+    if (metadata.plan.length > 0) {
+        return summarizePlan(result.expected).nReturned === 0 ? ['error', 'the reference query returns no documents'] : null;
+    }
+    if (result.expected === undefined) {
+        return ['warning', 'the reference solution has no result to compare (end it with the query, or declare `state`)'];
+    }
+    return isEmptyResult(result.expected) ? ['error', 'the reference solution returns nothing'] : null;
+}
+
+/**
+ * Grades every reference solution of a file against itself.
+ */
+async function runSolutions(filePath, options) {
+    const source = fs.readFileSync(filePath, 'utf8');
+    const parsed = parseProblemFile(source, path.basename(filePath));
+    const byId = new Map(parsed.problems.map(problem => [problem.id, problem]));
+    const results = await gradeFile(filePath, { ...options, selfCheck: true });
+    const issues = [];
+
+    for (const result of results) {
+        const problem = byId.get(result.id);
+        const add = (severity, message) => issues.push(issue(parsed.file, problem.line, problem.id, severity, message));
+
+        if (result.status === 'skipped') continue;
+        if (result.status === 'error') {
+            add('error', result.reason.replace(/^reference solution failed: /, 'the reference solution fails: '));
+        } else if (result.status === 'fail') {
+            add('error', `the reference solution does not reproduce its own result: ${result.reason}${result.diff ? `\n${result.diff.join('\n')}` : ''}`);
+        } else {
+            const empty = emptinessIssue(problem, result);
+            if (empty) add(...empty);
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Fails fast with a readable message when no server is listening.
+ */
+async function ping(uri) {
+    const client = new MongoClient(uri, { serverSelectionTimeoutMS: 5000 });
+    try {
+        await client.db('admin').command({ ping: 1 });
+    } finally {
+        await client.close();
+    }
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. COMMAND LINE
+// -------------------------------------------------------------------------------------------
+
+function formatIssue(found) {
+    const where = found.line ? `${found.file}:${found.line}` : found.file || 'index';
+    const [first, ...rest] = found.message.split('\n');
+    return [
+        `${where}: ${found.severity}: ${found.id ? `${found.id} ` : ''}${first}`,
+        ...rest.map(line => `      ${line}`)
+    ].join('\n');
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            problem: { type: 'string', multiple: true, short: 'p' },
+            static: { type: 'boolean', default: false },
+            uri: { type: 'string', default: DEFAULT_URI },
+            db: { type: 'string', default: DEFAULT_DB },
+            runtime: { type: 'string', default: 'node' }
+        }
+    });
+
+    if (!RUNTIMES[values.runtime]) {
+        console.error(`Unknown runtime "${values.runtime}" (expected: ${Object.keys(RUNTIMES).join(', ')})`);
+        return 2;
+    }
+
+    const files = positionals.length ? positionals.map(file => path.resolve(file)) : listProblemFiles();
+    const wanted = values.problem ? new Set(values.problem) : null;
+    const keep = found => !wanted || !found.id || wanted.has(found.id);
+    const issues = lintMetadata(files).filter(keep);
+
+    for (const file of files) {
+        issues.push(...lintSource(fs.readFileSync(file, 'utf8'), path.basename(file)).filter(keep));
+    }
+
+    if (!values.static) {
+        try {
+            await ping(values.uri);
+        } catch (error) {
+            console.error(`Cannot reach ${values.uri} (${error.message}); use --static to skip running the solutions`);
+            return 2;
+        }
+
+        for (const file of files) {
+            console.log(`Running the reference solutions in ${path.basename(file)}...`);
+            issues.push(...await runSolutions(file, {
+                problems: values.problem,
+                uri: values.uri,
+                dbName: values.db,
+                runtime: values.runtime
+            }));
+        }
+    }
+
+    const order = files.map(file => path.basename(file));
+    issues
+        .sort((a, b) => order.indexOf(a.file) - order.indexOf(b.file) || (a.line || 0) - (b.line || 0))
+        .forEach(found => console.log(formatIssue(found)));
+
+    const errors = issues.filter(found => found.severity === 'error').length;
+    const warnings = issues.length - errors;
+    console.log(`\n${files.length} file${files.length === 1 ? '' : 's'} checked: ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+
+    return errors > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    lintSource,
+    lintMetadata,
+    runSolutions,
+    main
+};
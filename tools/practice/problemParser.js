@@ -0,0 +1,334 @@
+/**
+ * TOOL: PRACTICE PROBLEM PARSER
+ * DESCRIPTION:
+ * Splits the files in 13-practice-problems/ into their SETUP code and
+ * individual PROBLEM X.Y blocks, following the format documented in
+ * 13-practice-problems/README.md.
+ *
+ * A problem's doc comment may end with a front-matter block describing
+ * the problem (see parseFrontMatter):
+ *
+ *   * ---
+ *   * difficulty: intermediate
+ *   * tags: arrays, query operators
+ *   * prerequisites: 5.5, 01-crud-problems#1.3
+ *   * modules: 03-queries-and-filters/arrayOperators.js
+ *   * ---
+ *
+ * A "// RESTORE:" line inside a solution starts code that only puts the
+ * sample data back for later problems (see parseProblemBlock).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PRACTICE_DIR = path.resolve(__dirname, '../../13-practice-problems');
+
+const BANNER_RULE = /^\/\/ ={10,}\s*$/;
+const SEPARATOR_RULE = /^\/\/ -{10,}\s*$/;
+const SECTION_TITLE = /^PROBLEM (\d+):\s*(.+)$/;
+const PROBLEM_TITLE = /^\s*\*\s*PROBLEM (\d+)\.(\d+):\s*(.+?)\s*$/;
+const LEARNER_MARKER = /^\/\/ YOUR SOLUTION HERE:/;
+const SOLUTION_MARKER = /^\/\/ ✅ SOLUTION:/;
+const RESTORE_MARKER = /^\/\/ RESTORE\b/;
+const FRONT_MATTER_RULE = /^---\s*$/;
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const GRADINGS = ['manual'];
+const LIST_FIELDS = ['tags', 'prerequisites', 'modules', 'plan', 'state', 'faults', 'vary'];
+
+// -------------------------------------------------------------------------------------------
+// 1. HELPERS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * True when the source contains anything besides comments and whitespace.
+ * Only comments starting a line are stripped, so URLs inside strings
+ * ("mongodb://...") are left alone.
+ */
+function hasCode(source) {
+    let inBlock = false;
+
+    for (const rawLine of source.split('\n')) {
+        const line = rawLine.trim();
+
+        if (inBlock) {
+            if (line.includes('*/')) inBlock = false;
+            continue;
+        }
+        if (line === '' || line.startsWith('//')) continue;
+        if (line.startsWith('/*')) {
+            inBlock = !line.includes('*/');
+            continue;
+        }
+        return true;
+    }
+    return false;
+}
+
+function trimBlankLines(lines) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && lines[start].trim() === '') start++;
+    while (end > start && lines[end - 1].trim() === '') end--;
+    return lines.slice(start, end);
+}
+
+function findBanners(lines) {
+    const banners = [];
+
+    for (let i = 0; i + 2 < lines.length; i++) {
+        if (BANNER_RULE.test(lines[i]) && BANNER_RULE.test(lines[i + 2])) {
+            banners.push({
+                title: lines[i + 1].replace(/^\/\/\s*/, '').trim(),
+                start: i,
+                bodyStart: i + 3
+            });
+            i += 2;
+        }
+    }
+
+    banners.forEach((banner, index) => {
+        banner.end = index + 1 < banners.length ? banners[index + 1].start : lines.length;
+    });
+
+    return banners;
+}
+
+function parseFileTitle(lines) {
+    const titleLine = lines.find(line => /PRACTICE PROBLEMS\s*-/.test(line));
+    return titleLine ? titleLine.replace(/^.*PRACTICE PROBLEMS\s*-\s*/, '').trim() : '';
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. FRONT-MATTER
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Splits the trailing `---` block off a problem description and reads
+ * its `key: value` lines. List fields are comma separated. Returns
+ * { description, metadata } with every field present:
+ *
+ *   difficulty    - 'beginner' | 'intermediate' | 'advanced' | null
+ *   tags          - concept tags, e.g. ['arrays', 'upsert']
+ *   prerequisites - problem ids: '1.3' (same file) or '01-crud-problems#1.3'
+ *   modules       - teaching modules, relative to the repository root
+ *   plan          - expected explain() properties, e.g. ['IXSCAN', 'no SORT']
+ *                   (see planChecks.js)
+ *   state         - collections the problem changes; the answer is graded on
+ *                   their contents afterwards (see stateDiff.js)
+ *   faults        - transaction errors to inject while grading, e.g.
+ *                   ['transient:update', 'unknown-commit'] (see faultInjection.js)
+ *   vary          - parameters a randomized variant may change, e.g.
+ *                   ['"New York" from users.city'] (see variants.js)
+ *   grading       - 'manual' when the result depends on the server rather
+ *                   than the sample data (statistics, profiler, server
+ *                   status), so no stored result can be compared; else null
+ */
+function parseFrontMatter(descriptionLines) {
+    const metadata = { difficulty: null, grading: null, tags: [], prerequisites: [], modules: [], plan: [], state: [], faults: [], vary: [] };
+    const end = descriptionLines.length - 1;
+
+    if (end < 1 || !FRONT_MATTER_RULE.test(descriptionLines[end])) {
+        return { description: descriptionLines, metadata };
+    }
+
+    let start = end - 1;
+    while (start >= 0 && !FRONT_MATTER_RULE.test(descriptionLines[start])) start--;
+    if (start < 0) return { description: descriptionLines, metadata };
+
+    for (const line of descriptionLines.slice(start + 1, end)) {
+        const match = line.match(/^\s*([a-zA-Z]+)\s*:\s*(.*?)\s*$/);
+        if (!match) continue;
+
+        const [, key, value] = match;
+        if (LIST_FIELDS.includes(key)) {
+            metadata[key] = value.split(',').map(item => item.trim()).filter(Boolean);
+        } else {
+            metadata[key] = value || null;
+        }
+    }
+
+    return { description: descriptionLines.slice(0, start), metadata };
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. PROBLEM BLOCKS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Reads one PROBLEM X.Y block starting at the opening `/**` line.
+ * The parts between the doc comment and the markers are:
+ *
+ *   localSetup   - code before "YOUR SOLUTION HERE" (e.g. "// Setup" data)
+ *   learnerCode  - code between "YOUR SOLUTION HERE" and "✅ SOLUTION"
+ *   solutionCode - code after "✅ SOLUTION" up to the next separator
+ *   restoreCode  - code after a "// RESTORE:" line in the solution, which
+ *                  undoes the solution's writes so the file can be run top
+ *                  to bottom; it is not part of the answer
+ */
+function parseProblemBlock(lines, start, end, section) {
+    let i = start;
+    const commentLines = [];
+
+    while (i < end) {
+        commentLines.push(lines[i]);
+        if (lines[i].includes('*/')) break;
+        i++;
+    }
+    i++;
+
+    const titleIndex = commentLines.findIndex(line => PROBLEM_TITLE.test(line));
+    const [, sectionNumber, problemNumber, title] = commentLines[titleIndex].match(PROBLEM_TITLE);
+
+    const { description, metadata } = parseFrontMatter(trimBlankLines(
+        commentLines
+            .slice(titleIndex + 1)
+            .filter(line => !line.includes('*/'))
+            .map(line => line.replace(/^\s*\*\s?/, '').trimEnd())
+    ));
+
+    const parts = { localSetup: [], learnerCode: [], solutionCode: [], restoreCode: [] };
+    let phase = 'localSetup';
+    let hasLearnerMarker = false;
+    let hasSolutionMarker = false;
+
+    for (; i < end; i++) {
+        const line = lines[i];
+
+        if (SEPARATOR_RULE.test(line) || isProblemStart(lines, i, end)) break;
+
+        if (LEARNER_MARKER.test(line) && phase === 'localSetup') {
+            phase = 'learnerCode';
+            hasLearnerMarker = true;
+            continue;
+        }
+        if (SOLUTION_MARKER.test(line) && phase !== 'solutionCode' && phase !== 'restoreCode') {
+            phase = 'solutionCode';
+            hasSolutionMarker = true;
+            continue;
+        }
+        if (RESTORE_MARKER.test(line) && phase === 'solutionCode') {
+            phase = 'restoreCode';
+            continue;
+        }
+
+        parts[phase].push(line);
+    }
+
+    return {
+        problem: {
+            id: `${sectionNumber}.${problemNumber}`,
+            section,
+            title,
+            description: trimBlankLines(description).join('\n'),
+            metadata,
+            line: start + titleIndex + 1,
+            localSetup: trimBlankLines(parts.localSetup).join('\n'),
+            learnerCode: trimBlankLines(parts.learnerCode).join('\n'),
+            solutionCode: trimBlankLines(parts.solutionCode).join('\n'),
+            restoreCode: trimBlankLines(parts.restoreCode).join('\n'),
+            hasLearnerMarker,
+            hasSolutionMarker
+        },
+        next: i
+    };
+}
+
+function isProblemStart(lines, index, end) {
+    if (!lines[index].trim().startsWith('/**')) return false;
+
+    for (let i = index; i < end; i++) {
+        if (PROBLEM_TITLE.test(lines[i])) return true;
+        if (lines[i].includes('*/')) return false;
+    }
+    return false;
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. FILE PARSING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Parses a practice file into:
+ * {
+ *   file, title,
+ *   setup: 'code from the SETUP banner',
+ *   sections: [{ number, title }],
+ *   problems: [{ id, section, title, description, metadata, line, localSetup, learnerCode, solutionCode, restoreCode }],
+ *   cleanup: 'code from the CLEANUP banner'
+ * }
+ */
+function parseProblemFile(source, fileName = '') {
+    const lines = source.replace(/\r\n/g, '\n').split('\n');
+    const result = {
+        file: fileName,
+        title: parseFileTitle(lines),
+        setup: '',
+        sections: [],
+        problems: [],
+        cleanup: ''
+    };
+
+    for (const banner of findBanners(lines)) {
+        const body = lines.slice(banner.bodyStart, banner.end);
+
+        if (/^SETUP\b/.test(banner.title)) {
+            result.setup = trimBlankLines(body).join('\n');
+            continue;
+        }
+        if (/^CLEANUP\b/.test(banner.title)) {
+            result.cleanup = trimBlankLines(body).join('\n');
+            continue;
+        }
+
+        const sectionMatch = banner.title.match(SECTION_TITLE);
+        if (!sectionMatch) continue;
+
+        const section = { number: Number(sectionMatch[1]), title: sectionMatch[2].trim() };
+        result.sections.push(section);
+
+        let i = banner.bodyStart;
+        while (i < banner.end) {
+            if (isProblemStart(lines, i, banner.end)) {
+                const { problem, next } = parseProblemBlock(lines, i, banner.end, section);
+                result.problems.push(problem);
+                i = next;
+            } else {
+                i++;
+            }
+        }
+    }
+
+    return result;
+}
+
+function loadProblemFile(filePath) {
+    const source = fs.readFileSync(filePath, 'utf8');
+    return parseProblemFile(source, path.basename(filePath));
+}
+
+/**
+ * Lists the numbered practice files (01-crud-problems.js, ...) in order.
+ */
+function listProblemFiles(dir = PRACTICE_DIR) {
+    return fs.readdirSync(dir)
+        .filter(name => /^\d{2}-.+-problems\.js$/.test(name))
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+module.exports = {
+    PRACTICE_DIR,
+    DIFFICULTIES,
+    GRADINGS,
+    LIST_FIELDS,
+    BANNER_RULE,
+    SECTION_TITLE,
+    PROBLEM_TITLE,
+    hasCode,
+    parseFrontMatter,
+    parseProblemFile,
+    loadProblemFile,
+    listProblemFiles
+};
@@ -0,0 +1,285 @@
+/**
+ * TOOL: LEARNER PROGRESS
+ * DESCRIPTION:
+ * Local record of who solved which practice problem. The grader adds an
+ * attempt for every graded problem; this file's CLI prints per-topic
+ * completion and the problems a learner keeps failing.
+ *
+ * Progress lives in one JSON file (default ~/.mongodb-practice/progress.json,
+ * override with PRACTICE_PROGRESS_FILE or --file), keyed by learner so a
+ * shared machine can hold several people:
+ *
+ * {
+ *   version: 1,
+ *   learners: {
+ *     alice: {
+ *       problems: {
+ *         '01-crud-problems#1.3': {
+ *           attempts, passes, lastStatus, firstAttemptAt, lastAttemptAt,
+ *           solvedAt, timeSpentMs, lastCode
+ *         }
+ *       }
+ *     }
+ *   }
+ * }
+ *
+ * USAGE:
+ *   node tools/practice/progress.js
+ *   node tools/practice/progress.js --learner alice --json
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadProblemFile, listProblemFiles } = require('./problemParser');
+
+const PROGRESS_VERSION = 1;
+
+// Gaps longer than this between two attempts count as a break, not work
+const MAX_ATTEMPT_GAP_MS = 30 * 60 * 1000;
+
+// A problem is "struggling" after this many failed attempts without a pass
+const STRUGGLING_FAILURES = 2;
+
+// -------------------------------------------------------------------------------------------
+// 1. STORAGE
+// -------------------------------------------------------------------------------------------
+
+function defaultProgressPath() {
+    return process.env.PRACTICE_PROGRESS_FILE
+        || path.join(os.homedir(), '.mongodb-practice', 'progress.json');
+}
+
+function defaultLearner() {
+    return process.env.PRACTICE_LEARNER || os.userInfo().username;
+}
+
+function loadProgress(file = defaultProgressPath()) {
+    if (!fs.existsSync(file)) {
+        return { version: PROGRESS_VERSION, learners: {} };
+    }
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.version !== PROGRESS_VERSION) {
+        throw new Error(`Unsupported progress file version ${data.version} in ${file}`);
+    }
+    return data;
+}
+
+/**
+ * Writes through a temporary file so an interrupted run never leaves a
+ * half-written progress file behind.
+ */
+function saveProgress(data, file = defaultProgressPath()) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify(data, null, 2)}\n`);
+    fs.renameSync(tmp, file);
+}
+
+function problemKey(fileName, id) {
+    return `${path.basename(fileName, '.js')}#${id}`;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. RECORDING ATTEMPTS
+// -------------------------------------------------------------------------------------------
+
+function isLearnerAttempt(status) {
+    return status === 'pass' || status === 'fail';
+}
+
+/**
+ * Adds one attempt to the in-memory progress data and returns the
+ * updated record. Status is the grader's: 'pass' | 'fail' | 'error'. An
+ * 'error' (the setup or the reference solution broke) says nothing
+ * about the learner's answer, so it is not recorded and null is returned.
+ *
+ * Time spent is `durationMs` when the caller measured it (e.g. an
+ * interactive session); otherwise the gap since the previous attempt
+ * on the same problem, ignoring gaps longer than MAX_ATTEMPT_GAP_MS.
+ */
+function recordAttempt(data, learner, attempt) {
+    const { file, id, status, code = '', durationMs, at = new Date() } = attempt;
+    if (!isLearnerAttempt(status)) return null;
+    const timestamp = at.toISOString();
+
+    data.learners[learner] = data.learners[learner] || { problems: {} };
+    const problems = data.learners[learner].problems;
+    const key = problemKey(file, id);
+
+    const record = problems[key] || {
+        attempts: 0,
+        passes: 0,
+        lastStatus: null,
+        firstAttemptAt: timestamp,
+        lastAttemptAt: null,
+        solvedAt: null,
+        timeSpentMs: 0,
+        lastCode: ''
+    };
+
+    if (durationMs !== undefined) {
+        record.timeSpentMs += durationMs;
+    } else if (record.lastAttemptAt) {
+        const gap = at.getTime() - new Date(record.lastAttemptAt).getTime();
+        if (gap > 0 && gap <= MAX_ATTEMPT_GAP_MS) record.timeSpentMs += gap;
+    }
+
+    record.attempts += 1;
+    record.lastStatus = status;
+    record.lastAttemptAt = timestamp;
+    record.lastCode = code;
+
+    if (status === 'pass') {
+        record.passes += 1;
+        record.solvedAt = record.solvedAt || timestamp;
+    }
+
+    problems[key] = record;
+    return record;
+}
+
+/**
+ * Records every passed or failed result from gradeFile() and saves;
+ * skipped and errored problems are left out.
+ */
+function recordGradeResults(results, { learner = defaultLearner(), file = defaultProgressPath() } = {}) {
+    const graded = results.filter(result => isLearnerAttempt(result.status));
+    if (graded.length === 0) return;
+
+    const data = loadProgress(file);
+    for (const result of graded) {
+        recordAttempt(data, learner, {
+            file: result.file,
+            id: result.id,
+            status: result.status,
+            code: result.code
+        });
+    }
+    saveProgress(data, file);
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. REPORTING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Per-topic completion for one learner, measured against the problems
+ * currently in the practice files:
+ * [{ file, title, solved, total, sections: [{ number, title, solved, total }] }]
+ */
+function summarizeProgress(data, learner, problemFiles = listProblemFiles()) {
+    const problems = (data.learners[learner] || { problems: {} }).problems;
+
+    return problemFiles.map(filePath => {
+        const parsed = loadProblemFile(filePath);
+        const isSolved = problem => Boolean((problems[problemKey(parsed.file, problem.id)] || {}).solvedAt);
+
+        const sections = parsed.sections.map(section => {
+            const inSection = parsed.problems.filter(problem => problem.section.number === section.number);
+            return {
+                number: section.number,
+                title: section.title,
+                solved: inSection.filter(isSolved).length,
+                total: inSection.length
+            };
+        });
+
+        return {
+            file: parsed.file,
+            title: parsed.title,
+            solved: parsed.problems.filter(isSolved).length,
+            total: parsed.problems.length,
+            sections
+        };
+    });
+}
+
+/**
+ * Problems with repeated failures and no pass yet, most failures first.
+ */
+function findStruggling(data, learner) {
+    const problems = (data.learners[learner] || { problems: {} }).problems;
+
+    return Object.entries(problems)
+        .map(([key, record]) => ({ key, failures: record.attempts - record.passes, ...record }))
+        .filter(record => !record.solvedAt && record.failures >= STRUGGLING_FAILURES)
+        .sort((a, b) => b.failures - a.failures || a.key.localeCompare(b.key));
+}
+
+function percent(solved, total) {
+    return total === 0 ? 0 : Math.round((solved / total) * 100);
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function printProgress(summary, struggling, learner, log = console.log) {
+    const solved = summary.reduce((sum, topic) => sum + topic.solved, 0);
+    const total = summary.reduce((sum, topic) => sum + topic.total, 0);
+
+    log(`Progress for ${learner}: ${solved}/${total} problems solved (${percent(solved, total)}%)\n`);
+
+    for (const topic of summary) {
+        log(`${topic.title.padEnd(34)} ${String(topic.solved).padStart(3)}/${String(topic.total).padEnd(3)} ${percent(topic.solved, topic.total)}%`);
+        for (const section of topic.sections) {
+            if (section.solved === 0) continue;
+            log(`    ${section.number}. ${section.title.padEnd(40)} ${section.solved}/${section.total}`);
+        }
+    }
+
+    log('');
+    if (struggling.length === 0) {
+        log('No problems with repeated failures.');
+        return;
+    }
+
+    log('Keep failing:');
+    for (const record of struggling) {
+        log(`  ${record.key.padEnd(40)} ${record.failures} failed attempts, ${formatDuration(record.timeSpentMs)} spent, last ${record.lastAttemptAt.slice(0, 10)}`);
+    }
+}
+
+function main(argv = process.argv.slice(2)) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            learner: { type: 'string', default: defaultLearner() },
+            file: { type: 'string', default: defaultProgressPath() },
+            json: { type: 'boolean', default: false }
+        }
+    });
+
+    const data = loadProgress(values.file);
+    const summary = summarizeProgress(data, values.learner);
+    const struggling = findStruggling(data, values.learner);
+
+    if (values.json) {
+        console.log(JSON.stringify({ learner: values.learner, topics: summary, struggling }, null, 2));
+    } else {
+        printProgress(summary, struggling, values.learner);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = {
+    defaultProgressPath,
+    defaultLearner,
+    loadProgress,
+    saveProgress,
+    problemKey,
+    recordAttempt,
+    recordGradeResults,
+    summarizeProgress,
+    findStruggling,
+    printProgress,
+    main
+};
@@ -0,0 +1,204 @@
+/**
+ * TOOL: EXAM REPORT CARD
+ * DESCRIPTION:
+ * Scores a graded exam (see exam.js) and renders the report card. Each
+ * question is worth points by difficulty (beginner 1, intermediate 2,
+ * advanced 3) and scores them all or nothing; the card totals them per
+ * topic and overall:
+ *
+ * {
+ *   exam: { seed, learner, minutes, startedAt, deadline, submittedAt, late },
+ *   score: { earned, possible, percent, passMark, passed },
+ *   topics: [{ topic, label, earned, possible, percent, questions }],
+ *   questions: [{ id, topic, source, title, difficulty, points, earned, status, reason, code, diff }]
+ * }
+ *
+ * A question whose reference solution fails to run is voided (status
+ * 'void') and left out of the totals, so a broken problem cannot cost
+ * points. A late exam keeps its per-question results but earns nothing.
+ *
+ * The HTML card is one self-contained page, for printing or attaching.
+ */
+
+const { escapeHtml, highlight } = require('../workbook/highlight');
+
+const TOPICS = {
+    crud: { label: 'CRUD', prefix: '01-' },
+    aggregation: { label: 'Aggregation', prefix: '02-' },
+    indexing: { label: 'Indexing', prefix: '03-' },
+    modeling: { label: 'Modeling', prefix: '04-' },
+    transactions: { label: 'Transactions', prefix: '05-' }
+};
+
+const POINTS = { beginner: 1, intermediate: 2, advanced: 3 };
+const DEFAULT_PASS_MARK = 70;
+
+// -------------------------------------------------------------------------------------------
+// 1. SCORING
+// -------------------------------------------------------------------------------------------
+
+function percent(earned, possible) {
+    return possible === 0 ? 0 : Math.round((earned / possible) * 100);
+}
+
+/**
+ * One graded question of the card. `result` is gradeProblem()'s result
+ * for the question's practice problem.
+ */
+function scoreQuestion(question, result, late) {
+    const points = POINTS[question.difficulty] || POINTS.intermediate;
+    const status = result.status === 'error' ? 'void' : result.status;
+
+    return {
+        id: question.id,
+        topic: question.topic,
+        source: `${question.file.replace(/\.js$/, '')}#${question.problem}`,
+        title: question.title,
+        difficulty: question.difficulty,
+        points: status === 'void' ? 0 : points,
+        earned: status === 'pass' && !late ? points : 0,
+        status,
+        reason: status === 'skipped' ? 'not answered' : result.reason || null,
+        code: result.code || '',
+        diff: result.diff || []
+    };
+}
+
+/**
+ * The report card for an exam manifest (exam.json) and the grading
+ * results of its questions, in the manifest's order.
+ */
+function scoreExam(manifest, results, { passMark = DEFAULT_PASS_MARK } = {}) {
+    const questions = manifest.questions.map((question, index) => scoreQuestion(question, results[index], manifest.late));
+    const total = list => ({
+        earned: list.reduce((sum, question) => sum + question.earned, 0),
+        possible: list.reduce((sum, question) => sum + question.points, 0)
+    });
+
+    const topics = manifest.topics.map(topic => {
+        const inTopic = questions.filter(question => question.topic === topic);
+        const { earned, possible } = total(inTopic);
+        return { topic, label: TOPICS[topic].label, earned, possible, percent: percent(earned, possible), questions: inTopic.length };
+    });
+    const { earned, possible } = total(questions);
+
+    return {
+        exam: {
+            seed: manifest.seed,
+            learner: manifest.learner,
+            minutes: manifest.minutes,
+            startedAt: manifest.startedAt,
+            deadline: manifest.deadline,
+            submittedAt: manifest.submittedAt,
+            late: manifest.late
+        },
+        score: { earned, possible, percent: percent(earned, possible), passMark, passed: !manifest.late && percent(earned, possible) >= passMark },
+        topics,
+        questions
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. HTML
+// -------------------------------------------------------------------------------------------
+
+const STYLE = `
+body { margin: 2rem auto; max-width: 56rem; padding: 0 1.25rem; font: 16px/1.55 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2933; }
+h1 { margin-bottom: 0.2rem; }
+.muted { color: #61707d; }
+.verdict { display: inline-block; padding: 0.3rem 0.8rem; border-radius: 4px; font-weight: 600; }
+.passed { background: #e3fcef; color: #00684a; }
+.failed { background: #fdecea; color: #a8261b; }
+table { width: 100%; border-collapse: collapse; margin: 1rem 0 2rem; }
+th, td { padding: 0.45rem 0.6rem; border-bottom: 1px solid #dde3e8; text-align: left; vertical-align: top; }
+.bar { width: 10rem; height: 0.6rem; background: #f5f7f8; border: 1px solid #dde3e8; border-radius: 3px; }
+.bar span { display: block; height: 100%; background: #00684a; }
+.status-pass { color: #00684a; }
+.status-fail, .status-skipped { color: #a8261b; }
+.status-void { color: #61707d; }
+details { margin: 0.3rem 0; }
+pre { overflow-x: auto; padding: 0.7rem 0.9rem; border-radius: 4px; background: #0f1b24; color: #e3e9ee; font-size: 0.85rem; }
+.tok-comment { color: #8696a3; }
+.tok-string { color: #a8e3a0; }
+.tok-number, .tok-literal { color: #f5c380; }
+.tok-keyword { color: #8fc3ff; }
+.tok-operator { color: #ff9eb8; }
+@media print { details { display: block; } }
+`;
+
+const STATUS_LABELS = {
+    pass: 'correct',
+    fail: 'incorrect',
+    skipped: 'not answered',
+    void: 'voided'
+};
+
+function bar(value) {
+    return `<div class="bar"><span style="width: ${value}%"></span></div>`;
+}
+
+function renderQuestion(question) {
+    const details = [
+        question.reason && question.status !== 'skipped' ? `<p>${escapeHtml(question.reason)}</p>` : '',
+        question.diff.length ? `<pre>${escapeHtml(question.diff.join('\n'))}</pre>` : '',
+        question.code ? `<pre><code>${highlight(question.code)}</code></pre>` : ''
+    ].join('');
+
+    return `<tr>
+<td>${escapeHtml(question.id)}</td>
+<td>${escapeHtml(question.title)}<br><span class="muted">${escapeHtml(`${question.source} · ${question.difficulty}`)}</span>${details ? `<details><summary>Answer</summary>${details}</details>` : ''}</td>
+<td class="status-${question.status}">${STATUS_LABELS[question.status] || escapeHtml(question.status)}</td>
+<td>${question.earned}/${question.points}</td>
+</tr>`;
+}
+
+function renderReportCard(card) {
+    const { exam, score } = card;
+    const topics = card.topics.filter(topic => topic.questions > 0).map(topic => `<tr>
+<td>${escapeHtml(topic.label)}</td>
+<td>${topic.questions}</td>
+<td>${topic.earned}/${topic.possible}</td>
+<td>${topic.percent}%</td>
+<td>${bar(topic.percent)}</td>
+</tr>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Report card · Exam ${escapeHtml(exam.seed)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>MongoDB Practice Exam ${escapeHtml(exam.seed)}</h1>
+<p class="muted">${escapeHtml(exam.learner)} · ${exam.minutes} minutes · started ${escapeHtml(exam.startedAt)} · handed in ${escapeHtml(exam.submittedAt || '-')}</p>
+<p><span class="verdict ${score.passed ? 'passed' : 'failed'}">${score.passed ? 'Passed' : 'Not passed'}</span>
+ ${score.earned}/${score.possible} points (${score.percent}%, pass mark ${score.passMark}%)</p>
+${exam.late ? '<p class="status-fail">The answer sheet was handed in after the time limit, so no points were awarded.</p>' : ''}
+<h2>Topics</h2>
+<table>
+<thead><tr><th>Topic</th><th>Questions</th><th>Points</th><th>Score</th><th></th></tr></thead>
+<tbody>
+${topics.join('\n')}
+</tbody>
+</table>
+<h2>Questions</h2>
+<table>
+<thead><tr><th>#</th><th>Problem</th><th>Result</th><th>Points</th></tr></thead>
+<tbody>
+${card.questions.map(renderQuestion).join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    TOPICS,
+    POINTS,
+    DEFAULT_PASS_MARK,
+    scoreExam,
+    renderReportCard
+};
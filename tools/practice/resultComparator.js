@@ -0,0 +1,414 @@
+/**
+ * TOOL: RESULT COMPARATOR
+ * DESCRIPTION:
+ * Compares a learner's query result with the reference result the way a
+ * reviewer would, not character by character:
+ *
+ * - BSON values compare by value: ObjectId by hex, Date by time, and all
+ *   numeric types (number, Int32, Double, Long, Decimal128) numerically,
+ *   so Long('5') equals 5.
+ * - Non-integer numbers match within a small tolerance, so $avg or
+ *   $stdDevPop computed in a different order still matches.
+ * - Field order inside documents is ignored.
+ * - Array order is decided per path: `ordered` is either one flag for
+ *   every array or an ordering tree (see resultOrdering.js) in which
+ *   result rows are ordered only when the reference sorts them, and
+ *   arrays inside documents keep their order unless they are sets.
+ * - ObjectIds and Dates created while grading (insertedId, new Date())
+ *   cannot be the same in two runs, so any two such values match.
+ *
+ * Differences are reported structurally, by path into the result:
+ *
+ *   [_id: "Engineering"].avgSalary: expected 95000, got 92500
+ *   [3]: missing { _id: "HR", count: 2 }
+ *
+ * Values are recognised through their `_bsontype`, so the module works
+ * with values from any copy of the bson package and needs no driver.
+ */
+
+const DEFAULT_RELATIVE_TOLERANCE = 1e-9;
+const DEFAULT_ABSOLUTE_TOLERANCE = 1e-9;
+
+// Shown per failing problem; the rest is summarised as "... N more"
+const DEFAULT_DIFF_LIMIT = 20;
+
+// -------------------------------------------------------------------------------------------
+// 1. BSON VALUE CLASSIFICATION
+// -------------------------------------------------------------------------------------------
+
+const NUMERIC_BSON_TYPES = ['Int32', 'Double', 'Long', 'Decimal128'];
+
+/**
+ * Coarse type used for comparison:
+ * 'missing' | 'null' | 'number' | 'string' | 'boolean' | 'date' |
+ * 'objectId' | 'array' | 'object' | 'regex' | 'binary' | 'timestamp' | 'other'
+ */
+function kindOf(value) {
+    if (value === undefined) return 'missing';
+    if (value === null) return 'null';
+    if (typeof value === 'number' || typeof value === 'bigint') return 'number';
+    if (typeof value === 'string') return 'string';
+    if (typeof value === 'boolean') return 'boolean';
+    if (value instanceof Date) return 'date';
+    if (value instanceof RegExp) return 'regex';
+    if (Array.isArray(value)) return 'array';
+
+    switch (value._bsontype) {
+        case undefined: return typeof value === 'object' ? 'object' : 'other';
+        case 'ObjectId':
+        case 'ObjectID': return 'objectId';
+        case 'BSONRegExp': return 'regex';
+        case 'Binary':
+        case 'UUID': return 'binary';
+        case 'Timestamp': return 'timestamp';
+        case 'BSONSymbol': return 'string';
+        default: return NUMERIC_BSON_TYPES.includes(value._bsontype) ? 'number' : 'other';
+    }
+}
+
+/**
+ * Exact integer value as a BigInt when the value is an integer type
+ * (or an integral JS number), otherwise null.
+ */
+function exactInteger(value) {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'number') return Number.isSafeInteger(value) ? BigInt(value) : null;
+    if (value._bsontype === 'Long') return BigInt(value.toString());
+    if (value._bsontype === 'Int32') return BigInt(value.value);
+    return null;
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'bigint') return Number(value);
+    if (value._bsontype === 'Int32' || value._bsontype === 'Double') return value.value;
+    return Number(value.toString());
+}
+
+function objectIdHex(value) {
+    return typeof value.toHexString === 'function' ? value.toHexString() : String(value);
+}
+
+function objectIdTime(value) {
+    return typeof value.getTimestamp === 'function' ? value.getTimestamp().getTime() : 0;
+}
+
+function binaryKey(value) {
+    const buffer = value.buffer || value;
+    return `${value.sub_type || 0}:${Buffer.from(buffer).toString('hex')}`;
+}
+
+/**
+ * Whether the value was created during grading and so cannot match the
+ * other run exactly. ObjectId timestamps have one-second resolution.
+ */
+function isGenerated(value, kind, options) {
+    if (options.generatedAfter === undefined) return false;
+    const since = options.generatedAfter instanceof Date ? options.generatedAfter.getTime() : options.generatedAfter;
+
+    if (kind === 'date') return value.getTime() >= since;
+    if (kind === 'objectId') return objectIdTime(value) >= Math.floor(since / 1000) * 1000;
+    return false;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. DESCRIBING VALUES
+// -------------------------------------------------------------------------------------------
+
+const MAX_DESCRIPTION = 100;
+
+/**
+ * Short, shell-like rendering for diff lines: ObjectId('..'),
+ * ISODate('..'), Long('..'), { a: 1, b: 'x' }.
+ */
+function describe(value) {
+    const text = describeValue(value);
+    return text.length > MAX_DESCRIPTION ? `${text.slice(0, MAX_DESCRIPTION - 3)}...` : text;
+}
+
+function describeValue(value) {
+    const kind = kindOf(value);
+
+    switch (kind) {
+        case 'missing': return '(missing)';
+        case 'null': return 'null';
+        case 'string': return JSON.stringify(String(value));
+        case 'date': return `ISODate('${Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()}')`;
+        case 'objectId': return `ObjectId('${objectIdHex(value)}')`;
+        case 'array': return `[ ${value.map(describeValue).join(', ')} ]`;
+        case 'object': {
+            const fields = Object.keys(value).map(key => `${key}: ${describeValue(value[key])}`);
+            return fields.length ? `{ ${fields.join(', ')} }` : '{}';
+        }
+        case 'number':
+            if (value._bsontype === 'Long' || value._bsontype === 'Decimal128') {
+                return `${value._bsontype}('${value.toString()}')`;
+            }
+            return String(toNumber(value));
+        default: return String(value);
+    }
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. COMPARISON
+// -------------------------------------------------------------------------------------------
+
+function numbersEqual(expected, actual, options) {
+    const a = exactInteger(expected);
+    const b = exactInteger(actual);
+    if (a !== null && b !== null) return a === b;
+
+    const x = toNumber(expected);
+    const y = toNumber(actual);
+    if (x === y || (Number.isNaN(x) && Number.isNaN(y))) return true;
+
+    const tolerance = Math.max(
+        options.absoluteTolerance,
+        options.relativeTolerance * Math.max(Math.abs(x), Math.abs(y))
+    );
+    return Math.abs(x - y) <= tolerance;
+}
+
+function scalarsEqual(expected, actual, kind, options) {
+    switch (kind) {
+        case 'missing':
+        case 'null': return true;
+        case 'number': return numbersEqual(expected, actual, options);
+        case 'string': return String(expected) === String(actual);
+        case 'boolean': return expected === actual;
+        case 'date':
+            return expected.getTime() === actual.getTime()
+                || (isGenerated(expected, kind, options) && isGenerated(actual, kind, options));
+        case 'objectId':
+            return objectIdHex(expected) === objectIdHex(actual)
+                || (isGenerated(expected, kind, options) && isGenerated(actual, kind, options));
+        case 'regex': return String(expected.source || expected.pattern) === String(actual.source || actual.pattern)
+            && String(expected.flags || expected.options || '') === String(actual.flags || actual.options || '');
+        case 'binary': return binaryKey(expected) === binaryKey(actual);
+        case 'timestamp': return expected.toString() === actual.toString();
+        default: return describeValue(expected) === describeValue(actual);
+    }
+}
+
+/**
+ * Ordering trees: `true`/`false` applies to an array and everything in
+ * it; { ordered, items, fields } describes one array (or document) with
+ * `items` for its elements and `fields` for the fields of a document.
+ * Paths the tree does not describe keep their order.
+ */
+function isOrdered(order) {
+    return typeof order === 'boolean' ? order : order.ordered !== false;
+}
+
+function itemOrder(order) {
+    if (typeof order === 'boolean') return order;
+    return order.items === undefined ? true : order.items;
+}
+
+function fieldOrder(order, key) {
+    if (typeof order === 'boolean') return order;
+    const fields = order.fields || {};
+    return Object.prototype.hasOwnProperty.call(fields, key) ? fields[key] : true;
+}
+
+/**
+ * Canonical string for exact-match bucketing of unordered rows. Values
+ * that compare with a tolerance (non-integer numbers) still compare
+ * equal here only when identical; the slower tolerant pass catches the
+ * rest.
+ */
+function canonicalKey(value, options, order) {
+    const kind = kindOf(value);
+
+    switch (kind) {
+        case 'array': {
+            const items = value.map(item => canonicalKey(item, options, itemOrder(order)));
+            return `[${(isOrdered(order) ? items : items.sort()).join(',')}]`;
+        }
+        case 'object':
+            return `{${Object.keys(value).filter(key => value[key] !== undefined).sort()
+                .map(key => `${JSON.stringify(key)}:${canonicalKey(value[key], options, fieldOrder(order, key))}`).join(',')}}`;
+        case 'number': {
+            const integer = exactInteger(value);
+            return `n:${integer !== null ? integer.toString() : toNumber(value)}`;
+        }
+        case 'date': return isGenerated(value, kind, options) ? 'd:generated' : `d:${value.getTime()}`;
+        case 'objectId': return isGenerated(value, kind, options) ? 'o:generated' : `o:${objectIdHex(value)}`;
+        case 'string': return `s:${JSON.stringify(String(value))}`;
+        case 'binary': return `b:${binaryKey(value)}`;
+        default: return `${kind}:${describeValue(value)}`;
+    }
+}
+
+function joinPath(base, key) {
+    if (typeof key === 'number') return `${base}[${key}]`;
+    return base ? `${base}.${key}` : key;
+}
+
+function idLabel(row) {
+    return `[_id: ${describe(row._id)}]`;
+}
+
+/**
+ * Appends the differences between `expected` and `actual` to `out`.
+ * Stops early once `out` holds `options.stopAfter` entries. `order` is
+ * the ordering tree for this path.
+ */
+function collectDifferences(expected, actual, path, options, out, order) {
+    if (out.length >= options.stopAfter) return;
+
+    const kind = kindOf(expected);
+    const actualKind = kindOf(actual);
+
+    if (kind !== actualKind) {
+        if (kind === 'missing') out.push({ path, kind: 'unexpected', actual });
+        else if (actualKind === 'missing') out.push({ path, kind: 'missing', expected });
+        else out.push({ path, kind: 'type', expected, actual, expectedType: kind, actualType: actualKind });
+        return;
+    }
+
+    if (kind === 'object') {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        for (const key of keys) {
+            collectDifferences(expected[key], actual[key], joinPath(path, key), options, out, fieldOrder(order, key));
+        }
+        return;
+    }
+
+    if (kind === 'array') {
+        if (isOrdered(order)) compareOrdered(expected, actual, path, options, out, itemOrder(order));
+        else compareUnordered(expected, actual, path, options, out, itemOrder(order));
+        return;
+    }
+
+    if (!scalarsEqual(expected, actual, kind, options)) {
+        out.push({ path, kind: 'changed', expected, actual });
+    }
+}
+
+function isEqual(expected, actual, options, order) {
+    const out = [];
+    collectDifferences(expected, actual, '', { ...options, stopAfter: 1 }, out, order);
+    return out.length === 0;
+}
+
+function compareOrdered(expected, actual, path, options, out, order) {
+    const length = Math.max(expected.length, actual.length);
+    for (let i = 0; i < length; i++) {
+        collectDifferences(expected[i], actual[i], joinPath(path, i), options, out, order);
+    }
+}
+
+/**
+ * Multiset comparison: exact matches by canonical key first, then
+ * tolerant matches, then rows sharing an _id are diffed field by field.
+ * Whatever is left over is reported as missing or unexpected. `order`
+ * applies to the rows.
+ */
+function compareUnordered(expected, actual, path, options, out, order) {
+    const unmatched = new Map();
+    actual.forEach((row, index) => {
+        const key = canonicalKey(row, options, order);
+        if (!unmatched.has(key)) unmatched.set(key, []);
+        unmatched.get(key).push(index);
+    });
+
+    let missing = [];
+    expected.forEach((row, index) => {
+        const candidates = unmatched.get(canonicalKey(row, options, order));
+        if (candidates && candidates.length) candidates.shift();
+        else missing.push(index);
+    });
+
+    let extra = [...unmatched.values()].flat().sort((a, b) => a - b);
+
+    missing = missing.filter(expectedIndex => {
+        const match = extra.findIndex(actualIndex => isEqual(expected[expectedIndex], actual[actualIndex], options, order));
+        if (match === -1) return true;
+        extra.splice(match, 1);
+        return false;
+    });
+
+    missing = missing.filter(expectedIndex => {
+        const row = expected[expectedIndex];
+        if (kindOf(row) !== 'object' || row._id === undefined) return true;
+
+        const match = extra.findIndex(actualIndex => kindOf(actual[actualIndex]) === 'object'
+            && isEqual(row._id, actual[actualIndex]._id, options, fieldOrder(order, '_id')));
+        if (match === -1) return true;
+
+        collectDifferences(row, actual[extra[match]], `${path}${idLabel(row)}`, options, out, order);
+        extra.splice(match, 1);
+        return false;
+    });
+
+    for (const index of missing) {
+        if (out.length >= options.stopAfter) return;
+        out.push({ path: joinPath(path, index), kind: 'missing', expected: expected[index] });
+    }
+    for (const index of extra) {
+        if (out.length >= options.stopAfter) return;
+        out.push({ path: joinPath(path, index), kind: 'unexpected', actual: actual[index] });
+    }
+}
+
+/**
+ * Compares two results. Options:
+ *   ordered            - compare arrays in order: a flag for all arrays or
+ *                        an ordering tree (default: false)
+ *   relativeTolerance  - for non-integer numbers (default 1e-9)
+ *   absoluteTolerance  - for non-integer numbers near zero (default 1e-9)
+ *   generatedAfter     - Date/ms; ObjectIds and Dates after it match each other
+ *
+ * Returns { equal, differences: [{ path, kind, expected, actual }] } where
+ * kind is 'changed' | 'type' | 'missing' | 'unexpected'.
+ */
+function compareResults(expected, actual, options = {}) {
+    const settings = {
+        ordered: false,
+        relativeTolerance: DEFAULT_RELATIVE_TOLERANCE,
+        absoluteTolerance: DEFAULT_ABSOLUTE_TOLERANCE,
+        stopAfter: Infinity,
+        ...options
+    };
+
+    const differences = [];
+    collectDifferences(expected, actual, '', settings, differences, settings.ordered);
+    return { equal: differences.length === 0, differences };
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. REPORTING
+// -------------------------------------------------------------------------------------------
+
+function formatDifference(difference) {
+    const where = difference.path || '(result)';
+
+    switch (difference.kind) {
+        case 'missing': return `${where}: missing ${describe(difference.expected)}`;
+        case 'unexpected': return `${where}: unexpected ${describe(difference.actual)}`;
+        case 'type':
+            return `${where}: expected ${describe(difference.expected)} (${difference.expectedType}), `
+                + `got ${describe(difference.actual)} (${difference.actualType})`;
+        default: return `${where}: expected ${describe(difference.expected)}, got ${describe(difference.actual)}`;
+    }
+}
+
+/**
+ * One line per difference, capped at `limit`.
+ */
+function formatDifferences(differences, { limit = DEFAULT_DIFF_LIMIT } = {}) {
+    const lines = differences.slice(0, limit).map(formatDifference);
+    if (differences.length > limit) {
+        lines.push(`... ${differences.length - limit} more difference${differences.length - limit === 1 ? '' : 's'}`);
+    }
+    return lines;
+}
+
+module.exports = {
+    kindOf,
+    describe,
+    compareResults,
+    formatDifference,
+    formatDifferences
+};
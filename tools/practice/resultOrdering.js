@@ -0,0 +1,199 @@
+/**
+ * TOOL: RESULT ORDERING
+ * DESCRIPTION:
+ * Works out from a reference solution which arrays of its result have a
+ * defined order, as an ordering tree for resultComparator.js:
+ *
+ *   { ordered, items, fields }   ordered - whether this array's order counts
+ *                                items   - the tree for its elements
+ *                                fields  - { name: tree } for a document's fields
+ *
+ * - Result rows are ordered when the query sorts them (a $sort or
+ *   $sortByCount that no later stage undoes, or cursor.sort()).
+ * - Each $facet output is ordered by its own sub-pipeline, and so is
+ *   the `as` array of a $lookup with a pipeline.
+ * - Arrays built by $push, $firstN or $lastN are ordered when the $group
+ *   input was sorted; $addToSet and the set expressions ($setUnion, ...)
+ *   never are.
+ * - Other arrays inside documents keep their order.
+ *
+ * The solution is read with the query parser of hints.js. When its
+ * result query cannot be found (say the pipeline is built in a
+ * variable), rows are ordered if the code sorts anywhere.
+ *
+ * USAGE:
+ *   const { resultOrdering } = require('./resultOrdering');
+ *   compareResults(expected, actual, { ordered: resultOrdering(problem.solutionCode) });
+ */
+
+const { findQueries } = require('./hints');
+
+// Stages after which the rows come out in no particular order
+const UNORDERING_STAGES = new Set(['$unionWith', '$sample']);
+
+// Accumulators whose array follows the order of the group's input
+const INPUT_ORDER_ACCUMULATORS = new Set(['$push', '$firstN', '$lastN']);
+
+const SET_OPERATORS = new Set(['$addToSet', '$setUnion', '$setIntersection', '$setDifference']);
+
+const UNORDERED = { ordered: false };
+
+// -------------------------------------------------------------------------------------------
+// 1. SYNTAX TREE HELPERS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * The $operator of { $operator: ... } nodes, else null.
+ */
+function operatorOf(node) {
+    if (!node || node.type !== 'object' || node.properties.length !== 1) return null;
+    const [{ key }] = node.properties;
+    return key.startsWith('$') ? key : null;
+}
+
+function propertyValue(node, key) {
+    if (!node || node.type !== 'object') return undefined;
+    const property = node.properties.find(candidate => candidate.key === key);
+    return property ? property.value : undefined;
+}
+
+/**
+ * 'name' for a "$name" field path literal, else null.
+ */
+function fieldPathOf(node) {
+    if (!node || node.type !== 'literal' || !/^["']\$[^$]/.test(node.value)) return null;
+    return node.value.slice(2, -1);
+}
+
+function literalString(node) {
+    return node && node.type === 'literal' && /^["']/.test(node.value) ? node.value.slice(1, -1) : null;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. PIPELINES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * The tree for an accumulated or computed field, or undefined when the
+ * field's arrays simply keep their order.
+ */
+function valueOrdering(node, state) {
+    const operator = operatorOf(node);
+    if (SET_OPERATORS.has(operator)) return UNORDERED;
+    if (INPUT_ORDER_ACCUMULATORS.has(operator)) return { ordered: state.sorted };
+
+    const path = fieldPathOf(node);
+    if (path && state.fields[path] !== undefined) return state.fields[path];
+    return undefined;
+}
+
+/**
+ * `fields` with the trees of the fields a stage computes from `spec`
+ * (a $group's accumulators, a $project's expressions) set or, for
+ * fields whose arrays simply keep their order, removed.
+ */
+function withComputedFields(fields, spec, state, skip = []) {
+    const out = { ...fields };
+    if (!spec || spec.type !== 'object') return out;
+    for (const { key, value } of spec.properties) {
+        if (skip.includes(key)) continue;
+        const order = valueOrdering(value, state);
+        if (order === undefined) delete out[key];
+        else out[key] = order;
+    }
+    return out;
+}
+
+/**
+ * Runs the pipeline's stages over `state` ({ sorted, fields }): whether
+ * the rows are in a defined order and the trees of their fields. Returns
+ * null when a stage is not a literal { $stage: ... } object.
+ */
+function pipelineState(pipeline, state = { sorted: false, fields: {} }) {
+    if (!pipeline || pipeline.type !== 'array') return null;
+
+    let { sorted, fields } = state;
+    for (const stage of pipeline.elements) {
+        const name = operatorOf(stage);
+        if (!name) return null;
+        const spec = stage.properties[0].value;
+
+        if (name === '$sort' || name === '$sortByCount') {
+            sorted = true;
+            if (name === '$sortByCount') fields = {};
+        } else if (name === '$group' || name === '$bucket' || name === '$bucketAuto') {
+            const output = name === '$group' ? spec : propertyValue(spec, 'output');
+            fields = withComputedFields({}, output, { sorted, fields }, ['_id']);
+            sorted = false;
+        } else if (UNORDERING_STAGES.has(name)) {
+            sorted = false;
+        } else if (name === '$project' || name === '$addFields' || name === '$set') {
+            fields = withComputedFields(fields, spec, { sorted, fields });
+        } else if (name === '$facet') {
+            const facets = {};
+            for (const { key, value } of spec.type === 'object' ? spec.properties : []) {
+                const facet = pipelineState(value, { sorted, fields });
+                facets[key] = facet ? rowsOrdering(facet) : UNORDERED;
+            }
+            sorted = true;
+            fields = facets;
+        } else if (name === '$lookup') {
+            const as = literalString(propertyValue(spec, 'as'));
+            const joined = pipelineState(propertyValue(spec, 'pipeline'));
+            if (as) fields = { ...fields, [as]: joined ? rowsOrdering(joined) : UNORDERED };
+        } else if (name === '$count' || name === '$replaceRoot' || name === '$replaceWith') {
+            fields = {};
+        }
+    }
+    return { sorted, fields };
+}
+
+function rowsOrdering({ sorted, fields }) {
+    return { ordered: sorted, items: { fields } };
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. QUERIES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * The tree for the result of one parsed query (see hints.js findQueries),
+ * or null when it cannot be worked out.
+ */
+function queryOrdering({ calls }) {
+    const [first, ...chained] = calls;
+    let state;
+
+    if (first.method === 'aggregate') {
+        state = pipelineState(first.args[0]);
+    } else if (first.method === 'find') {
+        const options = first.args[2] || first.args[1];
+        state = { sorted: propertyValue(options, 'sort') !== undefined, fields: {} };
+    } else if (first.method === 'distinct') {
+        return UNORDERED;
+    } else if (['findOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'].includes(first.method)) {
+        return { ordered: true };
+    } else {
+        return null;
+    }
+    if (!state) return null;
+
+    if (chained.some(call => call.method === 'sort')) state = { ...state, sorted: true };
+    return rowsOrdering(state);
+}
+
+/**
+ * The ordering tree for the result of `code`, the last query in it.
+ */
+function resultOrdering(code = '') {
+    const queries = findQueries(code);
+    const ordering = queries.length > 0 ? queryOrdering(queries[queries.length - 1]) : null;
+    if (ordering) return ordering;
+
+    return { ordered: /\$sort(ByCount|Array)?\b|\.sort\s*\(/.test(code) };
+}
+
+module.exports = {
+    pipelineState,
+    resultOrdering
+};
@@ -0,0 +1,112 @@
+/**
+ * TOOL: PRACTICE SELF-CHECK
+ * DESCRIPTION:
+ * Checks the parts of the practice tools that need no running mongod:
+ * how the shell runtime evaluates code (timeouts included), how the
+ * transaction sandbox recognises a call that ran out of time and which
+ * problems an exam may draw. Prints one line per case and exits with 1
+ * when any case fails.
+ *
+ * USAGE:
+ *   node tools/practice/selfCheck.js
+ */
+
+const assert = require('assert');
+const { createEvaluator } = require('./shellRuntime');
+const { isTimeout } = require('./transactionSandbox');
+const { loadProblemFile, listProblemFiles } = require('./problemParser');
+const { isAutoGradable, pickQuestions } = require('./exam');
+
+const TIMEOUT_MS = 200;
+
+// -------------------------------------------------------------------------------------------
+// 1. CASES
+// -------------------------------------------------------------------------------------------
+
+const CASES = [
+    {
+        name: 'evaluate returns the value of the last statement',
+        async run() {
+            const { evaluate } = createEvaluator({});
+            assert.strictEqual(evaluate('const a = 2; a * 21'), 42);
+        }
+    },
+    {
+        name: 'async code settles to its value or its error',
+        async run() {
+            const { evaluate } = createEvaluator({}, { scriptTimeoutMs: TIMEOUT_MS });
+            assert.strictEqual(await evaluate('(async () => { await null; return 42 })()'), 42);
+            await assert.rejects(evaluate('(async () => { await null; throw new Error("aborted") })()'), /aborted/);
+        }
+    },
+    {
+        name: 'a retry loop that never stops after await is timed out',
+        async run() {
+            const { evaluate } = createEvaluator({}, { scriptTimeoutMs: TIMEOUT_MS });
+            const code = '(async () => { while (true) { try { await null; throw new Error("retry") } catch (e) { continue } } })()';
+            assert.throws(() => evaluate(code), error => isTimeout(error.message));
+        }
+    },
+    {
+        name: 'a synchronous endless loop is timed out',
+        async run() {
+            const { evaluate } = createEvaluator({}, { scriptTimeoutMs: TIMEOUT_MS });
+            assert.throws(() => evaluate('while (true) {}'), error => isTimeout(error.message));
+        }
+    },
+    {
+        name: 'isTimeout matches vm and worker bridge timeouts only',
+        async run() {
+            assert.ok(isTimeout('Script execution timed out after 30000ms'));
+            assert.ok(isTimeout('find did not complete within 30000ms'));
+            assert.ok(!isTimeout('WriteConflict'));
+            assert.ok(!isTimeout(undefined));
+        }
+    },
+    {
+        name: 'exams never draw problems graded by hand',
+        async run() {
+            const problems = listProblemFiles().flatMap(filePath => {
+                const { file, problems: parsed } = loadProblemFile(filePath);
+                return parsed.map(problem => ({ key: `${file}#${problem.id}`, problem }));
+            });
+            const serverStatus = problems.find(({ problem }) => /^db\.serverStatus\(\)/m.test(problem.solutionCode));
+            assert.strictEqual(serverStatus.problem.metadata.grading, 'manual');
+            assert.ok(!isAutoGradable(serverStatus.problem));
+
+            const manual = problems.filter(({ problem }) => problem.metadata.grading === 'manual').map(({ key }) => key);
+            for (const seed of [1, 7, 42]) {
+                const picked = pickQuestions({ count: 1000, seed }).map(({ file, problem }) => `${file}#${problem.id}`);
+                assert.deepStrictEqual(picked.filter(key => manual.includes(key)), []);
+            }
+        }
+    }
+];
+
+// -------------------------------------------------------------------------------------------
+// 2. CLI
+// -------------------------------------------------------------------------------------------
+
+async function main() {
+    let failed = 0;
+    for (const { name, run } of CASES) {
+        try {
+            await run();
+            console.log(`ok    ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`FAIL  ${name}\n      ${error.message.split('\n').join('\n      ')}`);
+        }
+    }
+    console.log(`\n${CASES.length - failed}/${CASES.length} cases passed`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    CASES,
+    main
+};
@@ -0,0 +1,838 @@
+/**
+ * TOOL: MONGOSH-COMPATIBLE SHELL RUNTIME
+ * DESCRIPTION:
+ * Provides the mongosh globals (db, print, printjson, use, show, ObjectId,
+ * ISODate, ...) on top of the Node driver so the practice files and the
+ * shell examples in 01-fundamentals/mongoShell.js run in a plain Node
+ * process or a test harness.
+ *
+ * Shell code is synchronous-looking: `accounts.findOne(...)` returns the
+ * document, not a Promise. To keep that contract every database call is
+ * sent to a worker thread (shellWorker.js) and the calling thread blocks
+ * on Atomics.wait until the worker replies.
+ *
+ * USAGE:
+ *   node tools/practice/shellRuntime.js script.js [--uri ...] [--db practiceDB]
+ *
+ *   const { createShell } = require('./shellRuntime');
+ *   const shell = createShell({ dbName: 'practiceDB' });
+ *   shell.evaluate('db.users.find({ isActive: true })');
+ *   shell.close();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const vm = require('vm');
+const { Worker, MessageChannel, receiveMessageOnPort } = require('worker_threads');
+const {
+    BSON, ObjectId, Decimal128, Long, Int32, Double, Timestamp,
+    Binary, UUID, MinKey, MaxKey, Code, BSONRegExp
+} = require('mongodb');
+
+// Same encoding as shellWorker.js
+const pack = value => BSON.serialize({ value }, { ignoreUndefined: true });
+const unpack = bytes => BSON.deserialize(bytes, { promoteLongs: false }).value;
+
+const DEFAULT_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const DEFAULT_DB = 'test';
+const DEFAULT_TIMEOUT_MS = 60000;
+const DISPLAY_BATCH_SIZE = 20;
+
+// -------------------------------------------------------------------------------------------
+// 1. SYNCHRONOUS BRIDGE TO THE WORKER
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Error thrown by shell calls. Carries the server's code, codeName and
+ * errorLabels as own properties, so retry loops written for mongosh
+ * (`error.hasOwnProperty("errorLabels")`) behave the same here.
+ */
+class ShellError extends Error {
+    constructor(details) {
+        super(details.message);
+        this.name = details.name || 'MongoServerError';
+        this.errorLabels = details.errorLabels || [];
+        if (details.code !== undefined) this.code = details.code;
+        if (details.codeName !== undefined) this.codeName = details.codeName;
+        if (details.writeErrors) this.writeErrors = unpack(details.writeErrors);
+        if (details.result) this.result = unpack(details.result);
+    }
+
+    hasErrorLabel(label) {
+        return this.errorLabels.includes(label);
+    }
+}
+
+class WorkerBridge {
+    constructor({ uri, timeoutMs, faults }) {
+        const { port1, port2 } = new MessageChannel();
+
+        this.port = port1;
+        this.timeoutMs = timeoutMs;
+        this.worker = new Worker(path.join(__dirname, 'shellWorker.js'), {
+            workerData: { uri, port: port2, faults },
+            transferList: [port2]
+        });
+        this.worker.unref();
+        this.closed = false;
+        this.nextId = 1;
+    }
+
+    call(op, request = {}) {
+        if (this.closed) throw new ShellError({ message: 'Shell runtime has been closed' });
+
+        const id = this.nextId++;
+        const signal = new Int32Array(new SharedArrayBuffer(4));
+        this.port.postMessage({ id, signal, op, payload: pack(request) });
+
+        if (Atomics.wait(signal, 0, 0, this.timeoutMs) === 'timed-out') {
+            throw new ShellError({ name: 'MongoshTimeoutError', message: `${op} did not complete within ${this.timeoutMs}ms` });
+        }
+
+        // Replies to calls abandoned by a timeout may still be queued ahead of ours
+        let message;
+        do {
+            ({ message } = receiveMessageOnPort(this.port));
+        } while (message.id !== id);
+
+        if (message.error) throw new ShellError(message.error);
+
+        return unpack(message.result);
+    }
+
+    close() {
+        if (this.closed) return;
+        try {
+            this.call('close');
+        } finally {
+            this.terminate();
+        }
+    }
+
+    /**
+     * Stops the worker without asking it to close the client first.
+     */
+    terminate() {
+        if (this.closed) return;
+        this.closed = true;
+        this.port.close();
+        this.worker.terminate();
+    }
+}
+
+function trimArgs(args) {
+    const copy = Array.from(args);
+    while (copy.length && copy[copy.length - 1] === undefined) copy.pop();
+    return copy;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. CURSORS
+// -------------------------------------------------------------------------------------------
+
+const CURSOR_MODIFIERS = [
+    'sort', 'limit', 'skip', 'project', 'hint', 'collation', 'batchSize',
+    'comment', 'maxTimeMS', 'allowDiskUse', 'min', 'max', 'returnKey', 'showRecordId'
+];
+
+// Cursor settings that also apply to count()
+const COUNT_OPTIONS = ['skip', 'limit', 'hint', 'collation', 'maxTimeMS', 'readConcern'];
+
+/**
+ * Lazy cursor returned by find() and aggregate(). Modifiers are recorded
+ * and sent with the query the first time documents are needed.
+ */
+class ShellCursor {
+    constructor(collection, kind, args) {
+        this._collection = collection;
+        this._kind = kind;
+        this._args = trimArgs(args);
+        this._modifiers = [];
+        this._transforms = [];
+        this._buffer = null;
+        this._position = 0;
+    }
+
+    _request(explain) {
+        const { _db: db, _name: name } = this._collection;
+        return db._shell.bridge.call('cursor', {
+            db: db._name,
+            collection: name,
+            kind: this._kind,
+            args: this._args,
+            modifiers: this._modifiers,
+            explain,
+            sessionId: db._session ? db._session.id : undefined
+        });
+    }
+
+    _documents() {
+        if (!this._buffer) {
+            this._buffer = this._transforms.reduce((docs, transform) => docs.map(transform), this._request());
+        }
+        return this._buffer;
+    }
+
+    _modify(name, value) {
+        if (this._buffer) throw new ShellError({ message: `Cannot call ${name}() after the cursor has been iterated` });
+        this._modifiers.push([name, value]);
+        return this;
+    }
+
+    projection(spec) { return this._modify('project', spec); }
+    readConcern(level) {
+        const options = { ...(this._args[1] || {}), readConcern: { level } };
+        this._args = [this._args[0] || {}, options];
+        return this;
+    }
+    readPref() { return this; }
+    noCursorTimeout() { return this; }
+    pretty() { return this; }
+    tailable() {
+        throw new ShellError({ message: 'tailable cursors are not supported by the Node shell runtime' });
+    }
+
+    map(transform) {
+        this._transforms.push(transform);
+        if (this._buffer) this._buffer = this._buffer.map(transform);
+        return this;
+    }
+
+    toArray() { return this._documents().slice(this._position); }
+    hasNext() { return this._position < this._documents().length; }
+    next() {
+        if (!this.hasNext()) throw new ShellError({ message: 'Cursor exhausted' });
+        return this._documents()[this._position++];
+    }
+    tryNext() { return this.hasNext() ? this.next() : null; }
+    forEach(fn) { this.toArray().forEach(doc => fn(doc)); this._position = this._documents().length; }
+    itcount() { return this.toArray().length; }
+    size() { return this._documents().length; }
+
+    /**
+     * Counts what the query matches, honouring skip, limit, hint and
+     * collation like the driver's FindCursor.count(). mongosh has no
+     * count() on aggregate cursors.
+     */
+    count() {
+        if (this._kind !== 'find') {
+            throw new ShellError({ name: 'TypeError', message: 'count() is not supported on aggregate cursors; use itcount() or a $count stage' });
+        }
+        const [filter = {}, findOptions = {}] = this._args;
+        const options = {};
+        for (const [name, value] of [...Object.entries(findOptions), ...this._modifiers]) {
+            if (COUNT_OPTIONS.includes(name)) options[name] = value;
+        }
+        return this._collection.countDocuments(filter, options);
+    }
+
+    explain(verbosity = 'queryPlanner') { return this._request(verbosity); }
+    isExhausted() { return this._buffer !== null && !this.hasNext(); }
+    close() { this._position = this._buffer ? this._buffer.length : 0; }
+
+    [util.inspect.custom]() {
+        return formatCursorBatch(this);
+    }
+}
+
+CURSOR_MODIFIERS.forEach(name => {
+    ShellCursor.prototype[name] = function (value) {
+        return this._modify(name, value);
+    };
+});
+
+// -------------------------------------------------------------------------------------------
+// 3. COLLECTIONS AND DATABASES
+// -------------------------------------------------------------------------------------------
+
+// Index of the options argument for methods that accept { session }
+const COLLECTION_METHODS = {
+    insertOne: 1,
+    insertMany: 1,
+    updateOne: 2,
+    updateMany: 2,
+    replaceOne: 2,
+    deleteOne: 1,
+    deleteMany: 1,
+    findOne: 1,
+    findOneAndUpdate: 2,
+    findOneAndReplace: 2,
+    findOneAndDelete: 1,
+    countDocuments: 1,
+    estimatedDocumentCount: 0,
+    distinct: 2,
+    bulkWrite: 1,
+    createIndex: 1,
+    createIndexes: 1,
+    dropIndex: 1,
+    dropIndexes: 0,
+    indexes: 0,
+    drop: 0,
+    rename: 1
+};
+
+// Property names that must never turn into a collection (Promise resolution, inspection, ...)
+const RESERVED_NAMES = new Set(['then', 'catch', 'finally', 'toJSON', 'inspect', 'constructor', 'prototype', 'valueOf', 'toString']);
+
+function isCollectionName(prop) {
+    return typeof prop === 'string' && !prop.startsWith('_') && !RESERVED_NAMES.has(prop);
+}
+
+class ShellCollection {
+    constructor(db, name) {
+        this._db = db;
+        this._name = name;
+    }
+
+    _call(method, args) {
+        return this._db._shell.bridge.call('collection', {
+            db: this._db._name,
+            collection: this._name,
+            method,
+            args: trimArgs(args).map(arg => this._db._stripSession(arg)),
+            optionsIndex: COLLECTION_METHODS[method],
+            sessionId: this._db._sessionIdFor(args[COLLECTION_METHODS[method]])
+        });
+    }
+
+    /**
+     * Driver-style code passes `{ session }` where mongosh expects a
+     * projection; accept both spellings.
+     */
+    _splitProjection(projection, options) {
+        if (projection && projection.session instanceof ShellSession) {
+            return { projection: undefined, options: { ...projection, ...options } };
+        }
+        return { projection, options };
+    }
+
+    find(filter = {}, projection, options = {}) {
+        const split = this._splitProjection(projection, options);
+        const findOptions = { ...this._db._stripSession(split.options) };
+        if (split.projection) findOptions.projection = split.projection;
+        return new ShellCursor(this, 'find', [filter, findOptions]);
+    }
+
+    aggregate(pipeline = [], options = {}) {
+        const cursor = new ShellCursor(this, 'aggregate', [pipeline, this._db._stripSession(options)]);
+        // $out and $merge write as a side effect, so they must run even if nobody reads the cursor
+        if (pipeline.some(stage => stage.$out || stage.$merge)) cursor._documents();
+        return cursor;
+    }
+
+    findOne(filter = {}, projection, options = {}) {
+        const split = this._splitProjection(projection, options);
+        const findOptions = { ...split.options };
+        if (split.projection) findOptions.projection = split.projection;
+        return this._call('findOne', [filter, findOptions]);
+    }
+
+    count(filter = {}, options) { return this.countDocuments(filter, options); }
+    getIndexes() { return this.indexes(); }
+    getName() { return this._name; }
+    getFullName() { return `${this._db._name}.${this._name}`; }
+    getDB() { return this._db; }
+    renameCollection(newName, dropTarget = false) { return this.rename(newName, { dropTarget }); }
+
+    stats(options = {}) {
+        return this._db.runCommand({ collStats: this._name, ...options });
+    }
+
+    watch() {
+        throw new ShellError({ message: 'Change streams are not supported by the Node shell runtime; use the driver directly' });
+    }
+
+    toString() { return this.getFullName(); }
+}
+
+Object.keys(COLLECTION_METHODS).forEach(method => {
+    if (ShellCollection.prototype[method]) return;
+    ShellCollection.prototype[method] = function (...args) {
+        return this._call(method, args);
+    };
+});
+
+/**
+ * db.users, db.system.profile, ... resolve to collections on first access.
+ */
+function collectionProxy(db, name) {
+    return new Proxy(new ShellCollection(db, name), {
+        get(target, prop, receiver) {
+            if (prop in target || !isCollectionName(prop)) return Reflect.get(target, prop, receiver);
+            return collectionProxy(db, `${name}.${prop}`);
+        }
+    });
+}
+
+class ShellDatabase {
+    constructor(shell, name, session = null) {
+        this._shell = shell;
+        this._name = name;
+        this._session = session;
+    }
+
+    _sessionIdFor(options) {
+        if (options && options.session instanceof ShellSession) return options.session.id;
+        return this._session ? this._session.id : undefined;
+    }
+
+    _stripSession(value) {
+        if (!value || typeof value !== 'object' || !(value.session instanceof ShellSession)) return value;
+        const { session, ...rest } = value;
+        return rest;
+    }
+
+    _database(method, args, optionsIndex) {
+        return this._shell.bridge.call('database', {
+            db: this._name,
+            method,
+            args: trimArgs(args),
+            optionsIndex,
+            sessionId: this._session ? this._session.id : undefined
+        });
+    }
+
+    getName() { return this._name; }
+    getCollection(name) { return collectionProxy(this, name); }
+    getSiblingDB(name) { return databaseProxy(this._shell, name, this._session); }
+    getMongo() { return this._shell.mongo; }
+    getCollectionNames() { return this.getCollectionInfos().map(info => info.name).sort(); }
+    getCollectionInfos(filter = {}) { return this._database('listCollections', [filter]); }
+    createCollection(name, options = {}) { return this._database('createCollection', [name, options], 1); }
+    dropDatabase() { return this._database('dropDatabase', []); }
+
+    runCommand(command) {
+        if (typeof command === 'string') command = { [command]: 1 };
+        return this._shell.bridge.call('command', {
+            db: this._name,
+            command,
+            sessionId: this._session ? this._session.id : undefined
+        });
+    }
+
+    adminCommand(command) { return this.getSiblingDB('admin').runCommand(command); }
+    serverStatus(options = {}) { return this.adminCommand({ serverStatus: 1, ...options }); }
+    stats(scale) { return this.runCommand(scale ? { dbStats: 1, scale } : { dbStats: 1 }); }
+    version() { return this.adminCommand({ buildInfo: 1 }).version; }
+    hostInfo() { return this.adminCommand({ hostInfo: 1 }); }
+    currentOp(filter = {}) { return this.adminCommand({ currentOp: 1, ...filter }); }
+    killOp(opId) { return this.adminCommand({ killOp: 1, op: opId }); }
+
+    setProfilingLevel(level, options = {}) {
+        const settings = typeof options === 'number' ? { slowms: options } : options;
+        return this.runCommand({ profile: level, ...settings });
+    }
+
+    getProfilingStatus() { return this.runCommand({ profile: -1 }); }
+
+    createUser(user, writeConcern) {
+        const { user: name, ...rest } = user;
+        return this.runCommand({ createUser: name, ...rest, ...(writeConcern ? { writeConcern } : {}) });
+    }
+
+    dropUser(name) { return this.runCommand({ dropUser: name }); }
+    getUsers(options = {}) { return this.runCommand({ usersInfo: 1, ...options }).users; }
+
+    toString() { return this._name; }
+}
+
+function databaseProxy(shell, name, session = null) {
+    return new Proxy(new ShellDatabase(shell, name, session), {
+        get(target, prop, receiver) {
+            if (prop in target || !isCollectionName(prop)) return Reflect.get(target, prop, receiver);
+            return target.getCollection(prop);
+        }
+    });
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. SESSIONS AND THE CLIENT
+// -------------------------------------------------------------------------------------------
+
+class ShellSession {
+    constructor(shell, id) {
+        this._shell = shell;
+        this.id = id;
+    }
+
+    _call(method, args = []) {
+        return this._shell.bridge.call('session', { sessionId: this.id, method, args: trimArgs(args) });
+    }
+
+    getDatabase(name) { return databaseProxy(this._shell, name, this); }
+    startTransaction(options = {}) { this._call('startTransaction', [options]); }
+    commitTransaction() { return this._call('commitTransaction'); }
+    abortTransaction() { return this._call('abortTransaction'); }
+    endSession() { return this._call('endSession'); }
+
+    /**
+     * Runs `fn(session)` inside a transaction, committing on success and
+     * aborting (then rethrowing) on failure.
+     */
+    withTransaction(fn, options = {}) {
+        this.startTransaction(options);
+        try {
+            const result = fn(this);
+            this.commitTransaction();
+            return result;
+        } catch (error) {
+            this.abortTransaction();
+            throw error;
+        }
+    }
+}
+
+class ShellMongo {
+    constructor(shell) {
+        this._shell = shell;
+    }
+
+    startSession(options = {}) {
+        const id = this._shell.bridge.call('startSession', { options });
+        return new ShellSession(this._shell, id);
+    }
+
+    getDB(name) { return databaseProxy(this._shell, name); }
+    getDBNames() { return this.getDB('admin').adminCommand({ listDatabases: 1, nameOnly: true }).databases.map(d => d.name); }
+}
+
+// -------------------------------------------------------------------------------------------
+// 5. SHELL-STYLE PRINTING
+// -------------------------------------------------------------------------------------------
+
+function shellLiteral(text) {
+    return { [util.inspect.custom]: () => text };
+}
+
+/**
+ * Converts BSON values into objects that util.inspect prints the way
+ * mongosh does: ObjectId('...'), ISODate('...'), Decimal128('...').
+ */
+function toShellInspectable(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (util.types.isDate(value)) return shellLiteral(`ISODate('${value.toISOString()}')`);
+    if (value instanceof ShellCursor) return value;
+
+    switch (value._bsontype) {
+        case 'ObjectId': return shellLiteral(`ObjectId('${value.toHexString()}')`);
+        case 'Decimal128': return shellLiteral(`Decimal128('${value.toString()}')`);
+        case 'Long': return shellLiteral(`Long('${value.toString()}')`);
+        case 'Int32':
+        case 'Double': return value.valueOf();
+        case 'Timestamp': return shellLiteral(`Timestamp({ t: ${value.high}, i: ${value.low} })`);
+        case 'Binary': return shellLiteral(value.sub_type === 4
+            ? `UUID('${value.toUUID().toHexString()}')`
+            : `Binary.createFromBase64('${value.toString('base64')}', ${value.sub_type})`);
+        case 'MinKey': return shellLiteral('MinKey()');
+        case 'MaxKey': return shellLiteral('MaxKey()');
+        case 'BSONRegExp': return new RegExp(value.pattern, value.options);
+        case 'Code': return shellLiteral(`Code('${value.code}')`);
+        default: break;
+    }
+
+    if (Array.isArray(value)) return value.map(toShellInspectable);
+
+    const copy = {};
+    for (const [key, field] of Object.entries(value)) copy[key] = toShellInspectable(field);
+    return copy;
+}
+
+function formatShellValue(value) {
+    if (typeof value === 'string') return value;
+    return util.inspect(toShellInspectable(value), { depth: 6, breakLength: 80, compact: 3 });
+}
+
+function formatCursorBatch(cursor) {
+    const batch = [];
+    while (batch.length < DISPLAY_BATCH_SIZE && cursor.hasNext()) batch.push(cursor.next());
+
+    const text = formatShellValue(batch);
+    return cursor.hasNext() ? `${text}\nType "it" for more` : text;
+}
+
+// -------------------------------------------------------------------------------------------
+// 6. GLOBALS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Wraps a BSON class so it can be called with or without `new`, like the
+ * mongosh helpers (`ObjectId()`, `NumberLong(5)`). instanceof and static
+ * methods such as ObjectId.isValid keep working.
+ */
+function shellConstructor(Type, factory) {
+    function helper(...args) {
+        return factory(...args);
+    }
+    helper.prototype = Type.prototype;
+    Object.setPrototypeOf(helper, Type);
+    return helper;
+}
+
+function bsonHelpers() {
+    return {
+        ObjectId: shellConstructor(ObjectId, id => new ObjectId(id)),
+        ISODate: value => (value === undefined ? new Date() : new Date(value)),
+        NumberInt: value => new Int32(Number(value)),
+        NumberLong: value => Long.fromString(String(value)),
+        NumberDecimal: value => Decimal128.fromString(String(value)),
+        Decimal128: shellConstructor(Decimal128, value => (typeof value === 'string' ? Decimal128.fromString(value) : new Decimal128(value))),
+        Long: shellConstructor(Long, (value, unsigned) => Long.fromValue(value, unsigned)),
+        Int32: shellConstructor(Int32, value => new Int32(value)),
+        Double: shellConstructor(Double, value => new Double(value)),
+        UUID: shellConstructor(UUID, value => new UUID(value)),
+        Timestamp: shellConstructor(Timestamp, (t, i) => (typeof t === 'object' ? new Timestamp(t) : new Timestamp({ t, i }))),
+        BinData: (subType, base64) => Binary.createFromBase64(base64, subType),
+        Binary,
+        MinKey: shellConstructor(MinKey, () => new MinKey()),
+        MaxKey: shellConstructor(MaxKey, () => new MaxKey()),
+        Code: shellConstructor(Code, (code, scope) => new Code(code, scope)),
+        BSONRegExp
+    };
+}
+
+/**
+ * Rewrites the mongosh-only statements (`use db`, `show collections`, `it`)
+ * into calls to the matching global helpers.
+ */
+function preprocessShellSyntax(code) {
+    return code
+        .replace(/^(\s*)use\s+([\w-]+)\s*;?\s*$/gm, '$1use("$2");')
+        .replace(/^(\s*)show\s+(\w+)\s*;?\s*$/gm, '$1show("$2");')
+        .replace(/^(\s*)it\s*;?\s*$/gm, '$1it();');
+}
+
+// -------------------------------------------------------------------------------------------
+// 7. THE SHELL
+// -------------------------------------------------------------------------------------------
+
+/**
+ * A vm context over `globals` with
+ *   run(code, filename)      - runs shell code, returns its last value
+ *   evaluate(code, filename) - the same, with a Promise settled (see settle)
+ *
+ * `scriptTimeoutMs` bounds each evaluation. The context runs its own
+ * microtasks right after each evaluation (microtaskMode 'afterEvaluate'),
+ * so the bound also covers async code past its first `await`, which
+ * would otherwise loop on the process's microtask queue unchecked.
+ */
+function createEvaluator(globals, { scriptTimeoutMs } = {}) {
+    const context = vm.createContext(globals, { microtaskMode: 'afterEvaluate' });
+    const runOptions = scriptTimeoutMs ? { timeout: scriptTimeoutMs } : {};
+    const settleInContext = vm.runInContext('(promise, done) => { promise.then(value => done({ value }), error => done({ error })) }', context);
+
+    function run(code, filename) {
+        return new vm.Script(preprocessShellSyntax(code), { filename }).runInContext(context, runOptions);
+    }
+
+    /**
+     * The context's Promise callbacks only run when something is evaluated
+     * in it, so a Promise is settled here, under the same timeout, and
+     * handed back as a host Promise. One still pending after that waits
+     * on nothing that can ever happen.
+     */
+    function settle(promise) {
+        let outcome = null;
+        settleInContext(promise, result => {
+            outcome = result;
+        });
+        new vm.Script('undefined').runInContext(context, runOptions);
+
+        if (!outcome) return Promise.reject(new ShellError({ name: 'MongoshInvalidInputError', message: 'The returned Promise never settled' }));
+        return 'error' in outcome ? Promise.reject(outcome.error) : Promise.resolve(outcome.value);
+    }
+
+    function evaluate(code, filename = 'shell') {
+        const value = run(code, filename);
+        return value && typeof value.then === 'function' ? settle(value) : value;
+    }
+
+    return { context, run, evaluate };
+}
+
+/**
+ * Creates a shell bound to one MongoClient. The returned object exposes:
+ *   context        - the vm context holding the globals (db, print, ...)
+ *   evaluate       - runs shell code and returns the value of its last statement
+ *                    (a Promise from async code as an already settled Promise)
+ *   injectedFaults - [{ label, injected }] for the `faults` option (faultInjection.js)
+ *   close          - ends sessions and closes the client
+ *
+ * `scriptTimeoutMs` bounds how long evaluated code may run, so a retry
+ * loop that never gives up is stopped (see createEvaluator).
+ */
+function createShell(options = {}) {
+    const {
+        uri = DEFAULT_URI,
+        dbName = DEFAULT_DB,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        scriptTimeoutMs,
+        faults,
+        print: write = text => console.log(text)
+    } = options;
+
+    const shell = {};
+    shell.bridge = new WorkerBridge({ uri, timeoutMs, faults });
+    shell.mongo = new ShellMongo(shell);
+    try {
+        shell.bridge.call('connect');
+    } catch (error) {
+        // A bad URI must not leave the worker thread running
+        shell.bridge.terminate();
+        throw error;
+    }
+
+    let lastCursor = null;
+    const sleepSignal = new Int32Array(new SharedArrayBuffer(4));
+
+    const globals = {
+        ...bsonHelpers(),
+        db: databaseProxy(shell, dbName),
+        print: (...args) => write(args.map(formatShellValue).join(' ')),
+        printjson: value => write(formatShellValue(value)),
+        use(name) {
+            context.db = context.db.getSiblingDB(name);
+            write(`switched to db ${name}`);
+        },
+        show(what) {
+            const current = context.db;
+            switch (what) {
+                case 'dbs':
+                case 'databases':
+                    write(formatShellValue(shell.mongo.getDBNames()));
+                    break;
+                case 'collections':
+                case 'tables':
+                    write(current.getCollectionNames().join('\n'));
+                    break;
+                default:
+                    throw new ShellError({ message: `'show ${what}' is not supported by the Node shell runtime` });
+            }
+        },
+        it() {
+            if (!lastCursor || !lastCursor.hasNext()) {
+                write('no cursor');
+                return;
+            }
+            write(formatCursorBatch(lastCursor));
+        },
+        sleep: ms => {
+            Atomics.wait(sleepSignal, 0, 0, ms);
+        },
+        load(file) {
+            run(fs.readFileSync(file, 'utf8'), file);
+            return true;
+        },
+        Mongo: () => shell.mongo,
+        console,
+        Date
+    };
+
+    const { context, run, evaluate } = createEvaluator(globals, { scriptTimeoutMs });
+
+    /**
+     * Like mongosh's REPL: evaluates and prints the result, showing the
+     * first batch of a cursor.
+     */
+    function evaluateAndPrint(code, filename) {
+        const value = evaluate(code, filename);
+        if (value instanceof ShellCursor) {
+            lastCursor = value;
+            write(formatCursorBatch(value));
+        } else if (value !== undefined) {
+            write(formatShellValue(value));
+        }
+        return value;
+    }
+
+    return {
+        context,
+        evaluate,
+        evaluateAndPrint,
+        injectedFaults: () => shell.bridge.call('injectedFaults'),
+        close: () => shell.bridge.close()
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 8. GRADER INTEGRATION
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Runner with the same contract as runInMongosh(): runs the setup code,
+ * then `snippet`, and resolves to { value, output, error }. Cursors are
+ * drained (or explained, with `options.explain`) and Promises (async
+ * solutions) are awaited. With `options.faults` the result also has
+ * `faults`: how often each injected fault fired.
+ */
+async function runInNode(setupCode, snippet, options = {}) {
+    const output = [];
+    let shell;
+
+    const finish = result => (options.faults && shell ? { ...result, faults: shell.injectedFaults() } : result);
+
+    try {
+        shell = createShell({ ...options, dbName: options.dbName || 'practiceDB', print: text => output.push(text) });
+        shell.evaluate(setupCode, 'setup');
+
+        let value = await shell.evaluate(snippet, 'snippet');
+        if (value instanceof ShellCursor) value = options.explain ? value.explain(options.explain) : value.toArray();
+
+        return finish({ value, output: output.join('\n'), error: null });
+    } catch (error) {
+        return finish({ value: undefined, output: output.join('\n'), error: error.message });
+    } finally {
+        if (shell) shell.close();
+    }
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = util.parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            uri: { type: 'string', default: DEFAULT_URI },
+            db: { type: 'string', default: DEFAULT_DB },
+            eval: { type: 'string' }
+        }
+    });
+
+    if (!values.eval && positionals.length === 0) {
+        console.error('Usage: node tools/practice/shellRuntime.js <script.js> [--eval code] [--uri ...] [--db name]');
+        return 2;
+    }
+
+    const shell = createShell({ uri: values.uri, dbName: values.db });
+    try {
+        for (const file of positionals) {
+            shell.evaluate(fs.readFileSync(file, 'utf8'), file);
+        }
+        if (values.eval) {
+            const value = await shell.evaluate(values.eval, 'eval');
+            if (value !== undefined) console.log(value instanceof ShellCursor ? formatCursorBatch(value) : formatShellValue(value));
+        }
+        return 0;
+    } finally {
+        shell.close();
+    }
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    ShellError,
+    ShellCursor,
+    createEvaluator,
+    createShell,
+    formatShellValue,
+    preprocessShellSyntax,
+    runInNode,
+    main
+};
@@ -0,0 +1,165 @@
+/**
+ * TOOL: SHELL RUNTIME WORKER
+ * DESCRIPTION:
+ * Worker thread behind shellRuntime.js. It owns the MongoClient and runs
+ * each request from the main thread with the async Node driver, then
+ * wakes the (blocked) main thread through a shared Int32Array.
+ *
+ * Values cross the thread boundary as BSON bytes, decoded with the same
+ * promotion rules on both sides (int32/double become numbers, Long and
+ * Decimal128 keep their types).
+ *
+ * With `faults` in workerData (see faultInjection.js) driver calls go
+ * through a fault injector, which raises transaction errors on chosen
+ * commands.
+ */
+
+const { workerData } = require('worker_threads');
+const { MongoClient, BSON } = require('mongodb');
+const { createFaultInjector } = require('./faultInjection');
+
+const { uri, port, faults } = workerData;
+
+const client = new MongoClient(uri);
+const sessions = new Map();
+const injector = createFaultInjector(faults || []);
+let nextSessionId = 1;
+
+// -------------------------------------------------------------------------------------------
+// 1. REQUEST HANDLERS
+// -------------------------------------------------------------------------------------------
+
+function withSession(args, optionsIndex, sessionId) {
+    if (!sessionId) return args;
+
+    const session = sessions.get(sessionId);
+    if (!session) throw new Error(`Session ${sessionId} has already ended`);
+
+    const copy = args.slice();
+    while (copy.length < optionsIndex) copy.push(undefined);
+    copy[optionsIndex] = { ...(copy[optionsIndex] || {}), session };
+    return copy;
+}
+
+function sessionOption(options, sessionId) {
+    if (!sessionId) return options;
+    return { ...options, session: sessions.get(sessionId) };
+}
+
+function inTransaction(sessionId) {
+    const session = sessionId && sessions.get(sessionId);
+    return Boolean(session && session.inTransaction());
+}
+
+async function drain(result) {
+    if (result && typeof result.toArray === 'function') return result.toArray();
+    return result;
+}
+
+const handlers = {
+    async connect() {
+        await client.connect();
+        return { ok: 1 };
+    },
+
+    async collection({ db, collection, method, args, optionsIndex, sessionId }) {
+        const target = client.db(db).collection(collection);
+        if (typeof target[method] !== 'function') {
+            throw new TypeError(`db.${collection}.${method} is not a function`);
+        }
+        return drain(await injector.run(method, inTransaction(sessionId),
+            () => target[method](...withSession(args, optionsIndex, sessionId))));
+    },
+
+    async database({ db, method, args, optionsIndex, sessionId }) {
+        const target = client.db(db);
+        const result = await target[method](...withSession(args, optionsIndex, sessionId));
+        // createCollection resolves to a Collection handle, which is not a value
+        return method === 'createCollection' ? { ok: 1 } : drain(result);
+    },
+
+    async command({ db, command, sessionId }) {
+        return client.db(db).command(command, sessionOption({}, sessionId));
+    },
+
+    async cursor({ db, collection, kind, args, modifiers, explain, sessionId }) {
+        const [first, options = {}] = args;
+        let cursor = client.db(db).collection(collection)[kind](first, sessionOption(options, sessionId));
+
+        for (const [name, value] of modifiers) {
+            cursor = cursor[name](value);
+        }
+
+        return injector.run(kind, inTransaction(sessionId), () => (explain ? cursor.explain(explain) : cursor.toArray()));
+    },
+
+    async startSession({ options }) {
+        const id = nextSessionId++;
+        sessions.set(id, client.startSession(options));
+        return id;
+    },
+
+    async session({ sessionId, method, args }) {
+        const session = sessions.get(sessionId);
+        if (!session) throw new Error(`Session ${sessionId} has already ended`);
+
+        const result = await injector.run(method, session.inTransaction(), () => session[method](...args));
+        if (method === 'endSession') sessions.delete(sessionId);
+        return method === 'startTransaction' ? { ok: 1 } : result;
+    },
+
+    async injectedFaults() {
+        return injector.report();
+    },
+
+    async close() {
+        for (const session of sessions.values()) {
+            await session.endSession();
+        }
+        sessions.clear();
+        await client.close();
+        return { ok: 1 };
+    }
+};
+
+// -------------------------------------------------------------------------------------------
+// 2. MESSAGE LOOP
+// -------------------------------------------------------------------------------------------
+
+const pack = value => BSON.serialize({ value }, { ignoreUndefined: true });
+const unpack = bytes => BSON.deserialize(bytes, { promoteLongs: false }).value;
+
+function packIfPossible(value) {
+    try {
+        return pack(value);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        codeName: error.codeName,
+        errorLabels: Array.isArray(error.errorLabels) ? error.errorLabels : [],
+        writeErrors: error.writeErrors ? packIfPossible(error.writeErrors) : undefined,
+        result: error.result ? packIfPossible(error.result) : undefined
+    };
+}
+
+port.on('message', async ({ id, signal, op, payload }) => {
+    let reply;
+
+    try {
+        const result = await handlers[op](unpack(payload));
+        reply = { result: pack(result) };
+    } catch (error) {
+        reply = { error: serializeError(error) };
+    }
+
+    port.postMessage({ id, ...reply });
+    Atomics.store(signal, 0, 1);
+    Atomics.notify(signal, 0);
+});
@@ -0,0 +1,218 @@
+/**
+ * TOOL: COLLECTION STATE DIFF
+ * DESCRIPTION:
+ * Grades write problems (inserts, updates, deletes, bulk writes) on what
+ * they leave in the database rather than on what the last statement
+ * returns. For problems whose front-matter declares `state`, the grader
+ * snapshots those collections before and after the learner's code and
+ * before and after the reference solution, each run on freshly reset
+ * data, and compares the two outcomes.
+ *
+ * e.g. front-matter line:  state: users
+ *
+ * Differences are reported per document, in terms of what each run
+ * changed:
+ *
+ *   reference: users 1 modified
+ *   yours:     users unchanged
+ *   users[_id: 3].isActive: expected false, got true
+ *   users[_id: 9]: not inserted, the reference inserts { _id: 9, name: "Eve", ... }
+ *   users[_id: 4]: deleted, the reference keeps it
+ *
+ * Documents are compared with resultComparator.js, so numeric types,
+ * floating point rounding and ObjectIds/Dates created while grading are
+ * handled the same way as query results.
+ */
+
+const { MongoClient } = require('mongodb');
+const { DEFAULT_URI, DEFAULT_DB } = require('./mongoshRunner');
+const { describe, compareResults, formatDifference } = require('./resultComparator');
+
+// -------------------------------------------------------------------------------------------
+// 1. SNAPSHOTS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Reads the collections into { name: [documents sorted by _id] }.
+ * A collection that does not exist reads as empty.
+ */
+async function snapshotCollections(db, names) {
+    const snapshot = {};
+
+    for (const name of names) {
+        snapshot[name] = await db.collection(name).find().sort({ _id: 1 }).toArray();
+    }
+
+    return snapshot;
+}
+
+async function dropCollections(db, names) {
+    for (const name of names) {
+        await db.collection(name).drop().catch(error => {
+            if (error.codeName !== 'NamespaceNotFound') throw error;
+        });
+    }
+}
+
+/**
+ * Keeps one connection open for the snapshots taken while grading a file.
+ */
+function createStateReader({ uri = DEFAULT_URI, dbName = DEFAULT_DB } = {}) {
+    const client = new MongoClient(uri);
+
+    return {
+        snapshot: names => snapshotCollections(client.db(dbName), names),
+        drop: names => dropCollections(client.db(dbName), names),
+        async close() {
+            await client.close();
+        }
+    };
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. WHAT A RUN CHANGED
+// -------------------------------------------------------------------------------------------
+
+function idKey(doc) {
+    return describe(doc._id);
+}
+
+function byId(docs) {
+    return new Map(docs.map(doc => [idKey(doc), doc]));
+}
+
+/**
+ * Changes from `before` to `after`, per collection:
+ * { users: { added: [doc], removed: [doc], modified: [{ _id, changes: [{ path, before, after }] }] } }
+ */
+function diffSnapshots(before, after, options = {}) {
+    const changes = {};
+
+    for (const name of Object.keys({ ...before, ...after })) {
+        const old = byId(before[name] || []);
+        const current = byId(after[name] || []);
+        const entry = { added: [], removed: [], modified: [] };
+
+        for (const [key, doc] of current) {
+            if (!old.has(key)) {
+                entry.added.push(doc);
+                continue;
+            }
+            const { differences } = compareResults(old.get(key), doc, options);
+            if (differences.length > 0) {
+                entry.modified.push({
+                    _id: doc._id,
+                    changes: differences.map(difference => ({
+                        path: difference.path,
+                        before: difference.expected,
+                        after: difference.actual
+                    }))
+                });
+            }
+        }
+        for (const [key, doc] of old) {
+            if (!current.has(key)) entry.removed.push(doc);
+        }
+
+        changes[name] = entry;
+    }
+
+    return changes;
+}
+
+/**
+ * One line for a set of changes: "users 1 added, 2 modified; orders unchanged"
+ */
+function summarizeChanges(changes) {
+    return Object.entries(changes).map(([name, entry]) => {
+        const counts = ['added', 'removed', 'modified']
+            .filter(kind => entry[kind].length > 0)
+            .map(kind => `${entry[kind].length} ${kind}`);
+        return `${name} ${counts.length ? counts.join(', ') : 'unchanged'}`;
+    }).join('; ');
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. COMPARING TWO OUTCOMES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Rewrites a whole-document difference into what the learner's run did
+ * differently: a document it failed to insert or delete, or one it
+ * inserted or deleted that the reference does not.
+ */
+function describeDocumentDifference(name, difference, before) {
+    const doc = difference.kind === 'missing' ? difference.expected : difference.actual;
+    const existed = doc && doc._id !== undefined && before.has(idKey(doc));
+    const where = doc && doc._id !== undefined ? `${name}[_id: ${idKey(doc)}]` : `${name}${difference.path}`;
+
+    if (difference.kind === 'missing') {
+        return existed
+            ? `${where}: deleted, the reference keeps it`
+            : `${where}: not inserted, the reference inserts ${describe(doc)}`;
+    }
+    return existed
+        ? `${where}: not deleted, the reference deletes it`
+        : `${where}: unexpected new document ${describe(doc)}`;
+}
+
+/**
+ * Compares the learner's run with the reference run. Each run is
+ * { before, after } snapshots of the same collections, taken on
+ * identically reset data. Returns
+ * { equal, expectedChanges, actualChanges, differences: ['...'] }.
+ */
+function compareStates(expectedRun, actualRun, options = {}) {
+    const settings = { ...options, ordered: false };
+    const differences = [];
+    let equal = true;
+
+    for (const name of Object.keys(expectedRun.after)) {
+        const before = byId(actualRun.before[name] || []);
+        const comparison = compareResults(expectedRun.after[name], actualRun.after[name] || [], settings);
+        if (comparison.equal) continue;
+
+        equal = false;
+        for (const difference of comparison.differences) {
+            if (/^\[\d+\]$/.test(difference.path) && ['missing', 'unexpected'].includes(difference.kind)) {
+                differences.push(describeDocumentDifference(name, difference, before));
+            } else {
+                differences.push(formatDifference({ ...difference, path: `${name}${difference.path}` }));
+            }
+        }
+    }
+
+    return {
+        equal,
+        expectedChanges: diffSnapshots(expectedRun.before, expectedRun.after, settings),
+        actualChanges: diffSnapshots(actualRun.before, actualRun.after, settings),
+        differences
+    };
+}
+
+/**
+ * Report lines for a failed comparison: both change summaries, then the
+ * differences (capped like formatDifferences).
+ */
+function formatStateDifferences(comparison, { limit = 20 } = {}) {
+    const lines = [
+        `reference: ${summarizeChanges(comparison.expectedChanges)}`,
+        `yours:     ${summarizeChanges(comparison.actualChanges)}`,
+        ...comparison.differences.slice(0, limit)
+    ];
+    const more = comparison.differences.length - limit;
+    if (more > 0) {
+        lines.push(`... ${more} more difference${more === 1 ? '' : 's'}`);
+    }
+    return lines;
+}
+
+module.exports = {
+    snapshotCollections,
+    dropCollections,
+    createStateReader,
+    diffSnapshots,
+    summarizeChanges,
+    compareStates,
+    formatStateDifferences
+};
@@ -0,0 +1,211 @@
+/**
+ * TOOL: TRANSACTION SANDBOX
+ * DESCRIPTION:
+ * Scenarios for grading the transaction problems of
+ * 05-transactions-advanced-problems.js under injected errors. A problem
+ * whose front-matter lists `faults` is graded by calling the learner's
+ * function once without faults and once per fault (faultInjection.js),
+ * each time on freshly reset data, and checking invariants on the
+ * collections afterwards:
+ *
+ * - money is conserved: balances only move between accounts, or are
+ *   charged exactly once per recorded order
+ * - audit rows are not duplicated: one success entry per applied transfer
+ * - the retry loop terminates: every call must finish within
+ *   SANDBOX_TIMEOUT_MS, also when every attempt fails
+ *
+ * Each scenario is:
+ *   collections - what to reset and snapshot
+ *   call        - shell code appended to the answer, calling the function
+ *   check       - ({ before, after }) => ['invariant violations']
+ *   sameOutcome - the call must succeed/fail like the reference's does
+ *                 under the same fault (for code whose job is retrying)
+ */
+
+const { MongoClient } = require('mongodb');
+const { DEFAULT_URI } = require('./mongoshRunner');
+const { failPointCommand, clearFailPointCommand } = require('./faultInjection');
+
+const SANDBOX_TIMEOUT_MS = 30000;
+
+// -------------------------------------------------------------------------------------------
+// 1. INVARIANT HELPERS
+// -------------------------------------------------------------------------------------------
+
+function total(docs, field) {
+    return docs.reduce((sum, doc) => sum + (Number(doc[field]) || 0), 0);
+}
+
+function valueOf(docs, id, field) {
+    const doc = docs.find(candidate => candidate._id === id);
+    return doc ? Number(doc[field]) : NaN;
+}
+
+/**
+ * Documents in `after` whose _id was not in `before`.
+ */
+function added(before, after) {
+    const existing = new Set(before.map(doc => String(doc._id)));
+    return after.filter(doc => !existing.has(String(doc._id)));
+}
+
+/**
+ * Audit rows recording a success; entries for failed attempts
+ * (success: false, or an action mentioning FAIL) may repeat.
+ */
+function successRows(rows) {
+    return rows.filter(row => row.success !== false && !/FAIL/i.test(String(row.action || '')));
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. SCENARIOS
+// -------------------------------------------------------------------------------------------
+
+const TRANSFER_AMOUNT = 200;
+
+function checkTransfer({ before, after }) {
+    const failures = [];
+    const transfers = added(before.transfers, after.transfers);
+    const audits = successRows(added(before.audit_log, after.audit_log));
+
+    if (total(after.accounts, 'balance') !== total(before.accounts, 'balance')) {
+        failures.push(`money is not conserved: balances total ${total(after.accounts, 'balance')}, was ${total(before.accounts, 'balance')}`);
+    }
+    if (transfers.length > 1) {
+        failures.push(`${plural(transfers.length, 'transfer record')} for one transfer`);
+    }
+    if (audits.length !== transfers.length) {
+        failures.push(`${plural(audits.length, 'audit row')} for ${plural(transfers.length, 'recorded transfer')}`);
+    }
+
+    const debited = valueOf(before.accounts, 'ACC001', 'balance') - valueOf(after.accounts, 'ACC001', 'balance');
+    if (debited !== TRANSFER_AMOUNT * transfers.length) {
+        failures.push(`ACC001 was debited ${debited} for ${plural(transfers.length, 'recorded transfer')} of ${TRANSFER_AMOUNT}`);
+    }
+
+    return failures;
+}
+
+const ORDER_ITEMS = [
+    { productId: 'PROD1', quantity: 1 },
+    { productId: 'PROD2', quantity: 2 }
+];
+
+function checkOrder({ before, after }) {
+    const failures = [];
+    const orders = added(before.customer_orders, after.customer_orders);
+    const cost = ORDER_ITEMS.reduce((sum, item) => sum + item.quantity * valueOf(before.inventory, item.productId, 'price'), 0);
+    const charged = valueOf(before.customer_balances, 'CUST001', 'balance') - valueOf(after.customer_balances, 'CUST001', 'balance');
+
+    if (orders.length > 1) {
+        failures.push(`${plural(orders.length, 'order')} created for one call`);
+    }
+    if (charged !== cost * orders.length) {
+        failures.push(`money is not conserved: CUST001 was charged ${charged} for ${plural(orders.length, 'order')} costing ${cost}`);
+    }
+    for (const item of ORDER_ITEMS) {
+        const taken = valueOf(before.inventory, item.productId, 'stock') - valueOf(after.inventory, item.productId, 'stock');
+        if (taken !== item.quantity * orders.length) {
+            failures.push(`${item.productId} stock went down by ${taken} for ${plural(orders.length, 'order')} of ${item.quantity}`);
+        }
+    }
+
+    return failures;
+}
+
+const RETRY_AMOUNT = 50;
+
+function checkRetry({ before, after }) {
+    const failures = [];
+    const audits = added(before.audit_log, after.audit_log).filter(row => row.action === 'RETRY_CHECK');
+    const debited = valueOf(before.accounts, 'ACC001', 'balance') - valueOf(after.accounts, 'ACC001', 'balance');
+
+    if (total(after.accounts, 'balance') !== total(before.accounts, 'balance')) {
+        failures.push(`money is not conserved: balances total ${total(after.accounts, 'balance')}, was ${total(before.accounts, 'balance')}`);
+    }
+    if (audits.length > 1) {
+        failures.push(`the transaction body was applied ${audits.length} times (duplicate audit rows)`);
+    }
+    if (debited !== RETRY_AMOUNT * audits.length) {
+        failures.push(`ACC001 was debited ${debited}, expected ${RETRY_AMOUNT * audits.length}`);
+    }
+
+    return failures;
+}
+
+const SCENARIOS = {
+    '05-transactions-advanced-problems#1.2': {
+        collections: ['accounts', 'transfers', 'audit_log'],
+        call: `transferWithAudit("ACC001", "ACC002", ${TRANSFER_AMOUNT})`,
+        check: checkTransfer
+    },
+    '05-transactions-advanced-problems#2.1': {
+        collections: ['inventory', 'customer_orders', 'customer_balances'],
+        call: `processOrder("CUST001", ${JSON.stringify(ORDER_ITEMS)})`,
+        check: checkOrder
+    },
+    '05-transactions-advanced-problems#3.1': {
+        collections: ['accounts', 'audit_log'],
+        call: [
+            'runTransactionWithRetry((session) => {',
+            '    const sandboxDb = session.getDatabase(db.getName())',
+            `    sandboxDb.accounts.updateOne({ _id: "ACC001" }, { $inc: { balance: -${RETRY_AMOUNT} } })`,
+            `    sandboxDb.accounts.updateOne({ _id: "ACC002" }, { $inc: { balance: ${RETRY_AMOUNT} } })`,
+            `    sandboxDb.audit_log.insertOne({ action: "RETRY_CHECK", amount: ${RETRY_AMOUNT} })`,
+            '    return "success"',
+            '})'
+        ].join('\n'),
+        check: checkRetry,
+        sameOutcome: true
+    }
+};
+
+// -------------------------------------------------------------------------------------------
+// 3. SERVER FAIL POINTS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Arms and clears the server's failCommand fail point. Needs a replica
+ * set started with --setParameter enableTestCommands=1.
+ */
+function createFailPointController({ uri = DEFAULT_URI } = {}) {
+    const client = new MongoClient(uri);
+    const admin = () => client.db('admin');
+
+    return {
+        async arm(spec) {
+            await admin().command(failPointCommand(spec));
+        },
+        /**
+         * Turns the fail point off; resolves to how often it fired.
+         */
+        async disarm() {
+            const reply = await admin().command(clearFailPointCommand());
+            return Number(reply.count) || 0;
+        },
+        async close() {
+            await client.close();
+        }
+    };
+}
+
+/**
+ * Whether an error message means the code did not finish: the script
+ * timeout ("Script execution timed out after 30000ms") or a single
+ * database call that hung ("updateOne did not complete within 30000ms",
+ * MongoshTimeoutError).
+ */
+function isTimeout(message) {
+    return /timed out after \d+ms|did not complete within \d+ms/.test(message || '');
+}
+
+module.exports = {
+    SANDBOX_TIMEOUT_MS,
+    SCENARIOS,
+    createFailPointController,
+    isTimeout
+};
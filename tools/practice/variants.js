@@ -0,0 +1,357 @@
+/**
+ * TOOL: PROBLEM VARIANTS
+ * DESCRIPTION:
+ * Randomized versions of the query problems, so a learner who has read
+ * the reference solution still has something to solve. A variant
+ * re-seeds the fixture from the data generator with a new seed and
+ * swaps the problem's parameters (a city, a price threshold, a status,
+ * a date range) for values drawn from the new data. The expected answer
+ * is whatever the reference solution returns with the same swap.
+ *
+ * Parameters are declared in the problem's front-matter as the literal
+ * used by the solution and the field its replacements come from:
+ *
+ *   vary: "New York" from users.city
+ *   vary: 30 from users.age, 40 from users.age
+ *   vary: "2024-01-01" from sales.date, "2024-02-01" from sales.date
+ *
+ * Numbers are rounded like the original (80000 -> thousands, 4.5 -> one
+ * decimal), dates keep their YYYY-MM-DD form, and parameters drawn from
+ * the same field get distinct values in the original order, so ranges
+ * stay ranges.
+ *
+ * USAGE:
+ *   node tools/practice/variants.js 13-practice-problems/01-crud-problems.js --seed 42
+ *   node tools/practice/variants.js 13-practice-problems/02-aggregation-problems.js -p 1.2 --seed 7 --answers
+ *
+ * Then grade your answer against the same variant:
+ *   node tools/practice/grader.js 13-practice-problems/01-crud-problems.js -p 1.2 --variant 42
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_URI, DEFAULT_DB } = require('./mongoshRunner');
+const { runInNode, formatShellValue } = require('./shellRuntime');
+const { loadProblemFile } = require('./problemParser');
+const { createRandom, collectionSeed } = require('./dataGenerator');
+const { loadFixture, createFixtureSeeder } = require('./fixtures');
+const { createStateReader } = require('./stateDiff');
+
+// Variants are generated at this scale unless --scale says otherwise
+const VARIANT_SCALE = '50';
+const MAX_ATTEMPTS = 20;
+
+// -------------------------------------------------------------------------------------------
+// 1. PARAMETERS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * '"New York" from users.city' ->
+ * { literal: '"New York"', value: 'New York', kind: 'string', collection: 'users', path: 'city' }
+ * kind is 'string' | 'number' | 'date'.
+ */
+function parseVaryItem(item) {
+    const match = item.match(/^(.+?)\s+from\s+(\w+)\.([\w.]+)$/);
+    if (!match) throw new Error(`Invalid vary item "${item}" (expected: <literal> from <collection>.<field>)`);
+
+    const [, literal, collection, fieldPath] = match;
+    const quoted = literal.match(/^(["'])(.*)\1$/);
+
+    if (quoted) {
+        const kind = /^\d{4}-\d{2}-\d{2}$/.test(quoted[2]) ? 'date' : 'string';
+        return { literal, value: quoted[2], kind, collection, path: fieldPath };
+    }
+    if (Number.isNaN(Number(literal))) {
+        throw new Error(`Invalid vary literal ${literal} (quote strings and dates)`);
+    }
+    return { literal, value: Number(literal), kind: 'number', collection, path: fieldPath };
+}
+
+/**
+ * Values at a dotted path, looking through arrays: 'products.quantity'
+ * on an order yields the quantity of every line.
+ */
+function valuesAt(value, fieldPath) {
+    if (Array.isArray(value)) return value.flatMap(item => valuesAt(item, fieldPath));
+    if (!fieldPath) return value === undefined || value === null ? [] : [value];
+    if (!value || typeof value !== 'object') return [];
+
+    const [head, ...rest] = fieldPath.split('.');
+    return valuesAt(value[head], rest.join('.'));
+}
+
+function decimals(number) {
+    const text = String(number);
+    return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+/**
+ * Rounds `value` to the precision of `original`: 80000 -> thousands,
+ * 100 -> hundreds, 35 -> units, 4.5 -> tenths.
+ */
+function roundLike(value, original) {
+    if (decimals(original) > 0) {
+        return Number(value.toFixed(decimals(original)));
+    }
+    const zeros = original === 0 ? 0 : String(Math.abs(original)).match(/0*$/)[0].length;
+    const step = 10 ** zeros;
+    return Math.round(value / step) * step;
+}
+
+/**
+ * Distinct replacement candidates for a parameter, from its source field.
+ */
+function candidatesFor(param, docs) {
+    const seen = new Map();
+
+    for (const value of valuesAt(docs, param.path)) {
+        let candidate;
+        if (param.kind === 'number' && typeof value === 'number') candidate = roundLike(value, param.value);
+        else if (param.kind === 'date' && value instanceof Date) candidate = value.toISOString().slice(0, 10);
+        else if (param.kind === 'string' && typeof value === 'string') candidate = value;
+        else continue;
+
+        seen.set(String(candidate), candidate);
+    }
+
+    return [...seen.values()];
+}
+
+/**
+ * New values for every parameter, drawn from `snapshot` ({ users: [...] }).
+ * Parameters sharing a source field get distinct values, sorted to keep
+ * the order of the originals (30 < 40 stays low < high).
+ */
+function pickValues(params, snapshot, random) {
+    const values = new Array(params.length);
+    const groups = new Map();
+
+    params.forEach((param, index) => {
+        const key = `${param.collection}.${param.path}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(index);
+    });
+
+    for (const indexes of groups.values()) {
+        const first = params[indexes[0]];
+        const candidates = candidatesFor(first, snapshot[first.collection] || []);
+        const originals = new Set(indexes.map(index => String(params[index].value)));
+        const fresh = candidates.filter(candidate => !originals.has(String(candidate)));
+        const pool = fresh.length >= indexes.length ? fresh : candidates;
+
+        const picked = random.sample(pool, indexes.length);
+        while (picked.length < indexes.length) picked.push(params[indexes[picked.length]].value);
+
+        if (first.kind !== 'string') {
+            const byOriginal = indexes.slice().sort((a, b) => (params[a].value < params[b].value ? -1 : 1));
+            picked.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+            byOriginal.forEach((index, rank) => {
+                values[index] = picked[rank];
+            });
+        } else {
+            indexes.forEach((index, rank) => {
+                values[index] = picked[rank];
+            });
+        }
+    }
+
+    return values;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. REWRITING THE PROBLEM
+// -------------------------------------------------------------------------------------------
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Where a parameter appears: the quoted literal in code; the bare value
+ * too in prose ("in the Engineering department", "price > $100").
+ */
+function patternFor(param, prose) {
+    if (param.kind === 'number') {
+        return `(?<![\\w.])${escapeRegExp(String(param.value))}(?![\\w]|\\.\\d)`;
+    }
+    const quoted = `["']${escapeRegExp(param.value)}["']`;
+    return prose ? `${quoted}|(?<!\\w)${escapeRegExp(param.value)}(?!\\w)` : quoted;
+}
+
+function render(param, value, prose) {
+    if (param.kind === 'number') return String(value);
+    return prose ? value : JSON.stringify(value);
+}
+
+/**
+ * Swaps every parameter in `text` in a single pass, so a new value that
+ * equals another parameter's old value is not replaced again.
+ */
+function substitute(text, params, values, { prose = false } = {}) {
+    const combined = new RegExp(params.map(param => `(${patternFor(param, prose)})`).join('|'), 'g');
+
+    return text.replace(combined, (match, ...groups) => {
+        const index = groups.slice(0, params.length).findIndex(group => group !== undefined);
+        if (prose && params[index].kind !== 'number' && /^["']/.test(match)) {
+            return `"${render(params[index], values[index], true)}"`;
+        }
+        return render(params[index], values[index], prose);
+    });
+}
+
+/**
+ * The problem with new values: description and solution rewritten,
+ * learner code untouched.
+ */
+function applyVariant(problem, params, values) {
+    return {
+        ...problem,
+        description: substitute(problem.description, params, values, { prose: true }),
+        solutionCode: substitute(problem.solutionCode, params, values)
+    };
+}
+
+/**
+ * The problem's `vary` parameters, checked against its solution: every
+ * literal must appear in the code it rewrites.
+ */
+function parseVaryParams(problem) {
+    const params = problem.metadata.vary.map(parseVaryItem);
+    for (const param of params) {
+        if (!new RegExp(patternFor(param, false)).test(problem.solutionCode)) {
+            throw new Error(`Problem ${problem.id}: vary literal ${param.literal} does not appear in the solution`);
+        }
+    }
+    return params;
+}
+
+function isEmptyResult(value) {
+    if (value === null || value === undefined) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'number') return value === 0;
+    return false;
+}
+
+/**
+ * Builds the variant of `problem` for the data currently in the database
+ * (already seeded with the variant's seed). Values are re-drawn until the
+ * reference solution returns something. Resolves to
+ * { problem, params: [{ literal, replacement }], expected: { value, error } }.
+ */
+async function createVariant(problem, { seed, reader, run = runInNode, runOptions = {} }) {
+    const params = parseVaryParams(problem);
+    const snapshot = await reader.snapshot([...new Set(params.map(param => param.collection))]);
+    const random = createRandom(collectionSeed(seed, problem.id));
+    let variant;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const values = pickValues(params, snapshot, random);
+        const rewritten = applyVariant(problem, params, values);
+        const expected = await run('', rewritten.solutionCode, runOptions);
+
+        variant = {
+            problem: rewritten,
+            params: params.map((param, index) => ({ literal: param.literal, replacement: render(param, values[index], false) })),
+            expected
+        };
+        if (!expected.error && !isEmptyResult(expected.value)) break;
+    }
+
+    return variant;
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. COMMAND LINE
+// -------------------------------------------------------------------------------------------
+
+function indent(text, prefix = '   ') {
+    return text.split('\n').map(line => `${prefix}${line}`).join('\n');
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            problem: { type: 'string', multiple: true, short: 'p' },
+            seed: { type: 'string' },
+            scale: { type: 'string', default: VARIANT_SCALE },
+            answers: { type: 'boolean', default: false },
+            uri: { type: 'string', default: DEFAULT_URI },
+            db: { type: 'string', default: DEFAULT_DB }
+        }
+    });
+
+    const [filePath] = positionals;
+    if (!filePath) {
+        console.error('Usage: node tools/practice/variants.js <problem-file> [--problem 1.2] [--seed 42] [--answers]');
+        return 2;
+    }
+
+    const seed = values.seed === undefined ? Math.floor(Math.random() * 100000) : Number(values.seed);
+    const file = loadProblemFile(filePath);
+    const wanted = values.problem ? new Set(values.problem) : null;
+    const problems = file.problems.filter(problem => problem.metadata.vary.length > 0 && (!wanted || wanted.has(problem.id)));
+
+    if (problems.length === 0) {
+        console.error(`No problems with variant parameters (vary) in ${path.basename(filePath)}`);
+        return 2;
+    }
+
+    const seeder = createFixtureSeeder({
+        uri: values.uri,
+        dbName: values.db,
+        fixture: loadFixture(filePath),
+        scale: values.scale,
+        seed
+    });
+    const reader = createStateReader({ uri: values.uri, dbName: values.db });
+
+    try {
+        await seeder.reset();
+        console.log(`Variant ${seed} of ${path.basename(filePath)} (data seeded into ${values.db} at scale ${values.scale})`);
+
+        for (const problem of problems) {
+            const variant = await createVariant(problem, {
+                seed,
+                reader,
+                runOptions: { uri: values.uri, dbName: values.db }
+            });
+
+            console.log(`\nPROBLEM ${problem.id}: ${problem.title}`);
+            console.log(indent(variant.problem.description));
+            if (values.answers) {
+                console.log(`   Reference: ${variant.params.map(param => `${param.literal} -> ${param.replacement}`).join(', ')}`);
+                console.log(indent(variant.expected.error || formatShellValue(variant.expected.value), '   | '));
+            }
+        }
+
+        console.log(`\nGrade with: node tools/practice/grader.js ${path.relative(process.cwd(), filePath)} --variant ${seed}`);
+    } finally {
+        await seeder.close();
+        await reader.close();
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    VARIANT_SCALE,
+    parseVaryItem,
+    parseVaryParams,
+    isEmptyResult,
+    pickValues,
+    substitute,
+    applyVariant,
+    createVariant,
+    main
+};
@@ -0,0 +1,63 @@
+/**
+ * Search box for the workbook pages. The index (window.WORKBOOK_SEARCH,
+ * from search-index.js) lists every module section and practice problem;
+ * a result must contain every word typed, and title matches come first.
+ */
+(function () {
+    const MAX_RESULTS = 30;
+
+    const input = document.getElementById('search');
+    const list = document.getElementById('search-results');
+    const root = document.body.getAttribute('data-root') || '';
+    const entries = (window.WORKBOOK_SEARCH || []).map(entry => ({
+        ...entry,
+        haystack: `${entry.title} ${entry.context} ${entry.text}`.toLowerCase(),
+        titleText: entry.title.toLowerCase()
+    }));
+
+    function search(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        return entries
+            .filter(entry => terms.every(term => entry.haystack.includes(term)))
+            .map(entry => ({ entry, score: terms.filter(term => entry.titleText.includes(term)).length }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_RESULTS)
+            .map(result => result.entry);
+    }
+
+    function render(results) {
+        list.textContent = '';
+        for (const entry of results) {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            const context = document.createElement('span');
+
+            link.href = root + entry.href;
+            link.textContent = entry.title;
+            context.className = 'context';
+            context.textContent = entry.context;
+            link.appendChild(context);
+            item.appendChild(link);
+            list.appendChild(item);
+        }
+        list.hidden = results.length === 0;
+    }
+
+    input.addEventListener('input', () => render(search(input.value)));
+
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Escape') {
+            input.value = '';
+            render([]);
+        } else if (event.key === 'Enter') {
+            const first = list.querySelector('a');
+            if (first) window.location.href = first.href;
+        }
+    });
+
+    document.addEventListener('click', event => {
+        if (!event.target.closest('.search')) list.hidden = true;
+    });
+})();
@@ -0,0 +1,236 @@
+/**
+ * TOOL: HTML WORKBOOK
+ * DESCRIPTION:
+ * Builds a static HTML site from the numbered topic folders and the
+ * practice problems: one page per teaching module and per practice file,
+ * with syntax-highlighted code, collapsible solutions, a search box and a
+ * table of contents per page (from the section banners, see sources.js).
+ *
+ * The build is deterministic - no timestamps, files in sorted order - so
+ * rebuilding unchanged sources gives byte-identical output, and the site
+ * works offline: relative links, no external assets, and the search index
+ * is a script (assets/search-index.js) rather than a fetched JSON file.
+ *
+ * USAGE:
+ *   node tools/workbook/build.js                 # writes ./workbook
+ *   node tools/workbook/build.js --out /tmp/workbook
+ *
+ * Then open workbook/index.html in a browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { parseProblemFile } = require('../practice/problemParser');
+const { REPO_ROOT, PRACTICE_FOLDER, listTopicFolders, commentText, loadModule } = require('./sources');
+const { pageFor, problemAnchor, renderModulePage, renderPracticePage, renderHomePage } = require('./render');
+
+const ASSETS_DIR = path.join(__dirname, 'assets');
+const DEFAULT_OUT = path.join(REPO_ROOT, 'workbook');
+
+// Written into every build; only directories holding it are ever emptied
+const MARKER_FILE = '.workbook';
+
+// Characters of code per search entry; enough to find an operator or call
+const MAX_SEARCH_TEXT = 4000;
+
+// -------------------------------------------------------------------------------------------
+// 1. COLLECTING THE MATERIAL
+// -------------------------------------------------------------------------------------------
+
+/**
+ * Reads a practice file with its path and the prose of its header
+ * comment ("This file contains practice problems for ...").
+ */
+function loadPracticeFile(relativePath, root) {
+    const source = fs.readFileSync(path.join(root, relativePath), 'utf8');
+    const file = parseProblemFile(source, path.basename(relativePath));
+    const header = source.match(/^\s*\/\*\*[\s\S]*?\*\//);
+
+    file.path = relativePath;
+    file.intro = header
+        ? commentText(header[0]).split('\n').filter(line => !/PRACTICE PROBLEMS\s*-/.test(line)).join('\n').trim()
+        : '';
+    return file;
+}
+
+/**
+ * The README's opening paragraph, for the home page.
+ */
+function readDescription(root) {
+    const readme = path.join(root, 'README.md');
+    if (!fs.existsSync(readme)) return '';
+
+    const paragraphs = fs.readFileSync(readme, 'utf8').split(/\n\s*\n/).map(text => text.trim());
+    return paragraphs.find(text => text && !text.startsWith('#')) || '';
+}
+
+/**
+ * Everything the pages are rendered from:
+ * { description, folders: [{ number, title, files: [{ path, label, summary }] }],
+ *   modules: [...], practiceFiles: [...] }
+ */
+function collectSite(root = REPO_ROOT) {
+    const modules = [];
+    const practiceFiles = [];
+
+    const folders = listTopicFolders(root).map(folder => ({
+        number: folder.number,
+        title: folder.title,
+        files: folder.files.map(file => {
+            if (folder.folder === PRACTICE_FOLDER) {
+                const practice = loadPracticeFile(file, root);
+                practiceFiles.push(practice);
+                return { path: file, label: path.basename(file), summary: `${practice.title} (${practice.problems.length} problems)` };
+            }
+            const module = loadModule(file, root);
+            modules.push(module);
+            return { path: file, label: path.basename(file), summary: module.description };
+        })
+    }));
+
+    return { description: readDescription(root), folders, modules, practiceFiles };
+}
+
+/**
+ * Practice problems per module path, from their `modules` front-matter:
+ * { '03-queries-and-filters/arrayOperators.js': [{ label, href }] }
+ */
+function practiceByModule(practiceFiles) {
+    const byModule = {};
+
+    for (const file of practiceFiles) {
+        for (const problem of file.problems) {
+            for (const module of problem.metadata.modules) {
+                (byModule[module] = byModule[module] || []).push({
+                    label: `${file.file.replace(/\.js$/, '')} ${problem.id} ${problem.title}`,
+                    href: `${pageFor(file.path)}#${problemAnchor(problem.id)}`
+                });
+            }
+        }
+    }
+
+    return byModule;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. SEARCH INDEX
+// -------------------------------------------------------------------------------------------
+
+function searchText(...parts) {
+    return parts.join(' ').replace(/\s+/g, ' ').trim().slice(0, MAX_SEARCH_TEXT);
+}
+
+/**
+ * One entry per module section and per practice problem:
+ * [{ title, context, href, text }]
+ */
+function buildSearchIndex(site) {
+    const entries = [];
+
+    for (const module of site.modules) {
+        entries.push({ title: module.topic || module.path, context: module.path, href: pageFor(module.path), text: searchText(module.description) });
+        for (const section of module.sections) {
+            entries.push({
+                title: section.title,
+                context: module.topic || module.path,
+                href: `${pageFor(module.path)}#${section.slug}`,
+                text: searchText(...section.blocks.map(block => `${block.heading || ''} ${block.code}`))
+            });
+        }
+    }
+
+    for (const file of site.practiceFiles) {
+        for (const problem of file.problems) {
+            entries.push({
+                title: `${problem.id} ${problem.title}`,
+                context: `Practice: ${file.title || file.file}`,
+                href: `${pageFor(file.path)}#${problemAnchor(problem.id)}`,
+                text: searchText(problem.description, problem.metadata.tags.join(' '), problem.solutionCode)
+            });
+        }
+    }
+
+    return entries;
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. BUILDING
+// -------------------------------------------------------------------------------------------
+
+/**
+ * The whole site as { 'relative/path.html': contents }, keys sorted.
+ */
+function buildWorkbook(root = REPO_ROOT) {
+    const site = collectSite(root);
+    const practice = practiceByModule(site.practiceFiles);
+    const files = {
+        'index.html': renderHomePage(site),
+        'assets/search-index.js': `window.WORKBOOK_SEARCH = ${JSON.stringify(buildSearchIndex(site))};\n`
+    };
+
+    for (const asset of fs.readdirSync(ASSETS_DIR).sort()) {
+        files[`assets/${asset}`] = fs.readFileSync(path.join(ASSETS_DIR, asset), 'utf8');
+    }
+    for (const module of site.modules) {
+        files[pageFor(module.path)] = renderModulePage(site, module, practice[module.path]);
+    }
+    for (const file of site.practiceFiles) {
+        files[pageFor(file.path)] = renderPracticePage(site, file, PRACTICE_FOLDER);
+    }
+
+    return Object.fromEntries(Object.keys(files).sort().map(key => [key, files[key]]));
+}
+
+/**
+ * Replaces `outDir` with the built files. A non-empty directory is only
+ * emptied when an earlier build left its marker file there.
+ */
+function writeWorkbook(outDir, files) {
+    if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0) {
+        if (!fs.existsSync(path.join(outDir, MARKER_FILE))) {
+            throw new Error(`${outDir} is not empty and was not built by this tool; choose another --out directory`);
+        }
+        fs.rmSync(outDir, { recursive: true });
+    }
+
+    for (const [relativePath, contents] of Object.entries({ ...files, [MARKER_FILE]: '' })) {
+        const target = path.join(outDir, relativePath);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, contents);
+    }
+}
+
+function main(argv = process.argv.slice(2)) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            out: { type: 'string', default: DEFAULT_OUT }
+        }
+    });
+
+    const outDir = path.resolve(values.out);
+    const files = buildWorkbook();
+    writeWorkbook(outDir, files);
+
+    const pages = Object.keys(files).filter(name => name.endsWith('.html')).length;
+    console.log(`Wrote ${pages} pages to ${path.relative(process.cwd(), outDir) || '.'}`);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    collectSite,
+    buildSearchIndex,
+    buildWorkbook,
+    writeWorkbook,
+    main
+};
@@ -0,0 +1,73 @@
+/**
+ * TOOL: SYNTAX HIGHLIGHTER
+ * DESCRIPTION:
+ * A small JavaScript/mongosh highlighter for the workbook. It wraps
+ * comments, strings, numbers, keywords, literals and $operators in
+ * <span class="tok-..."> elements and escapes everything else, so the
+ * workbook needs no highlighting library at build or view time.
+ *
+ * Regular expression literals are not recognised (they cannot be told
+ * apart from division without parsing); they render as plain code.
+ */
+
+const KEYWORDS = new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+    'do', 'else', 'export', 'extends', 'finally', 'for', 'function', 'if', 'import', 'in',
+    'instanceof', 'let', 'new', 'of', 'return', 'static', 'switch', 'this', 'throw', 'try',
+    'typeof', 'var', 'void', 'while', 'yield', 'interface', 'type', 'enum', 'implements'
+]);
+
+const LITERALS = new Set(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity']);
+
+// Order matters: comments before strings before numbers before words
+const TOKEN = new RegExp([
+    '(\\/\\*[\\s\\S]*?\\*\\/|\\/\\/[^\\n]*)',
+    '(`(?:\\\\[\\s\\S]|[^\\\\`])*`|"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\')',
+    '(\\b\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b)',
+    '([A-Za-z_$][\\w$]*)'
+].join('|'), 'g');
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function span(kind, text) {
+    return `<span class="tok-${kind}">${escapeHtml(text)}</span>`;
+}
+
+function wordKind(word) {
+    if (KEYWORDS.has(word)) return 'keyword';
+    if (LITERALS.has(word)) return 'literal';
+    if (word.startsWith('$') && word.length > 1) return 'operator';
+    return null;
+}
+
+/**
+ * Highlighted HTML for a piece of source code (without the surrounding
+ * <pre><code>).
+ */
+function highlight(code) {
+    let html = '';
+    let last = 0;
+
+    for (const match of code.matchAll(TOKEN)) {
+        const [text, comment, string, number, word] = match;
+        html += escapeHtml(code.slice(last, match.index));
+        last = match.index + text.length;
+
+        if (comment) html += span('comment', text);
+        else if (string) html += span(/^["']\$\w/.test(text) ? 'operator' : 'string', text);
+        else if (number) html += span('number', text);
+        else if (word && wordKind(word)) html += span(wordKind(word), text);
+        else html += escapeHtml(text);
+    }
+
+    return html + escapeHtml(code.slice(last));
+}
+
+module.exports = {
+    escapeHtml,
+    highlight
+};
@@ -0,0 +1,308 @@
+/**
+ * TOOL: WORKBOOK PAGES
+ * DESCRIPTION:
+ * HTML for the workbook pages: the shared layout (navigation, search box,
+ * table of contents), the home page, one page per teaching module and one
+ * per practice problem file. Everything is plain HTML and CSS; the only
+ * script is the search box (assets/workbook.js), and hints and solutions
+ * collapse with <details>, so pages also read fine with scripts disabled.
+ *
+ * Links are relative (`root` is the way back to the site root, e.g.
+ * "../"), so the workbook opens straight from the file system.
+ */
+
+const { escapeHtml, highlight } = require('./highlight');
+const { commentText } = require('./sources');
+const { describeQueries, querySkeletons } = require('../practice/hints');
+
+const SITE_TITLE = 'MongoDB Practice Workbook';
+
+// -------------------------------------------------------------------------------------------
+// 1. SHARED PIECES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * "03-queries-and-filters/arrayOperators.js" -> "03-queries-and-filters/arrayOperators.html"
+ */
+function pageFor(sourcePath) {
+    return sourcePath.replace(/\.js$/, '.html');
+}
+
+function code(source) {
+    return `<pre class="code"><code>${highlight(source)}</code></pre>`;
+}
+
+function prose(text) {
+    return `<div class="prose">${escapeHtml(text)}</div>`;
+}
+
+/**
+ * Sidebar listing every folder and file, with the current page marked.
+ */
+function renderNav(site, root, currentPath) {
+    const folders = site.folders.map(folder => {
+        const open = folder.files.some(file => file.path === currentPath);
+        const files = folder.files.map(file => {
+            const current = file.path === currentPath ? ' aria-current="page"' : '';
+            return `<li><a href="${root}${pageFor(file.path)}"${current}>${escapeHtml(file.label)}</a></li>`;
+        }).join('');
+        return `<details${open ? ' open' : ''}><summary>${escapeHtml(`${folder.number} ${folder.title}`)}</summary><ul>${files}</ul></details>`;
+    });
+    return folders.join('\n');
+}
+
+/**
+ * Table of contents: [{ title, slug, children: [{ title, slug }] }]
+ */
+function renderToc(entries) {
+    if (entries.length === 0) return '';
+
+    const items = entries.map(entry => {
+        const children = (entry.children || []).length
+            ? `<ul>${entry.children.map(child => `<li><a href="#${child.slug}">${escapeHtml(child.title)}</a></li>`).join('')}</ul>`
+            : '';
+        return `<li><a href="#${entry.slug}">${escapeHtml(entry.title)}</a>${children}</li>`;
+    });
+    return `<h2>Contents</h2><ul>${items.join('')}</ul>`;
+}
+
+function layout(site, { title, root, currentPath = null, toc = '', body }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · ${SITE_TITLE}</title>
+<link rel="stylesheet" href="${root}assets/workbook.css">
+</head>
+<body data-root="${root}">
+<header class="topbar">
+<a class="brand" href="${root}index.html">${SITE_TITLE}</a>
+<div class="search">
+<input type="search" id="search" placeholder="Search modules and problems" autocomplete="off" aria-label="Search">
+<ol id="search-results" hidden></ol>
+</div>
+</header>
+<div class="layout">
+<nav class="sidebar">
+${renderNav(site, root, currentPath)}
+</nav>
+<main>
+${body}
+</main>
+<aside class="toc">
+${toc}
+</aside>
+</div>
+<script src="${root}assets/search-index.js"></script>
+<script src="${root}assets/workbook.js"></script>
+</body>
+</html>
+`;
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. TEACHING MODULES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * A SUMMARY section: its comment as a highlighted box, then any code
+ * left over (usually module.exports).
+ */
+function renderSummary(source) {
+    const rest = source.replace(/\/\*[\s\S]*?\*\//g, '').trim();
+    return `<div class="summary">${prose(commentText(source))}</div>${rest ? code(rest) : ''}`;
+}
+
+/**
+ * `practice` lists the problems linked to this module:
+ * [{ label, href }] (hrefs relative to the site root).
+ */
+function renderModulePage(site, module, practice = []) {
+    const root = '../';
+    const sections = module.sections.map(section => {
+        const blocks = section.blocks.map(block => {
+            const heading = block.heading ? `<h3 id="${block.slug}">${escapeHtml(block.heading)}</h3>` : '';
+            const content = section.summary ? renderSummary(block.code) : code(block.code);
+            return block.code ? `${heading}${content}` : heading;
+        });
+        return `<section id="${section.slug}"${section.summary ? ' class="summary-section"' : ''}>
+<h2>${escapeHtml(section.title)}</h2>
+${blocks.join('\n')}
+</section>`;
+    });
+
+    const practiceList = practice.length
+        ? `<section id="practice"><h2>Practice</h2><ul>${practice.map(item => `<li><a href="${root}${item.href}">${escapeHtml(item.label)}</a></li>`).join('')}</ul></section>`
+        : '';
+
+    const toc = module.sections.map(section => ({
+        title: section.title,
+        slug: section.slug,
+        children: section.blocks.filter(block => block.heading).map(block => ({ title: block.heading, slug: block.slug }))
+    }));
+    if (practice.length) toc.push({ title: 'Practice', slug: 'practice' });
+
+    return layout(site, {
+        title: module.topic || module.path,
+        root,
+        currentPath: module.path,
+        toc: renderToc(toc),
+        body: `<h1>${escapeHtml(module.topic || module.path)}</h1>
+<p class="source">${escapeHtml(module.path)}</p>
+${module.description ? prose(module.description) : ''}
+${module.intro ? code(module.intro) : ''}
+${sections.join('\n')}
+${practiceList}`
+    });
+}
+
+// -------------------------------------------------------------------------------------------
+// 3. PRACTICE PROBLEMS
+// -------------------------------------------------------------------------------------------
+
+/**
+ * "1.2" -> "problem-1-2"
+ */
+function problemAnchor(id) {
+    return `problem-${id.replace('.', '-')}`;
+}
+
+/**
+ * Link for a prerequisite: "1.3" in the same file or
+ * "01-crud-problems#1.3" in another one.
+ */
+function prerequisiteLink(reference, root, practiceFolder) {
+    if (!reference.includes('#')) return `<a href="#${problemAnchor(reference)}">${escapeHtml(reference)}</a>`;
+
+    const [file, id] = reference.split('#');
+    return `<a href="${root}${practiceFolder}/${file}.html#${problemAnchor(id)}">${escapeHtml(reference)}</a>`;
+}
+
+/**
+ * The first two hint levels (tools/practice/hints.js) as collapsed
+ * blocks; the solution below is the third.
+ */
+function renderHints(problem) {
+    const described = describeQueries(problem.solutionCode)
+        .map(line => `<p>${escapeHtml(line).replace(/`([^`]+)`/g, '<code>$1</code>')}</p>`)
+        .join('');
+    const skeletons = querySkeletons(problem.solutionCode);
+
+    return [
+        `<details class="hint"><summary>Hint 1</summary>${described}</details>`,
+        skeletons.length ? `<details class="hint"><summary>Hint 2</summary>${code(skeletons.join('\n\n'))}</details>` : ''
+    ].filter(Boolean).join('\n');
+}
+
+function renderProblem(problem, root, practiceFolder) {
+    const { difficulty, tags, prerequisites, modules } = problem.metadata;
+    const meta = [
+        difficulty ? `<span class="badge badge-${escapeHtml(difficulty)}">${escapeHtml(difficulty)}</span>` : '',
+        ...tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`)
+    ].join(' ');
+    const links = [];
+    if (prerequisites.length) {
+        links.push(`Solve first: ${prerequisites.map(reference => prerequisiteLink(reference, root, practiceFolder)).join(', ')}`);
+    }
+    if (modules.length) {
+        links.push(`Read: ${modules.map(module => `<a href="${root}${pageFor(module)}">${escapeHtml(module)}</a>`).join(', ')}`);
+    }
+
+    return `<article class="problem" id="${problemAnchor(problem.id)}">
+<h3>${escapeHtml(`${problem.id} ${problem.title}`)}</h3>
+${meta ? `<p class="meta">${meta}</p>` : ''}
+${prose(problem.description)}
+${links.map(line => `<p class="links">${line}</p>`).join('\n')}
+${problem.localSetup ? `<p class="label">Setup</p>${code(problem.localSetup)}` : ''}
+${renderHints(problem)}
+<details class="solution"><summary>Show solution</summary>
+${code(problem.solutionCode)}
+</details>
+</article>`;
+}
+
+/**
+ * `file` is a parsed practice file (problemParser.js) with `path` and
+ * `intro` (the comment before its SETUP section) added.
+ */
+function renderPracticePage(site, file, practiceFolder) {
+    const root = '../';
+    const collapsible = (id, label, source) => (source
+        ? `<section id="${id}"><h2>${label}</h2><details><summary>Show ${label.toLowerCase()} code</summary>${code(source)}</details></section>`
+        : '');
+
+    const sections = file.sections.map(section => {
+        const problems = file.problems.filter(problem => problem.section === section);
+        return `<section id="section-${section.number}">
+<h2>${escapeHtml(`${section.number}. ${section.title}`)}</h2>
+${problems.map(problem => renderProblem(problem, root, practiceFolder)).join('\n')}
+</section>`;
+    });
+
+    const toc = [
+        ...(file.setup ? [{ title: 'Setup', slug: 'setup' }] : []),
+        ...file.sections.map(section => ({
+            title: `${section.number}. ${section.title}`,
+            slug: `section-${section.number}`,
+            children: file.problems
+                .filter(problem => problem.section === section)
+                .map(problem => ({ title: `${problem.id} ${problem.title}`, slug: problemAnchor(problem.id) }))
+        })),
+        ...(file.cleanup ? [{ title: 'Cleanup', slug: 'cleanup' }] : [])
+    ];
+
+    return layout(site, {
+        title: file.title || file.file,
+        root,
+        currentPath: file.path,
+        toc: renderToc(toc),
+        body: `<h1>${escapeHtml(`Practice: ${file.title || file.file}`)}</h1>
+<p class="source">${escapeHtml(file.path)} · ${file.problems.length} problems</p>
+${file.intro ? prose(file.intro) : ''}
+${collapsible('setup', 'Setup', file.setup)}
+${sections.join('\n')}
+${collapsible('cleanup', 'Cleanup', file.cleanup)}`
+    });
+}
+
+// -------------------------------------------------------------------------------------------
+// 4. HOME PAGE
+// -------------------------------------------------------------------------------------------
+
+/**
+ * First sentence of a description, for the overview.
+ */
+function firstSentence(text) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    const match = flat.match(/^.*?[.!?](?=\s|$)/);
+    return match ? match[0] : flat;
+}
+
+function renderHomePage(site) {
+    const folders = site.folders.map(folder => {
+        const files = folder.files.map(file => `<li><a href="${pageFor(file.path)}">${escapeHtml(file.label)}</a>${file.summary ? ` - ${escapeHtml(firstSentence(file.summary))}` : ''}</li>`);
+        return `<section class="folder" id="folder-${folder.number}">
+<h2>${escapeHtml(`${folder.number} ${folder.title}`)}</h2>
+<ul>${files.join('')}</ul>
+</section>`;
+    });
+
+    return layout(site, {
+        title: 'Contents',
+        root: '',
+        toc: renderToc(site.folders.map(folder => ({ title: `${folder.number} ${folder.title}`, slug: `folder-${folder.number}` }))),
+        body: `<h1>${SITE_TITLE}</h1>
+${prose(site.description)}
+${folders.join('\n')}`
+    });
+}
+
+module.exports = {
+    SITE_TITLE,
+    pageFor,
+    problemAnchor,
+    renderModulePage,
+    renderPracticePage,
+    renderHomePage
+};
@@ -0,0 +1,195 @@
+/**
+ * TOOL: WORKBOOK SOURCES
+ * DESCRIPTION:
+ * Reads the material the workbook is built from: the numbered topic
+ * folders and, in each, the teaching modules. A module is split along
+ * the banner comments every file uses:
+ *
+ *   // -------------------------------------------------------------------------------------------
+ *   // 1. BASIC ARRAY MATCHING
+ *   // -------------------------------------------------------------------------------------------
+ *
+ * Full-width banners (80+ characters) start sections and make up the
+ * table of contents, "SUMMARY & BEST PRACTICES" included; shorter
+ * banners inside a section become sub-headings.
+ *
+ * The practice problem files are read with tools/practice/problemParser.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '../..');
+const PRACTICE_FOLDER = '13-practice-problems';
+
+const BANNER_RULE = /^\/\/ ([-=])\1{9,}\s*$/;
+const SECTION_RULE_LENGTH = 80;
+
+// -------------------------------------------------------------------------------------------
+// 1. FOLDERS AND FILES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * "03-queries-and-filters" -> "Queries and Filters"
+ */
+function folderTitle(folder) {
+    const small = new Set(['and', 'or', 'of', 'vs']);
+    return folder
+        .replace(/^\d+-/, '')
+        .split('-')
+        .map((word, index) => (index > 0 && small.has(word) ? word : word[0].toUpperCase() + word.slice(1)))
+        .join(' ')
+        .replace(/\bOdm\b/, 'ODM');
+}
+
+/**
+ * The numbered topic folders in order:
+ * [{ folder, number, title, files: ['03-queries-and-filters/arrayOperators.js', ...] }]
+ * File paths are relative to the repository root, sorted by name.
+ */
+function listTopicFolders(root = REPO_ROOT) {
+    return fs.readdirSync(root, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && /^\d{2}-/.test(entry.name))
+        .map(entry => entry.name)
+        .sort()
+        .map(folder => ({
+            folder,
+            number: folder.slice(0, 2),
+            title: folderTitle(folder),
+            files: fs.readdirSync(path.join(root, folder))
+                .filter(name => name.endsWith('.js'))
+                .sort()
+                .map(name => `${folder}/${name}`)
+        }));
+}
+
+// -------------------------------------------------------------------------------------------
+// 2. MODULES
+// -------------------------------------------------------------------------------------------
+
+/**
+ * "2. $ALL OPERATOR" -> "2-all-operator"
+ */
+function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'section';
+}
+
+/**
+ * The text of the block comments in `code`, with the comment markers
+ * and leading asterisks removed.
+ */
+function commentText(code) {
+    const blocks = [...code.matchAll(/\/\*\*?([\s\S]*?)\*\//g)].map(([, body]) => body
+        .split('\n')
+        .map(line => line.replace(/^\s*\* ?/, '').trimEnd())
+        .join('\n')
+        .trim());
+    return blocks.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Reads the leading doc comment:
+ * { topic: 'ARRAY OPERATORS', description: '...' }
+ */
+function parseHeader(text) {
+    const topicLine = text.match(/^(?:TOPIC|TOOL):\s*(.+)$/m);
+    const description = text.split(/^DESCRIPTION:\s*$/m)[1];
+    return {
+        topic: topicLine ? topicLine[1].trim() : '',
+        description: (description || '').trim()
+    };
+}
+
+function trimBlankLines(lines) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && lines[start].trim() === '') start++;
+    while (end > start && lines[end - 1].trim() === '') end--;
+    return lines.slice(start, end);
+}
+
+/**
+ * Splits a teaching module into:
+ * {
+ *   topic, description,
+ *   intro: 'code before the first section (requires, ...)',
+ *   sections: [{ title, slug, line, summary, blocks: [{ heading, slug, code }] }]
+ * }
+ * `summary` marks a "SUMMARY" section; `blocks` are the section's code
+ * split at its sub-heading banners (the first block has no heading).
+ */
+function parseModule(source) {
+    const lines = source.replace(/\r\n/g, '\n').split('\n');
+    const headerEnd = /^\s*\/\*\*/.test(lines[0] || '') ? lines.findIndex(line => line.includes('*/')) : -1;
+    const header = parseHeader(commentText(lines.slice(0, headerEnd + 1).join('\n')));
+
+    const banners = [];
+    for (let i = headerEnd + 1; i + 2 < lines.length; i++) {
+        if (!BANNER_RULE.test(lines[i]) || !BANNER_RULE.test(lines[i + 2]) || !/^\/\/\s*\S/.test(lines[i + 1])) continue;
+
+        banners.push({
+            title: lines[i + 1].replace(/^\/\/\s*/, '').trim(),
+            level: lines[i].trim().length >= SECTION_RULE_LENGTH ? 1 : 2,
+            start: i,
+            bodyStart: i + 3
+        });
+        i += 2;
+    }
+
+    // Without full-width banners the first sub-heading starts the sections
+    const firstSection = Math.max(0, banners.findIndex(banner => banner.level === 1));
+    const introEnd = banners.length ? banners[firstSection].start : lines.length;
+    const sections = [];
+    const slugs = new Map();
+    const uniqueSlug = text => {
+        const base = slugify(text);
+        const count = slugs.get(base) || 0;
+        slugs.set(base, count + 1);
+        return count ? `${base}-${count + 1}` : base;
+    };
+
+    banners.forEach((banner, index) => {
+        const end = index + 1 < banners.length ? banners[index + 1].start : lines.length;
+        const code = trimBlankLines(lines.slice(banner.bodyStart, end)).join('\n');
+
+        if (banner.level === 1 || sections.length === 0) {
+            if (index < firstSection) return;
+            sections.push({
+                title: banner.title,
+                slug: uniqueSlug(banner.title),
+                line: banner.start + 2,
+                summary: /^SUMMARY\b/.test(banner.title),
+                blocks: [{ heading: null, slug: null, code }]
+            });
+        } else {
+            sections[sections.length - 1].blocks.push({ heading: banner.title, slug: uniqueSlug(banner.title), code });
+        }
+    });
+
+    return {
+        ...header,
+        intro: trimBlankLines(lines.slice(headerEnd + 1, introEnd)).join('\n'),
+        sections
+    };
+}
+
+function loadModule(relativePath, root = REPO_ROOT) {
+    return {
+        path: relativePath,
+        ...parseModule(fs.readFileSync(path.join(root, relativePath), 'utf8'))
+    };
+}
+
+module.exports = {
+    REPO_ROOT,
+    PRACTICE_FOLDER,
+    folderTitle,
+    listTopicFolders,
+    slugify,
+    commentText,
+    parseModule,
+    loadModule
+};